@@ -0,0 +1,189 @@
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { logger } = require('firebase-functions');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { getMessaging } = require('firebase-admin/messaging');
+const {
+  getDeliveryTime, getNextJournalReminderTime, getNotificationSettings, wantsNotification,
+} = require('./notificationSchedule');
+
+// --- Entrega das notificações por push ---
+// As caixas ficam em artifacts/{appId}/users/{uid}/notifications (ver src/data/notifications.js): a app escreve
+// os avisos já com o texto e a hora de entrega. Esta função não tem os catálogos de tradução: os avisos que escreve
+// levam a chave da mensagem (titleKey, titleParams), e o service worker da app escreve o título no idioma de
+// quem recebe (ver src/utils/notificationText.js). Esta função envia os que chegaram à hora para os dispositivos
+// registados em artifacts/{appId}/users/{uid}/devices, logo ao serem criados e depois a cada 5 minutos.
+// Só procura as que têm push 'pending': sem dispositivos a notificação passa a 'skipped' e fica para a app mostrar.
+// Cada notificação é retirada da caixa numa transação (como na app), por isso aparece uma só vez.
+// No emulador não há FCM: a mensagem vai para o registo da função em vez de ser enviada.
+
+initializeApp();
+const db = getFirestore();
+
+const isEmulator = process.env.FUNCTIONS_EMULATOR === 'true';
+
+// Tokens que o FCM já não aceita: o navegador retirou a permissão ou a app foi desinstalada
+const STALE_TOKEN_ERRORS = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+// Código gRPC de um documento que já não existe
+const NOT_FOUND = 5;
+
+// artifacts/{appId}/users/{uid}/notifications/{id} -> { appId, uid }
+const parseInboxPath = (ref) => {
+  const [, appId, , uid] = ref.path.split('/');
+  return { appId, uid };
+};
+
+// Retira da caixa; null se a app já a entregou. O lembrete diário passa para a próxima hora do lembrete depois
+// de agora (e não 24 horas depois do anterior), por isso depois de uma paragem não chegam vários atrasados.
+const claimNotification = (ref, now, settings) => db.runTransaction(async (transaction) => {
+  const snapshot = await transaction.get(ref);
+  if (!snapshot.exists) return null;
+  const notification = snapshot.data();
+  if (!notification.deliverAt || notification.deliverAt.toMillis() > now.toMillis()) return null;
+  if (notification.repeatDaily) {
+    transaction.update(ref, { deliverAt: Timestamp.fromDate(getNextJournalReminderTime(settings, now.toDate())) });
+  } else {
+    transaction.delete(ref);
+  }
+  return notification;
+});
+
+const sendToDevices = async (devices, message) => {
+  const tokens = devices.docs.map((device) => device.id);
+  if (isEmulator) {
+    logger.info('Notificação (emulador, não enviada)', { tokens, ...message });
+    return;
+  }
+  const response = await getMessaging().sendEachForMulticast({ tokens, data: message, webpush: { headers: { Urgency: 'high' } } });
+  const stale = response.responses
+    .map((result, index) => (!result.success && STALE_TOKEN_ERRORS.includes(result.error.code) ? devices.docs[index].ref : null))
+    .filter(Boolean);
+  await Promise.all(stale.map((ref) => ref.delete()));
+};
+
+const deliver = async (snapshot, now) => {
+  const { appId, uid } = parseInboxPath(snapshot.ref);
+  const userRef = db.doc(`artifacts/${appId}/users/${uid}`);
+  // Sem dispositivos com push, a notificação fica para a app mostrar quando for aberta
+  const devices = await userRef.collection('devices').get();
+  if (devices.empty) {
+    await snapshot.ref.update({ push: 'skipped' }).catch((err) => {
+      // A app pode tê-la entregado (e retirado da caixa) entretanto
+      if (err.code !== NOT_FOUND) throw err;
+    });
+    return;
+  }
+  const profile = (await db.doc(`artifacts/${appId}/profiles/${uid}`).get()).data();
+  const settings = getNotificationSettings(profile);
+  const notification = await claimNotification(snapshot.ref, now, settings);
+  if (!notification) return;
+  if (!wantsNotification(settings, notification.type)) return;
+  // Os dados do FCM só podem ter texto
+  await sendToDevices(devices, {
+    title: notification.title || '',
+    titleKey: notification.titleKey || '',
+    titleParams: JSON.stringify(notification.titleParams || {}),
+    locale: (profile && profile.locale) || '',
+    body: notification.body || '',
+    link: notification.link,
+    tag: snapshot.id,
+  });
+};
+
+const deliverSafely = (snapshot, now) => deliver(snapshot, now)
+  .catch((err) => logger.error('Erro ao entregar notificação', { path: snapshot.ref.path, err }));
+
+// Avisos do par: normalmente já estão à hora quando são criados
+exports.deliverNewNotification = onDocumentCreated('artifacts/{appId}/users/{uid}/notifications/{notificationId}', async (event) => {
+  if (!event.data) return;
+  const now = Timestamp.now();
+  const { deliverAt } = event.data.data();
+  if (deliverAt && deliverAt.toMillis() <= now.toMillis()) await deliverSafely(event.data, now);
+});
+
+// Lembretes e avisos adiados pelas horas de silêncio
+exports.deliverNotifications = onSchedule('every 5 minutes', async () => {
+  const now = Timestamp.now();
+  const due = await db.collectionGroup('notifications')
+    .where('push', '==', 'pending')
+    .where('deliverAt', '<=', now)
+    .get();
+  await Promise.all(due.docs.map((snapshot) => deliverSafely(snapshot, now)));
+});
+
+// --- Partilha dos registos agendados do diário ---
+// Os registos agendados ficam no caminho privado do autor, artifacts/{appId}/users/{uid}/spaces/{spaceId}/journal_entries
+// (ver src/data/journal.js). Quando chega a data, esta função move-os para o diário partilhado do espaço e avisa
+// o par, também com a app do autor fechada. A app do autor faz o mesmo enquanto está aberta: as duas usam uma
+// transação que só move o registo se ele ainda estiver agendado, por isso é partilhado (e avisado) uma só vez.
+
+// artifacts/{appId}/users/{uid}/spaces/{spaceId}/journal_entries/{id} -> { appId, spaceId }
+const parsePrivateEntryPath = (ref) => {
+  const [, appId, , , , spaceId] = ref.path.split('/');
+  return { appId, spaceId };
+};
+
+// Move o registo se ainda estiver agendado para agora e o autor ainda for membro; null se não
+const shareDueEntry = (ref, now) => db.runTransaction(async (transaction) => {
+  const snapshot = await transaction.get(ref);
+  if (!snapshot.exists) return null;
+  const entry = snapshot.data();
+  if (entry.visibility !== 'scheduled' || !entry.shareAt || entry.shareAt.toMillis() > now.toMillis()) return null;
+  const { appId, spaceId } = parsePrivateEntryPath(ref);
+  const spaceRef = db.doc(`artifacts/${appId}/spaces/${spaceId}`);
+  const space = await transaction.get(spaceRef);
+  if (!space.exists || !(space.data().members || []).includes(entry.addedBy)) return null;
+  transaction.set(spaceRef.collection('journal_entries').doc(ref.id), {
+    text: entry.text,
+    tags: entry.tags || [],
+    attachments: entry.attachments || [],
+    mood: entry.mood || null,
+    date: FieldValue.serverTimestamp(),
+    ...(entry.writtenAt || entry.date ? { writtenAt: entry.writtenAt || entry.date } : {}),
+    addedBy: entry.addedBy,
+    addedByName: entry.addedByName,
+  });
+  transaction.delete(ref);
+  return { appId, spaceId, members: space.data().members, entry };
+});
+
+// Como o notifyPartners da app: na caixa de cada membro que quer ser avisado, com a mensagem por traduzir
+const notifyPartnersOfEntry = async ({ appId, spaceId, members, entry }) => {
+  const now = new Date();
+  const author = (await db.doc(`artifacts/${appId}/profiles/${entry.addedBy}`).get()).data();
+  const name = (author && author.displayName) || entry.addedByName || '';
+  await Promise.all(members.filter((uid) => uid !== entry.addedBy).map(async (uid) => {
+    const settings = getNotificationSettings((await db.doc(`artifacts/${appId}/profiles/${uid}`).get()).data());
+    if (!wantsNotification(settings, 'partnerActivity')) return;
+    await db.collection(`artifacts/${appId}/users/${uid}/notifications`).add({
+      type: 'partnerActivity',
+      titleKey: 'notifications.partner.journal',
+      titleParams: { name },
+      body: entry.text.length > 140 ? `${entry.text.slice(0, 139)}…` : entry.text,
+      link: `/diario?espaco=${encodeURIComponent(spaceId)}`,
+      spaceId,
+      deliverAt: Timestamp.fromDate(getDeliveryTime(settings, now)),
+      push: 'pending',
+      addedBy: entry.addedBy,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  }));
+};
+
+exports.shareScheduledEntries = onSchedule('every 5 minutes', async () => {
+  const now = Timestamp.now();
+  const due = await db.collectionGroup('journal_entries')
+    .where('visibility', '==', 'scheduled')
+    .where('shareAt', '<=', now)
+    .get();
+  await Promise.all(due.docs.map(async (snapshot) => {
+    try {
+      const shared = await shareDueEntry(snapshot.ref, now);
+      if (shared) await notifyPartnersOfEntry(shared);
+    } catch (err) {
+      logger.error('Erro ao partilhar registo agendado', { path: snapshot.ref.path, err });
+    }
+  }));
+});
@@ -0,0 +1,86 @@
+// --- Horas no fuso de quem recebe ---
+// As mesmas contas e preferências por omissão de src/data/notifications.js. A pasta functions/ é publicada sozinha
+// e não pode importar a app, por isso o src/data/notifications.test.js compara as duas versões nos mesmos casos:
+// uma mudança num lado sem o outro faz falhar os testes.
+
+const MS_PER_MINUTE = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  types: { partnerActivity: true, journalReminder: true, anniversary: true },
+  reminderTime: '21:00',
+  quietHours: { start: '23:00', end: '08:00' },
+  timeZone: 'UTC',
+};
+
+// Preferências do perfil completadas com os valores por omissão
+const getNotificationSettings = (profile) => {
+  const saved = (profile && profile.notifications) || {};
+  return {
+    ...DEFAULT_NOTIFICATION_SETTINGS,
+    ...saved,
+    types: { ...DEFAULT_NOTIFICATION_SETTINGS.types, ...saved.types },
+  };
+};
+
+const wantsNotification = (settings, type) => Boolean(settings.enabled && settings.types[type]);
+
+const parseTime = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const zonedFormats = {};
+// Minutos desde a meia-noite no fuso indicado (um fuso desconhecido conta como UTC)
+const minutesOfDay = (date, timeZone) => {
+  if (!zonedFormats[timeZone]) {
+    try {
+      zonedFormats[timeZone] = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    } catch (err) {
+      return minutesOfDay(date, 'UTC');
+    }
+  }
+  const parts = zonedFormats[timeZone].formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+// Com uma mudança de hora pelo meio corrige pela diferença, a não ser que a hora pedida não exista nesse dia
+const nextTimeOfDay = (time, timeZone, from) => {
+  const target = parseTime(time);
+  const minutes = (target - minutesOfDay(from, timeZone) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const next = new Date(from.getTime() + minutes * MS_PER_MINUTE);
+  const drift = ((target - minutesOfDay(next, timeZone) + MINUTES_PER_DAY * 1.5) % MINUTES_PER_DAY) - MINUTES_PER_DAY / 2;
+  const corrected = new Date(next.getTime() + drift * MS_PER_MINUTE);
+  if (corrected >= from) next.setTime(corrected.getTime());
+  next.setSeconds(0, 0);
+  return next < from ? from : next;
+};
+
+const isQuietTime = (quietHours, date, timeZone) => {
+  if (!quietHours) return false;
+  const now = minutesOfDay(date, timeZone);
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+const getDeliveryTime = (settings, date) => (
+  isQuietTime(settings.quietHours, date, settings.timeZone)
+    ? nextTimeOfDay(settings.quietHours.end, settings.timeZone, date)
+    : date
+);
+
+const getNextJournalReminderTime = (settings, now) =>
+  getDeliveryTime(settings, nextTimeOfDay(settings.reminderTime, settings.timeZone, new Date(now.getTime() + MS_PER_MINUTE)));
+
+module.exports = {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  getNotificationSettings,
+  wantsNotification,
+  isQuietTime,
+  getDeliveryTime,
+  getNextJournalReminderTime,
+};
@@ -1,8 +1,1406 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import {
+  FCM_TEST_TOKEN, TEST_APP_ID, devicesPath, failNextFirestoreCall, getCurrentTestUser, getDocData, inboxPath, invitePath,
+  listDocs, listStorageFiles, openEmailSignInLink, profilePath, seedAccount, seedDoc, seedProfile, seedSpace, seedStorageFile,
+  setNetworkOnline, setPushSupported, signInTestUser,
+} from './test/firebaseHarness';
+import { toDate, toDateInputValue } from './utils/dates';
+import { readFileAsText } from './utils/files';
 
-test('renders learn react link', () => {
+// O jsdom não desenha em canvas: a compressão devolve blobs fixos
+jest.mock('./utils/images', () => ({
+  compressImage: async () => ({
+    image: new Blob(['foto comprimida'], { type: 'image/jpeg' }),
+    thumbnail: new Blob(['mini'], { type: 'image/jpeg' }),
+    width: 1600,
+    height: 1200,
+  }),
+}));
+
+// Entra como 'nico' num espaço partilhado com 'aniqua', com os dois perfis já criados
+const openAppAsNico = ({ withProfile = true, space } = {}) => {
+  signInTestUser('nico');
+  if (withProfile) seedProfile('nico', 'Nico');
+  seedProfile('aniqua', 'Aniqua');
+  const spacePath = seedSpace(space);
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  return spacePath;
+};
+
+const openView = async (name) => userEvent.click(await screen.findByRole('button', { name }));
+
+beforeEach(() => {
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  // A vista vem do endereço: cada teste começa na raiz
+  window.history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('autenticação e perfil', () => {
+  test('sem sessão mostra o ecrã de entrada e permite continuar sem conta', async () => {
+    render(<App />);
+
+    userEvent.click(await screen.findByRole('button', { name: 'Continuar sem conta' }));
+
+    await screen.findByText('Qual é o seu nome?');
+    expect(getCurrentTestUser().isAnonymous).toBe(true);
+  });
+
+  test('no primeiro acesso pede o nome e guarda-o no perfil', async () => {
+    openAppAsNico({ withProfile: false });
+
+    userEvent.type(await screen.findByPlaceholderText('O seu nome ou alcunha'), 'Nico');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Nome' }));
+
+    await waitFor(() => expect(screen.queryByText('Qual é o seu nome?')).not.toBeInTheDocument());
+    expect(getDocData(profilePath('nico'))).toMatchObject({ displayName: 'Nico' });
+    expect(screen.getByText('A jornada de Nico e Aniqua')).toBeInTheDocument();
+  });
+
+  test('edita o nome, os pronomes e o avatar no perfil', async () => {
+    openAppAsNico();
+
+    userEvent.click(await screen.findByTitle('Editar perfil'));
+    const nameInput = screen.getByLabelText('Nome ou apelido');
+    expect(nameInput).toHaveValue('Nico');
+    userEvent.clear(nameInput);
+    userEvent.type(nameInput, 'Nicolau');
+    userEvent.type(screen.getByLabelText('Pronomes (opcional)'), 'ele/dele');
+    userEvent.click(screen.getByTitle('Verde'));
+    userEvent.click(screen.getByRole('button', { name: '🌙' }));
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Perfil' }));
+
+    await waitFor(() => expect(screen.queryByText('O Seu Perfil')).not.toBeInTheDocument());
+    expect(getDocData(profilePath('nico'))).toMatchObject({
+      displayName: 'Nicolau', pronouns: 'ele/dele', avatarColor: 'green', avatarEmoji: '🌙',
+    });
+    expect(await screen.findByText('A jornada de Nicolau e Aniqua')).toBeInTheDocument();
+    expect(screen.getByText('(ele/dele)')).toBeInTheDocument();
+  });
+
+  test('migra o nome antigo do localStorage para o perfil', async () => {
+    localStorage.setItem('user_name_nico', 'Nicolas');
+    openAppAsNico({ withProfile: false });
+
+    await screen.findByText('A jornada de Nicolas e Aniqua');
+    expect(screen.queryByText('Qual é o seu nome?')).not.toBeInTheDocument();
+    expect(getDocData(profilePath('nico'))).toMatchObject({ displayName: 'Nicolas' });
+  });
+
+  test('guardar a conta de uma sessão anónima mantém o mesmo uid, o espaço e os momentos', async () => {
+    signInTestUser('anonimo', { isAnonymous: true });
+    seedProfile('anonimo', 'Nico');
+    seedProfile('aniqua', 'Aniqua');
+    const spacePath = seedSpace({ members: ['anonimo', 'aniqua'] });
+    seedDoc(`${spacePath}/journey_moments/m1`, {
+      title: 'Primeiro encontro', type: 'star', date: new Date(2024, 0, 1), addedBy: 'anonimo', addedByName: 'Nico',
+    });
+    render(<App />);
+
+    await screen.findByText('Primeiro encontro');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar conta' }));
+    userEvent.type(screen.getByPlaceholderText('Email'), 'nico@example.com');
+    userEvent.type(screen.getByPlaceholderText('Palavra-passe'), 'segredo1');
+    userEvent.click(screen.getByRole('button', { name: 'Criar Conta' }));
+
+    expect(await screen.findByText('nico@example.com')).toBeInTheDocument();
+    expect(screen.queryByText('Sessão anónima')).not.toBeInTheDocument();
+    expect(getCurrentTestUser()).toMatchObject({ uid: 'anonimo', isAnonymous: false, email: 'nico@example.com' });
+
+    // Ao voltar a entrar com o email (ex: noutro dispositivo) é o mesmo utilizador, ainda autor dos seus momentos
+    userEvent.click(screen.getByRole('button', { name: 'Sair' }));
+    userEvent.type(await screen.findByPlaceholderText('Email'), 'nico@example.com');
+    userEvent.type(screen.getByPlaceholderText('Palavra-passe'), 'segredo1{enter}');
+
+    expect(await screen.findByText('Primeiro encontro')).toBeInTheDocument();
+    expect(getCurrentTestUser()).toMatchObject({ uid: 'anonimo', isAnonymous: false });
+    expect(screen.getByTitle('Editar Momento')).toBeInTheDocument();
+    expect(getDocData(spacePath).members).toEqual(['anonimo', 'aniqua']);
+  });
+
+  test('um link de entrada de uma conta que já existe só troca a sessão anónima depois de confirmar', async () => {
+    window.confirm.mockReturnValue(false);
+    signInTestUser('anonimo', { isAnonymous: true });
+    seedProfile('anonimo', 'Nico');
+    seedAccount('nico@example.com', 'nico');
+    localStorage.setItem('email_for_sign_in', 'nico@example.com');
+    openEmailSignInLink();
+    render(<App />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Continua na sessão sem conta');
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('Já existe uma conta com este email'));
+    expect(getCurrentTestUser()).toMatchObject({ uid: 'anonimo', isAnonymous: true });
+  });
+});
+
+describe('configuração', () => {
+  const FIREBASE_ENV_KEYS = Object.keys(process.env).filter((key) => key.startsWith('REACT_APP_FIREBASE_'));
+  const savedEnv = {};
+  const savedFetch = global.fetch;
+
+  // Sem as variáveis do build, a configuração só pode vir do /config.json
+  const withoutBuildConfig = (response) => {
+    FIREBASE_ENV_KEYS.forEach((key) => {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    });
+    global.fetch = jest.fn(async () => response);
+  };
+
+  const jsonResponse = (status, body, contentType = 'application/json') => ({
+    ok: status === 200, status, headers: { get: () => contentType }, json: async () => body,
+  });
+
+  afterEach(() => {
+    Object.assign(process.env, savedEnv);
+    global.fetch = savedFetch;
+  });
+
+  test('sem configuração mostra o diagnóstico em vez de arrancar', async () => {
+    withoutBuildConfig(jsonResponse(404, null, 'text/html'));
+    render(<App />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('a configuração do Firebase está em falta ou é inválida');
+    expect(global.fetch).toHaveBeenCalledWith('/config.json', { cache: 'no-store' });
+    expect(within(screen.getByRole('list', { name: 'Chaves obrigatórias' })).getByText('✗ apiKey')).toBeInTheDocument();
+    expect(screen.getByText(/Nenhuma configuração do Firebase encontrada/)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Continuar sem conta' })).not.toBeInTheDocument();
+  });
+
+  test('arranca com o /config.json e recusa um ficheiro incompleto', async () => {
+    withoutBuildConfig(jsonResponse(200, {
+      environment: 'staging',
+      firebase: {
+        apiKey: 'runtime-key', authDomain: 'runtime.firebaseapp.com', projectId: 'runtime-project',
+        storageBucket: 'runtime-project.appspot.com', appId: 'runtime-app',
+      },
+    }));
+    const { unmount } = render(<App />);
+    expect(await screen.findByRole('button', { name: 'Continuar sem conta' })).toBeInTheDocument();
+    unmount();
+
+    global.fetch = jest.fn(async () => jsonResponse(200, { environment: 'prod', firebase: { apiKey: 'runtime-key' } }));
+    render(<App />);
+    await screen.findByText('Falta a chave "projectId" da configuração do Firebase.');
+    expect(within(screen.getByRole('list', { name: 'Fontes consultadas' })).getAllByRole('listitem')).toHaveLength(3);
+    expect(within(screen.getByRole('list', { name: 'Chaves obrigatórias' })).getByText('✓ apiKey')).toBeInTheDocument();
+  });
+
+  test('em /diagnostico mostra a configuração sem os valores das chaves', async () => {
+    window.history.replaceState(null, '', '/diagnostico');
+    render(<App />);
+
+    expect(await screen.findByText('✓ A configuração é válida.')).toBeInTheDocument();
+    expect(screen.getByText('test-project')).toBeInTheDocument();
+    expect(within(screen.getByRole('list', { name: 'Fontes consultadas' })).getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.queryByText(/test-api-key/)).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Voltar à app' })).toHaveAttribute('href', 'http://localhost/');
+  });
+
+  test('mostra o diagnóstico no idioma escolhido neste navegador', async () => {
+    localStorage.setItem('locale', 'en');
+    withoutBuildConfig(jsonResponse(200, { environment: 'prod', firebase: { apiKey: 'runtime-key' } }));
+    render(<App />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('the Firebase configuration is missing or invalid');
+    expect(screen.getByText('The Firebase configuration is missing the "projectId" key.')).toBeInTheDocument();
+    expect(screen.getByText('Production')).toBeInTheDocument();
+    expect(within(screen.getByRole('list', { name: 'Sources checked' })).getByText('File /config.json')).toBeInTheDocument();
+    expect(screen.getByText('REACT_APP_FIREBASE_EMULATOR_HOST=localhost', { selector: 'code' })).toBeInTheDocument();
+  });
+});
+
+describe('espaços e convites', () => {
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  test('cria um espaço com um convite que expira e gera um novo que substitui o anterior', async () => {
+    signInTestUser('nico');
+    seedProfile('nico', 'Nico');
+    render(<App />);
+
+    userEvent.type(await screen.findByLabelText('Nome do Espaço'), 'Nós dois');
+    userEvent.click(screen.getByRole('button', { name: 'Criar Espaço' }));
+
+    expect(await screen.findByLabelText('Espaço:')).toHaveDisplayValue('Nós dois');
+    const [space] = listDocs(`artifacts/${TEST_APP_ID}/spaces`);
+    expect(space).toMatchObject({ name: 'Nós dois', members: ['nico'], createdBy: 'nico' });
+    const invite = getDocData(invitePath(space.inviteCode));
+    expect(invite).toMatchObject({ spaceId: space.id, createdBy: 'nico' });
+    expect((toDate(invite.expiresAt) - Date.now()) / MS_PER_DAY).toBeCloseTo(14, 1);
+
+    userEvent.click(screen.getByRole('button', { name: 'Convidar' }));
+    expect(screen.getByText(space.inviteCode)).toBeInTheDocument();
+    userEvent.click(screen.getByRole('button', { name: 'Gerar novo convite' }));
+
+    await waitFor(() => expect(getDocData(`artifacts/${TEST_APP_ID}/spaces/${space.id}`).inviteCode).not.toBe(space.inviteCode));
+    const { inviteCode } = getDocData(`artifacts/${TEST_APP_ID}/spaces/${space.id}`);
+    expect(getDocData(invitePath(space.inviteCode))).toBeUndefined();
+    expect(getDocData(invitePath(inviteCode))).toMatchObject({ spaceId: space.id });
+    expect(await screen.findByText(inviteCode)).toBeInTheDocument();
+  });
+
+  test('entra no espaço do par pelo link de convite', async () => {
+    const spacePath = seedSpace({ members: ['nico'] });
+    seedProfile('nico', 'Nico');
+    signInTestUser('aniqua');
+    seedProfile('aniqua', 'Aniqua');
+    window.history.replaceState(null, '', '/?convite=abc234');
+    render(<App />);
+
+    await waitFor(() => expect(getDocData(spacePath)).toMatchObject({ members: ['nico', 'aniqua'], lastInviteCode: 'ABC234' }));
+    expect(await screen.findByLabelText('Espaço:')).toHaveDisplayValue('Nico & Aniqua');
+    expect(window.location.search).toBe('');
+    // Com as duas pessoas no espaço já não há convite para partilhar
+    expect(screen.queryByRole('button', { name: 'Convidar' })).not.toBeInTheDocument();
+  });
+
+  test('o link de convite de um espaço onde já está só muda para esse espaço', async () => {
+    const otherSpacePath = seedSpace({ id: 'space-2', name: 'Viagens', members: ['nico', 'aniqua'], inviteCode: 'VIA234' });
+    window.history.replaceState(null, '', '/?convite=VIA234');
+    openAppAsNico();
+
+    await waitFor(() => expect(screen.getByLabelText('Espaço:')).toHaveDisplayValue('Viagens'));
+    expect(getDocData(otherSpacePath)).not.toHaveProperty('lastInviteCode');
+    expect(screen.queryByText(/Não foi possível aceitar o convite/)).not.toBeInTheDocument();
+  });
+
+  test('recusa um convite expirado ou inexistente sem tentar entrar', async () => {
+    const spacePath = seedSpace({ members: ['nico'], inviteExpiresInDays: -1 });
+    signInTestUser('aniqua');
+    seedProfile('aniqua', 'Aniqua');
+    render(<App />);
+
+    userEvent.type(await screen.findByLabelText('Código de Convite'), 'abc234');
+    userEvent.click(screen.getByRole('button', { name: 'Entrar no Espaço' }));
+    expect(await screen.findByText('Este convite expirou. Peça ao seu par um convite novo.')).toBeInTheDocument();
+
+    userEvent.clear(screen.getByLabelText('Código de Convite'));
+    userEvent.type(screen.getByLabelText('Código de Convite'), 'XXXXXX');
+    userEvent.click(screen.getByRole('button', { name: 'Entrar no Espaço' }));
+    expect(await screen.findByText('Código de convite inválido.')).toBeInTheDocument();
+    expect(getDocData(spacePath).members).toEqual(['nico']);
+  });
+});
+
+describe('Nossa Jornada', () => {
+  test('adiciona, edita e exclui um momento', async () => {
+    const spacePath = openAppAsNico();
+
+    userEvent.type(await screen.findByLabelText('Título do Momento'), 'Primeiro encontro');
+    userEvent.type(screen.getByLabelText('Descrição (opcional)'), 'No parque');
+    userEvent.selectOptions(screen.getByLabelText('Tipo de Momento'), 'milestone');
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Momento' }));
+
+    await screen.findByText('Primeiro encontro');
+    expect(listDocs(`${spacePath}/journey_moments`)).toEqual([
+      expect.objectContaining({ title: 'Primeiro encontro', description: 'No parque', type: 'milestone', addedBy: 'nico', addedByName: 'Nico' }),
+    ]);
+
+    userEvent.click(screen.getByTitle('Editar Momento'));
+    const titleInput = screen.getByDisplayValue('Primeiro encontro');
+    userEvent.clear(titleInput);
+    userEvent.type(titleInput, 'Primeiro beijo');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar' }));
+
+    await screen.findByText('Primeiro beijo');
+    expect(listDocs(`${spacePath}/journey_moments`)[0]).toMatchObject({ title: 'Primeiro beijo', addedBy: 'nico' });
+
+    userEvent.click(screen.getByTitle('Excluir Momento'));
+
+    await waitFor(() => expect(screen.queryByText('Primeiro beijo')).not.toBeInTheDocument());
+    expect(window.confirm).toHaveBeenCalled();
+    expect(listDocs(`${spacePath}/journey_moments`)).toHaveLength(0);
+  });
+
+  test('só o autor pode editar ou excluir um momento', async () => {
+    const spacePath = seedSpace();
+    seedDoc(`${spacePath}/journey_moments/m1`, { title: 'Momento da Aniqua', type: 'star', date: new Date(2024, 0, 2), addedBy: 'aniqua', addedByName: 'Aniqua' });
+    seedDoc(`${spacePath}/journey_moments/m2`, { title: 'Momento do Nico', type: 'star', date: new Date(2024, 0, 1), addedBy: 'nico', addedByName: 'Nico' });
+    openAppAsNico();
+
+    await screen.findByText('Momento da Aniqua');
+    expect(screen.getAllByTitle('Excluir Momento')).toHaveLength(1);
+    expect(screen.getAllByTitle('Editar Momento')).toHaveLength(1);
+
+    // O único botão de edição é o do momento do próprio Nico
+    userEvent.click(screen.getByTitle('Editar Momento'));
+    expect(screen.getByDisplayValue('Momento do Nico')).toBeInTheDocument();
+  });
+
+  test('mostra o nome atual do perfil do autor em vez do nome copiado', async () => {
+    const spacePath = seedSpace();
+    seedDoc(`${spacePath}/journey_moments/m1`, { title: 'Viagem', type: 'star', date: new Date(2024, 0, 2), addedBy: 'aniqua', addedByName: 'Nome Antigo' });
+    openAppAsNico();
+
+    expect(await screen.findByText(/Adicionado por Aniqua ·/)).toBeInTheDocument();
+  });
+
+  test('mostra os momentos na constelação e abre o momento ao tocar na estrela', async () => {
+    const spacePath = seedSpace();
+    seedDoc(`${spacePath}/journey_moments/m1`, { title: 'Viagem', description: 'Lisboa', type: 'star', date: new Date(2024, 0, 2), addedBy: 'aniqua', addedByName: 'Aniqua' });
+    openAppAsNico();
+
+    userEvent.click(await screen.findByRole('button', { name: 'Constelação' }));
+    expect(screen.getByRole('img', { name: 'Constelação dos nossos momentos' })).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: 'Viagem' }));
+    expect(screen.getByText('Lisboa')).toBeInTheDocument();
+
+    // Um momento novo aparece no céu assim que chega pelo snapshot
+    userEvent.type(screen.getByLabelText('Título do Momento'), 'Primeiro encontro');
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Momento' }));
+    expect(await screen.findByRole('button', { name: 'Primeiro encontro' })).toBeInTheDocument();
+  });
+
+  test('regista um momento antigo com a data escolhida e ordena pela data em que aconteceu', async () => {
+    const spacePath = seedSpace();
+    seedDoc(`${spacePath}/journey_moments/m1`, { title: 'Viagem', type: 'star', date: new Date(2024, 0, 2), addedBy: 'aniqua', addedByName: 'Aniqua' });
+    openAppAsNico();
+
+    userEvent.type(await screen.findByLabelText('Título do Momento'), 'Primeiro encontro');
+    const dateInput = screen.getByLabelText('Quando aconteceu?');
+    userEvent.clear(dateInput);
+    userEvent.type(dateInput, '2019-02-14');
+    userEvent.type(screen.getByLabelText('Hora (opcional)'), '20:30');
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Momento' }));
+
+    expect(await screen.findByText('📅 14/02/2019 às 20:30')).toBeInTheDocument();
+    const added = listDocs(`${spacePath}/journey_moments`).find((moment) => moment.title === 'Primeiro encontro');
+    expect(added.date.toDate()).toEqual(new Date(2019, 1, 14, 20, 30));
+    expect(added.hasTime).toBe(true);
+    expect(added.createdAt).toBeDefined();
+
+    // O momento antigo fica depois da viagem de 2024, mesmo tendo sido registado agora
+    const titles = screen.getAllByRole('heading', { level: 4 }).map((heading) => heading.textContent);
+    expect(titles).toEqual(['Viagem', 'Primeiro encontro']);
+
+    // A data também se corrige na edição
+    userEvent.click(screen.getByTitle('Editar Momento'));
+    const editDate = screen.getByLabelText('Data do momento');
+    userEvent.clear(editDate);
+    userEvent.type(editDate, '2019-02-15');
+    userEvent.clear(screen.getByLabelText('Hora do momento'));
+    userEvent.click(screen.getByRole('button', { name: 'Guardar' }));
+
+    expect(await screen.findByText('📅 15/02/2019')).toBeInTheDocument();
+    expect(listDocs(`${spacePath}/journey_moments`).find((moment) => moment.title === 'Primeiro encontro')).toMatchObject({ hasTime: false });
+  });
+
+  test('cria um tipo de momento próprio e usa-o com etiquetas, mantendo os tipos antigos', async () => {
+    const spacePath = seedSpace();
+    seedDoc(`${spacePath}/journey_moments/m1`, { title: 'Dia difícil', type: 'cloud', date: new Date(2024, 0, 2), addedBy: 'aniqua', addedByName: 'Aniqua' });
+    openAppAsNico();
+
+    expect(await screen.findByTitle('Desafio / Obstáculo')).toHaveTextContent('☁️');
+
+    userEvent.click(screen.getByRole('button', { name: /Gerir tipos/ }));
+    userEvent.type(screen.getByLabelText('Emoji'), '✈️');
+    userEvent.type(screen.getByLabelText('Nome do tipo'), 'Viagem');
+    userEvent.click(screen.getByRole('button', { name: 'Azul' }));
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Tipo' }));
+
+    const option = await screen.findByRole('option', { name: '✈️ Viagem' });
+    expect(listDocs(`${spacePath}/moment_types`)).toEqual([
+      expect.objectContaining({ name: 'Viagem', emoji: '✈️', color: 'blue', updatedBy: 'nico' }),
+    ]);
+
+    userEvent.type(screen.getByLabelText('Título do Momento'), 'Lisboa');
+    userEvent.selectOptions(screen.getByLabelText('Tipo de Momento'), option);
+    userEvent.type(screen.getByLabelText('Etiquetas (opcional)'), 'Férias, #praia, férias');
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Momento' }));
+
+    expect(await screen.findByTitle('Viagem')).toHaveTextContent('✈️');
+    expect(screen.getByText('#férias')).toBeInTheDocument();
+    expect(screen.getByText('#praia')).toBeInTheDocument();
+    expect(listDocs(`${spacePath}/journey_moments`).find((moment) => moment.title === 'Lisboa')).toMatchObject({
+      type: option.value,
+      tags: ['férias', 'praia'],
+    });
+  });
+
+  test('anexa uma foto e um áudio, abre a foto no lightbox e apaga os ficheiros com o momento', async () => {
+    const spacePath = openAppAsNico();
+
+    userEvent.type(await screen.findByLabelText('Título do Momento'), 'Praia');
+    userEvent.upload(screen.getByLabelText(/Fotos ou áudio/), [
+      new File(['jpeg'], 'praia.png', { type: 'image/png' }),
+      new File(['ogg'], 'ondas.ogg', { type: 'audio/ogg' }),
+    ]);
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Momento' }));
+
+    const thumbnail = await screen.findByRole('img', { name: 'praia.png' });
+    expect(screen.getByLabelText('ondas.ogg')).toBeInTheDocument();
+    const [moment] = listDocs(`${spacePath}/journey_moments`);
+    expect(moment.attachments).toEqual([
+      expect.objectContaining({ kind: 'image', name: 'praia.png', contentType: 'image/jpeg', width: 1600 }),
+      expect.objectContaining({ kind: 'audio', name: 'ondas.ogg', contentType: 'audio/ogg' }),
+    ]);
+    expect(listStorageFiles()).toHaveLength(3); // foto, miniatura e áudio
+    expect(listStorageFiles().every((file) => file.startsWith(`${spacePath}/media/nico/`))).toBe(true);
+
+    userEvent.click(thumbnail);
+    expect(screen.getByRole('dialog', { name: 'praia.png' })).toBeInTheDocument();
+    userEvent.keyboard('{Escape}');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+    userEvent.click(screen.getByTitle('Excluir Momento'));
+
+    await waitFor(() => expect(listStorageFiles()).toHaveLength(0));
+    expect(listDocs(`${spacePath}/journey_moments`)).toHaveLength(0);
+  });
+
+  test('carrega o histórico por páginas e mantém em tempo real a página mais recente', async () => {
+    const spacePath = seedSpace();
+    for (let day = 1; day <= 25; day++) {
+      seedDoc(`${spacePath}/journey_moments/m${day}`, {
+        title: `Dia ${day}`, type: 'star', date: new Date(2024, 0, day),
+        addedBy: day === 1 ? 'nico' : 'aniqua', addedByName: day === 1 ? 'Nico' : 'Aniqua',
+      });
+    }
+    openAppAsNico();
+
+    // A primeira página traz os 20 mais recentes; a lista pede a seguinte ao chegar ao fim
+    await screen.findByText('Dia 25');
+    expect(await screen.findByText('Dia 1')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Carregar mais antigos' })).not.toBeInTheDocument();
+
+    seedDoc(`${spacePath}/journey_moments/m26`, {
+      title: 'Dia 26', type: 'star', date: new Date(2024, 0, 26), addedBy: 'aniqua', addedByName: 'Aniqua',
+    });
+    expect(await screen.findByText('Dia 26')).toBeInTheDocument();
+    expect(screen.getByText('Dia 6')).toBeInTheDocument(); // não saiu pelo fundo da página em tempo real
+
+    // O momento editado está numa página antiga (sem subscrição) e é lido de novo depois de guardar
+    userEvent.click(screen.getByTitle('Editar Momento'));
+    const titleInput = screen.getByDisplayValue('Dia 1');
+    userEvent.clear(titleInput);
+    userEvent.type(titleInput, 'O primeiro dia');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar' }));
+
+    expect(await screen.findByText('O primeiro dia')).toBeInTheDocument();
+  });
+
+  test('mostra uma mensagem clara quando a escrita é recusada', async () => {
+    openAppAsNico();
+    failNextFirestoreCall('write', 'permission-denied');
+
+    userEvent.type(await screen.findByLabelText('Título do Momento'), 'Sem permissão');
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Momento' }));
+
+    expect(await screen.findByText('Não tem permissão para esta ação.')).toBeInTheDocument();
+  });
+});
+
+describe('offline', () => {
+  test('guarda um momento sem rede, marca-o como por sincronizar e confirma-o quando a ligação volta', async () => {
+    const spacePath = openAppAsNico();
+    await screen.findByLabelText('Título do Momento');
+    setNetworkOnline(false);
+
+    expect(screen.getByText(/Offline: as alterações ficam guardadas neste dispositivo/)).toBeInTheDocument();
+
+    // Os anexos precisam de rede: o momento não é gravado e o texto escrito fica no formulário
+    userEvent.type(screen.getByLabelText('Título do Momento'), 'Jantar sem rede');
+    userEvent.upload(screen.getByLabelText(/Fotos ou áudio/), new File(['jpeg'], 'jantar.png', { type: 'image/png' }));
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Momento' }));
+    expect(await screen.findByText(/as fotos e os áudios só podem ser enviados com internet/)).toBeInTheDocument();
+    expect(screen.getByLabelText('Título do Momento')).toHaveValue('Jantar sem rede');
+
+    userEvent.click(screen.getByRole('button', { name: 'Remover jantar.png' }));
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Momento' }));
+
+    expect(await screen.findByRole('heading', { name: 'Jantar sem rede' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Título do Momento')).toHaveValue('');
+    expect(screen.getByText('⏳ A sincronizar')).toBeInTheDocument();
+    expect(listDocs(`${spacePath}/journey_moments`)).toEqual([expect.objectContaining({ title: 'Jantar sem rede' })]);
+
+    setNetworkOnline(true);
+
+    await waitFor(() => expect(screen.queryByText('⏳ A sincronizar')).not.toBeInTheDocument());
+    expect(screen.getByText('● Online')).toBeInTheDocument();
+  });
+});
+
+describe('Nosso Diário', () => {
+  test('adiciona, edita e exclui um registro', async () => {
+    const spacePath = openAppAsNico();
+    await openView('Nosso Diário');
+
+    userEvent.type(await screen.findByLabelText('O que está a sentir ou o que aconteceu?'), 'Hoje foi um bom dia');
+    userEvent.click(screen.getByRole('button', { name: 'Registar no Diário' }));
+
+    await screen.findByText('Hoje foi um bom dia', { selector: 'p' });
+    expect(listDocs(`${spacePath}/journal_entries`)).toEqual([
+      expect.objectContaining({ text: 'Hoje foi um bom dia', addedBy: 'nico' }),
+    ]);
+
+    userEvent.click(screen.getByTitle('Editar Registo'));
+    const textInput = screen.getByDisplayValue('Hoje foi um bom dia');
+    userEvent.clear(textInput);
+    userEvent.type(textInput, 'Hoje foi um ótimo dia');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar' }));
+
+    await screen.findByText('Hoje foi um ótimo dia', { selector: 'p' });
+
+    userEvent.click(screen.getByTitle('Excluir Registo'));
+
+    await waitFor(() => expect(screen.queryByText('Hoje foi um ótimo dia')).not.toBeInTheDocument());
+    expect(listDocs(`${spacePath}/journal_entries`)).toHaveLength(0);
+  });
+
+  test('retirar um anexo na edição apaga o ficheiro do Storage', async () => {
+    const spacePath = seedSpace();
+    const photoPath = `${spacePath}/media/nico/foto.jpg`;
+    seedStorageFile(photoPath);
+    seedDoc(`${spacePath}/journal_entries/e1`, {
+      text: 'Dia de sol',
+      date: new Date(2024, 0, 1),
+      addedBy: 'nico',
+      addedByName: 'Nico',
+      attachments: [{ id: 'a1', kind: 'image', name: 'sol.jpg', contentType: 'image/jpeg', path: photoPath, url: 'https://storage.test/foto' }],
+    });
+    openAppAsNico();
+    await openView('Nosso Diário');
+
+    await screen.findByRole('img', { name: 'sol.jpg' });
+    userEvent.click(screen.getByTitle('Editar Registo'));
+    userEvent.click(screen.getByRole('button', { name: 'Remover sol.jpg' }));
+    userEvent.click(screen.getByRole('button', { name: 'Guardar' }));
+
+    await waitFor(() => expect(listStorageFiles()).toHaveLength(0));
+    expect(getDocData(`${spacePath}/journal_entries/e1`).attachments).toEqual([]);
+  });
+
+  test('só o autor pode editar ou excluir um registro', async () => {
+    const spacePath = seedSpace();
+    seedDoc(`${spacePath}/journal_entries/e1`, { text: 'Registro da Aniqua', date: new Date(2024, 0, 1), addedBy: 'aniqua', addedByName: 'Aniqua' });
+    openAppAsNico();
+    await openView('Nosso Diário');
+
+    await screen.findByText('Registro da Aniqua');
+    expect(screen.queryByTitle('Excluir Registo')).not.toBeInTheDocument();
+    expect(screen.queryByTitle('Editar Registo')).not.toBeInTheDocument();
+  });
+
+  test('guarda rascunhos só para o autor, partilha-os a pedido e publica os agendados quando chega a data', async () => {
+    const spacePath = seedSpace();
+    const privatePath = spacePath.replace('/spaces/', '/users/nico/spaces/') + '/journal_entries';
+    seedDoc(`${privatePath}/agendado`, {
+      text: 'Carta para o nosso aniversário', tags: [], attachments: [], visibility: 'scheduled', shareAt: new Date(2024, 5, 1),
+      date: new Date(2024, 0, 1), addedBy: 'nico', addedByName: 'Nico',
+    });
+    openAppAsNico();
+    await openView('Nosso Diário');
+
+    await waitFor(() => expect(getDocData(`${spacePath}/journal_entries/agendado`)).toMatchObject({
+      text: 'Carta para o nosso aniversário', addedBy: 'nico',
+    }));
+    expect(listDocs(privatePath)).toHaveLength(0);
+
+    userEvent.type(await screen.findByLabelText('O que está a sentir ou o que aconteceu?'), 'Ainda só para mim');
+    userEvent.selectOptions(screen.getByLabelText('Visibilidade'), 'private');
+    userEvent.click(screen.getByRole('button', { name: 'Registar no Diário' }));
+
+    await screen.findByText('🔒 Só para si (rascunho)');
+    expect(listDocs(privatePath)).toEqual([expect.objectContaining({ text: 'Ainda só para mim', visibility: 'private' })]);
+    expect(listDocs(`${spacePath}/journal_entries`)).toHaveLength(1);
+
+    userEvent.click(screen.getByRole('button', { name: 'Partilhar agora' }));
+
+    await waitFor(() => expect(screen.queryByText('🔒 Só para si (rascunho)')).not.toBeInTheDocument());
+    expect(listDocs(privatePath)).toHaveLength(0);
+    expect(listDocs(`${spacePath}/journal_entries`)).toEqual(expect.arrayContaining([
+      expect.objectContaining({ text: 'Ainda só para mim', addedBy: 'nico' }),
+    ]));
+    expect(screen.getByText('Ainda só para mim', { selector: 'p' })).toBeInTheDocument();
+  });
+});
+
+describe('estado de espírito', () => {
+  test('regista o humor num registro e mostra as tendências com os desafios dos períodos em baixo', async () => {
+    const spacePath = seedSpace();
+    const daysAgo = (days) => {
+      const date = new Date();
+      date.setDate(date.getDate() - days);
+      date.setHours(12, 0, 0, 0);
+      return date;
+    };
+    seedDoc(`${spacePath}/journal_entries/e1`, {
+      text: 'Semana difícil no trabalho', date: daysAgo(14), addedBy: 'aniqua', addedByName: 'Aniqua',
+      mood: { score: 1, energy: 2, anxiety: 5, feelings: ['tired', 'afraid'] },
+    });
+    seedDoc(`${spacePath}/journal_entries/e2`, {
+      text: 'Sem check-in', date: daysAgo(14), addedBy: 'nico', addedByName: 'Nico',
+    });
+    seedDoc(`${spacePath}/journey_moments/m1`, {
+      title: 'Despedida no aeroporto', description: '', type: 'cloud', date: daysAgo(14), hasTime: false,
+      createdAt: daysAgo(14), addedBy: 'nico', addedByName: 'Nico',
+    });
+    openAppAsNico();
+    await openView('Nosso Diário');
+
+    userEvent.type(await screen.findByLabelText('O que está a sentir ou o que aconteceu?'), 'Hoje estou melhor');
+    userEvent.click(screen.getByRole('button', { name: 'Humor: Bem' }));
+    userEvent.selectOptions(screen.getByLabelText('Energia'), '4');
+    userEvent.click(screen.getByRole('button', { name: 'Gratidão' }));
+    userEvent.click(screen.getByRole('button', { name: 'Registar no Diário' }));
+
+    await screen.findByText('Hoje estou melhor', { selector: 'p' });
+    expect(listDocs(`${spacePath}/journal_entries`)).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        text: 'Hoje estou melhor', mood: { score: 4, energy: 4, anxiety: null, feelings: ['grateful'] },
+      }),
+    ]));
+    expect(screen.getByText('🙂 Bem')).toBeInTheDocument();
+
+    await openView('Tendências');
+
+    expect(await screen.findByRole('img', { name: 'Humor médio por semana' })).toBeInTheDocument();
+    expect(screen.getByRole('listitem', { name: 'Resumo de Aniqua' })).toHaveTextContent('Mais sentido: Cansaço, Medo');
+    expect(screen.getByRole('listitem', { name: 'Resumo de Nico' })).toHaveTextContent('Humor médio 4 · energia 4 (1 registo)');
+    const lowPoint = screen.getByRole('listitem', { name: /^Semana de/ });
+    expect(lowPoint).toHaveTextContent('Aniqua (1)');
+
+    userEvent.click(within(lowPoint).getByRole('button', { name: /Despedida no aeroporto/ }));
+    expect(await screen.findByRole('heading', { name: 'Nossa Jornada' })).toBeInTheDocument();
+  });
+});
+
+describe('endereços', () => {
+  test('cada vista tem o seu endereço e título, com voltar e avançar do browser', async () => {
+    openAppAsNico();
+    await screen.findByRole('heading', { name: 'Nossa Jornada' });
+    expect(document.title).toBe('Nossa Jornada · Nossa Constelação de Momentos');
+
+    await openView('Nosso Diário');
+    expect(window.location.pathname).toBe('/diario');
+    expect(document.title).toBe('Nosso Diário · Nossa Constelação de Momentos');
+    expect(screen.getByRole('button', { name: 'Nosso Diário' })).toHaveAttribute('aria-current', 'page');
+
+    await openView('Nosso Propósito');
+    expect(window.location.pathname).toBe('/proposito');
+
+    window.history.replaceState(null, '', '/diario');
+    fireEvent.popState(window);
+    expect(await screen.findByRole('heading', { name: 'Nosso Diário' })).toBeInTheDocument();
+  });
+
+  test('abre o momento de um link copiado, no espaço onde foi copiado', async () => {
+    seedSpace();
+    const otherSpacePath = seedSpace({ id: 'space-2', name: 'Família', inviteCode: 'FAM234' });
+    seedDoc(`${otherSpacePath}/journey_moments/m1`, {
+      title: 'Jantar de anos', description: '', type: 'star', date: new Date(2024, 4, 1), hasTime: false,
+      createdAt: new Date(2024, 4, 1), addedBy: 'aniqua', addedByName: 'Aniqua',
+    });
+    const writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    window.history.replaceState(null, '', '/momento/m1?espaco=space-2');
+    openAppAsNico();
+
+    expect(await screen.findByRole('article', { current: true })).toHaveTextContent('Jantar de anos');
+    expect(screen.getByLabelText('Espaço:')).toHaveValue('space-2');
+    expect(`${window.location.pathname}${window.location.search}`).toBe('/momento/m1');
+
+    userEvent.click(screen.getByRole('button', { name: 'Copiar link' }));
+    await screen.findByRole('button', { name: 'Link copiado!' });
+    expect(writeText).toHaveBeenCalledWith('http://localhost/momento/m1?espaco=space-2');
+  });
+});
+
+describe('idioma', () => {
+  test('muda o idioma, guarda-o no perfil e mostra as datas relativas nesse idioma', async () => {
+    const spacePath = seedSpace();
+    const threeDaysAgo = new Date();
+    threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
+    seedDoc(`${spacePath}/journal_entries/e1`, { text: 'Dia calmo', date: threeDaysAgo, addedBy: 'aniqua', addedByName: 'Aniqua' });
+    openAppAsNico();
+    await openView('Nosso Diário');
+    expect(await screen.findByText('Por Aniqua · Há 3 dias')).toBeInTheDocument();
+
+    userEvent.selectOptions(screen.getByLabelText('Idioma'), 'en');
+
+    expect(await screen.findByText('By Aniqua · 3 days ago')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Our Journal' })).toHaveAttribute('aria-current', 'page');
+    expect(screen.getByLabelText('What are you feeling, or what happened?')).toBeInTheDocument();
+    expect(document.title).toBe('Our Journal · Our Constellation of Moments');
+    expect(document.documentElement.lang).toBe('en');
+    await waitFor(() => expect(getDocData(profilePath('nico'))).toMatchObject({ locale: 'en' }));
+
+    userEvent.selectOptions(screen.getByLabelText('Language'), 'pt-BR');
+    expect(await screen.findByLabelText('O que você está sentindo ou o que aconteceu?')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Registrar no Diário' })).toBeInTheDocument();
+  });
+
+  test('abre no idioma guardado no perfil', async () => {
+    seedProfile('nico', 'Nico', { locale: 'en' });
+    openAppAsNico({ withProfile: false });
+
+    expect(await screen.findByText('The journey of Nico and Aniqua')).toBeInTheDocument();
+    expect(await screen.findByRole('button', { name: 'Add Moment' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Language')).toHaveValue('en');
+  });
+});
+
+describe('dados do casal', () => {
+  const daysFromToday = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date;
+  };
+
+  test('guarda os nomes e as datas do casal e mostra os contadores no cabeçalho', async () => {
+    const spacePath = openAppAsNico();
+    expect(await screen.findByText('A jornada de Nico e Aniqua')).toBeInTheDocument();
+
+    userEvent.click(await screen.findByRole('button', { name: '💞 Casal' }));
+    expect(screen.getByLabelText('Nome 1')).toHaveAttribute('placeholder', 'Nico');
+    userEvent.type(screen.getByLabelText('Nome 2'), 'Aniqua Sol');
+    const today = new Date();
+    userEvent.type(screen.getByLabelText('Juntos desde'), toDateInputValue(new Date(today.getFullYear() - 1, today.getMonth() - 3, 1)));
+    userEvent.click(screen.getByRole('button', { name: '+ Adicionar data' }));
+    userEvent.type(screen.getByLabelText('Nome da data'), 'Próxima visita');
+    userEvent.type(screen.getByLabelText('Dia'), toDateInputValue(daysFromToday(5)));
+    userEvent.selectOptions(screen.getByLabelText('Repete'), 'once');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar' }));
+
+    expect(await screen.findByText('A jornada de Nico e Aniqua Sol')).toBeInTheDocument();
+    // "1 ano e 3 meses" no dia 1 de cada mês, "1 ano, 3 meses e N dias" nos outros
+    expect(screen.getByText(/^Juntos há 1 ano(,| e) 3 meses/)).toBeInTheDocument();
+    expect(screen.getByText(/^Faltam \d+ dias para: 2 anos juntos$/)).toBeInTheDocument();
+    expect(screen.getByText('Faltam 5 dias para: Próxima visita')).toBeInTheDocument();
+    expect(getDocData(spacePath)).toMatchObject({
+      partnerNames: ['', 'Aniqua Sol'],
+      anniversaries: [expect.objectContaining({ title: 'Próxima visita', repeats: 'once' })],
+    });
+  });
+
+  test('a outra pessoa vê os mesmos nomes e o aniversário do dia', async () => {
+    const oneYearAgo = daysFromToday(0);
+    oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+    signInTestUser('aniqua');
+    seedProfile('aniqua', 'Aniqua');
+    seedProfile('nico', 'Nico');
+    seedSpace({ partnerNames: ['Nicolau', ''], startDate: oneYearAgo, anniversaries: [] });
+    render(<App />);
+
+    expect(await screen.findByText('A jornada de Nicolau e Aniqua')).toBeInTheDocument();
+    expect(screen.getByText('Hoje: 1 ano juntos!')).toBeInTheDocument();
+  });
+});
+
+describe('notificações', () => {
+  // O jsdom não tem a API Notification: cada notificação mostrada fica em shown
+  let shown;
+  const mockNotificationApi = (permission) => {
+    shown = [];
+    window.Notification = class {
+      static permission = permission;
+
+      static requestPermission = jest.fn(async () => {
+        window.Notification.permission = 'granted';
+        return 'granted';
+      });
+
+      constructor(title, options) {
+        Object.assign(this, { title, ...options });
+        shown.push(this);
+      }
+    };
+  };
+
+  const enabledSettings = (fields = {}) => ({
+    enabled: true,
+    types: { partnerActivity: true, journalReminder: true, anniversary: true },
+    reminderTime: '21:00',
+    quietHours: null,
+    timeZone: 'UTC',
+    ...fields,
+  });
+
+  const hourUTC = (offset) => `${String((new Date().getUTCHours() + offset + 24) % 24).padStart(2, '0')}:00`;
+
+  afterEach(() => {
+    delete window.Notification;
+    delete navigator.serviceWorker;
+    delete process.env.REACT_APP_FIREBASE_VAPID_KEY;
+  });
+
+  test('ativar as notificações pede permissão, guarda as preferências e agenda o lembrete do diário', async () => {
+    mockNotificationApi('default');
+    openAppAsNico();
+    await screen.findByText('A jornada de Nico e Aniqua');
+
+    userEvent.click(screen.getByRole('button', { name: '🔔 Notificações' }));
+    userEvent.click(screen.getByLabelText('Receber notificações neste e nos outros dispositivos'));
+    userEvent.click(screen.getByLabelText('Momentos e registos novos do meu par'));
+    userEvent.click(screen.getByRole('button', { name: 'Guardar' }));
+
+    await waitFor(() => expect(screen.queryByRole('heading', { name: 'Notificações' })).not.toBeInTheDocument());
+    expect(window.Notification.requestPermission).toHaveBeenCalled();
+    expect(getDocData(profilePath('nico')).notifications).toMatchObject({
+      enabled: true,
+      types: { partnerActivity: false, journalReminder: true, anniversary: true },
+      reminderTime: '21:00',
+      quietHours: { start: '23:00', end: '08:00' },
+    });
+    await waitFor(() => expect(getDocData(`${inboxPath('nico')}/journal-reminder`)).toMatchObject({
+      type: 'journalReminder', title: 'Como se sente hoje?', repeatDaily: true,
+    }));
+
+    // Sem service worker (jsdom) as notificações só aparecem com a app aberta
+    userEvent.click(screen.getByRole('button', { name: '🔔 Notificações' }));
+    expect(screen.getByText(/só com a app aberta/)).toBeInTheDocument();
+  });
+
+  test('um momento novo avisa o par no idioma dele, depois das suas horas de silêncio', async () => {
+    mockNotificationApi('granted');
+    signInTestUser('nico');
+    seedProfile('nico', 'Nico');
+    seedProfile('aniqua', 'Aniqua', {
+      locale: 'en', notifications: enabledSettings({ quietHours: { start: hourUTC(-1), end: hourUTC(2) } }),
+    });
+    const spacePath = seedSpace();
+    render(<App />);
+
+    userEvent.type(await screen.findByLabelText('Título do Momento'), 'Piquenique no parque');
+    userEvent.click(screen.getByRole('button', { name: 'Adicionar Momento' }));
+
+    await waitFor(() => expect(listDocs(inboxPath('aniqua'))).toHaveLength(1));
+    const [notification] = listDocs(inboxPath('aniqua'));
+    expect(notification).toMatchObject({
+      type: 'partnerActivity', title: 'Nico added a moment', body: 'Piquenique no parque', addedBy: 'nico', spaceId: 'space-1',
+      push: 'pending',
+    });
+    expect(notification.link).toBe('/jornada?espaco=space-1');
+    const deliverAt = toDate(notification.deliverAt);
+    expect(deliverAt > new Date()).toBe(true);
+    expect(`${String(deliverAt.getUTCHours()).padStart(2, '0')}:${String(deliverAt.getUTCMinutes()).padStart(2, '0')}`).toBe(hourUTC(2));
+    expect(listDocs(`${spacePath}/journey_moments`)).toHaveLength(1);
+    // Quem não ativou as notificações não recebe nada
+    expect(listDocs(inboxPath('nico'))).toHaveLength(0);
+  });
+
+  test('com a app aberta mostra as notificações que chegaram à hora e retira-as da caixa', async () => {
+    mockNotificationApi('granted');
+    seedProfile('nico', 'Nico', { notifications: enabledSettings({ types: { journalReminder: false } }) });
+    seedDoc(`${inboxPath('nico')}/aviso-1`, {
+      type: 'partnerActivity', title: 'Aniqua escreveu no diário', body: 'Hoje foi um bom dia', link: '/diario?espaco=space-1',
+      spaceId: 'space-1', deliverAt: new Date(Date.now() - 60 * 1000), addedBy: 'aniqua',
+    });
+    seedDoc(`${inboxPath('nico')}/aviso-2`, {
+      type: 'partnerActivity', title: 'Mais tarde', body: '', link: '/jornada', spaceId: 'space-1',
+      deliverAt: new Date(Date.now() + 60 * 60 * 1000), addedBy: 'aniqua',
+    });
+    openAppAsNico({ withProfile: false });
+
+    await waitFor(() => expect(shown).toHaveLength(1));
+    expect(shown[0]).toMatchObject({ title: 'Aniqua escreveu no diário', body: 'Hoje foi um bom dia', tag: 'aviso-1' });
+    expect(listDocs(inboxPath('nico'))).toEqual([expect.objectContaining({ title: 'Mais tarde' })]);
+  });
+
+  test('escreve na entrega o título dos avisos que a função guarda por traduzir', async () => {
+    mockNotificationApi('granted');
+    seedProfile('nico', 'Nico', { notifications: enabledSettings({ types: { journalReminder: false } }) });
+    seedDoc(`${inboxPath('nico')}/da-funcao`, {
+      type: 'partnerActivity', titleKey: 'notifications.partner.journal', titleParams: { name: '' }, body: 'Hoje foi um bom dia',
+      link: '/diario?espaco=space-1', spaceId: 'space-1', deliverAt: new Date(Date.now() - 60 * 1000), addedBy: 'aniqua',
+    });
+    openAppAsNico({ withProfile: false });
+
+    await waitFor(() => expect(shown).toHaveLength(1));
+    expect(shown[0]).toMatchObject({ title: 'Anónimo escreveu no diário', tag: 'da-funcao' });
+  });
+
+  test('tocar num aviso com link para fora da app abre a raiz da app', async () => {
+    mockNotificationApi('granted');
+    seedProfile('nico', 'Nico', { notifications: enabledSettings() });
+    seedDoc(`${inboxPath('nico')}/aviso-1`, {
+      type: 'partnerActivity', title: 'Aniqua adicionou um momento', body: '', link: 'https://exemplo.com/jornada',
+      spaceId: 'space-1', deliverAt: new Date(Date.now() - 60 * 1000), addedBy: 'aniqua',
+    });
+    openAppAsNico({ withProfile: false });
+    await openView('Nosso Diário');
+    await waitFor(() => expect(shown).toHaveLength(1));
+
+    jest.spyOn(window, 'focus').mockImplementation(() => {});
+    act(() => shown[0].onclick());
+    expect(window.location.host).toBe('localhost');
+    expect(await screen.findByRole('heading', { name: 'Nossa Jornada' })).toBeInTheDocument();
+  });
+
+  test('com push configurado regista o dispositivo e mostra as notificações pelo service worker', async () => {
+    mockNotificationApi('granted');
+    process.env.REACT_APP_FIREBASE_VAPID_KEY = 'test-vapid-key';
+    setPushSupported(true);
+    const registration = { showNotification: jest.fn(async () => {}) };
+    navigator.serviceWorker = { controller: {}, ready: Promise.resolve(registration) };
+    seedProfile('nico', 'Nico', { notifications: enabledSettings() });
+    openAppAsNico({ withProfile: false });
+
+    await waitFor(() => expect(getDocData(`${devicesPath('nico')}/${FCM_TEST_TOKEN}`)).toMatchObject({ token: FCM_TEST_TOKEN }));
+    await screen.findByText('A jornada de Nico e Aniqua');
+    userEvent.click(screen.getByRole('button', { name: '🔔 Notificações' }));
+    expect(screen.getByText(/mesmo com a app fechada/)).toBeInTheDocument();
+
+    seedDoc(`${inboxPath('nico')}/aviso-3`, {
+      type: 'partnerActivity', title: 'Aniqua adicionou um momento', body: 'Praia', link: '/jornada', spaceId: 'space-1',
+      deliverAt: new Date(Date.now() - 60 * 1000), addedBy: 'aniqua',
+    });
+    await waitFor(() => expect(registration.showNotification).toHaveBeenCalledWith(
+      'Aniqua adicionou um momento', expect.objectContaining({ body: 'Praia', tag: 'aviso-3', data: { link: '/jornada' } })
+    ));
+  });
+});
+
+describe('reações e comentários', () => {
+  test('reage e conversa num registro da outra pessoa, com respostas, edição e exclusão', async () => {
+    const spacePath = seedSpace();
+    const entryPath = `${spacePath}/journal_entries/e1`;
+    seedDoc(entryPath, { text: 'Dia difícil no trabalho', date: new Date(2024, 0, 1), addedBy: 'aniqua', addedByName: 'Aniqua' });
+    openAppAsNico();
+    await openView('Nosso Diário');
+    await screen.findByText('Dia difícil no trabalho');
+
+    userEvent.click(screen.getByRole('button', { name: 'Abraço' }));
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Abraço (Nico)' })).toHaveAttribute('aria-pressed', 'true'));
+    expect(getDocData(entryPath).reactions).toEqual({ nico: ['hug'] });
+
+    userEvent.click(screen.getByRole('button', { name: '💬 Comentar' }));
+    userEvent.type(screen.getByLabelText('Novo comentário'), 'Estou aqui para ti');
+    userEvent.click(screen.getByRole('button', { name: 'Comentar' }));
+    await screen.findByRole('listitem', { name: 'Comentário de Nico' });
+    const [comment] = listDocs(`${entryPath}/comments`);
+    expect(comment).toMatchObject({ text: 'Estou aqui para ti', parentId: null, addedBy: 'nico' });
+
+    // A resposta da Aniqua chega em tempo real, por baixo do comentário
+    seedDoc(`${entryPath}/comments/resposta`, {
+      text: 'Obrigada ❤️', parentId: comment.id, addedBy: 'aniqua', addedByName: 'Aniqua', createdAt: new Date(),
+    });
+    expect(await screen.findByRole('listitem', { name: 'Comentário de Aniqua' })).toHaveTextContent('Obrigada ❤️');
+    expect(screen.getAllByRole('button', { name: 'Editar' })).toHaveLength(1);
+
+    userEvent.click(screen.getByRole('button', { name: 'Editar' }));
+    const editField = screen.getByLabelText('Editar comentário');
+    userEvent.clear(editField);
+    userEvent.type(editField, 'Estou sempre aqui para ti');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar' }));
+    await waitFor(() => expect(screen.queryByLabelText('Editar comentário')).not.toBeInTheDocument());
+    await waitFor(() => expect(screen.getByRole('listitem', { name: 'Comentário de Nico' })).toHaveTextContent('editado'));
+    expect(screen.getByRole('listitem', { name: 'Comentário de Nico' })).toHaveTextContent('Estou sempre aqui para ti');
+
+    userEvent.click(screen.getByRole('button', { name: 'Excluir' }));
+    await screen.findByText('Comentário excluído');
+    expect(screen.getByText('Obrigada ❤️')).toBeInTheDocument();
+    expect(getDocData(entryPath).commentCount).toBe(0);
+  });
+});
+
+describe('Nosso Propósito', () => {
+  test('guarda o documento partilhado do propósito', async () => {
+    const spacePath = openAppAsNico();
+    await openView('Nosso Propósito');
+
+    userEvent.type(await screen.findByLabelText('Escreva sobre os nossos objetivos e sonhos partilhados:'), 'Viajar juntos');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Propósito' }));
+
+    await waitFor(() => expect(getDocData(`${spacePath}/our_purpose/sharedPurpose`)).toMatchObject({
+      text: 'Viajar juntos',
+      updatedBy: 'nico',
+    }));
+  });
+
+  test('guarda cada versão no histórico, mostra as diferenças e restaura uma versão antiga', async () => {
+    const spacePath = openAppAsNico();
+    const purposePath = `${spacePath}/our_purpose/sharedPurpose`;
+    await openView('Nosso Propósito');
+
+    const purposeText = await screen.findByLabelText('Escreva sobre os nossos objetivos e sonhos partilhados:');
+    userEvent.type(purposeText, 'Viajar juntos');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Propósito' }));
+    await waitFor(() => expect(purposeText).toBeEnabled());
+    await waitFor(() => expect(purposeText).toHaveValue('Viajar juntos'));
+    expect(getDocData(purposePath)).toMatchObject({ revision: 1 });
+    userEvent.type(purposeText, ' para o Japão');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Propósito' }));
+    await waitFor(() => expect(getDocData(purposePath)).toMatchObject({ revision: 2 }));
+    expect(getDocData(`${purposePath}/revisions/1`)).toMatchObject({ text: 'Viajar juntos', updatedBy: 'nico' });
+
+    userEvent.click(await screen.findByRole('button', { name: /Versão 2/ }));
+    expect(screen.getByText('para o Japão', { selector: 'ins' })).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: /Versão 1/ }));
+    userEvent.click(screen.getByRole('button', { name: 'Restaurar esta versão' }));
+    await waitFor(() => expect(getDocData(purposePath)).toMatchObject({ text: 'Viajar juntos', revision: 3 }));
+    expect(getDocData(`${purposePath}/revisions/3`)).toMatchObject({ text: 'Viajar juntos', restoredFrom: 1 });
+    await waitFor(() => expect(purposeText).toHaveValue('Viajar juntos'));
+    expect(await screen.findByRole('button', { name: /Versão 3/ })).toHaveTextContent('restaurada da versão 1');
+  });
+
+  test('quem guarda sozinho recomeça o estado a partir do texto, sem os caracteres apagados', async () => {
+    const spacePath = openAppAsNico();
+    const purposePath = `${spacePath}/our_purpose/sharedPurpose`;
+    await openView('Nosso Propósito');
+
+    const purposeText = await screen.findByLabelText('Escreva sobre os nossos objetivos e sonhos partilhados:');
+    userEvent.type(purposeText, 'Viajar juntos ao Japão{backspace}{backspace}{backspace}{backspace}{backspace}{backspace}');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Propósito' }));
+    await waitFor(() => expect(getDocData(purposePath)).toMatchObject({ text: 'Viajar juntos ao', revision: 1 }));
+    const { crdt, crdtBase } = getDocData(purposePath);
+    expect(JSON.parse(crdt).chars).toHaveLength('Viajar juntos ao'.length);
+    expect(JSON.parse(crdt).chars.every(([id]) => id.endsWith(`@${crdtBase}`))).toBe(true);
+
+    // Continua a editar a partir do estado novo
+    await waitFor(() => expect(purposeText).toBeEnabled());
+    userEvent.type(purposeText, ' Brasil');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Propósito' }));
+    await waitFor(() => expect(getDocData(purposePath)).toMatchObject({ text: 'Viajar juntos ao Brasil', revision: 2 }));
+    expect(getDocData(purposePath).crdtBase).not.toBe(crdtBase);
+    expect(purposeText).toHaveValue('Viajar juntos ao Brasil');
+  });
+
+  test('cria um objetivo com passos e, ao concluí-lo, regista o marco na jornada', async () => {
+    const spacePath = openAppAsNico();
+    await openView('Nosso Propósito');
+
+    userEvent.click(await screen.findByRole('button', { name: 'Novo objetivo' }));
+    userEvent.type(screen.getByLabelText('Objetivo'), 'Viagem ao Japão');
+    userEvent.click(screen.getByRole('checkbox', { name: 'Aniqua' }));
+    userEvent.selectOptions(screen.getByLabelText('Como medir o progresso'), 'checklist');
+    userEvent.type(screen.getByLabelText('Passo 1'), 'Tirar passaportes');
+    userEvent.click(screen.getByRole('button', { name: '+ Adicionar passo' }));
+    userEvent.type(screen.getByLabelText('Passo 2'), 'Comprar bilhetes');
+    userEvent.click(screen.getByRole('button', { name: 'Criar objetivo' }));
+
+    const progress = await screen.findByRole('progressbar', { name: 'Progresso de Viagem ao Japão' });
+    const [goal] = listDocs(`${spacePath}/goals`);
+    expect(goal).toMatchObject({
+      title: 'Viagem ao Japão', owners: ['nico', 'aniqua'], status: 'active', progressKind: 'checklist', createdBy: 'nico',
+      steps: [expect.objectContaining({ text: 'Tirar passaportes', done: false }), expect.objectContaining({ text: 'Comprar bilhetes' })],
+    });
+    expect(screen.getByText('Nico e Aniqua')).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('checkbox', { name: 'Tirar passaportes' }));
+    await waitFor(() => expect(progress).toHaveAttribute('aria-valuenow', '50'));
+    userEvent.click(screen.getByRole('checkbox', { name: 'Comprar bilhetes' }));
+    await screen.findByText('Meta atingida! Conclua o objetivo para o celebrar na jornada.');
+
+    userEvent.click(screen.getByRole('button', { name: 'Concluir' }));
+    expect(screen.getByRole('checkbox', { name: 'Registar na jornada como marco ✅' })).toBeChecked();
+    userEvent.click(screen.getByRole('button', { name: 'Confirmar conclusão' }));
+
+    userEvent.click(await screen.findByRole('button', { name: 'Ver na jornada' }));
+    const { milestoneMomentId } = getDocData(`${spacePath}/goals/${goal.id}`);
+    expect(getDocData(`${spacePath}/journey_moments/${milestoneMomentId}`)).toMatchObject({
+      title: 'Viagem ao Japão', type: 'milestone', goalId: goal.id, addedBy: 'nico',
+    });
+    expect(await screen.findByRole('article', { current: true })).toHaveTextContent('🎯 Objetivo concluído no Nosso Propósito');
+  });
+
+  test('acompanha um objetivo com valor a atingir', async () => {
+    const spacePath = openAppAsNico();
+    await openView('Nosso Propósito');
+
+    userEvent.click(await screen.findByRole('button', { name: 'Novo objetivo' }));
+    userEvent.type(screen.getByLabelText('Objetivo'), 'Base financeira');
+    userEvent.selectOptions(screen.getByLabelText('Como medir o progresso'), 'amount');
+    userEvent.click(screen.getByRole('button', { name: 'Criar objetivo' }));
+    expect(screen.getByText('A meta tem de ser um número maior que zero.')).toBeInTheDocument();
+    userEvent.type(screen.getByLabelText('Meta'), '5000');
+    userEvent.type(screen.getByLabelText('Unidade'), '€');
+    userEvent.click(screen.getByRole('button', { name: 'Criar objetivo' }));
+
+    userEvent.type(await screen.findByLabelText('Novo valor de Base financeira'), '1250');
+    userEvent.click(screen.getByRole('button', { name: 'Atualizar valor' }));
+
+    await waitFor(() => expect(screen.getByRole('progressbar', { name: 'Progresso de Base financeira' })).toHaveAttribute('aria-valuenow', '25'));
+    expect(screen.getByText('1250 € de 5000 €')).toBeInTheDocument();
+    expect(listDocs(`${spacePath}/goals`)).toEqual([expect.objectContaining({
+      targetAmount: 5000, currentAmount: 1250, unit: '€', updatedBy: 'nico',
+    })]);
+  });
+
+  test('junta as teclas das duas pessoas e mostra onde a outra está a escrever', async () => {
+    const spacePath = seedSpace();
+    const purposePath = `${spacePath}/our_purpose/sharedPurpose`;
+    // Propósito anterior à edição em conjunto: o texto recebe os ids 1@base, 2@base, …
+    seedDoc(`${purposePath}/revisions/1`, { text: 'Viajar juntos', revision: 1, updatedBy: 'aniqua', createdAt: new Date() });
+    seedDoc(purposePath, { text: 'Viajar juntos', revision: 1, updatedBy: 'aniqua', lastUpdated: new Date() });
+    openAppAsNico();
+    await openView('Nosso Propósito');
+
+    const purposeText = await screen.findByLabelText('Escreva sobre os nossos objetivos e sonhos partilhados:');
+    await waitFor(() => expect(purposeText).toHaveValue('Viajar juntos'));
+    userEvent.type(purposeText, ' e aprender japonês');
+
+    // Ao mesmo tempo a Aniqua escreve no início e fica com o cursor depois do que escreveu
+    seedDoc(`${purposePath}/edits/da-aniqua`, {
+      site: 'aniqua1', ops: [{ t: 'i', id: '20@aniqua1', after: null, v: 'Sonho: ' }], updatedBy: 'aniqua', createdAt: new Date(),
+    });
+    seedDoc(`${purposePath}/presence/aniqua`, {
+      uid: 'aniqua', site: 'aniqua1', cursor: '26@aniqua1', active: true, typingAt: new Date(), updatedAt: new Date(),
+    });
+
+    await waitFor(() => expect(purposeText).toHaveValue('Sonho: Viajar juntos e aprender japonês'));
+    expect(await screen.findByText('Aniqua está a escrever…')).toBeInTheDocument();
+    expect(screen.getByTestId('cursor-aniqua')).toHaveTextContent('Aniqua');
+
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Propósito' }));
+    await waitFor(() => expect(getDocData(purposePath)).toMatchObject({
+      text: 'Sonho: Viajar juntos e aprender japonês', revision: 2, updatedBy: 'nico',
+    }));
+    // A versão guarda o estado completo, por isso as teclas que ela já inclui saem da coleção
+    expect(listDocs(`${purposePath}/edits`).map(({ id }) => id)).not.toContain('da-aniqua');
+    expect(typeof getDocData(purposePath).crdt).toBe('string');
+  });
+
+  test('avisa quando a versão não fica no histórico porque a outra pessoa guardou ao mesmo tempo', async () => {
+    const spacePath = seedSpace();
+    const purposePath = `${spacePath}/our_purpose/sharedPurpose`;
+    const seedPurposeVersion = (revision) => {
+      seedDoc(`${purposePath}/revisions/${revision}`, { text: 'Viajar juntos', revision, updatedBy: 'aniqua', createdAt: new Date() });
+      seedDoc(purposePath, { text: 'Viajar juntos', revision, updatedBy: 'aniqua', lastUpdated: new Date() });
+    };
+    seedPurposeVersion(1);
+    openAppAsNico();
+    await openView('Nosso Propósito');
+
+    const purposeText = await screen.findByLabelText('Escreva sobre os nossos objetivos e sonhos partilhados:');
+    await waitFor(() => expect(purposeText).toHaveValue('Viajar juntos'));
+    userEvent.type(purposeText, ' e aprender japonês');
+    // Escrever não cria versões: as teclas seguem pela coleção edits
+    await waitFor(() => expect(listDocs(`${purposePath}/edits`)).not.toHaveLength(0));
+    await waitFor(() => expect(getDocData(`${purposePath}/presence/nico`)).toBeTruthy());
+    expect(getDocData(purposePath)).toMatchObject({ revision: 1 });
+
+    // A Aniqua guarda a versão 2 no mesmo instante e a gravação do Nico, feita a partir da 1, é recusada
+    seedPurposeVersion(2);
+    failNextFirestoreCall('write', 'permission-denied');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Propósito' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Aniqua guardou uma versão ao mesmo tempo');
+    expect(purposeText).toHaveValue('Viajar juntos e aprender japonês');
+    userEvent.click(screen.getByRole('button', { name: 'Guardar Propósito' }));
+    await waitFor(() => expect(getDocData(purposePath)).toMatchObject({
+      text: 'Viajar juntos e aprender japonês', revision: 3, updatedBy: 'nico',
+    }));
+    await waitFor(() => expect(screen.queryByRole('alert')).not.toBeInTheDocument());
+  });
+});
+
+describe('Pesquisar', () => {
+  test('pesquisa nos momentos e no diário com filtros e abre o cartão escolhido', async () => {
+    const spacePath = seedSpace();
+    seedDoc(`${spacePath}/journey_moments/m1`, {
+      title: 'Férias em Lisboa', description: 'Pastéis de nata', type: 'star', tags: ['viagem'],
+      date: new Date(2024, 6, 10), addedBy: 'aniqua', addedByName: 'Aniqua',
+    });
+    seedDoc(`${spacePath}/journey_moments/m2`, {
+      title: 'Mudança de casa', type: 'cloud', date: new Date(2024, 2, 1), addedBy: 'nico', addedByName: 'Nico',
+    });
+    seedDoc(`${spacePath}/journal_entries/e1`, {
+      text: 'Saudades de Lisboa e do rio', tags: ['viagem'], date: new Date(2024, 7, 1), addedBy: 'nico', addedByName: 'Nico',
+    });
+    openAppAsNico();
+    await openView('Pesquisar');
+
+    // Sem acentos e por prefixo: "ferias lisb" encontra "Férias em Lisboa"
+    userEvent.type(await screen.findByLabelText('Procurar nos momentos e no diário'), 'lisb');
+    expect(screen.getByText('2 resultados')).toBeInTheDocument();
+    userEvent.type(screen.getByLabelText('Procurar nos momentos e no diário'), ' ferias');
+    expect(screen.getByText('1 resultado')).toBeInTheDocument();
+
+    userEvent.clear(screen.getByLabelText('Procurar nos momentos e no diário'));
+    userEvent.selectOptions(screen.getByLabelText('Autor'), 'nico');
+    expect(screen.getByText('2 resultados')).toBeInTheDocument();
+    userEvent.selectOptions(screen.getByLabelText('Tipo de momento'), 'cloud');
+    expect(screen.getByText('1 resultado')).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: 'Limpar filtros' }));
+    userEvent.selectOptions(screen.getByLabelText('Etiqueta'), 'viagem');
+    userEvent.type(screen.getByLabelText('Desde'), '2024-07-15');
+    expect(screen.getByText('1 resultado')).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: /Saudades de Lisboa/ }));
+
+    await screen.findByRole('button', { name: 'Registar no Diário' });
+    expect(screen.getByRole('article', { current: true })).toHaveTextContent('Saudades de Lisboa e do rio');
+  });
+
+  test('mostra a pesquisa em inglês, com os tipos de momento e as contagens nesse idioma', async () => {
+    const spacePath = seedSpace();
+    seedProfile('nico', 'Nico', { locale: 'en' });
+    seedDoc(`${spacePath}/journey_moments/m1`, {
+      title: 'Mudança de casa', type: 'cloud', date: new Date(2024, 2, 1), addedBy: 'nico', addedByName: 'Nico',
+    });
+    seedDoc(`${spacePath}/journal_entries/e1`, {
+      text: 'Casa nova', date: new Date(2024, 7, 1), addedBy: 'nico', addedByName: 'Nico',
+    });
+    openAppAsNico({ withProfile: false });
+    await openView('Search');
+
+    userEvent.type(await screen.findByLabelText('Search moments and the journal'), 'casa');
+    expect(screen.getByText('2 results')).toBeInTheDocument();
+    userEvent.selectOptions(screen.getByLabelText('Where'), 'journal');
+    expect(screen.getByText('1 result')).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: 'Clear filters' }));
+    userEvent.type(screen.getByLabelText('Search moments and the journal'), 'obstacle');
+    expect(screen.getByText('1 result')).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: /Challenge \/ Obstacle/ })).toBeInTheDocument();
+  });
+});
+
+describe('Arquivo', () => {
+  test('exporta o espaço em JSON e em Markdown e imprime a linha do tempo', async () => {
+    const spacePath = seedSpace();
+    seedDoc(`${spacePath}/journey_moments/m1`, {
+      title: 'Férias em Lisboa', description: 'Pastéis de nata', type: 'star', tags: ['viagem'],
+      attachments: [{ id: 'a1', kind: 'image', name: 'praia.jpg', path: `${spacePath}/media/aniqua/a1.jpg`, url: 'https://fotos/praia.jpg' }],
+      date: new Date(2024, 6, 10), addedBy: 'aniqua', addedByName: 'Aniqua',
+    });
+    seedDoc(`${spacePath}/journal_entries/e1`, {
+      text: 'Saudades de Lisboa', date: new Date(2024, 7, 1), addedBy: 'nico', addedByName: 'Nico',
+    });
+    seedDoc(`${spacePath}/our_purpose/sharedPurpose`, { text: 'Crescer juntos', updatedBy: 'nico' });
+    const privatePath = (uid) => `${spacePath.replace('/spaces/', `/users/${uid}/spaces/`)}/journal_entries`;
+    seedDoc(`${privatePath('nico')}/e2`, {
+      text: 'Carta para o aniversário', visibility: 'scheduled', shareAt: new Date(2099, 0, 1),
+      date: new Date(2024, 7, 2), addedBy: 'nico', addedByName: 'Nico',
+    });
+    seedDoc(`${privatePath('aniqua')}/e3`, {
+      text: 'Rascunho da Aniqua', visibility: 'private', shareAt: null, date: new Date(2024, 7, 3), addedBy: 'aniqua', addedByName: 'Aniqua',
+    });
+    const downloads = [];
+    jest.spyOn(URL, 'createObjectURL').mockImplementation((blob) => {
+      downloads.push(blob);
+      return 'blob:arquivo';
+    });
+    const fileNames = [];
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function recordDownload() {
+      fileNames.push(this.download);
+    });
+    const print = jest.spyOn(window, 'print');
+    openAppAsNico();
+    await openView('Arquivo');
+
+    userEvent.click(await screen.findByRole('button', { name: 'Descarregar arquivo (JSON)' }));
+    await waitFor(() => expect(downloads).toHaveLength(1));
+    expect(fileNames[0]).toMatch(/^nossa-constelacao-nico-aniqua-\d{4}-\d{2}-\d{2}\.json$/);
+    const archive = JSON.parse(await readFileAsText(downloads[0]));
+    expect(archive).toMatchObject({
+      format: 'nossa-constelacao/archive',
+      version: 2,
+      space: { id: 'space-1', name: 'Nico & Aniqua' },
+      authors: { aniqua: 'Aniqua', nico: 'Nico' },
+      purpose: { text: 'Crescer juntos' },
+    });
+    expect(archive.moments).toEqual([expect.objectContaining({
+      id: 'm1',
+      title: 'Férias em Lisboa',
+      date: { $timestamp: new Date(2024, 6, 10).toISOString() },
+      attachments: [expect.objectContaining({ name: 'praia.jpg', url: 'https://fotos/praia.jpg' })],
+    })]);
+    // Os registos agendados e rascunhos de quem exporta vão marcados; os da outra pessoa não
+    expect(archive.journalEntries).toEqual([
+      expect.objectContaining({ id: 'e1', text: 'Saudades de Lisboa' }),
+      expect.objectContaining({
+        id: 'e2', visibility: 'scheduled', shareAt: { $timestamp: new Date(2099, 0, 1).toISOString() },
+      }),
+    ]);
+
+    userEvent.click(screen.getByRole('button', { name: 'Descarregar livro (Markdown)' }));
+    await waitFor(() => expect(downloads).toHaveLength(2));
+    const book = await readFileAsText(downloads[1]);
+    expect(book).toContain('# Nico & Aniqua');
+    expect(book).toContain('### ⭐ Férias em Lisboa');
+    expect(book).toContain('- 📎 [praia.jpg](https://fotos/praia.jpg)');
+    expect(book).toContain('Saudades de Lisboa');
+    expect(book).toContain('_⏰ Só para quem o escreveu até 01/01/2099, depois é partilhado_');
+
+    userEvent.click(screen.getByRole('button', { name: 'Imprimir / PDF' }));
+    await waitFor(() => expect(print).toHaveBeenCalled());
+    expect(document.body).toHaveClass('printing-archive');
+    expect(screen.getByRole('heading', { name: 'Nosso Diário' })).toBeInTheDocument();
+    fireEvent(window, new Event('afterprint'));
+    await waitFor(() => expect(document.body).not.toHaveClass('printing-archive'));
+    expect(screen.queryByRole('heading', { name: 'Nosso Diário' })).not.toBeInTheDocument();
+  });
+
+  test('importa um arquivo de outro projeto, liga os autores aos membros e não duplica ao repetir', async () => {
+    const spacePath = seedSpace();
+    const archive = {
+      format: 'nossa-constelacao/archive',
+      version: 1,
+      exportedAt: '2024-09-01T10:00:00.000Z',
+      space: { id: 'antigo', name: 'Nico & Aniqua' },
+      authors: { 'uid-antigo-1': 'aniqua', 'uid-antigo-2': 'Nico' },
+      momentTypes: [{ id: 'viagem', name: 'Viagem', emoji: '✈️', color: 'blue', order: 1 }],
+      moments: [
+        {
+          id: 'old-m1', title: 'Férias em Lisboa', type: 'viagem', date: { $timestamp: '2023-07-10T12:00:00.000Z' },
+          addedBy: 'uid-antigo-1', addedByName: 'Aniqua', createdAt: { $timestamp: '2023-07-11T09:00:00.000Z' },
+        },
+        {
+          id: 'old-m2', title: 'Noite das estrelas', type: 'tipo-excluido', date: { $timestamp: '2023-08-01T22:00:00.000Z' },
+          addedBy: 'uid-antigo-2', addedByName: 'Nico',
+        },
+      ],
+      journalEntries: [
+        { id: 'old-e1', text: 'Primeiro registo', date: { $timestamp: '2023-07-12T08:00:00.000Z' }, addedBy: 'uid-antigo-1' },
+        {
+          id: 'old-e2', text: 'Carta para 2099', date: { $timestamp: '2023-07-13T08:00:00.000Z' }, addedBy: 'uid-antigo-2',
+          visibility: 'scheduled', shareAt: { $timestamp: '2099-01-01T10:00:00.000Z' },
+        },
+        {
+          id: 'old-e3', text: 'Rascunho da Aniqua', date: { $timestamp: '2023-07-14T08:00:00.000Z' }, addedBy: 'uid-antigo-1',
+          visibility: 'private',
+        },
+      ],
+      purpose: { text: 'Crescer juntos' },
+    };
+    const archiveFile = () => new File([JSON.stringify(archive)], 'arquivo.json', { type: 'application/json' });
+    openAppAsNico();
+    await openView('Arquivo');
+
+    userEvent.upload(await screen.findByLabelText('Arquivo a importar'), new File(['isto não é json'], 'notas.txt'));
+    await screen.findByText('O ficheiro não é um JSON válido.');
+
+    userEvent.upload(screen.getByLabelText('Arquivo a importar'), archiveFile());
+    // Autores ligados pelo nome do perfil, sem distinguir maiúsculas
+    expect(await screen.findByLabelText('O que aniqua escreveu fica em nome de')).toHaveValue('aniqua');
+    expect(screen.getByLabelText('O que Nico escreveu fica em nome de')).toHaveValue('nico');
+    userEvent.click(screen.getByRole('button', { name: 'Importar' }));
+
+    await screen.findByText(/Importados 2 momentos e 1 registo no diário, 2 tipos de momento, 1 registo privado e o propósito/);
+    expect(getDocData(`${spacePath}/journey_moments/old-m1`)).toMatchObject({
+      title: 'Férias em Lisboa', type: 'viagem', addedBy: 'nico', originalAuthor: 'aniqua', importedBy: 'nico',
+    });
+    expect(getDocData(`${spacePath}/journey_moments/old-m1`).createdAt.toDate()).toEqual(new Date('2023-07-11T09:00:00.000Z'));
+    expect(getDocData(`${spacePath}/journal_entries/old-e1`)).toMatchObject({ text: 'Primeiro registo', addedBy: 'nico', originalAuthor: 'aniqua' });
+    // O registo agendado volta ao diário privado de quem ficou com ele; o rascunho da outra pessoa fica de fora
+    const privatePath = `${spacePath.replace('/spaces/', '/users/nico/spaces/')}/journal_entries`;
+    expect(listDocs(privatePath)).toEqual([expect.objectContaining({
+      id: 'old-e2', text: 'Carta para 2099', visibility: 'scheduled', addedBy: 'nico',
+    })]);
+    expect(getDocData(`${privatePath}/old-e2`).writtenAt.toDate()).toEqual(new Date('2023-07-13T08:00:00.000Z'));
+    expect(getDocData(`${spacePath}/journal_entries/old-e3`)).toBeUndefined();
+    expect(getDocData(`${spacePath}/moment_types/tipo-excluido`)).toMatchObject({ name: 'Momento' });
+    expect(getDocData(`${spacePath}/our_purpose/sharedPurpose`)).toMatchObject({ text: 'Crescer juntos', updatedBy: 'nico' });
+
+    userEvent.upload(screen.getByLabelText('Arquivo a importar'), archiveFile());
+    userEvent.click(await screen.findByRole('button', { name: 'Importar' }));
+    await screen.findByText(/Importados 0 momentos e 0 registos no diário \(4 já existiam e foram ignorados\)/);
+    expect(listDocs(`${spacePath}/journey_moments`)).toHaveLength(2);
+
+    // O cartão credita a autora original, mas só quem importou o pode editar
+    await openView('Nossa Jornada');
+    await screen.findByRole('heading', { name: 'Férias em Lisboa' });
+    expect(screen.getByText(/Adicionado por Aniqua/)).toBeInTheDocument();
+    expect(screen.getAllByTitle('Editar Momento')).toHaveLength(2);
+  });
 });
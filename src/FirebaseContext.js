@@ -0,0 +1,39 @@
+import { createContext } from 'react';
+import { DEFAULT_LOCALE, translate } from './i18n/translate';
+
+// --- Context for Firebase and User ---
+// Fornece um objeto padrão caso db, auth, etc. sejam null
+const FirebaseContext = createContext({
+  db: null,
+  auth: null,
+  storage: null,
+  app: null,
+  appId: null,
+  vapidKey: null,
+  userId: null,
+  userName: '',
+  profile: null,
+  profiles: {},
+  getAuthorName: (uid, fallbackName) => fallbackName || translate(DEFAULT_LOCALE, 'app.anonymous'),
+  saveProfile: async () => {},
+  isAuthenticated: false,
+  isAnonymous: false,
+  userEmail: null,
+  signInWithEmail: async () => {},
+  createAccount: async () => {},
+  sendEmailLink: async () => {},
+  continueAnonymously: async () => {},
+  upgradeAccount: async () => {},
+  signOutUser: async () => {},
+  spaces: [],
+  activeSpace: null,
+  spacePath: null,
+  loadingSpaces: false,
+  pendingInviteCode: null,
+  setActiveSpaceId: () => {},
+  createSpace: async () => {},
+  joinSpace: async () => {},
+  renewInvite: async () => {},
+});
+
+export default FirebaseContext;
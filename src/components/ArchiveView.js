@@ -0,0 +1,279 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import FirebaseContext from '../FirebaseContext';
+import { useMomentTypes, useMutation, useOnlineStatus } from '../data/hooks';
+import {
+  archiveToMarkdown, decodeValue, describeEntryVisibility, exportArchive, getArchiveAuthors, importArchive, parseArchive,
+} from '../data/archive';
+import { findMomentType, getMomentTypeName } from '../data/momentTypes';
+import { getCardAuthorId } from '../data/authorship';
+import { useI18n } from '../i18n';
+import { toDateInputValue } from '../utils/dates';
+import { downloadTextFile, readFileAsText, slugify } from '../utils/files';
+import { normalizeText } from '../utils/search';
+
+// --- Archive View ---
+// Exportar o espaço (arquivo JSON, livro em Markdown, impressão/PDF) e importar um arquivo JSON para o espaço.
+// A lógica do arquivo está em data/archive.js; aqui ficam os botões, a ligação dos autores e a versão impressa.
+
+// Linha do tempo só para impressão: fica fora do #root e o index.css mostra-a apenas em body.printing-archive
+function PrintableArchive({ archive, types, getAuthorName }) {
+  const i18n = useI18n();
+  const { t, formatDay, formatMomentDate } = i18n;
+  const authorOf = (card) => archive.authors[getCardAuthorId(card)] || getAuthorName(getCardAuthorId(card), card.addedByName);
+  const moments = archive.moments.map(decodeValue);
+  const entries = archive.journalEntries.map(decodeValue);
+
+  return createPortal(
+    <div className="archive-print">
+      <h1>{archive.space.name}</h1>
+      <p className="archive-print-meta">
+        {t('archive.summary', {
+          date: formatDay(new Date(archive.exportedAt)),
+          moments: t('archive.counts.moments', { count: moments.length }),
+          entries: t('archive.counts.entries', { count: entries.length }),
+        })}
+      </p>
+
+      {archive.purpose && (archive.purpose.text || '').trim() && (
+        <section>
+          <h2>{t('views.purpose')}</h2>
+          <p>{archive.purpose.text}</p>
+        </section>
+      )}
+
+      <section>
+        <h2>{t('views.moments')}</h2>
+        <ol className="archive-print-timeline">
+          {moments.map((moment) => {
+            const type = findMomentType(types, moment.type);
+            return (
+              <li key={moment.id}>
+                <h3>{type.emoji} {moment.title}</h3>
+                <p className="archive-print-meta">
+                  {formatMomentDate(moment)} · {getMomentTypeName(type, t)} · {t('archive.book.by', { name: authorOf(moment) })}
+                </p>
+                {moment.description && <p>{moment.description}</p>}
+                {moment.tags && moment.tags.length > 0 && (
+                  <p className="archive-print-meta">{moment.tags.map((tag) => `#${tag}`).join(' ')}</p>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      </section>
+
+      <section>
+        <h2>{t('views.journal')}</h2>
+        <ol className="archive-print-timeline">
+          {entries.map((entry) => (
+            <li key={entry.id}>
+              <p className="archive-print-meta">
+                {formatDay(entry.date)} · {t('archive.book.by', { name: authorOf(entry) })}
+                {entry.visibility && ` · ${describeEntryVisibility(entry, i18n)}`}
+              </p>
+              <p>{entry.text}</p>
+            </li>
+          ))}
+        </ol>
+      </section>
+    </div>,
+    document.body
+  );
+}
+
+function ArchiveView() {
+  const { db, userId, spacePath, activeSpace, getAuthorName } = useContext(FirebaseContext);
+  const { types } = useMomentTypes(spacePath);
+  const i18n = useI18n();
+  const { t, formatDay, formatList } = i18n;
+  const { run, isSubmitting, error, setError } = useMutation();
+  const online = useOnlineStatus();
+  const [printArchive, setPrintArchive] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null); // { archive, fileName, authors }
+  const [authorMap, setAuthorMap] = useState({});
+  const [importResult, setImportResult] = useState(null);
+
+  const members = activeSpace.members || [];
+  const baseFileName = `nossa-constelacao-${slugify(activeSpace.name)}-${toDateInputValue(new Date())}`;
+  const loadArchive = () => exportArchive(db, spacePath, { space: activeSpace, userId, getAuthorName });
+
+  const exportJson = () => run(async () => {
+    const archive = await loadArchive();
+    downloadTextFile(`${baseFileName}.json`, JSON.stringify(archive, null, 2), 'application/json');
+  }, t('archive.exportError'));
+
+  const exportMarkdown = () => run(async () => {
+    const archive = await loadArchive();
+    downloadTextFile(`${baseFileName}.md`, archiveToMarkdown(archive, { types, getAuthorName, i18n }), 'text/markdown');
+  }, t('archive.bookError'));
+
+  const printTimeline = () => run(async () => {
+    setPrintArchive(await loadArchive());
+  }, t('archive.printError'));
+
+  // Imprime depois de a linha do tempo estar no DOM; o diálogo do browser também permite guardar em PDF
+  useEffect(() => {
+    if (!printArchive) return undefined;
+    const finish = () => setPrintArchive(null);
+    document.body.classList.add('printing-archive');
+    window.addEventListener('afterprint', finish);
+    window.print();
+    return () => {
+      window.removeEventListener('afterprint', finish);
+      document.body.classList.remove('printing-archive');
+    };
+  }, [printArchive]);
+
+  // Cada autor do arquivo fica ligado ao membro com o mesmo uid ou o mesmo nome; senão, a quem importa
+  const guessMember = ({ uid, name }) => {
+    if (members.includes(uid)) return uid;
+    const sameName = name && members.find((member) => normalizeText(getAuthorName(member, '')) === normalizeText(name));
+    return sameName || userId;
+  };
+
+  const chooseFile = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    setImportResult(null);
+    setError(null);
+    const { archive, error: parseError } = parseArchive(await readFileAsText(file));
+    if (parseError) {
+      setPendingImport(null);
+      setError(t(parseError.key, parseError.params));
+      return;
+    }
+    const authors = getArchiveAuthors(archive);
+    setAuthorMap(Object.fromEntries(authors.map((author) => [author.uid, guessMember(author)])));
+    setPendingImport({ archive, fileName: file.name, authors });
+  };
+
+  const confirmImport = async () => {
+    if (!online) {
+      setError(t('archive.importOffline'));
+      return;
+    }
+    let result = null;
+    const imported = await run(async () => {
+      result = await importArchive(db, spacePath, pendingImport.archive, {
+        userId, authorMap, genericTypeName: t('momentTypes.names.generic'),
+      });
+    }, t('archive.importError'));
+    if (imported) {
+      setImportResult(result);
+      setPendingImport(null);
+    }
+  };
+
+  // Ex: "Importados 2 momentos e 1 registo no diário, 2 tipos de momento e o propósito (4 já existiam e foram ignorados)."
+  const describeImport = (result) => {
+    const items = formatList([
+      t('archive.result.cards', {
+        moments: t('archive.counts.moments', { count: result.moments }),
+        entries: t('archive.counts.entries', { count: result.journalEntries }),
+      }),
+      ...(result.momentTypes > 0 ? [t('archive.result.momentTypes', { count: result.momentTypes })] : []),
+      ...(result.privateEntries > 0 ? [t('archive.result.privateEntries', { count: result.privateEntries })] : []),
+      ...(result.goals > 0 ? [t('archive.result.goals', { count: result.goals })] : []),
+      ...(result.purpose ? [t('archive.result.purpose')] : []),
+    ]);
+    return result.skipped > 0
+      ? t('archive.result.importedSkipped', { items, count: result.skipped })
+      : t('archive.result.imported', { items });
+  };
+
+  const buttonClass = 'px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg text-sm font-semibold transition disabled:opacity-50';
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-3xl font-bold text-purple-300 mb-4 text-center">{t('views.archive')}</h2>
+      {error && <p className="text-red-400 text-sm text-center">{error}</p>}
+
+      <section className="bg-gray-700 p-6 rounded-2xl shadow-inner space-y-3">
+        <h3 className="text-xl font-semibold text-gray-200">{t('archive.exportTitle')}</h3>
+        <p className="text-gray-300 text-sm">{t('archive.exportIntro', { space: activeSpace.name })}</p>
+        <div className="flex flex-wrap gap-2">
+          <button type="button" onClick={exportJson} className={buttonClass} disabled={isSubmitting}>
+            {t('archive.downloadJson')}
+          </button>
+          <button type="button" onClick={exportMarkdown} className={buttonClass} disabled={isSubmitting}>
+            {t('archive.downloadBook')}
+          </button>
+          <button type="button" onClick={printTimeline} className={buttonClass} disabled={isSubmitting}>
+            {t('archive.print')}
+          </button>
+        </div>
+      </section>
+
+      <section className="bg-gray-700 p-6 rounded-2xl shadow-inner space-y-3">
+        <h3 className="text-xl font-semibold text-gray-200">{t('archive.importTitle')}</h3>
+        <p className="text-gray-300 text-sm">{t('archive.importIntro')}</p>
+        <label htmlFor="archive-file" className="block text-gray-300 text-sm font-medium">{t('archive.file')}</label>
+        <input
+          id="archive-file"
+          type="file"
+          accept="application/json,.json"
+          onChange={chooseFile}
+          className="block w-full text-sm text-gray-300"
+          disabled={isSubmitting}
+        />
+
+        {pendingImport && (
+          <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+            <p className="text-gray-200 text-sm">
+              {t('archive.pending', {
+                file: pendingImport.fileName,
+                space: pendingImport.archive.space.name,
+                date: formatDay(new Date(pendingImport.archive.exportedAt)),
+                moments: t('archive.counts.moments', { count: pendingImport.archive.moments.length }),
+                entries: t('archive.counts.entries', { count: pendingImport.archive.journalEntries.length }),
+              })}
+            </p>
+            {pendingImport.authors.map((author, index) => (
+              <div key={author.uid}>
+                <label htmlFor={`archive-author-${index}`} className="block text-gray-300 text-sm font-medium mb-1">
+                  {t('archive.authorMapping', { name: author.name || t('app.anonymous') })}
+                </label>
+                <select
+                  id={`archive-author-${index}`}
+                  value={authorMap[author.uid]}
+                  onChange={(e) => setAuthorMap((current) => ({ ...current, [author.uid]: e.target.value }))}
+                  className="w-full p-2 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 focus:ring-2 focus:ring-purple-500 outline-none"
+                  disabled={isSubmitting}
+                >
+                  {members.map((member) => (
+                    <option key={member} value={member}>{getAuthorName(member, member)}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setPendingImport(null)}
+                className="px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-sm transition"
+                disabled={isSubmitting}
+              >
+                {t('common.cancel')}
+              </button>
+              <button type="button" onClick={confirmImport} className={buttonClass} disabled={isSubmitting}>
+                {isSubmitting ? t('archive.importing') : t('archive.import')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {importResult && (
+          <p className="text-green-400 text-sm" role="status">
+            {describeImport(importResult)}
+          </p>
+        )}
+      </section>
+
+      {printArchive && <PrintableArchive archive={printArchive} types={types} getAuthorName={getAuthorName} />}
+    </div>
+  );
+}
+
+export default ArchiveView;
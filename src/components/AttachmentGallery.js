@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from '../i18n';
+
+// --- Attachment Gallery ---
+// Miniaturas e leitores de áudio nos cartões; as fotos abrem num lightbox
+// (setas para navegar, Esc ou clique fora para fechar).
+
+function Lightbox({ images, index, onChangeIndex, onClose }) {
+  const { t } = useI18n();
+  const image = images[index];
+  const hasMany = images.length > 1;
+  const showPrevious = () => onChangeIndex((index - 1 + images.length) % images.length);
+  const showNext = () => onChangeIndex((index + 1) % images.length);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+      if (event.key === 'ArrowLeft' && hasMany) onChangeIndex((index - 1 + images.length) % images.length);
+      if (event.key === 'ArrowRight' && hasMany) onChangeIndex((index + 1) % images.length);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [index, images.length, hasMany, onChangeIndex, onClose]);
+
+  if (!image) return null; // a foto foi removida enquanto estava aberta
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label={image.name}
+      className="fixed inset-0 bg-black bg-opacity-90 flex items-center justify-center z-50 p-4"
+    >
+      {/* Fundo: um clique fora da foto fecha (no teclado fecha-se com Esc ou com o botão ✕) */}
+      <button type="button" tabIndex={-1} aria-hidden="true" onClick={onClose} className="absolute inset-0 w-full h-full cursor-default" />
+      <figure className="relative max-w-full max-h-full flex flex-col items-center">
+        <img src={image.url} alt={image.name} className="max-w-full max-h-[80vh] rounded-lg shadow-2xl" />
+        {hasMany && (
+          <figcaption className="text-gray-300 text-sm mt-2">{index + 1} / {images.length}</figcaption>
+        )}
+      </figure>
+      <button
+        type="button"
+        onClick={onClose}
+        className="absolute top-4 right-4 text-white text-2xl hover:text-purple-300 transition"
+        title={t('attachments.close')}
+      >
+        ✕
+      </button>
+      {hasMany && (
+        <>
+          <button
+            type="button"
+            onClick={showPrevious}
+            className="absolute left-4 text-white text-3xl hover:text-purple-300 transition"
+            title={t('attachments.previous')}
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            onClick={showNext}
+            className="absolute right-4 text-white text-3xl hover:text-purple-300 transition"
+            title={t('attachments.next')}
+          >
+            ›
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function AttachmentGallery({ attachments }) {
+  const { t } = useI18n();
+  const [openIndex, setOpenIndex] = useState(null);
+  if (!attachments || attachments.length === 0) return null;
+
+  const images = attachments.filter(({ kind }) => kind === 'image');
+  const audios = attachments.filter(({ kind }) => kind === 'audio');
+
+  return (
+    <div className="mt-3 space-y-2">
+      {images.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {images.map((image, index) => (
+            <button
+              key={image.id}
+              type="button"
+              onClick={() => setOpenIndex(index)}
+              className="w-20 h-20 rounded-lg overflow-hidden focus:outline-none focus:ring-2 focus:ring-purple-400"
+              title={t('attachments.view')}
+            >
+              <img src={image.thumbUrl || image.url} alt={image.name} loading="lazy" className="w-full h-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+      {/* Os áudios gravados pelo casal não têm legendas: o nome do ficheiro fica visível por baixo do leitor */}
+      {audios.map((audio) => (
+        <figure key={audio.id} className="w-full max-w-xs">
+          <audio controls preload="none" src={audio.url} aria-label={audio.name} className="w-full">
+            <track kind="captions" label={audio.name} />
+          </audio>
+          <figcaption className="text-xs text-gray-400 truncate">{audio.name}</figcaption>
+        </figure>
+      ))}
+      {openIndex !== null && (
+        <Lightbox images={images} index={openIndex} onChangeIndex={setOpenIndex} onClose={() => setOpenIndex(null)} />
+      )}
+    </div>
+  );
+}
+
+export default AttachmentGallery;
@@ -0,0 +1,183 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MAX_ATTACHMENTS, getAttachmentKind, validateAttachmentFile } from '../data/attachments';
+import { useI18n } from '../i18n';
+
+// --- Attachment Picker ---
+// Escolha de fotos e áudios para um momento ou registo do diário, com gravação de notas de voz
+// (quando o browser suporta MediaRecorder) e a barra de progresso do envio.
+// Os ficheiros só são enviados quando o formulário é submetido (ver writeWithAttachments).
+
+const MAX_RECORDING_MS = 2 * 60 * 1000;
+
+const canRecordAudio = () => typeof window !== 'undefined'
+  && typeof window.MediaRecorder !== 'undefined'
+  && navigator.mediaDevices
+  && typeof navigator.mediaDevices.getUserMedia === 'function';
+
+const KIND_ICONS = { image: '🖼️', audio: '🎙️' };
+
+function AttachmentPicker({
+  id, files, onFilesChange, existing = [], onExistingChange, progress = null, disabled = false,
+}) {
+  const { t } = useI18n();
+  const [error, setError] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const recorderRef = useRef(null);
+  const stopTimerRef = useRef(null);
+  const total = files.length + existing.length;
+
+  const addFiles = (newFiles) => {
+    const invalid = newFiles.map(validateAttachmentFile).find(Boolean);
+    const valid = newFiles.filter((file) => !validateAttachmentFile(file));
+    const room = MAX_ATTACHMENTS - total;
+    if (valid.length > room) {
+      setError(t('attachments.errors.tooMany', { max: MAX_ATTACHMENTS }));
+    } else {
+      setError(invalid ? t(invalid.key, invalid.params) : null);
+    }
+    if (room > 0 && valid.length > 0) onFilesChange([...files, ...valid.slice(0, room)]);
+  };
+  // A gravação termina depois de vários renders; usa sempre a lista de ficheiros mais recente
+  const addFilesRef = useRef(addFiles);
+  addFilesRef.current = addFiles;
+
+  const handleInputChange = (e) => {
+    addFiles(Array.from(e.target.files || []));
+    e.target.value = ''; // permite voltar a escolher o mesmo ficheiro
+  };
+
+  const stopRecording = () => {
+    clearTimeout(stopTimerRef.current);
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') recorderRef.current.stop();
+  };
+
+  const startRecording = async () => {
+    setError(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new window.MediaRecorder(stream);
+      const chunks = [];
+      recorder.ondataavailable = (event) => chunks.push(event.data);
+      recorder.onstop = () => {
+        stream.getTracks().forEach((track) => track.stop());
+        recorderRef.current = null;
+        setIsRecording(false);
+        const type = recorder.mimeType || 'audio/webm';
+        const extension = type.includes('mp4') ? 'm4a' : 'webm';
+        addFilesRef.current([new File(chunks, `${t('attachments.voiceNoteFileName')}-${Date.now()}.${extension}`, { type })]);
+      };
+      recorderRef.current = recorder;
+      recorder.start();
+      setIsRecording(true);
+      stopTimerRef.current = setTimeout(stopRecording, MAX_RECORDING_MS);
+    } catch (err) {
+      console.error("Erro ao iniciar a gravação de áudio:", err);
+      setError(t('attachments.errors.microphone'));
+    }
+  };
+
+  // Pára a gravação (e liberta o microfone) se o formulário desaparecer a meio
+  useEffect(() => () => {
+    clearTimeout(stopTimerRef.current);
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+      recorderRef.current.onstop = null;
+      recorderRef.current.stream.getTracks().forEach((track) => track.stop());
+      recorderRef.current.stop();
+    }
+  }, []);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <label
+          htmlFor={id}
+          className={`px-3 py-1 rounded-lg text-sm transition cursor-pointer ${
+            disabled || total >= MAX_ATTACHMENTS ? 'bg-gray-700 text-gray-500 cursor-not-allowed' : 'bg-gray-600 hover:bg-gray-500 text-white'
+          }`}
+        >
+          📎 {t('attachments.choose')}
+        </label>
+        <input
+          id={id}
+          type="file"
+          accept="image/*,audio/*"
+          multiple
+          onChange={handleInputChange}
+          className="sr-only"
+          disabled={disabled || total >= MAX_ATTACHMENTS}
+        />
+        {canRecordAudio() && (
+          <button
+            type="button"
+            onClick={isRecording ? stopRecording : startRecording}
+            className={`px-3 py-1 rounded-lg text-sm transition ${
+              isRecording ? 'bg-red-600 hover:bg-red-700 text-white animate-pulse' : 'bg-gray-600 hover:bg-gray-500 text-white'
+            }`}
+            disabled={disabled || (!isRecording && total >= MAX_ATTACHMENTS)}
+          >
+            {isRecording ? `⏹️ ${t('attachments.stopRecording')}` : `🎙️ ${t('attachments.record')}`}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+
+      {total > 0 && (
+        <ul className="flex flex-wrap gap-2">
+          {existing.map((attachment) => (
+            <li key={attachment.id} className="flex items-center bg-gray-800 rounded-lg pl-1 pr-2 py-1 text-xs text-gray-300">
+              {attachment.kind === 'image' ? (
+                <img src={attachment.thumbUrl || attachment.url} alt="" className="w-8 h-8 object-cover rounded mr-2" />
+              ) : (
+                <span className="mr-2">{KIND_ICONS.audio}</span>
+              )}
+              <span className="max-w-[10rem] truncate">{attachment.name}</span>
+              <button
+                type="button"
+                onClick={() => onExistingChange(existing.filter((item) => item.id !== attachment.id))}
+                className="ml-2 text-gray-400 hover:text-red-400 transition"
+                aria-label={t('attachments.remove', { name: attachment.name })}
+                disabled={disabled}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+          {files.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="flex items-center bg-gray-800 rounded-lg px-2 py-1 text-xs text-gray-300">
+              <span className="mr-2">{KIND_ICONS[getAttachmentKind(file)]}</span>
+              <span className="max-w-[10rem] truncate">{file.name}</span>
+              <button
+                type="button"
+                onClick={() => onFilesChange(files.filter((_, i) => i !== index))}
+                className="ml-2 text-gray-400 hover:text-red-400 transition"
+                aria-label={t('attachments.remove', { name: file.name })}
+                disabled={disabled}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {progress !== null && (
+        <div>
+          <div
+            role="progressbar"
+            aria-label={t('attachments.progressLabel')}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(progress * 100)}
+            className="w-full h-2 bg-gray-800 rounded-full overflow-hidden"
+          >
+            <div className="h-full bg-purple-500 transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+          </div>
+          <p className="text-gray-400 text-xs mt-1">{t('attachments.progress', { percent: Math.round(progress * 100) })}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AttachmentPicker;
@@ -0,0 +1,252 @@
+import React, { useContext, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useCollection, useMutation } from '../data/hooks';
+import {
+  MAX_COMMENT_LENGTH, addComment, buildThreads, deleteComment, getCommentsPath, updateComment,
+} from '../data/comments';
+import { groupReactions, toggleReaction } from '../data/reactions';
+import { useI18n } from '../i18n';
+
+// --- Card Conversation ---
+// Reações e comentários por baixo de um momento ou registo do diário. A conversa só é subscrita depois de aberta;
+// até lá o botão mostra o commentCount guardado no cartão. onChanged avisa a lista depois de uma escrita no cartão
+// (reação ou número de comentários), para os cartões das páginas antigas, que não estão em tempo real.
+
+const inputClass = 'w-full p-2 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 focus:ring-2 focus:ring-purple-500 outline-none resize-y text-sm';
+
+function CommentForm({ label, initialText = '', submitLabel, onSubmit, onCancel, isSubmitting }) {
+  const { t } = useI18n();
+  const [text, setText] = useState(initialText);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    if (await onSubmit(text)) setText('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        aria-label={label}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows="2"
+        className={inputClass}
+        disabled={isSubmitting}
+      ></textarea>
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-sm transition"
+            disabled={isSubmitting}
+          >
+            {t('common.cancel')}
+          </button>
+        )}
+        <button
+          type="submit"
+          className="px-3 py-1 bg-purple-500 hover:bg-purple-600 text-white rounded-lg text-sm transition disabled:opacity-50"
+          disabled={isSubmitting || !text.trim()}
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function CommentItem({ comment, onReply, onEdit, onDelete, isEditing, editForm }) {
+  const { userId, getAuthorName } = useContext(FirebaseContext);
+  const { t, formatTimestamp } = useI18n();
+  const author = getAuthorName(comment.addedBy, comment.addedByName);
+
+  return (
+    <li aria-label={t('comments.by', { name: author })} className="bg-gray-800 rounded-lg px-3 py-2 space-y-1">
+      <p className="text-xs text-gray-400">
+        <span className="font-semibold text-purple-300">{author}</span>
+        {' · '}{formatTimestamp(comment.createdAt)}
+        {comment.editedAt && ` · ${t('comments.edited')}`}
+      </p>
+      {isEditing ? editForm : <p className="text-sm text-gray-200 whitespace-pre-wrap">{comment.text}</p>}
+      {!isEditing && (
+        <div className="flex space-x-3 text-xs">
+          {onReply && (
+            <button type="button" onClick={onReply} className="text-purple-300 hover:text-purple-200 transition">{t('comments.reply')}</button>
+          )}
+          {comment.addedBy === userId && (
+            <>
+              <button type="button" onClick={onEdit} className="text-blue-400 hover:text-blue-300 transition">{t('comments.edit')}</button>
+              <button type="button" onClick={onDelete} className="text-red-400 hover:text-red-300 transition">{t('comments.delete')}</button>
+            </>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
+
+function CommentThreads({ cardPath, onChanged }) {
+  const { db, userId, userName, getAuthorName } = useContext(FirebaseContext);
+  const { t } = useI18n();
+  const { data: comments, loading, error: loadError } = useCollection(
+    getCommentsPath(cardPath), { orderBy: ['createdAt', 'asc'] }
+  );
+  const { run, queue, isSubmitting, error: mutationError } = useMutation();
+  const [replyTo, setReplyTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const error = mutationError || loadError;
+  const threads = buildThreads(comments);
+
+  const submit = (write, message) => run(() => queue(write(), message), message);
+
+  const comment = async (text, parentId = null) => {
+    const commented = await submit(
+      () => addComment(db, cardPath, { text, parentId }, { userId, userName }),
+      t('comments.addError')
+    );
+    if (commented) onChanged();
+    return commented;
+  };
+
+  const reply = async (text) => {
+    const replied = await comment(text, replyTo);
+    if (replied) setReplyTo(null);
+    return replied;
+  };
+
+  const edit = async (text) => {
+    const edited = await submit(
+      () => updateComment(db, cardPath, editingId, text),
+      t('comments.editError')
+    );
+    if (edited) setEditingId(null);
+    return edited;
+  };
+
+  const remove = async (commentId) => {
+    if (!window.confirm(t('comments.deleteConfirm'))) return;
+    const removed = await submit(() => deleteComment(db, cardPath, commentId), t('comments.deleteError'));
+    if (removed) onChanged();
+  };
+
+  const renderComment = (item, threadId) => (
+    <CommentItem
+      key={item.id}
+      comment={item}
+      onReply={() => setReplyTo(threadId)}
+      onEdit={() => setEditingId(item.id)}
+      onDelete={() => remove(item.id)}
+      isEditing={editingId === item.id}
+      editForm={(
+        <CommentForm
+          label={t('comments.editLabel')}
+          initialText={item.text}
+          submitLabel={t('common.save')}
+          onSubmit={edit}
+          onCancel={() => setEditingId(null)}
+          isSubmitting={isSubmitting}
+        />
+      )}
+    />
+  );
+
+  return (
+    <div className="space-y-3 mt-2">
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {loading && <p className="text-gray-400 text-sm">{t('comments.loading')}</p>}
+      <ul className="space-y-3">
+        {threads.map((thread) => (
+          <li key={thread.id} className="space-y-2">
+            <ul className="space-y-2">
+              {thread.comment
+                ? renderComment(thread.comment, thread.id)
+                : <li className="text-gray-500 text-xs italic px-3">{t('comments.deleted')}</li>}
+            </ul>
+            {thread.replies.length > 0 && (
+              <ul className="ml-6 space-y-2 border-l-2 border-gray-600 pl-3">
+                {thread.replies.map((item) => renderComment(item, thread.id))}
+              </ul>
+            )}
+            {replyTo === thread.id && (
+              <div className="ml-6">
+                <CommentForm
+                  label={thread.comment
+                    ? t('comments.replyTo', { name: getAuthorName(thread.comment.addedBy, thread.comment.addedByName) })
+                    : t('comments.replyToDeleted')}
+                  submitLabel={t('comments.sendReply')}
+                  onSubmit={reply}
+                  onCancel={() => setReplyTo(null)}
+                  isSubmitting={isSubmitting}
+                />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      <CommentForm
+        label={t('comments.newLabel')} submitLabel={t('comments.comment')} onSubmit={(text) => comment(text)} isSubmitting={isSubmitting}
+      />
+    </div>
+  );
+}
+
+/**
+ * @param {{ cardPath: string, card: { reactions?: Object<string, string[]>, commentCount?: number },
+ *   onChanged?: () => void }} props
+ */
+function CardConversation({ cardPath, card, onChanged = () => {} }) {
+  const { db, userId, getAuthorName } = useContext(FirebaseContext);
+  const { t, formatList } = useI18n();
+  const { run, queue, error } = useMutation();
+  const [isOpen, setIsOpen] = useState(false);
+  const reactions = groupReactions(card.reactions);
+  const commentCount = Math.max(0, card.commentCount || 0);
+
+  const react = async (reaction, active) => {
+    const message = t('reactions.error');
+    if (await run(() => queue(toggleReaction(db, cardPath, reaction.id, userId, active), message), message)) onChanged();
+  };
+
+  return (
+    <div className="w-full mt-3 pt-2 border-t border-gray-600">
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <div className="flex flex-wrap items-center gap-1">
+        {reactions.map((reaction) => {
+          const active = reaction.uids.includes(userId);
+          const names = formatList(reaction.uids.map((uid) => getAuthorName(uid)));
+          const label = t(`reactions.${reaction.id}`);
+          return (
+            <button
+              key={reaction.id}
+              type="button"
+              onClick={() => react(reaction, active)}
+              aria-pressed={active}
+              aria-label={names ? `${label} (${names})` : label}
+              title={names ? `${label}: ${names}` : label}
+              className={`px-2 py-0.5 rounded-full text-sm transition ${
+                active ? 'bg-purple-700 ring-1 ring-purple-300' : reaction.uids.length > 0 ? 'bg-gray-600' : 'opacity-50 hover:opacity-100 hover:bg-gray-600'
+              }`}
+            >
+              {reaction.emoji}
+              {reaction.uids.length > 0 && <span className="ml-1 text-xs text-gray-200">{reaction.uids.length}</span>}
+            </button>
+          );
+        })}
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+          className="ml-auto text-sm text-purple-300 hover:text-purple-200 transition"
+        >
+          💬 {commentCount > 0 ? t('comments.count', { count: commentCount }) : t('comments.comment')}
+        </button>
+      </div>
+      {isOpen && <CommentThreads cardPath={cardPath} onChanged={onChanged} />}
+    </div>
+  );
+}
+
+export default CardConversation;
@@ -0,0 +1,114 @@
+import React from 'react';
+import { ENVIRONMENTS, REQUIRED_FIREBASE_KEYS, RUNTIME_CONFIG_PATH } from '../config';
+import { useI18n } from '../i18n';
+import { getAppRootUrl } from '../utils/routes';
+
+// --- Config Diagnostics ---
+// Ecrã mostrado quando a configuração do Firebase falta ou é inválida, e em /diagnostico em qualquer altura.
+// Mostra de onde a configuração foi lida e que chaves existem, mas nunca os valores das chaves.
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-4 py-1 border-b border-gray-700 last:border-0">
+    <dt className="text-gray-400">{label}</dt>
+    <dd className="text-gray-100 font-mono text-sm text-right break-all">{children}</dd>
+  </div>
+);
+
+// Os {nomes} que ficam por preencher na mensagem traduzida são código (variáveis, ficheiros, JSON)
+const withCode = (message, code) => message.split(/\{(\w+)\}/).map((part, index) => (
+  index % 2 === 1 ? <code key={index}>{code[part]}</code> : part
+));
+
+function ConfigDiagnostics({ result, serviceErrors = [] }) {
+  const { t } = useI18n();
+  const candidate = result.candidate || {};
+  const firebase = candidate.firebase || {};
+  const isValid = Boolean(result.config);
+  const problems = [...result.problems, ...serviceErrors].map((problem) => t(problem.key, problem.params));
+  const sourceLabel = (source) => t(`diagnostics.sources.${source}`, { path: RUNTIME_CONFIG_PATH });
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-gray-100 font-sans p-4 sm:p-8">
+      <main className="max-w-2xl mx-auto bg-gray-800 rounded-3xl shadow-xl p-6 sm:p-8 space-y-6">
+        <h1 className="text-2xl font-bold text-purple-300">{t('diagnostics.title')}</h1>
+        {isValid && serviceErrors.length === 0 ? (
+          <p className="text-green-400">{t('diagnostics.valid')}</p>
+        ) : (
+          <p className="text-red-400" role="alert">
+            {isValid ? t('diagnostics.servicesFailed') : t('diagnostics.invalid')}
+          </p>
+        )}
+
+        {problems.length > 0 && (
+          <section>
+            <h2 className="text-lg font-semibold text-gray-200 mb-2">{t('diagnostics.problemsTitle')}</h2>
+            <ul className="list-disc list-inside space-y-1 text-red-300 text-sm">
+              {problems.map((problem) => <li key={problem}>{problem}</li>)}
+            </ul>
+          </section>
+        )}
+
+        <section>
+          <h2 className="text-lg font-semibold text-gray-200 mb-2">{t('diagnostics.readTitle')}</h2>
+          <dl>
+            <Row label={t('diagnostics.environment')}>
+              {ENVIRONMENTS.includes(candidate.environment)
+                ? t(`diagnostics.environments.${candidate.environment}`)
+                : candidate.environment || '—'}
+            </Row>
+            <Row label={t('diagnostics.source')}>{candidate.source ? sourceLabel(candidate.source) : t('diagnostics.noSource')}</Row>
+            <Row label={t('diagnostics.project')}>{firebase.projectId || '—'}</Row>
+            <Row label={t('diagnostics.appId')}>{candidate.appId || '—'}</Row>
+            {candidate.emulatorHost && <Row label={t('diagnostics.emulators')}>{candidate.emulatorHost}</Row>}
+            <Row label={t('diagnostics.push')}>
+              {candidate.vapidKey && firebase.messagingSenderId ? t('diagnostics.pushConfigured') : t('diagnostics.pushLocalOnly')}
+            </Row>
+          </dl>
+        </section>
+
+        <section>
+          <h2 className="text-lg font-semibold text-gray-200 mb-2">{t('diagnostics.requiredKeys')}</h2>
+          <ul className="grid grid-cols-2 gap-1 text-sm" aria-label={t('diagnostics.requiredKeys')}>
+            {REQUIRED_FIREBASE_KEYS.map((key) => (
+              <li key={key} className={`font-mono ${firebase[key] ? 'text-green-400' : 'text-red-400'}`}>
+                {firebase[key] ? '✓' : '✗'} {key}
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section>
+          <h2 className="text-lg font-semibold text-gray-200 mb-2">{t('diagnostics.sourcesTitle')}</h2>
+          <ol className="list-decimal list-inside text-sm text-gray-300 space-y-1" aria-label={t('diagnostics.sourcesTitle')}>
+            {result.sources.map((source) => <li key={source}>{sourceLabel(source)}</li>)}
+          </ol>
+        </section>
+
+        <section className="text-sm text-gray-400 space-y-1">
+          <h2 className="text-lg font-semibold text-gray-200 mb-2">{t('diagnostics.howToFix')}</h2>
+          <p>{withCode(t('diagnostics.fixEnv'), { variables: 'REACT_APP_FIREBASE_*' })}</p>
+          <p>
+            {withCode(t('diagnostics.fixRuntime'), {
+              path: RUNTIME_CONFIG_PATH, example: '{ "environment": "prod", "firebase": { ... } }',
+            })}
+          </p>
+          <p>
+            {withCode(t('diagnostics.fixEmulators'), { variable: 'REACT_APP_FIREBASE_EMULATOR_HOST=localhost' })}
+            {' '}
+            {withCode(t('diagnostics.fixEnvironments', { environments: ENVIRONMENTS.join(', ') }), {
+              variable: 'REACT_APP_ENVIRONMENT',
+            })}
+          </p>
+        </section>
+
+        {isValid && (
+          <a href={getAppRootUrl()} className="inline-block px-4 py-2 rounded-full bg-purple-600 text-white hover:bg-purple-700 transition">
+            {t('diagnostics.backToApp')}
+          </a>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default ConfigDiagnostics;
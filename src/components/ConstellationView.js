@@ -0,0 +1,359 @@
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { DEFAULT_MOMENT_TYPES, findMomentType, getMomentTypeHex, getMomentTypeName } from '../data/momentTypes';
+import { getCardAuthorId } from '../data/authorship';
+import AttachmentGallery from './AttachmentGallery';
+import TagList from './TagList';
+import { useI18n } from '../i18n';
+
+// --- Constellation View ---
+// Desenha os momentos como estrelas num céu em SVG, por ordem cronológica (da esquerda para a direita),
+// ligadas por linhas. Suporta arrastar/zoom (rato, roda e toque) e abre o momento ao passar/tocar.
+// Momentos que chegam pelo onSnapshot depois de a vista abrir entram com uma animação.
+
+const SKY_HEIGHT = 380;
+const STEP_X = 90;
+const PADDING = 60;
+const MIN_ZOOM = 0.3;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.2;
+// Distância (px) a partir da qual um gesto conta como arrastar e não como clique
+const DRAG_THRESHOLD = 5;
+
+// Hash estável do id, para cada estrela manter a sua posição quando chegam novos momentos
+const hashId = (id) => {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+};
+
+// Ordem cronológica pela data em que o momento aconteceu; sem data (escrita antiga pendente) = mais recente
+const getMomentTime = (moment) => (moment.date ? moment.date.seconds : Infinity);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const layoutStars = (moments) => moments
+  .slice()
+  .sort((a, b) => getMomentTime(a) - getMomentTime(b))
+  .map((moment, index) => ({
+    moment,
+    x: PADDING + index * STEP_X,
+    y: SKY_HEIGHT / 2 + Math.sin(index * 1.3) * 90 + ((hashId(moment.id) % 60) - 30),
+  }));
+
+// Estrelas de fundo, fixas
+const BACKGROUND_STARS = Array.from({ length: 80 }, (_, i) => ({
+  x: (i * 137.5) % 1000,
+  y: (i * 97.3) % SKY_HEIGHT,
+  r: (i % 3) * 0.4 + 0.4,
+}));
+
+const starPoints = (outer, inner) => Array.from({ length: 10 }, (_, i) => {
+  const radius = i % 2 === 0 ? outer : inner;
+  const angle = (Math.PI / 5) * i - Math.PI / 2;
+  return `${(Math.cos(angle) * radius).toFixed(2)},${(Math.sin(angle) * radius).toFixed(2)}`;
+}).join(' ');
+
+const STAR_POINTS = starPoints(11, 4.5);
+
+// Os três tipos originais têm forma própria; os tipos criados pelo casal são um círculo na sua cor
+function MomentGlyph({ type }) {
+  const color = getMomentTypeHex(type);
+  switch (type.id) {
+    case 'star':
+      return <polygon points={STAR_POINTS} fill={color} filter="url(#constellation-glow)" />;
+    case 'cloud':
+      return (
+        <g fill={color} filter="url(#constellation-glow)">
+          <circle cx="-6" cy="2" r="6" />
+          <circle cx="1" cy="-3" r="7" />
+          <circle cx="7" cy="2" r="5" />
+        </g>
+      );
+    case 'milestone':
+      return <polygon points="0,-11 9,0 0,11 -9,0" fill={color} filter="url(#constellation-glow)" />;
+    default:
+      return <circle r="6" fill={color} filter="url(#constellation-glow)" />;
+  }
+}
+
+function ConstellationView({ moments, types = DEFAULT_MOMENT_TYPES }) {
+  const { getAuthorName } = useContext(FirebaseContext);
+  const { t, formatMomentDate, formatTimestamp } = useI18n();
+  const svgRef = useRef(null);
+  const [transform, setTransform] = useState({ x: 0, y: 0, k: 1 });
+  const [hoveredId, setHoveredId] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [newIds, setNewIds] = useState(() => new Set());
+  const knownIdsRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+
+  const stars = layoutStars(moments);
+  const skyWidth = Math.max(PADDING * 2 + (stars.length - 1) * STEP_X, 600);
+  const selected = stars.find((star) => star.moment.id === selectedId);
+
+  // Começa com os momentos mais recentes (à direita) à vista
+  useEffect(() => {
+    const containerWidth = svgRef.current ? svgRef.current.clientWidth : 0;
+    if (containerWidth > 0 && skyWidth > containerWidth) {
+      setTransform({ x: containerWidth - skyWidth, y: 0, k: 1 });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Marca os momentos que chegam depois da primeira renderização para os animar
+  useEffect(() => {
+    const ids = moments.map((moment) => moment.id);
+    if (knownIdsRef.current === null) {
+      knownIdsRef.current = new Set(ids);
+      return;
+    }
+    const added = ids.filter((id) => !knownIdsRef.current.has(id));
+    ids.forEach((id) => knownIdsRef.current.add(id));
+    if (added.length > 0) {
+      setNewIds((previous) => new Set([...previous, ...added]));
+    }
+  }, [moments]);
+
+  const zoomAt = (px, py, factor) => {
+    setTransform((t) => {
+      const k = clamp(t.k * factor, MIN_ZOOM, MAX_ZOOM);
+      const ratio = k / t.k;
+      return { k, x: px - (px - t.x) * ratio, y: py - (py - t.y) * ratio };
+    });
+  };
+
+  const zoomAtCenter = (factor) => {
+    const svg = svgRef.current;
+    zoomAt(svg ? svg.clientWidth / 2 : 0, SKY_HEIGHT / 2, factor);
+  };
+
+  // A roda do rato precisa de um listener não-passivo para impedir o scroll da página
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      zoomAt(e.clientX - rect.left, e.clientY - rect.top, e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const pointerDistance = () => {
+    const [a, b] = Array.from(pointersRef.current.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  const handlePointerDown = (e) => {
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    gestureRef.current = {
+      startX: e.clientX,
+      startY: e.clientY,
+      startTransform: transform,
+      startDistance: pointersRef.current.size === 2 ? pointerDistance() : null,
+      moved: false,
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointersRef.current.has(e.pointerId) || !gestureRef.current) return;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const gesture = gestureRef.current;
+
+    if (pointersRef.current.size === 2 && gesture.startDistance) {
+      // Pinça com dois dedos
+      gesture.moved = true;
+      const rect = svgRef.current.getBoundingClientRect();
+      const [a, b] = Array.from(pointersRef.current.values());
+      const factor = pointerDistance() / gesture.startDistance;
+      const k = clamp(gesture.startTransform.k * factor, MIN_ZOOM, MAX_ZOOM);
+      const px = (a.x + b.x) / 2 - rect.left;
+      const py = (a.y + b.y) / 2 - rect.top;
+      const ratio = k / gesture.startTransform.k;
+      setTransform({
+        k,
+        x: px - (px - gesture.startTransform.x) * ratio,
+        y: py - (py - gesture.startTransform.y) * ratio,
+      });
+      return;
+    }
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+    if (!gesture.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    gesture.moved = true;
+    setTransform({ ...gesture.startTransform, x: gesture.startTransform.x + dx, y: gesture.startTransform.y + dy });
+  };
+
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    if (pointersRef.current.size === 0) {
+      // Mantém o gesto até ao clique, para distinguir arrastar de tocar numa estrela
+      setTimeout(() => { gestureRef.current = null; }, 0);
+    }
+  };
+
+  const openMoment = (id) => {
+    if (gestureRef.current && gestureRef.current.moved) return;
+    setSelectedId(id === selectedId ? null : id);
+  };
+
+  if (moments.length === 0) {
+    return <p className="text-center text-gray-400 mt-8">{t('constellation.empty')}</p>;
+  }
+
+  return (
+    <div className="mt-8 space-y-4">
+      <div className="relative">
+        <svg
+          ref={svgRef}
+          width="100%"
+          height={SKY_HEIGHT}
+          className="bg-gray-900 rounded-2xl cursor-grab touch-none select-none"
+          role="img"
+          aria-label={t('constellation.label')}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          <defs>
+            <filter id="constellation-glow" x="-100%" y="-100%" width="300%" height="300%">
+              <feGaussianBlur stdDeviation="2.5" result="blur" />
+              <feMerge>
+                <feMergeNode in="blur" />
+                <feMergeNode in="SourceGraphic" />
+              </feMerge>
+            </filter>
+          </defs>
+          <g transform={`translate(${transform.x} ${transform.y}) scale(${transform.k})`}>
+            {BACKGROUND_STARS.map((dot, i) => (
+              <circle key={i} cx={dot.x * (skyWidth / 1000)} cy={dot.y} r={dot.r} fill="#ffffff" opacity="0.35" />
+            ))}
+            {stars.slice(1).map((star, i) => {
+              const previous = stars[i];
+              return (
+                <line
+                  key={`${previous.moment.id}-${star.moment.id}`}
+                  x1={previous.x}
+                  y1={previous.y}
+                  x2={star.x}
+                  y2={star.y}
+                  pathLength="1"
+                  stroke="#a78bfa"
+                  strokeOpacity="0.5"
+                  strokeWidth="1.5"
+                  className={newIds.has(star.moment.id) ? 'constellation-line-new' : undefined}
+                />
+              );
+            })}
+            {stars.map(({ moment, x, y }) => {
+              const isActive = hoveredId === moment.id || selectedId === moment.id;
+              return (
+                <g
+                  key={moment.id}
+                  transform={`translate(${x} ${y})`}
+                  className="cursor-pointer"
+                  role="button"
+                  tabIndex="0"
+                  aria-label={moment.title}
+                  onMouseEnter={() => setHoveredId(moment.id)}
+                  onMouseLeave={() => setHoveredId(null)}
+                  onClick={() => openMoment(moment.id)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault();
+                      openMoment(moment.id);
+                    }
+                  }}
+                >
+                  <g className={newIds.has(moment.id) ? 'constellation-star-new' : undefined}>
+                    <g transform={isActive ? 'scale(1.4)' : undefined}>
+                      <MomentGlyph type={findMomentType(types, moment.type)} />
+                    </g>
+                  </g>
+                  {isActive && (
+                    <text y="-20" textAnchor="middle" fill="#e5e7eb" fontSize="12">
+                      {moment.title}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+        <div className="absolute top-2 right-2 flex space-x-1">
+          <button
+            type="button"
+            onClick={() => zoomAtCenter(ZOOM_STEP)}
+            className="w-8 h-8 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition"
+            title={t('constellation.zoomIn')}
+          >
+            +
+          </button>
+          <button
+            type="button"
+            onClick={() => zoomAtCenter(1 / ZOOM_STEP)}
+            className="w-8 h-8 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition"
+            title={t('constellation.zoomOut')}
+          >
+            −
+          </button>
+          <button
+            type="button"
+            onClick={() => setTransform({ x: 0, y: 0, k: 1 })}
+            className="h-8 px-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-sm transition"
+            title={t('constellation.reset')}
+          >
+            ⟲
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap justify-center gap-x-4 gap-y-1 text-xs text-gray-400">
+        {types.map((type) => (
+          <span key={type.id}>{type.emoji} {getMomentTypeName(type, t)}</span>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="bg-gray-700 p-4 rounded-xl shadow-md">
+          <div className="flex items-start">
+            <span className="text-2xl mr-3">{findMomentType(types, selected.moment.type).emoji}</span>
+            <div className="flex-1">
+              <h4 className="text-xl font-semibold text-gray-100">{selected.moment.title}</h4>
+              <p className="text-purple-300 text-sm">📅 {formatMomentDate(selected.moment)}</p>
+              {selected.moment.description && (
+                <p className="text-gray-300 text-sm mt-1">{selected.moment.description}</p>
+              )}
+              <TagList tags={selected.moment.tags} />
+              <AttachmentGallery attachments={selected.moment.attachments} />
+              <p className="text-gray-400 text-xs mt-2">
+                {t('moments.addedBy', {
+                  name: getAuthorName(getCardAuthorId(selected.moment), selected.moment.addedByName),
+                  date: formatTimestamp(selected.moment.createdAt || selected.moment.date),
+                })}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => setSelectedId(null)}
+              className="text-gray-400 hover:text-gray-200 transition ml-4"
+              title={t('constellation.close')}
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ConstellationView;
@@ -0,0 +1,71 @@
+import React, { useContext, useEffect, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useI18n } from '../i18n';
+import { START_ANNIVERSARY_ID, getCoupleNames, getUpcomingDates } from '../data/couple';
+import { getCalendarDiff, toDate } from '../utils/dates';
+
+// --- Couple Header ---
+// Subtítulo do cabeçalho com os nomes do casal, há quanto tempo estão juntos e a contagem decrescente
+// para o próximo aniversário e o próximo encontro planeado (ver data/couple.js).
+
+// Atualiza a cada minuto, para os contadores mudarem à meia-noite sem recarregar a página
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const useNow = () => {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+};
+
+function Countdown({ icon, upcoming }) {
+  const { t } = useI18n();
+  const title = upcoming.id === START_ANNIVERSARY_ID
+    ? t('couple.startAnniversary', { count: upcoming.years })
+    : upcoming.title;
+  return (
+    <p className="text-sm text-gray-400">
+      <span className="mr-1" aria-hidden="true">{icon}</span>
+      {upcoming.daysLeft === 0
+        ? t('couple.today', { title })
+        : t('couple.countdown', { count: upcoming.daysLeft, title })}
+    </p>
+  );
+}
+
+function CoupleHeader() {
+  const { activeSpace, profiles } = useContext(FirebaseContext);
+  const { t, formatList } = useI18n();
+  const now = useNow();
+
+  const names = activeSpace ? getCoupleNames(activeSpace, profiles) : [];
+  const startDate = activeSpace ? toDate(activeSpace.startDate) : null;
+  const together = startDate ? getCalendarDiff(startDate, now) : null;
+  const { anniversary, meeting } = activeSpace ? getUpcomingDates(activeSpace, now) : {};
+
+  const duration = together && formatList(
+    ['years', 'months', 'days']
+      .filter((unit) => together[unit] > 0)
+      .map((unit) => t(`couple.${unit}`, { count: together[unit] }))
+  );
+
+  return (
+    <>
+      <p className="text-lg sm:text-xl text-gray-300">
+        {names.length > 0 ? t('app.subtitle', { names: formatList(names) }) : t('app.subtitleWithoutNames')}
+      </p>
+      {together && (
+        <p className="text-purple-300 mt-1">
+          <span className="mr-1" aria-hidden="true">💜</span>
+          {duration ? t('couple.together', { duration }) : t('couple.togetherToday')}
+        </p>
+      )}
+      {anniversary && <Countdown icon="🎂" upcoming={anniversary} />}
+      {meeting && <Countdown icon="✈️" upcoming={meeting} />}
+    </>
+  );
+}
+
+export default CoupleHeader;
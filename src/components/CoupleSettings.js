@@ -0,0 +1,190 @@
+import React, { useContext, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useI18n } from '../i18n';
+import { useMutation } from '../data/hooks';
+import {
+  ANNIVERSARY_REPEATS, MAX_ANNIVERSARIES, MAX_PARTNER_NAME_LENGTH, saveCoupleSettings,
+} from '../data/couple';
+import { fromDateInputValues, toDate, toDateInputValue } from '../utils/dates';
+
+// --- Couple Settings ---
+// Formulário dos dados do casal no espaço ativo: os dois nomes, o dia em que começaram,
+// aniversários e encontros planeados. Os contadores aparecem no cabeçalho (ver CoupleHeader).
+
+const newDateId = () => Math.random().toString(36).slice(2, 10);
+
+const toInputValue = (timestamp) => {
+  const date = toDate(timestamp);
+  return date ? toDateInputValue(date) : '';
+};
+
+const toForm = (space) => ({
+  partnerNames: [0, 1].map((index) => (space.partnerNames && space.partnerNames[index]) || ''),
+  startDate: toInputValue(space.startDate),
+  anniversaries: (space.anniversaries || []).map((anniversary) => ({ ...anniversary, date: toInputValue(anniversary.date) })),
+});
+
+function CoupleSettings({ onDone }) {
+  const { db, spacePath, activeSpace, profiles } = useContext(FirebaseContext);
+  const { t } = useI18n();
+  const { run, queue, isSubmitting, error } = useMutation();
+  const [form, setForm] = useState(() => toForm(activeSpace));
+  const [formError, setFormError] = useState(null);
+
+  // Um nome em branco mostra o nome do perfil do membro nessa posição, o mesmo que aparece no cabeçalho
+  const profileNames = activeSpace.members.map((uid) => (profiles[uid] && profiles[uid].displayName) || '');
+
+  const setField = (field) => (value) => setForm((current) => ({ ...current, [field]: value }));
+  const setPartnerName = (index, name) => setField('partnerNames')(form.partnerNames.map((current, i) => (i === index ? name : current)));
+  const setAnniversary = (id, changes) => setField('anniversaries')(
+    form.anniversaries.map((anniversary) => (anniversary.id === id ? { ...anniversary, ...changes } : anniversary))
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+    const startDate = fromDateInputValues(form.startDate);
+    if (startDate && startDate > new Date()) return setFormError(t('couple.futureStartDate'));
+    const anniversaries = form.anniversaries.map((anniversary) => ({ ...anniversary, date: fromDateInputValues(anniversary.date) }));
+    if (anniversaries.some(({ title, date }) => !title.trim() || !date)) return setFormError(t('couple.incompleteDate'));
+    setFormError(null);
+    const saved = await run(
+      () => queue(saveCoupleSettings(db, spacePath, { ...form, startDate, anniversaries }), t('couple.saveError')),
+      t('couple.saveError')
+    );
+    if (saved) onDone();
+    return undefined;
+  };
+
+  const inputClass = 'w-full p-2 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 focus:ring-2 focus:ring-purple-500 outline-none';
+  const labelClass = 'block text-gray-300 text-sm font-medium mb-1';
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-700 p-6 rounded-2xl shadow-inner space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-semibold text-purple-300">{t('couple.title')}</h2>
+        <button type="button" onClick={onDone} className="text-gray-400 hover:text-gray-200 transition" title={t('couple.close')}>
+          ✕
+        </button>
+      </div>
+      <p className="text-sm text-gray-400">{t('couple.intro')}</p>
+      {(formError || error) && <p className="text-red-400 text-sm">{formError || error}</p>}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {form.partnerNames.map((name, index) => (
+          <div key={index}>
+            <label htmlFor={`couple-partner-${index}`} className={labelClass}>{t('couple.partnerName', { number: index + 1 })}</label>
+            <input
+              id={`couple-partner-${index}`}
+              type="text"
+              value={name}
+              onChange={(e) => setPartnerName(index, e.target.value)}
+              placeholder={profileNames[index] || ''}
+              maxLength={MAX_PARTNER_NAME_LENGTH}
+              className={inputClass}
+              disabled={isSubmitting}
+            />
+          </div>
+        ))}
+      </div>
+      <div>
+        <label htmlFor="couple-start-date" className={labelClass}>{t('couple.startDate')}</label>
+        <input
+          id="couple-start-date"
+          type="date"
+          value={form.startDate}
+          onChange={(e) => setField('startDate')(e.target.value)}
+          className={inputClass}
+          disabled={isSubmitting}
+        />
+      </div>
+
+      <fieldset className="space-y-3">
+        <legend className={labelClass}>{t('couple.dates')}</legend>
+        <p className="text-xs text-gray-400">{t('couple.datesHint')}</p>
+        {form.anniversaries.map((anniversary, index) => (
+          <div key={anniversary.id} className="grid grid-cols-1 sm:grid-cols-[1fr_auto_auto_auto] gap-2 items-end bg-gray-800 rounded-lg p-3">
+            <div>
+              <label htmlFor={`couple-date-title-${anniversary.id}`} className={labelClass}>{t('couple.dateTitle')}</label>
+              <input
+                id={`couple-date-title-${anniversary.id}`}
+                type="text"
+                value={anniversary.title}
+                onChange={(e) => setAnniversary(anniversary.id, { title: e.target.value })}
+                placeholder={index === 0 ? t('couple.dateTitlePlaceholder') : ''}
+                maxLength={80}
+                className={inputClass}
+                disabled={isSubmitting}
+              />
+            </div>
+            <div>
+              <label htmlFor={`couple-date-day-${anniversary.id}`} className={labelClass}>{t('couple.date')}</label>
+              <input
+                id={`couple-date-day-${anniversary.id}`}
+                type="date"
+                value={anniversary.date}
+                onChange={(e) => setAnniversary(anniversary.id, { date: e.target.value })}
+                className={inputClass}
+                disabled={isSubmitting}
+              />
+            </div>
+            <div>
+              <label htmlFor={`couple-date-repeats-${anniversary.id}`} className={labelClass}>{t('couple.repeats')}</label>
+              <select
+                id={`couple-date-repeats-${anniversary.id}`}
+                value={anniversary.repeats}
+                onChange={(e) => setAnniversary(anniversary.id, { repeats: e.target.value })}
+                className={inputClass}
+                disabled={isSubmitting}
+              >
+                {ANNIVERSARY_REPEATS.map((repeats) => (
+                  <option key={repeats} value={repeats}>{t(`couple.repeatOptions.${repeats}`)}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              type="button"
+              onClick={() => setField('anniversaries')(form.anniversaries.filter(({ id }) => id !== anniversary.id))}
+              className="px-3 py-2 text-red-400 hover:text-red-300 transition"
+              title={t('couple.removeDate')}
+              aria-label={t('couple.removeDate')}
+              disabled={isSubmitting}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        {form.anniversaries.length < MAX_ANNIVERSARIES && (
+          <button
+            type="button"
+            onClick={() => setField('anniversaries')([...form.anniversaries, { id: newDateId(), title: '', date: '', repeats: 'yearly' }])}
+            className="text-blue-400 hover:text-blue-300 text-sm transition"
+            disabled={isSubmitting}
+          >
+            {t('couple.addDate')}
+          </button>
+        )}
+      </fieldset>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-gray-100 rounded-lg transition"
+          disabled={isSubmitting}
+        >
+          {t('common.cancel')}
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white font-semibold rounded-lg transition disabled:opacity-50"
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? t('common.saving') : t('common.save')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default CoupleSettings;
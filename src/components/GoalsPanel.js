@@ -0,0 +1,521 @@
+import React, { useContext, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useCollection, useMutation } from '../data/hooks';
+import {
+  GOAL_PROGRESS_KINDS, MAX_GOAL_STEPS, addGoal, completeGoal, deleteGoal, getGoalProgress, getGoalsPath,
+  updateGoal, updateGoalProgress,
+} from '../data/goals';
+import { useI18n } from '../i18n';
+import { fromDateInputValues, toDate, toDateInputValue } from '../utils/dates';
+
+// --- Goals Panel ---
+// Objetivos partilhados do "Nosso Propósito": responsáveis, data alvo, estado e progresso
+// (passos marcados ou um valor a atingir). Concluir pode registar o objetivo na jornada como um marco ✅.
+
+const STATUS_ORDER = { active: 0, paused: 1, done: 2 };
+
+const STATUS_BADGE_CLASSES = {
+  active: 'bg-purple-900 text-purple-200',
+  paused: 'bg-gray-600 text-gray-200',
+  done: 'bg-green-900 text-green-200',
+};
+
+const newStepId = () => Math.random().toString(36).slice(2, 10);
+
+const formatAmount = (value, unit, formatNumber) => `${formatNumber(Number(value || 0))}${unit ? ` ${unit}` : ''}`;
+
+// Em curso primeiro, depois em pausa e concluídos; dentro de cada estado, a data alvo mais próxima primeiro
+const compareGoals = (a, b) => {
+  if (a.status !== b.status) return STATUS_ORDER[a.status] - STATUS_ORDER[b.status];
+  const left = toDate(a.targetDate);
+  const right = toDate(b.targetDate);
+  if (!left || !right) return (left ? 0 : 1) - (right ? 0 : 1);
+  return left - right;
+};
+
+const toForm = (goal, userId) => ({
+  title: goal ? goal.title : '',
+  description: goal ? goal.description || '' : '',
+  owners: goal ? goal.owners : [userId],
+  targetDate: goal && goal.targetDate ? toDateInputValue(toDate(goal.targetDate)) : '',
+  progressKind: goal ? goal.progressKind : 'none',
+  steps: goal && goal.steps.length > 0 ? goal.steps : [{ id: newStepId(), text: '', done: false }],
+  targetAmount: goal && goal.targetAmount ? String(goal.targetAmount) : '',
+  currentAmount: goal && goal.currentAmount ? String(goal.currentAmount) : '',
+  unit: goal ? goal.unit || '' : '',
+});
+
+function GoalForm({ goal, members, onSubmit, onCancel, isSubmitting }) {
+  const { userId, getAuthorName } = useContext(FirebaseContext);
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => toForm(goal, userId));
+  const [formError, setFormError] = useState(null);
+  const idPrefix = goal ? `goal-${goal.id}` : 'goal-new';
+
+  const setField = (field) => (value) => setForm((current) => ({ ...current, [field]: value }));
+  const setStep = (stepId, text) => setField('steps')(form.steps.map((step) => (step.id === stepId ? { ...step, text } : step)));
+  const toggleOwner = (uid) => setField('owners')(
+    form.owners.includes(uid) ? form.owners.filter((owner) => owner !== uid) : [...form.owners, uid]
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) return setFormError(t('goals.errors.title'));
+    if (form.owners.length === 0) return setFormError(t('goals.errors.owners'));
+    if (form.progressKind === 'amount' && !(Number(form.targetAmount) > 0)) {
+      return setFormError(t('goals.errors.targetAmount'));
+    }
+    if (form.progressKind === 'amount' && !(Number(form.currentAmount || 0) >= 0)) {
+      return setFormError(t('goals.errors.currentAmount'));
+    }
+    setFormError(null);
+    return onSubmit({ ...form, targetDate: fromDateInputValues(form.targetDate) });
+  };
+
+  const inputClass = 'w-full p-2 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 focus:ring-2 focus:ring-purple-500 outline-none';
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg p-4 space-y-3">
+      {formError && <p className="text-red-400 text-sm">{formError}</p>}
+      <div>
+        <label htmlFor={`${idPrefix}-title`} className="block text-gray-300 text-sm font-medium mb-1">{t('goals.goal')}</label>
+        <input
+          id={`${idPrefix}-title`}
+          type="text"
+          value={form.title}
+          onChange={(e) => setField('title')(e.target.value)}
+          placeholder={t('goals.goalPlaceholder')}
+          maxLength={200}
+          className={inputClass}
+          disabled={isSubmitting}
+        />
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-description`} className="block text-gray-300 text-sm font-medium mb-1">{t('goals.description')}</label>
+        <textarea
+          id={`${idPrefix}-description`}
+          value={form.description}
+          onChange={(e) => setField('description')(e.target.value)}
+          rows="2"
+          className={`${inputClass} resize-y`}
+          disabled={isSubmitting}
+        />
+      </div>
+      <fieldset>
+        <legend className="block text-gray-300 text-sm font-medium mb-1">{t('goals.owners')}</legend>
+        <div className="flex flex-wrap gap-4">
+          {members.map((uid) => (
+            <label key={uid} className="flex items-center text-gray-200 text-sm">
+              <input
+                type="checkbox"
+                checked={form.owners.includes(uid)}
+                onChange={() => toggleOwner(uid)}
+                className="mr-2"
+                disabled={isSubmitting}
+              />
+              {getAuthorName(uid)}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor={`${idPrefix}-target-date`} className="block text-gray-300 text-sm font-medium mb-1">{t('goals.targetDate')}</label>
+          <input
+            id={`${idPrefix}-target-date`}
+            type="date"
+            value={form.targetDate}
+            onChange={(e) => setField('targetDate')(e.target.value)}
+            className={inputClass}
+            disabled={isSubmitting}
+          />
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-progress-kind`} className="block text-gray-300 text-sm font-medium mb-1">{t('goals.progressKind')}</label>
+          <select
+            id={`${idPrefix}-progress-kind`}
+            value={form.progressKind}
+            onChange={(e) => setField('progressKind')(e.target.value)}
+            className={inputClass}
+            disabled={isSubmitting}
+          >
+            {GOAL_PROGRESS_KINDS.map((kind) => (
+              <option key={kind} value={kind}>{t(`goals.progressKinds.${kind}`)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {form.progressKind === 'checklist' && (
+        <div className="space-y-2">
+          {form.steps.map((step, index) => (
+            <div key={step.id} className="flex gap-2">
+              <input
+                type="text"
+                aria-label={t('goals.step', { number: index + 1 })}
+                value={step.text}
+                onChange={(e) => setStep(step.id, e.target.value)}
+                maxLength={200}
+                className={inputClass}
+                disabled={isSubmitting}
+              />
+              <button
+                type="button"
+                onClick={() => setField('steps')(form.steps.filter(({ id }) => id !== step.id))}
+                className="px-3 text-gray-400 hover:text-red-400 transition"
+                title={t('goals.removeStep', { number: index + 1 })}
+                disabled={isSubmitting}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          {form.steps.length < MAX_GOAL_STEPS && (
+            <button
+              type="button"
+              onClick={() => setField('steps')([...form.steps, { id: newStepId(), text: '', done: false }])}
+              className="text-purple-300 hover:text-purple-200 text-sm transition"
+              disabled={isSubmitting}
+            >
+              {t('goals.addStep')}
+            </button>
+          )}
+        </div>
+      )}
+
+      {form.progressKind === 'amount' && (
+        <div className="grid grid-cols-3 gap-3">
+          <div>
+            <label htmlFor={`${idPrefix}-target-amount`} className="block text-gray-300 text-sm font-medium mb-1">{t('goals.targetAmount')}</label>
+            <input
+              id={`${idPrefix}-target-amount`}
+              type="number"
+              min="0"
+              step="any"
+              value={form.targetAmount}
+              onChange={(e) => setField('targetAmount')(e.target.value)}
+              className={inputClass}
+              disabled={isSubmitting}
+            />
+          </div>
+          <div>
+            <label htmlFor={`${idPrefix}-current-amount`} className="block text-gray-300 text-sm font-medium mb-1">{t('goals.currentAmount')}</label>
+            <input
+              id={`${idPrefix}-current-amount`}
+              type="number"
+              min="0"
+              step="any"
+              value={form.currentAmount}
+              onChange={(e) => setField('currentAmount')(e.target.value)}
+              className={inputClass}
+              disabled={isSubmitting}
+            />
+          </div>
+          <div>
+            <label htmlFor={`${idPrefix}-unit`} className="block text-gray-300 text-sm font-medium mb-1">{t('goals.unit')}</label>
+            <input
+              id={`${idPrefix}-unit`}
+              type="text"
+              value={form.unit}
+              onChange={(e) => setField('unit')(e.target.value)}
+              placeholder="€"
+              maxLength={10}
+              className={inputClass}
+              disabled={isSubmitting}
+            />
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-sm transition"
+          disabled={isSubmitting}
+        >
+          {t('common.cancel')}
+        </button>
+        <button
+          type="submit"
+          className="px-3 py-1 bg-purple-500 hover:bg-purple-600 text-white rounded-lg text-sm transition"
+          disabled={isSubmitting}
+        >
+          {goal ? t('goals.save') : t('goals.create')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function GoalsPanel({ onOpenMoment }) {
+  const { db, userId, userName, spacePath, activeSpace, getAuthorName } = useContext(FirebaseContext);
+  const { t, formatDay, formatList, formatNumber } = useI18n();
+  const { data: goals, loading, error: loadError } = useCollection(getGoalsPath(spacePath), { orderBy: ['createdAt', 'asc'] });
+  const { run, queue, isSubmitting, error: mutationError } = useMutation();
+  const error = mutationError || loadError;
+  const [editingId, setEditingId] = useState(null); // 'new' ou o id do objetivo em edição
+  const [completing, setCompleting] = useState(null); // { goalId, createMilestone }
+  const [amountDrafts, setAmountDrafts] = useState({});
+
+  const members = activeSpace.members || [];
+  const write = (action, message) => run(() => queue(action(), message), message);
+
+  const saveGoal = async (fields) => {
+    const saved = editingId === 'new'
+      ? await write(() => addGoal(db, spacePath, fields, userId), t('goals.createError'))
+      : await write(() => updateGoal(db, spacePath, editingId, fields, userId), t('goals.saveError'));
+    if (saved) setEditingId(null);
+  };
+
+  const changeProgress = (goal, changes) =>
+    write(() => updateGoalProgress(db, spacePath, goal.id, changes, userId), t('goals.updateError'));
+
+  const toggleStep = (goal, stepId) => changeProgress(goal, {
+    steps: goal.steps.map((step) => (step.id === stepId ? { ...step, done: !step.done } : step)),
+  });
+
+  const saveAmount = async (e, goal) => {
+    e.preventDefault();
+    const value = Number(amountDrafts[goal.id]);
+    if (amountDrafts[goal.id] === undefined || !(value >= 0)) return;
+    const saved = await changeProgress(goal, { currentAmount: value });
+    if (saved) setAmountDrafts(({ [goal.id]: _saved, ...rest }) => rest);
+  };
+
+  const confirmCompletion = async (goal) => {
+    const completed = await write(
+      () => completeGoal(db, spacePath, goal, { createMilestone: completing.createMilestone, author: { userId, userName } }),
+      t('goals.completeError')
+    );
+    if (completed) setCompleting(null);
+  };
+
+  const handleDelete = (goal) => {
+    if (!window.confirm(t('goals.deleteConfirm', { title: goal.title }))) return;
+    write(() => deleteGoal(db, spacePath, goal.id), t('goals.deleteError'));
+  };
+
+  const smallButton = 'px-3 py-1 rounded-lg text-sm transition disabled:opacity-50';
+
+  return (
+    <section className="bg-gray-700 p-6 rounded-2xl shadow-inner space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-semibold text-gray-200">{t('goals.title')}</h3>
+        {editingId !== 'new' && (
+          <button
+            type="button"
+            onClick={() => setEditingId('new')}
+            className={`${smallButton} bg-purple-500 hover:bg-purple-600 text-white`}
+          >
+            {t('goals.new')}
+          </button>
+        )}
+      </div>
+      {error && <p className="text-red-400 text-sm text-center">{error}</p>}
+      {loading && <p className="text-gray-400 text-sm">{t('goals.loading')}</p>}
+      {!loading && goals.length === 0 && editingId !== 'new' && (
+        <p className="text-gray-400 text-sm">{t('goals.empty')}</p>
+      )}
+
+      {editingId === 'new' && (
+        <GoalForm members={members} onSubmit={saveGoal} onCancel={() => setEditingId(null)} isSubmitting={isSubmitting} />
+      )}
+
+      <ul className="space-y-3">
+        {[...goals].sort(compareGoals).map((goal) => {
+          if (editingId === goal.id) {
+            return (
+              <li key={goal.id}>
+                <GoalForm goal={goal} members={members} onSubmit={saveGoal} onCancel={() => setEditingId(null)} isSubmitting={isSubmitting} />
+              </li>
+            );
+          }
+          const progress = getGoalProgress(goal);
+          const targetDate = toDate(goal.targetDate);
+          const isOverdue = goal.status !== 'done' && targetDate && targetDate < new Date();
+          return (
+            <li key={goal.id} className="bg-gray-800 rounded-lg p-4 space-y-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <h4 className="font-semibold text-gray-100 flex-1">{goal.title}</h4>
+                <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_BADGE_CLASSES[goal.status]}`}>
+                  {t(`goals.statuses.${goal.status}`)}
+                </span>
+              </div>
+              <p className="text-gray-400 text-xs">
+                {formatList(goal.owners.map((uid) => getAuthorName(uid)))}
+                {targetDate && (
+                  <span className={isOverdue ? 'text-red-400' : undefined}>
+                    {' · '}{t(isOverdue ? 'goals.overdue' : 'goals.until', { date: formatDay(targetDate) })}
+                  </span>
+                )}
+              </p>
+              {goal.description && <p className="text-gray-300 text-sm whitespace-pre-wrap">{goal.description}</p>}
+
+              {progress !== null && (
+                <div
+                  role="progressbar"
+                  aria-label={t('goals.progress', { title: goal.title })}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={Math.round(progress * 100)}
+                  className="h-2 bg-gray-600 rounded-full overflow-hidden"
+                >
+                  <div className="h-full bg-green-400 transition-all" style={{ width: `${progress * 100}%` }} />
+                </div>
+              )}
+
+              {goal.progressKind === 'checklist' && (
+                <ul className="space-y-1">
+                  {goal.steps.map((step) => (
+                    <li key={step.id}>
+                      <label className={`flex items-center text-sm ${step.done ? 'text-gray-400 line-through' : 'text-gray-200'}`}>
+                        <input
+                          type="checkbox"
+                          checked={step.done}
+                          onChange={() => toggleStep(goal, step.id)}
+                          className="mr-2"
+                          disabled={isSubmitting || goal.status === 'done'}
+                        />
+                        {step.text}
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {goal.progressKind === 'amount' && (
+                <form onSubmit={(e) => saveAmount(e, goal)} className="flex flex-wrap items-center gap-2 text-sm text-gray-200">
+                  <span>
+                    {t('goals.amountOf', {
+                      current: formatAmount(goal.currentAmount, goal.unit, formatNumber),
+                      target: formatAmount(goal.targetAmount, goal.unit, formatNumber),
+                    })}
+                  </span>
+                  {goal.status !== 'done' && (
+                    <>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        aria-label={t('goals.newAmount', { title: goal.title })}
+                        value={amountDrafts[goal.id] === undefined ? '' : amountDrafts[goal.id]}
+                        onChange={(e) => setAmountDrafts((current) => ({ ...current, [goal.id]: e.target.value }))}
+                        placeholder={String(goal.currentAmount || 0)}
+                        className="w-28 p-1 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 outline-none"
+                        disabled={isSubmitting}
+                      />
+                      <button type="submit" className={`${smallButton} bg-gray-600 hover:bg-gray-500 text-white`} disabled={isSubmitting}>
+                        {t('goals.updateAmount')}
+                      </button>
+                    </>
+                  )}
+                </form>
+              )}
+
+              {progress === 1 && goal.status !== 'done' && (
+                <p className="text-green-400 text-sm">{t('goals.reached')}</p>
+              )}
+
+              {completing && completing.goalId === goal.id ? (
+                <div className="bg-gray-700 rounded-lg p-3 space-y-2">
+                  <label className="flex items-center text-sm text-gray-200">
+                    <input
+                      type="checkbox"
+                      checked={completing.createMilestone}
+                      onChange={(e) => setCompleting({ ...completing, createMilestone: e.target.checked })}
+                      className="mr-2"
+                      disabled={isSubmitting}
+                    />
+                    {t('goals.createMilestone')}
+                  </label>
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => setCompleting(null)}
+                      className={`${smallButton} bg-gray-600 hover:bg-gray-500 text-white`}
+                      disabled={isSubmitting}
+                    >
+                      {t('common.cancel')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => confirmCompletion(goal)}
+                      className={`${smallButton} bg-green-600 hover:bg-green-500 text-white`}
+                      disabled={isSubmitting}
+                    >
+                      {t('goals.confirmComplete')}
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex flex-wrap justify-end gap-2">
+                  {goal.status === 'done' && goal.milestoneMomentId && onOpenMoment && (
+                    <button
+                      type="button"
+                      onClick={() => onOpenMoment(goal.milestoneMomentId)}
+                      className={`${smallButton} bg-gray-600 hover:bg-gray-500 text-white`}
+                    >
+                      {t('goals.openMilestone')}
+                    </button>
+                  )}
+                  {goal.status === 'done' ? (
+                    <button
+                      type="button"
+                      onClick={() => changeProgress(goal, { status: 'active' })}
+                      className={`${smallButton} bg-gray-600 hover:bg-gray-500 text-white`}
+                      disabled={isSubmitting}
+                    >
+                      {t('goals.reopen')}
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => changeProgress(goal, { status: goal.status === 'paused' ? 'active' : 'paused' })}
+                        className={`${smallButton} bg-gray-600 hover:bg-gray-500 text-white`}
+                        disabled={isSubmitting}
+                      >
+                        {goal.status === 'paused' ? t('goals.resume') : t('goals.pause')}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setCompleting({ goalId: goal.id, createMilestone: !goal.milestoneMomentId })}
+                        className={`${smallButton} bg-green-600 hover:bg-green-500 text-white`}
+                        disabled={isSubmitting}
+                      >
+                        {t('goals.complete')}
+                      </button>
+                    </>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(goal.id)}
+                    className="text-blue-400 hover:text-blue-300 transition"
+                    title={t('goals.edit')}
+                    disabled={isSubmitting}
+                  >
+                    ✏️
+                  </button>
+                  {goal.createdBy === userId && (
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(goal)}
+                      className="text-red-400 hover:text-red-300 transition"
+                      title={t('goals.delete')}
+                      disabled={isSubmitting}
+                    >
+                      🗑️
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+export default GoalsPanel;
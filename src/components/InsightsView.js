@@ -0,0 +1,235 @@
+import React, { useContext, useMemo, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useCollection, useMomentTypes } from '../data/hooks';
+import { getMomentsPath } from '../data/moments';
+import { getJournalPath } from '../data/journal';
+import { findMomentType } from '../data/momentTypes';
+import {
+  CHALLENGE_MOMENT_TYPE, LOW_MOOD_THRESHOLD, MOOD_LEVELS, TREND_PERIODS, buildMoodTrends, getTrendStart, summarizeMood,
+} from '../data/mood';
+import { useI18n } from '../i18n';
+
+// --- Insights View ---
+// Tendências do humor registado no diário: uma linha por pessoa com a média de cada semana ou mês,
+// um resumo da energia, da ansiedade e dos sentimentos mais frequentes, e os períodos em baixo ligados aos
+// momentos de desafio (☁️) da mesma altura. Só entram os registos partilhados: os privados são só de quem os escreve.
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 36, left: 40 };
+const PARTNER_COLORS = ['#c084fc', '#f472b6', '#60a5fa', '#4ade80'];
+
+const AVERAGE_FORMAT = { maximumFractionDigits: 1 };
+
+// Dia e mês do início da semana, ou mês e ano
+const PERIOD_LABEL_FORMATS = {
+  week: { day: '2-digit', month: '2-digit' },
+  month: { month: 'short', year: 'numeric' },
+};
+
+const scoreY = (score) => PADDING.top + ((5 - score) / 4) * (CHART_HEIGHT - PADDING.top - PADDING.bottom);
+
+// Linhas seguidas entre períodos com registos; um período sem registos corta a linha
+const toSegments = (points) => points.reduce((segments, point) => {
+  if (!point) return [...segments, []];
+  segments[segments.length - 1].push(point);
+  return segments;
+}, [[]]).filter((segment) => segment.length > 0);
+
+function MoodChart({ buckets, members, colorOf, getAuthorName, period, labelOf, formatAverage }) {
+  const { t } = useI18n();
+  const stepX = (CHART_WIDTH - PADDING.left - PADDING.right) / Math.max(1, buckets.length - 1);
+  const bucketX = (index) => PADDING.left + index * stepX;
+  const labelEvery = buckets.length > 8 ? 2 : 1;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={t(`insights.chartLabel.${period}`)}
+    >
+      {MOOD_LEVELS.map((level) => (
+        <g key={level.value}>
+          <line
+            x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={scoreY(level.value)} y2={scoreY(level.value)}
+            stroke="#374151" strokeWidth="1"
+          />
+          <text x={PADDING.left - 8} y={scoreY(level.value) + 5} textAnchor="end" fontSize="14">{level.emoji}</text>
+        </g>
+      ))}
+      <line
+        x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={scoreY(LOW_MOOD_THRESHOLD)} y2={scoreY(LOW_MOOD_THRESHOLD)}
+        stroke="#f87171" strokeWidth="1" strokeDasharray="4 4" opacity="0.6"
+      />
+      {buckets.map((bucket, index) => (
+        <g key={bucket.start.getTime()}>
+          {index % labelEvery === 0 && (
+            <text x={bucketX(index)} y={CHART_HEIGHT - 8} textAnchor="middle" fontSize="10" fill="#9ca3af">{labelOf(bucket)}</text>
+          )}
+          {bucket.challenges.length > 0 && (
+            <text x={bucketX(index)} y={CHART_HEIGHT - PADDING.bottom + 14} textAnchor="middle" fontSize="12">
+              ☁️<title>{bucket.challenges.map(({ title }) => title).join(', ')}</title>
+            </text>
+          )}
+        </g>
+      ))}
+      {members.map((uid) => {
+        const color = colorOf(uid);
+        const points = buckets.map((bucket, index) => (
+          bucket.averages[uid] === undefined ? null : { x: bucketX(index), y: scoreY(bucket.averages[uid]), bucket }
+        ));
+        return (
+          <g key={uid}>
+            {toSegments(points).map((segment) => (
+              <polyline
+                key={segment[0].x}
+                points={segment.map(({ x, y }) => `${x},${y}`).join(' ')}
+                fill="none" stroke={color} strokeWidth="2"
+              />
+            ))}
+            {points.filter(Boolean).map(({ x, y, bucket }) => (
+              <circle
+                key={x} cx={x} cy={y} r={bucket.lowUids.includes(uid) ? 5 : 3.5}
+                fill={color} stroke={bucket.lowUids.includes(uid) ? '#f87171' : 'none'} strokeWidth="2"
+              >
+                <title>{`${getAuthorName(uid)}, ${labelOf(bucket)}: ${formatAverage(bucket.averages[uid])}`}</title>
+              </circle>
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function InsightsView({ onOpenMoment }) {
+  const { spacePath, activeSpace, getAuthorName } = useContext(FirebaseContext);
+  const { t, locale, formatMomentDate, formatNumber } = useI18n();
+  const [period, setPeriod] = useState('week');
+  const [now] = useState(() => new Date());
+  const from = getTrendStart(period, now);
+  const { data: entries, loading: loadingEntries, error: entriesError } = useCollection(
+    spacePath && getJournalPath(spacePath),
+    { filters: [['date', '>=', from]], orderBy: ['date', 'asc'] }
+  );
+  const { data: moments, loading: loadingMoments, error: momentsError } = useCollection(
+    spacePath && getMomentsPath(spacePath),
+    { filters: [['date', '>=', from]], orderBy: ['date', 'asc'] }
+  );
+  const { types } = useMomentTypes(spacePath);
+  const challengeType = findMomentType(types, CHALLENGE_MOMENT_TYPE);
+
+  const buckets = useMemo(() => buildMoodTrends({ entries, moments, period, now }), [entries, moments, period, now]);
+  const members = (activeSpace && activeSpace.members) || [];
+  const colorOf = (uid) => PARTNER_COLORS[Math.max(0, members.indexOf(uid)) % PARTNER_COLORS.length];
+  const lowBuckets = buckets.filter((bucket) => bucket.lowUids.length > 0).reverse();
+  const hasMood = entries.some((entry) => entry.mood);
+  const error = entriesError || momentsError;
+  const formatAverage = (value) => formatNumber(value, AVERAGE_FORMAT);
+  const labelOf = (bucket) => bucket.start.toLocaleDateString(locale, PERIOD_LABEL_FORMATS[period]);
+  const periodName = (bucket) => t(`insights.periodName.${period}`, { period: labelOf(bucket) });
+
+  if (loadingEntries || loadingMoments) {
+    return <p className="text-center text-gray-400">{t('insights.loading')}</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-3xl font-bold text-purple-300 mb-4 text-center">{t('views.insights')}</h2>
+      {error && <p className="text-red-400 text-sm text-center">{error}</p>}
+
+      <div className="flex justify-center gap-2" role="group" aria-label={t('insights.period')}>
+        {Object.keys(TREND_PERIODS).map((id) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => setPeriod(id)}
+            aria-pressed={period === id}
+            className={`px-4 py-1 rounded-full text-sm transition ${period === id ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {t(`insights.periods.${id}`)}
+          </button>
+        ))}
+      </div>
+
+      {!hasMood ? (
+        <p className="text-center text-gray-400">{t('insights.empty')}</p>
+      ) : (
+        <>
+          <div className="bg-gray-700 p-4 rounded-2xl shadow-inner space-y-4">
+            <MoodChart
+              buckets={buckets} members={members} colorOf={colorOf} getAuthorName={getAuthorName} period={period}
+              labelOf={labelOf} formatAverage={formatAverage}
+            />
+            <ul className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {members.map((uid) => {
+                const summary = summarizeMood(entries, uid);
+                return (
+                  <li key={uid} aria-label={t('insights.summaryOf', { name: getAuthorName(uid) })} className="text-sm text-gray-300">
+                    <p className="font-semibold" style={{ color: colorOf(uid) }}>● {getAuthorName(uid)}</p>
+                    {summary.count === 0 ? (
+                      <p className="text-gray-400">{t('insights.noMood')}</p>
+                    ) : (
+                      <>
+                        <p>
+                          {t('insights.averageMood', { value: formatAverage(summary.score) })}
+                          {summary.energy !== null && ` · ${t('insights.averageEnergy', { value: formatAverage(summary.energy) })}`}
+                          {summary.anxiety !== null && ` · ${t('insights.averageAnxiety', { value: formatAverage(summary.anxiety) })}`}
+                          {` (${t('insights.entries', { count: summary.count })})`}
+                        </p>
+                        {summary.topFeelings.length > 0 && (
+                          <p className="text-gray-400">
+                            {t('insights.topFeelings', { feelings: summary.topFeelings.map((id) => t(`mood.feelings.${id}`)).join(', ') })}
+                          </p>
+                        )}
+                      </>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+
+          <section className="space-y-3">
+            <h3 className="text-xl font-semibold text-gray-200">{t('insights.lowPeriods')}</h3>
+            {lowBuckets.length === 0 ? (
+              <p className="text-gray-400 text-sm">{t('insights.noLowPeriods')}</p>
+            ) : (
+              <ul className="space-y-3">
+                {lowBuckets.map((bucket) => (
+                  <li key={bucket.start.getTime()} aria-label={periodName(bucket)} className="bg-gray-700 p-4 rounded-xl space-y-2">
+                    <p className="text-gray-200">
+                      <span className="font-semibold">{periodName(bucket)}</span>
+                      {' · '}
+                      {bucket.lowUids.map((uid) => `${getAuthorName(uid)} (${formatAverage(bucket.averages[uid])})`).join(', ')}
+                    </p>
+                    {bucket.challenges.length === 0 ? (
+                      <p className="text-gray-400 text-sm">{t('insights.noChallenges')}</p>
+                    ) : (
+                      <ul className="flex flex-wrap gap-2">
+                        {bucket.challenges.map((moment) => (
+                          <li key={moment.id}>
+                            <button
+                              type="button"
+                              onClick={() => onOpenMoment(moment.id)}
+                              className="px-3 py-1 rounded-full bg-gray-800 text-sm text-gray-200 hover:bg-gray-600 transition"
+                            >
+                              {challengeType.emoji} {moment.title} · {formatMomentDate(moment)}
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default InsightsView;
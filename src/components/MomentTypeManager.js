@@ -0,0 +1,155 @@
+import React, { useContext, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useMutation } from '../data/hooks';
+import {
+  MOMENT_TYPE_COLORS, deleteMomentType, getMomentTypeName, getMomentTypeTextClass, saveMomentType,
+} from '../data/momentTypes';
+import { useI18n } from '../i18n';
+
+// --- Moment Type Manager ---
+// Painel para o casal criar, editar e excluir os tipos de momento do espaço.
+// Os três tipos originais podem ser personalizados mas não excluídos.
+
+const EMPTY_FORM = { id: null, name: '', emoji: '', color: 'purple' };
+const MAX_TYPE_NAME_LENGTH = 40;
+
+function MomentTypeManager({ types, onClose }) {
+  const { db, userId, spacePath } = useContext(FirebaseContext);
+  const { t } = useI18n();
+  const { run, queue, isSubmitting, error } = useMutation();
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const setField = (field) => (value) => setForm((current) => ({ ...current, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || !form.emoji.trim() || isSubmitting) return;
+    const message = t('momentTypes.saveError');
+    const saved = await run(() => queue(saveMomentType(db, spacePath, form.id, form, userId), message), message);
+    if (saved) setForm(EMPTY_FORM);
+  };
+
+  const handleDelete = async (type) => {
+    if (!window.confirm(t('momentTypes.deleteConfirm', { name: getMomentTypeName(type, t) }))) return;
+    const message = t('momentTypes.deleteError');
+    await run(() => queue(deleteMomentType(db, spacePath, type.id), message), message);
+    if (form.id === type.id) setForm(EMPTY_FORM);
+  };
+
+  return (
+    <div className="bg-gray-700 p-6 rounded-2xl shadow-inner space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-semibold text-gray-200">{t('momentTypes.title')}</h3>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-200 transition" title={t('momentTypes.close')}>
+          ✕
+        </button>
+      </div>
+      {error && <p className="text-red-400 text-sm text-center">{error}</p>}
+
+      <ul className="space-y-2">
+        {types.map((type) => {
+          const name = getMomentTypeName(type, t);
+          return (
+            <li key={type.id} className="flex items-center bg-gray-800 rounded-lg px-3 py-2">
+              <span className="text-xl mr-3">{type.emoji}</span>
+              <span className={`flex-1 font-medium ${getMomentTypeTextClass(type)}`}>
+                {name}
+              </span>
+              <button
+                type="button"
+                onClick={() => setForm({ id: type.id, name, emoji: type.emoji, color: type.color })}
+                className="text-blue-400 hover:text-blue-300 transition ml-2"
+                title={t('momentTypes.editType', { name })}
+                disabled={isSubmitting}
+              >
+                ✏️
+              </button>
+              {!type.isDefault && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(type)}
+                  className="text-red-400 hover:text-red-300 transition ml-2"
+                  title={t('momentTypes.deleteType', { name })}
+                  disabled={isSubmitting}
+                >
+                  🗑️
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <h4 className="text-gray-200 font-semibold">{form.id ? t('momentTypes.editTitle') : t('momentTypes.newTitle')}</h4>
+        <div className="flex space-x-2">
+          <div className="w-20">
+            <label htmlFor="moment-type-emoji" className="block text-gray-300 text-sm font-medium mb-1">{t('momentTypes.emoji')}</label>
+            <input
+              id="moment-type-emoji"
+              type="text"
+              value={form.emoji}
+              onChange={(e) => setField('emoji')(e.target.value)}
+              placeholder="🌈"
+              maxLength={8}
+              className="w-full p-2 rounded-lg bg-gray-900 text-gray-100 text-center border border-gray-600 focus:ring-2 focus:ring-purple-500 outline-none"
+              required
+              disabled={isSubmitting}
+            />
+          </div>
+          <div className="flex-1">
+            <label htmlFor="moment-type-name" className="block text-gray-300 text-sm font-medium mb-1">{t('momentTypes.name')}</label>
+            <input
+              id="moment-type-name"
+              type="text"
+              value={form.name}
+              onChange={(e) => setField('name')(e.target.value)}
+              placeholder={t('momentTypes.namePlaceholder')}
+              maxLength={MAX_TYPE_NAME_LENGTH}
+              className="w-full p-2 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 focus:ring-2 focus:ring-purple-500 outline-none"
+              required
+              disabled={isSubmitting}
+            />
+          </div>
+        </div>
+        <div>
+          <span className="block text-gray-300 text-sm font-medium mb-1">{t('momentTypes.color')}</span>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(MOMENT_TYPE_COLORS).map(([key, { swatchClass }]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setField('color')(key)}
+                className={`w-8 h-8 rounded-full ${swatchClass} transition ${form.color === key ? 'ring-2 ring-offset-2 ring-offset-gray-700 ring-white' : ''}`}
+                aria-label={t(`momentTypes.colors.${key}`)}
+                aria-pressed={form.color === key}
+                disabled={isSubmitting}
+              />
+            ))}
+          </div>
+        </div>
+        <div className="flex justify-end space-x-2">
+          {form.id && (
+            <button
+              type="button"
+              onClick={() => setForm(EMPTY_FORM)}
+              className="px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-sm transition"
+              disabled={isSubmitting}
+            >
+              {t('common.cancel')}
+            </button>
+          )}
+          <button
+            type="submit"
+            className="px-3 py-1 bg-purple-500 hover:bg-purple-600 text-white rounded-lg text-sm transition"
+            disabled={isSubmitting}
+          >
+            {form.id ? t('momentTypes.save') : t('momentTypes.add')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default MomentTypeManager;
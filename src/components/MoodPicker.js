@@ -0,0 +1,91 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { FEELINGS, MOOD_LEVELS, SCALE_VALUES } from '../data/mood';
+
+// --- Mood Picker ---
+// Check-in opcional num registo do diário. Sem humor escolhido o valor é null e o registo fica só com texto;
+// energia, ansiedade e sentimentos aparecem depois de escolher o humor. Tocar no humor escolhido limpa o check-in.
+
+const selectClass = 'w-full p-2 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 focus:ring-2 focus:ring-purple-500 outline-none text-sm';
+
+const EMPTY_CHECK_IN = { score: null, energy: null, anxiety: null, feelings: [] };
+
+/**
+ * @param {{ idPrefix: string, value: import('../data/mood').MoodCheckIn | null,
+ *   onChange: (value: import('../data/mood').MoodCheckIn | null) => void, disabled?: boolean }} props
+ */
+function MoodPicker({ idPrefix, value, onChange, disabled = false }) {
+  const { t } = useI18n();
+  const checkIn = value || EMPTY_CHECK_IN;
+  const update = (fields) => onChange({ ...checkIn, ...fields });
+
+  const selectScore = (score) => (checkIn.score === score ? onChange(null) : update({ score }));
+
+  const toggleFeeling = (id) => update({
+    feelings: checkIn.feelings.includes(id) ? checkIn.feelings.filter((feeling) => feeling !== id) : [...checkIn.feelings, id],
+  });
+
+  const levelSelect = (field) => (
+    <div>
+      <label htmlFor={`${idPrefix}-${field}`} className="block text-gray-300 text-sm font-medium mb-1">{t(`mood.${field}`)}</label>
+      <select
+        id={`${idPrefix}-${field}`}
+        value={checkIn[field] || ''}
+        onChange={(e) => update({ [field]: e.target.value ? Number(e.target.value) : null })}
+        className={selectClass}
+        disabled={disabled}
+      >
+        <option value="">—</option>
+        {SCALE_VALUES.map((level) => <option key={level} value={level}>{level} · {t(`mood.${field}Levels.${level}`)}</option>)}
+      </select>
+    </div>
+  );
+
+  return (
+    <fieldset className="space-y-3" disabled={disabled}>
+      <legend className="block text-gray-300 text-sm font-medium mb-1">{t('mood.question')}</legend>
+      <div className="flex flex-wrap gap-2">
+        {MOOD_LEVELS.map((level) => (
+          <button
+            key={level.value}
+            type="button"
+            onClick={() => selectScore(level.value)}
+            aria-pressed={checkIn.score === level.value}
+            aria-label={t('mood.scoreLabel', { level: t(`mood.levels.${level.value}`) })}
+            title={t(`mood.levels.${level.value}`)}
+            className={`px-3 py-1 rounded-full text-2xl transition ${
+              checkIn.score === level.value ? 'bg-purple-700 ring-2 ring-purple-300' : 'bg-gray-800 opacity-60 hover:opacity-100'
+            }`}
+          >
+            {level.emoji}
+          </button>
+        ))}
+      </div>
+      {checkIn.score && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {levelSelect('energy')}
+            {levelSelect('anxiety')}
+          </div>
+          <div className="flex flex-wrap gap-1" role="group" aria-label={t('mood.feelingsLabel')}>
+            {FEELINGS.map((feeling) => (
+              <button
+                key={feeling}
+                type="button"
+                onClick={() => toggleFeeling(feeling)}
+                aria-pressed={checkIn.feelings.includes(feeling)}
+                className={`px-2 py-0.5 rounded-full text-xs transition ${
+                  checkIn.feelings.includes(feeling) ? 'bg-purple-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-600'
+                }`}
+              >
+                {t(`mood.feelings.${feeling}`)}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </fieldset>
+  );
+}
+
+export default MoodPicker;
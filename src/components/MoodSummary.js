@@ -0,0 +1,31 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { findMoodLevel } from '../data/mood';
+
+// --- Mood Summary ---
+// Check-in de um registo do diário: humor, energia, ansiedade e sentimentos, numa linha por baixo do texto.
+function MoodSummary({ mood }) {
+  const { t } = useI18n();
+  const level = mood && findMoodLevel(mood.score);
+  if (!level) return null;
+  return (
+    <ul className="flex flex-wrap items-center gap-1 mt-2 text-xs" aria-label={t('mood.summaryLabel')}>
+      <li className="px-2 py-0.5 rounded-full bg-gray-800 text-gray-200">{level.emoji} {t(`mood.levels.${level.value}`)}</li>
+      {mood.energy && (
+        <li className="px-2 py-0.5 rounded-full bg-gray-800 text-gray-300">
+          {t('mood.energyValue', { level: t(`mood.energyLevels.${mood.energy}`) })}
+        </li>
+      )}
+      {mood.anxiety && (
+        <li className="px-2 py-0.5 rounded-full bg-gray-800 text-gray-300">
+          {t('mood.anxietyValue', { level: t(`mood.anxietyLevels.${mood.anxiety}`) })}
+        </li>
+      )}
+      {(mood.feelings || []).map((id) => (
+        <li key={id} className="px-2 py-0.5 rounded-full bg-purple-900 text-purple-200">{t(`mood.feelings.${id}`)}</li>
+      ))}
+    </ul>
+  );
+}
+
+export default MoodSummary;
@@ -0,0 +1,171 @@
+import React, { useContext, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useI18n } from '../i18n';
+import { useMutation } from '../data/hooks';
+import { NOTIFICATION_TYPES, getNotificationSettings } from '../data/notifications';
+import { requestNotificationPermission } from '../push';
+
+// --- Notification Settings ---
+// Preferências de notificações de cada utilizador, guardadas no perfil (campo 'notifications'):
+// que tipos recebe, a hora do lembrete do diário e as horas de silêncio. O fuso horário é o deste dispositivo.
+
+const toForm = (settings) => ({
+  enabled: settings.enabled,
+  types: settings.types,
+  reminderTime: settings.reminderTime,
+  quietEnabled: Boolean(settings.quietHours),
+  quietStart: settings.quietHours ? settings.quietHours.start : '23:00',
+  quietEnd: settings.quietHours ? settings.quietHours.end : '08:00',
+});
+
+/**
+ * @param {{ delivery: import('../push').NotificationDelivery, onDone: () => void }} props
+ */
+function NotificationSettings({ delivery, onDone }) {
+  const { profile, saveProfile } = useContext(FirebaseContext);
+  const { t } = useI18n();
+  const { run, isSubmitting, error } = useMutation();
+  const [form, setForm] = useState(() => toForm(getNotificationSettings(profile)));
+  const [permissionError, setPermissionError] = useState(null);
+
+  const setField = (field) => (value) => setForm((current) => ({ ...current, [field]: value }));
+  const toggleType = (type) => setField('types')({ ...form.types, [type]: !form.types[type] });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+    // O pedido de permissão tem de partir de um clique do utilizador
+    const permission = form.enabled ? await requestNotificationPermission() : null;
+    setPermissionError(permission === 'denied' || permission === 'unsupported' ? t(`notifications.status.${permission}`) : null);
+    const saved = await run(
+      () => saveProfile({
+        notifications: {
+          enabled: form.enabled,
+          types: form.types,
+          reminderTime: form.reminderTime,
+          quietHours: form.quietEnabled ? { start: form.quietStart, end: form.quietEnd } : null,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+        },
+      }),
+      t('notifications.saveError')
+    );
+    if (saved && (permission === null || permission === 'granted')) onDone();
+  };
+
+  const inputClass = 'p-2 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 focus:ring-2 focus:ring-purple-500 outline-none';
+  const labelClass = 'block text-gray-300 text-sm font-medium mb-1';
+  const disabled = isSubmitting || !form.enabled;
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-700 p-6 rounded-2xl shadow-inner space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-semibold text-purple-300">{t('notifications.title')}</h2>
+        <button type="button" onClick={onDone} className="text-gray-400 hover:text-gray-200 transition" title={t('notifications.close')}>
+          ✕
+        </button>
+      </div>
+      <p className="text-sm text-gray-400" role="status">{t(`notifications.status.${delivery}`)}</p>
+      {(permissionError || error) && <p className="text-red-400 text-sm">{permissionError || error}</p>}
+
+      <label className="flex items-center text-gray-200">
+        <input
+          type="checkbox"
+          checked={form.enabled}
+          onChange={() => setField('enabled')(!form.enabled)}
+          className="mr-2"
+          disabled={isSubmitting}
+        />
+        {t('notifications.enabled')}
+      </label>
+
+      <fieldset className="space-y-2">
+        <legend className={labelClass}>{t('notifications.typesLabel')}</legend>
+        {NOTIFICATION_TYPES.map((type) => (
+          <label key={type} className="flex items-center text-gray-200 text-sm">
+            <input
+              type="checkbox"
+              checked={form.types[type]}
+              onChange={() => toggleType(type)}
+              className="mr-2"
+              disabled={disabled}
+            />
+            {t(`notifications.types.${type}`)}
+          </label>
+        ))}
+      </fieldset>
+
+      <div>
+        <label htmlFor="notifications-reminder-time" className={labelClass}>{t('notifications.reminderTime')}</label>
+        <input
+          id="notifications-reminder-time"
+          type="time"
+          value={form.reminderTime}
+          onChange={(e) => setField('reminderTime')(e.target.value)}
+          className={inputClass}
+          disabled={disabled || !form.types.journalReminder}
+          required
+        />
+      </div>
+
+      <fieldset className="space-y-2">
+        <label className="flex items-center text-gray-200">
+          <input
+            type="checkbox"
+            checked={form.quietEnabled}
+            onChange={() => setField('quietEnabled')(!form.quietEnabled)}
+            className="mr-2"
+            disabled={disabled}
+          />
+          {t('notifications.quietHours')}
+        </label>
+        <p className="text-xs text-gray-400">{t('notifications.quietHint')}</p>
+        <div className="flex flex-wrap gap-4">
+          <div>
+            <label htmlFor="notifications-quiet-start" className={labelClass}>{t('notifications.quietStart')}</label>
+            <input
+              id="notifications-quiet-start"
+              type="time"
+              value={form.quietStart}
+              onChange={(e) => setField('quietStart')(e.target.value)}
+              className={inputClass}
+              disabled={disabled || !form.quietEnabled}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="notifications-quiet-end" className={labelClass}>{t('notifications.quietEnd')}</label>
+            <input
+              id="notifications-quiet-end"
+              type="time"
+              value={form.quietEnd}
+              onChange={(e) => setField('quietEnd')(e.target.value)}
+              className={inputClass}
+              disabled={disabled || !form.quietEnabled}
+              required
+            />
+          </div>
+        </div>
+      </fieldset>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-gray-100 rounded-lg transition"
+          disabled={isSubmitting}
+        >
+          {t('common.cancel')}
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white font-semibold rounded-lg transition disabled:opacity-50"
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? t('common.saving') : t('common.save')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default NotificationSettings;
@@ -0,0 +1,78 @@
+import React, { useContext, useRef } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useI18n } from '../i18n';
+
+// --- Purpose Editor ---
+// Campo do propósito com o cursor da outra pessoa por cima do texto. Um textarea não desenha nada dentro do texto,
+// por isso uma cópia invisível do texto (com a mesma letra, margens e quebras de linha) fica por cima do campo
+// e só mostra as marcas dos cursores; acompanha o scroll do campo.
+
+const FIELD_CLASSES = 'w-full p-3 rounded-lg border';
+
+function PurposeEditor({ id, textareaRef, value, onChange, onCursorMove, partners, placeholder }) {
+  const { getAuthorName } = useContext(FirebaseContext);
+  const { t, formatList } = useI18n();
+  const mirrorRef = useRef(null);
+
+  const cursors = partners
+    .filter((partner) => partner.position !== null)
+    .map((partner) => ({ ...partner, position: Math.min(partner.position, value.length) }))
+    .sort((a, b) => a.position - b.position);
+  const typingNames = partners.filter((partner) => partner.typing).map((partner) => getAuthorName(partner.uid));
+
+  const segments = [];
+  let start = 0;
+  cursors.forEach((cursor) => {
+    segments.push(value.slice(start, cursor.position));
+    segments.push(
+      <span
+        key={cursor.uid}
+        data-testid={`cursor-${cursor.uid}`}
+        className="relative inline-block w-0 h-5 align-text-bottom border-l-2 border-pink-400"
+      >
+        <span className="absolute -top-4 left-0 px-1 rounded bg-pink-500 text-white text-xs leading-4 whitespace-nowrap">
+          {getAuthorName(cursor.uid)}
+        </span>
+      </span>
+    );
+    start = cursor.position;
+  });
+  segments.push(value.slice(start));
+
+  const syncScroll = (e) => {
+    if (mirrorRef.current) mirrorRef.current.scrollTop = e.target.scrollTop;
+  };
+
+  return (
+    <div>
+      <div className="relative">
+        <textarea
+          id={id}
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value, e.target.selectionEnd)}
+          onSelect={onCursorMove}
+          onFocus={onCursorMove}
+          onScroll={syncScroll}
+          placeholder={placeholder}
+          rows="8"
+          className={`${FIELD_CLASSES} bg-gray-900 text-gray-100 border-gray-600 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none resize-y`}
+        ></textarea>
+        {cursors.length > 0 && (
+          <div
+            ref={mirrorRef}
+            aria-hidden="true"
+            className={`${FIELD_CLASSES} border-transparent absolute inset-0 overflow-hidden pointer-events-none whitespace-pre-wrap break-words text-transparent`}
+          >
+            {segments}
+          </div>
+        )}
+      </div>
+      <p aria-live="polite" className="h-5 mt-1 text-sm text-pink-300 italic">
+        {typingNames.length > 0 && t('purpose.typing', { count: typingNames.length, names: formatList(typingNames) })}
+      </p>
+    </div>
+  );
+}
+
+export default PurposeEditor;
@@ -0,0 +1,84 @@
+import React, { useContext, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useCollection } from '../data/hooks';
+import { getPurposeRevisionsPath } from '../data/purpose';
+import { useI18n } from '../i18n';
+import TextDiff from './TextDiff';
+
+// --- Purpose History ---
+// Versões guardadas do propósito, da mais recente para a mais antiga. Cada versão abre com as diferenças em
+// relação à anterior e pode ser restaurada: a restauração é uma versão nova, por isso nada se perde do histórico.
+// onRestore(revision) substitui o texto partilhado (ver data/collaboration.js) e devolve true se correu bem.
+
+function PurposeHistory({ currentRevision, hasUnsavedChanges, onRestore }) {
+  const { spacePath, getAuthorName } = useContext(FirebaseContext);
+  const { t, formatTimestamp } = useI18n();
+  const { data: revisions, loading, error } = useCollection(
+    getPurposeRevisionsPath(spacePath), { orderBy: ['revision', 'desc'] }
+  );
+  const [openRevision, setOpenRevision] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const restore = async (revision) => {
+    const message = hasUnsavedChanges ? 'history.restoreUnsavedConfirm' : 'history.restoreConfirm';
+    if (!window.confirm(t(message, { revision: revision.revision }))) return;
+    setIsRestoring(true);
+    const restored = await onRestore(revision);
+    setIsRestoring(false);
+    if (restored) setOpenRevision(null);
+  };
+
+  return (
+    <section className="bg-gray-700 p-6 rounded-2xl shadow-inner space-y-3">
+      <h3 className="text-xl font-semibold text-gray-200">{t('history.title')}</h3>
+      {error && <p className="text-red-400 text-sm text-center">{error}</p>}
+      {loading && <p className="text-gray-400 text-sm">{t('history.loading')}</p>}
+      {!loading && revisions.length === 0 && (
+        <p className="text-gray-400 text-sm">{t('history.empty')}</p>
+      )}
+
+      <ol className="space-y-2">
+        {revisions.map((revision) => {
+          const isOpen = openRevision === revision.revision;
+          const isCurrent = revision.revision === currentRevision;
+          const previous = revisions.find(({ revision: number }) => number === revision.revision - 1);
+          return (
+            <li key={revision.id} className="bg-gray-800 rounded-lg">
+              <button
+                type="button"
+                onClick={() => setOpenRevision(isOpen ? null : revision.revision)}
+                aria-expanded={isOpen}
+                className="w-full text-left px-4 py-2 text-sm text-gray-300 hover:bg-gray-600 rounded-lg transition"
+              >
+                <span className="font-semibold text-purple-300">{t('history.revision', { revision: revision.revision })}</span>
+                {isCurrent && <span className="ml-2 px-2 py-0.5 rounded-full bg-purple-900 text-purple-200 text-xs">{t('history.current')}</span>}
+                {' · '}{t('history.savedBy', { name: getAuthorName(revision.updatedBy), date: formatTimestamp(revision.createdAt) })}
+                {revision.restoredFrom && ` · ${t('history.restoredFrom', { revision: revision.restoredFrom })}`}
+              </button>
+              {isOpen && (
+                <div className="px-4 pb-4 space-y-3">
+                  <p className="text-gray-400 text-xs">
+                    {previous ? t('history.changesSince', { revision: previous.revision }) : t('history.first')}
+                  </p>
+                  <TextDiff before={previous ? previous.text : ''} after={revision.text} className="text-sm" />
+                  {!isCurrent && (
+                    <button
+                      type="button"
+                      onClick={() => restore(revision)}
+                      className="px-3 py-1 bg-purple-500 hover:bg-purple-600 text-white rounded-lg text-sm transition disabled:opacity-50"
+                      disabled={isRestoring}
+                    >
+                      {t('history.restore')}
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+}
+
+export default PurposeHistory;
@@ -0,0 +1,250 @@
+import React, { useContext, useMemo, useRef, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useCollection, useMomentTypes } from '../data/hooks';
+import { getMomentsPath } from '../data/moments';
+import { getJournalPath } from '../data/journal';
+import { findMomentType, getMomentTypeName } from '../data/momentTypes';
+import { getCardAuthorId } from '../data/authorship';
+import { createSearchIndex } from '../utils/search';
+import { useI18n } from '../i18n';
+import { fromDateInputValues, toDate } from '../utils/dates';
+import TagList from './TagList';
+
+// --- Search View ---
+// Pesquisa nos momentos e no diário ao mesmo tempo, com filtros por autor, tipo, etiqueta e datas.
+// O texto é pesquisado num índice local (utils/search.js) que acompanha os snapshots em tempo real;
+// escolher um resultado abre a vista respetiva no cartão correspondente (onOpenResult).
+
+const PAGE_SIZE = 50;
+const SNIPPET_LENGTH = 180;
+
+const EMPTY_FILTERS = { query: '', kind: 'all', author: '', type: '', tag: '', from: '', to: '' };
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length).trimEnd()}…` : text);
+
+// Momentos e registos num formato comum para o índice e para a lista de resultados
+const toSearchItems = (moments, entries) => [
+  ...moments.map((moment) => ({
+    key: `moment:${moment.id}`,
+    kind: 'moment',
+    id: moment.id,
+    title: moment.title,
+    text: moment.description || '',
+    type: moment.type,
+    tags: moment.tags || [],
+    addedBy: getCardAuthorId(moment),
+    addedByName: moment.addedByName,
+    date: toDate(moment.date),
+    source: moment,
+  })),
+  ...entries.map((entry) => ({
+    key: `journal:${entry.id}`,
+    kind: 'journal',
+    id: entry.id,
+    title: null,
+    text: entry.text || '',
+    type: null,
+    tags: entry.tags || [],
+    addedBy: getCardAuthorId(entry),
+    addedByName: entry.addedByName,
+    date: toDate(entry.date),
+    source: entry,
+  })),
+];
+
+// Mantém um índice entre renders e sincroniza-o quando a lista de itens muda
+function useSearchIndex(items, getText) {
+  const indexRef = useRef(null);
+  if (!indexRef.current) indexRef.current = createSearchIndex();
+  return useMemo(() => {
+    indexRef.current.sync(items, getText);
+    return indexRef.current;
+  }, [items, getText]);
+}
+
+function SearchView({ onOpenResult }) {
+  const { spacePath, activeSpace, profiles, getAuthorName } = useContext(FirebaseContext);
+  const { data: moments, loading: loadingMoments, error: momentsError } = useCollection(
+    spacePath && getMomentsPath(spacePath),
+    { orderBy: ['date', 'desc'] }
+  );
+  const { data: entries, loading: loadingEntries, error: entriesError } = useCollection(
+    spacePath && getJournalPath(spacePath),
+    { orderBy: ['date', 'desc'] }
+  );
+  const { types } = useMomentTypes(spacePath);
+  const { t, locale, formatMomentDate, formatTimestamp } = useI18n();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const setFilter = (field) => (e) => {
+    setFilters((current) => ({ ...current, [field]: e.target.value }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const items = useMemo(() => toSearchItems(moments, entries), [moments, entries]);
+
+  // O nome atual do autor e o nome do tipo também são pesquisáveis
+  const getText = useMemo(() => (item) => [
+    item.title,
+    item.text,
+    item.tags.join(' '),
+    item.addedByName,
+    getAuthorName(item.addedBy, item.addedByName),
+    item.type ? getMomentTypeName(findMomentType(types, item.type), t) : '',
+  ].join(' '), [types, getAuthorName, t]);
+
+  const index = useSearchIndex(items, getText);
+
+  const allTags = useMemo(
+    () => Array.from(new Set(items.flatMap(({ tags }) => tags))).sort((a, b) => a.localeCompare(b, locale)),
+    [items, locale]
+  );
+
+  const results = useMemo(() => {
+    const matchingKeys = index.search(filters.query);
+    const from = filters.from ? fromDateInputValues(filters.from, '00:00') : null;
+    const to = filters.to ? fromDateInputValues(filters.to, '23:59') : null;
+    return items
+      .filter((item) => !matchingKeys || matchingKeys.has(item.key))
+      .filter((item) => filters.kind === 'all' || item.kind === filters.kind)
+      .filter((item) => !filters.author || item.addedBy === filters.author)
+      .filter((item) => !filters.type || item.type === filters.type)
+      .filter((item) => !filters.tag || item.tags.includes(filters.tag))
+      .filter((item) => !from || (item.date && item.date >= from))
+      .filter((item) => !to || (item.date && item.date <= to))
+      .sort((a, b) => (b.date ? b.date.getTime() : Infinity) - (a.date ? a.date.getTime() : Infinity));
+  }, [index, items, filters]);
+
+  const hasFilters = Object.keys(EMPTY_FILTERS).some((field) => filters[field] !== EMPTY_FILTERS[field]);
+  const members = (activeSpace && activeSpace.members) || [];
+  const error = momentsError || entriesError;
+  const selectClass = 'w-full p-2 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 focus:ring-2 focus:ring-purple-500 outline-none';
+
+  if (loadingMoments || loadingEntries) {
+    return <p className="text-center text-gray-400">{t('search.loading')}</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-3xl font-bold text-purple-300 mb-4 text-center">{t('search.title')}</h2>
+
+      <div className="bg-gray-700 p-6 rounded-2xl shadow-inner space-y-4">
+        {error && <p className="text-red-400 text-sm text-center">{error}</p>}
+        <div>
+          <label htmlFor="search-query" className="block text-gray-300 text-sm font-medium mb-1">
+            {t('search.query')}
+          </label>
+          <input
+            id="search-query"
+            type="search"
+            value={filters.query}
+            onChange={setFilter('query')}
+            placeholder={t('search.queryPlaceholder')}
+            className="w-full p-3 rounded-lg bg-gray-900 text-gray-100 border border-gray-600 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
+          />
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div>
+            <label htmlFor="search-kind" className="block text-gray-300 text-sm font-medium mb-1">{t('search.kind')}</label>
+            <select id="search-kind" value={filters.kind} onChange={setFilter('kind')} className={selectClass}>
+              <option value="all">{t('search.kinds.all')}</option>
+              <option value="moment">{t('search.kinds.moment')}</option>
+              <option value="journal">{t('search.kinds.journal')}</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="search-author" className="block text-gray-300 text-sm font-medium mb-1">{t('search.author')}</label>
+            <select id="search-author" value={filters.author} onChange={setFilter('author')} className={selectClass}>
+              <option value="">{t('search.anyAuthor')}</option>
+              {members.map((uid) => (
+                <option key={uid} value={uid}>{getAuthorName(uid, (profiles[uid] && profiles[uid].displayName) || uid)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="search-type" className="block text-gray-300 text-sm font-medium mb-1">{t('search.type')}</label>
+            <select id="search-type" value={filters.type} onChange={setFilter('type')} className={selectClass}>
+              <option value="">{t('search.anyType')}</option>
+              {types.map((type) => (
+                <option key={type.id} value={type.id}>{type.emoji} {getMomentTypeName(type, t)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="search-tag" className="block text-gray-300 text-sm font-medium mb-1">{t('search.tag')}</label>
+            <select id="search-tag" value={filters.tag} onChange={setFilter('tag')} className={selectClass}>
+              <option value="">{t('search.anyTag')}</option>
+              {allTags.map((tag) => (
+                <option key={tag} value={tag}>#{tag}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="search-from" className="block text-gray-300 text-sm font-medium mb-1">{t('search.from')}</label>
+            <input id="search-from" type="date" value={filters.from} onChange={setFilter('from')} className={selectClass} />
+          </div>
+          <div>
+            <label htmlFor="search-to" className="block text-gray-300 text-sm font-medium mb-1">{t('search.to')}</label>
+            <input id="search-to" type="date" value={filters.to} onChange={setFilter('to')} className={selectClass} />
+          </div>
+        </div>
+        {hasFilters && (
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={() => setFilters(EMPTY_FILTERS)}
+              className="px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-sm transition"
+            >
+              {t('search.clear')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <p className="text-gray-400 text-sm" role="status">
+        {t('search.results', { count: results.length })}
+      </p>
+
+      <ul className="space-y-3">
+        {results.slice(0, visibleCount).map((item) => {
+          const momentType = item.kind === 'moment' ? findMomentType(types, item.type) : null;
+          const authorName = getAuthorName(item.addedBy, item.addedByName);
+          return (
+            <li key={item.key}>
+              <button
+                type="button"
+                onClick={() => onOpenResult({ kind: item.kind, id: item.id })}
+                className="w-full text-left bg-gray-700 hover:bg-gray-600 p-4 rounded-xl shadow-md transition focus:outline-none focus:ring-2 focus:ring-purple-400"
+              >
+                <span className="flex items-center text-xs text-gray-400 mb-1">
+                  <span className="px-2 py-0.5 rounded-full bg-gray-800 text-purple-300 mr-2">
+                    {momentType ? `${momentType.emoji} ${t('search.moment')}` : `📔 ${t('search.journal')}`}
+                  </span>
+                  {item.kind === 'moment' ? formatMomentDate(item.source) : formatTimestamp(item.source.date)} · {authorName}
+                </span>
+                {item.title && <span className="block text-lg font-semibold text-gray-100">{item.title}</span>}
+                {item.text && <span className="block text-gray-300 text-sm">{truncate(item.text, SNIPPET_LENGTH)}</span>}
+                <TagList tags={item.tags} />
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {results.length > visibleCount && (
+        <div className="flex justify-center">
+          <button
+            type="button"
+            onClick={() => setVisibleCount((count) => count + PAGE_SIZE)}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-lg text-sm transition"
+          >
+            {t('search.showMore')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchView;
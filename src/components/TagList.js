@@ -0,0 +1,18 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// --- Tag List ---
+// Etiquetas de um momento ou registo do diário, mostradas como '#etiqueta'.
+function TagList({ tags }) {
+  const { t } = useI18n();
+  if (!tags || tags.length === 0) return null;
+  return (
+    <ul className="flex flex-wrap gap-1 mt-2" aria-label={t('common.tags')}>
+      {tags.map((tag) => (
+        <li key={tag} className="px-2 py-0.5 rounded-full bg-gray-800 text-purple-300 text-xs">#{tag}</li>
+      ))}
+    </ul>
+  );
+}
+
+export default TagList;
@@ -0,0 +1,31 @@
+import React, { useMemo } from 'react';
+import { useI18n } from '../i18n';
+import { diffWords } from '../utils/diff';
+
+// --- Text Diff ---
+// Mostra o texto de 'after' com o que foi acrescentado (verde) e retirado (vermelho, riscado) em relação a 'before'.
+
+function TextDiff({ before, after, className = '' }) {
+  const { t } = useI18n();
+  const parts = useMemo(() => diffWords(before, after), [before, after]);
+
+  if (parts.length === 0) {
+    return <p className={`text-gray-400 italic ${className}`}>{t('history.emptyText')}</p>;
+  }
+
+  return (
+    <p className={`whitespace-pre-wrap text-gray-200 ${className}`}>
+      {parts.map((part, index) => {
+        if (part.type === 'added') {
+          return <ins key={index} className="bg-green-900 text-green-200 no-underline rounded-sm">{part.text}</ins>;
+        }
+        if (part.type === 'removed') {
+          return <del key={index} className="bg-red-900 text-red-300 rounded-sm">{part.text}</del>;
+        }
+        return <span key={index}>{part.text}</span>;
+      })}
+    </p>
+  );
+}
+
+export default TextDiff;
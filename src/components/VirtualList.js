@@ -0,0 +1,131 @@
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { useI18n } from '../i18n';
+
+// --- Virtual List ---
+// Lista que só monta os cartões perto da parte visível da janela (a página faz scroll na janela, não na lista).
+// As alturas são medidas depois de cada render (os cartões mudam de altura ao editar ou quando uma foto carrega);
+// até lá usa-se estimatedItemHeight. Ao chegar perto do fim chama onEndReached para carregar a página seguinte.
+
+const OVERSCAN_PX = 800;
+
+// Mede o cartão sempre que renderiza e, quando o browser o permite, quando muda de tamanho sozinho
+function MeasuredItem({ itemKey, onMeasure, children }) {
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    if (ref.current) onMeasure(itemKey, ref.current.offsetHeight);
+  });
+
+  useEffect(() => {
+    if (typeof ResizeObserver === 'undefined' || !ref.current) return undefined;
+    const observer = new ResizeObserver(() => {
+      if (ref.current) onMeasure(itemKey, ref.current.offsetHeight);
+    });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [itemKey, onMeasure]);
+
+  return <div ref={ref} className="pb-4">{children}</div>;
+}
+
+function VirtualList({
+  items, getKey, renderItem, estimatedItemHeight = 200, hasMore = false, loadingMore = false, onEndReached,
+  scrollToKey = null, className = '',
+}) {
+  const { t } = useI18n();
+  const containerRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const [, setMeasureVersion] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, height: typeof window !== 'undefined' ? window.innerHeight : 0 });
+
+  const onMeasure = useCallback((key, height) => {
+    if (heightsRef.current.get(key) === height) return;
+    heightsRef.current.set(key, height);
+    setMeasureVersion((version) => version + 1);
+  }, []);
+
+  // Posição da janela em relação ao topo da lista, atualizada no máximo uma vez por frame
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      if (!containerRef.current) return;
+      const { top } = containerRef.current.getBoundingClientRect();
+      setViewport((current) => (current.top === -top && current.height === window.innerHeight
+        ? current
+        : { top: -top, height: window.innerHeight }));
+    };
+    const schedule = () => {
+      if (frame === null) frame = window.requestAnimationFrame(update);
+    };
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) window.cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  const offsets = [];
+  let totalHeight = 0;
+  items.forEach((item) => {
+    offsets.push(totalHeight);
+    const measured = heightsRef.current.get(getKey(item));
+    totalHeight += measured === undefined ? estimatedItemHeight : measured;
+  });
+
+  const visibleTop = viewport.top - OVERSCAN_PX;
+  const visibleBottom = viewport.top + viewport.height + OVERSCAN_PX;
+  let start = 0;
+  while (start < items.length - 1 && offsets[start + 1] <= visibleTop) start += 1;
+  let end = start;
+  while (end < items.length && offsets[end] < visibleBottom) end += 1;
+  end = Math.max(end, Math.min(items.length, start + 1));
+
+  const nearEnd = visibleBottom >= totalHeight;
+  useEffect(() => {
+    if (nearEnd && hasMore && !loadingMore && onEndReached) onEndReached();
+  }, [nearEnd, hasMore, loadingMore, onEndReached]);
+
+  // Leva o cartão pedido para o centro do ecrã, mesmo que ainda não esteja montado
+  useEffect(() => {
+    if (scrollToKey === null || !containerRef.current) return;
+    const index = items.findIndex((item) => getKey(item) === scrollToKey);
+    if (index === -1) return;
+    const listTop = containerRef.current.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo({ top: Math.max(0, listTop + offsets[index] - window.innerHeight / 3), behavior: 'smooth' });
+    // Só quando muda o cartão pedido; as medições seguintes não devem voltar a puxar o scroll
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scrollToKey]);
+
+  return (
+    <div ref={containerRef} className={className}>
+      <div style={{ height: offsets[start] || 0 }} aria-hidden="true" />
+      {items.slice(start, end).map((item) => {
+        const key = getKey(item);
+        return (
+          <MeasuredItem key={key} itemKey={key} onMeasure={onMeasure}>
+            {renderItem(item)}
+          </MeasuredItem>
+        );
+      })}
+      <div style={{ height: end < items.length ? totalHeight - offsets[end] : 0 }} aria-hidden="true" />
+      {loadingMore && <p className="text-center text-gray-400 text-sm" role="status">{t('common.loadingMore')}</p>}
+      {hasMore && !loadingMore && onEndReached && (
+        <div className="flex justify-center">
+          <button
+            type="button"
+            onClick={onEndReached}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-lg text-sm transition"
+          >
+            {t('common.loadOlder')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VirtualList;
@@ -0,0 +1,205 @@
+// --- Runtime Configuration ---
+// De onde vem a configuração do Firebase, por ordem:
+// 1. Ambiente Canvas: window.__firebase_config (JSON), window.__app_id e window.__initial_auth_token
+// 2. Variáveis do build: REACT_APP_FIREBASE_* (ver .env) e REACT_APP_ENVIRONMENT
+// 3. Ficheiro /config.json publicado com o build: { environment, appId, firebase: { apiKey, ... }, emulatorHost, vapidKey }
+// A configuração é validada antes de a app arrancar. Se faltar alguma coisa, a app mostra o ecrã de diagnóstico
+// (components/ConfigDiagnostics.js) em vez de usar valores fixos: um deploy mal configurado nunca escreve noutro projeto.
+
+/**
+ * @typedef {'dev' | 'staging' | 'prod' | 'emulator'} EnvironmentName
+ *
+ * @typedef {Object} AppConfig
+ * @property {EnvironmentName} environment
+ * @property {'canvas' | 'env' | 'runtime'} source
+ * @property {Object<string, string>} firebase - opções do initializeApp
+ * @property {string} appId - espaço de nomes dos dados em artifacts/{appId}
+ * @property {string | null} initialAuthToken - só no ambiente Canvas
+ * @property {string | null} emulatorHost - Firestore, Auth e Storage nos emuladores locais
+ * @property {string | null} vapidKey - chave pública do Web Push (Cloud Messaging); sem ela só há notificações locais
+ *
+ * @typedef {Object} ConfigResult
+ * @property {AppConfig | null} config - null se a configuração não é válida
+ * @property {Partial<AppConfig> | null} candidate - o que foi lido, para o diagnóstico
+ * @property {import('./i18n/translate').Message[]} problems - mostrados com t() no diagnóstico (diagnostics.problems.*)
+ * @property {string[]} sources - fontes consultadas, pela ordem
+ */
+
+// Os nomes de cada ambiente e fonte estão nos catálogos de tradução (diagnostics.environments.*, diagnostics.sources.*)
+export const ENVIRONMENTS = ['dev', 'staging', 'prod', 'emulator'];
+
+export const REQUIRED_FIREBASE_KEYS = ['apiKey', 'authDomain', 'projectId', 'storageBucket', 'appId'];
+
+export const RUNTIME_CONFIG_PATH = '/config.json';
+
+// Nos emuladores os dados nunca saem da máquina: um projeto "demo-" dispensa as chaves de um projeto real
+const EMULATOR_DEFAULTS = {
+  apiKey: 'demo-api-key',
+  authDomain: 'localhost',
+  projectId: 'demo-nossa-constelacao',
+  storageBucket: 'demo-nossa-constelacao.appspot.com',
+  appId: 'demo-app',
+};
+
+const DEFAULT_EMULATOR_HOST = 'localhost';
+
+const ENV_KEYS = {
+  apiKey: 'REACT_APP_FIREBASE_API_KEY',
+  authDomain: 'REACT_APP_FIREBASE_AUTH_DOMAIN',
+  projectId: 'REACT_APP_FIREBASE_PROJECT_ID',
+  storageBucket: 'REACT_APP_FIREBASE_STORAGE_BUCKET',
+  messagingSenderId: 'REACT_APP_FIREBASE_MESSAGING_SENDER_ID',
+  appId: 'REACT_APP_FIREBASE_APP_ID',
+  measurementId: 'REACT_APP_FIREBASE_MEASUREMENT_ID',
+};
+
+const isFilled = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Só as chaves com valor (um .env com linhas vazias não conta como configurado)
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => isFilled(value)));
+
+// Sem ambiente indicado: emuladores se houver host, produção num build de produção, senão desenvolvimento
+const defaultEnvironment = (env, emulatorHost) => {
+  if (emulatorHost) return 'emulator';
+  return env.NODE_ENV === 'production' ? 'prod' : 'dev';
+};
+
+const buildCandidate = ({
+  source, environment, firebase, appId, initialAuthToken = null, emulatorHost = null, vapidKey = null,
+}, env) => {
+  const host = isFilled(emulatorHost) ? emulatorHost.trim() : null;
+  const name = isFilled(environment) ? environment.trim() : defaultEnvironment(env, host);
+  const firebaseOptions = name === 'emulator' ? { ...EMULATOR_DEFAULTS, ...compact(firebase || {}) } : compact(firebase || {});
+  return {
+    source,
+    environment: name,
+    firebase: firebaseOptions,
+    appId: isFilled(appId) ? appId.trim() : firebaseOptions.appId,
+    initialAuthToken: initialAuthToken || null,
+    emulatorHost: host || (name === 'emulator' ? DEFAULT_EMULATOR_HOST : null),
+    vapidKey: isFilled(vapidKey) ? vapidKey.trim() : null,
+  };
+};
+
+/**
+ * Problemas que impedem a app de arrancar com esta configuração (vazio se estiver tudo certo).
+ * @param {Partial<AppConfig>} candidate
+ * @returns {import('./i18n/translate').Message[]}
+ */
+export const validateConfig = (candidate) => {
+  const problems = [];
+  if (!ENVIRONMENTS.includes(candidate.environment)) {
+    problems.push({
+      key: 'diagnostics.problems.unknownEnvironment',
+      params: { environment: candidate.environment, environments: ENVIRONMENTS.join(', ') },
+    });
+  }
+  const firebase = candidate.firebase || {};
+  REQUIRED_FIREBASE_KEYS.filter((key) => !isFilled(firebase[key])).forEach((key) => {
+    problems.push({ key: 'diagnostics.problems.missingKey', params: { key } });
+  });
+  if (!isFilled(candidate.appId) || candidate.appId.includes('/')) {
+    problems.push({ key: 'diagnostics.problems.invalidAppId' });
+  }
+  if (candidate.emulatorHost && (candidate.environment === 'prod' || candidate.environment === 'staging')) {
+    problems.push({
+      key: 'diagnostics.problems.emulatorNotAllowed',
+      params: { environment: candidate.environment, host: candidate.emulatorHost },
+    });
+  }
+  return problems;
+};
+
+const toResult = (candidate, sources, extraProblems = []) => {
+  const problems = [...extraProblems, ...(candidate ? validateConfig(candidate) : [])];
+  return { config: candidate && problems.length === 0 ? candidate : null, candidate, problems, sources };
+};
+
+/**
+ * Configuração do ambiente Canvas, ou null se a página não a definir.
+ * @param {Window} win
+ * @param {Object<string, string>} env
+ * @returns {{ candidate: Partial<AppConfig> | null, problems: import('./i18n/translate').Message[] } | null}
+ */
+export const readCanvasConfig = (win, env) => {
+  if (!win || typeof win.__firebase_config === 'undefined' || typeof win.__app_id === 'undefined') return null;
+  try {
+    return {
+      candidate: buildCandidate({
+        source: 'canvas',
+        environment: win.__environment || env.REACT_APP_ENVIRONMENT,
+        firebase: JSON.parse(win.__firebase_config),
+        appId: win.__app_id,
+        initialAuthToken: win.__initial_auth_token,
+      }, env),
+      problems: [],
+    };
+  } catch (err) {
+    return { candidate: null, problems: [{ key: 'diagnostics.problems.invalidCanvasJson', params: { message: err.message } }] };
+  }
+};
+
+/**
+ * Configuração das variáveis REACT_APP_*, ou null se o build não tiver nenhuma.
+ * @param {Object<string, string>} env
+ * @returns {{ candidate: Partial<AppConfig>, problems: import('./i18n/translate').Message[] } | null}
+ */
+export const readEnvConfig = (env) => {
+  const firebase = compact(Object.fromEntries(Object.entries(ENV_KEYS).map(([key, name]) => [key, env[name]])));
+  const emulatorHost = env.REACT_APP_FIREBASE_EMULATOR_HOST;
+  if (Object.keys(firebase).length === 0 && !isFilled(env.REACT_APP_ENVIRONMENT) && !isFilled(emulatorHost)) return null;
+  return {
+    candidate: buildCandidate({
+      source: 'env', environment: env.REACT_APP_ENVIRONMENT, firebase, emulatorHost, vapidKey: env.REACT_APP_FIREBASE_VAPID_KEY,
+    }, env),
+    problems: [],
+  };
+};
+
+/**
+ * Resolve a configuração que já está na página (Canvas ou variáveis do build), sem pedidos à rede.
+ * @param {{ win?: Window, env?: Object<string, string> }} [options]
+ * @returns {ConfigResult | null} null se nenhuma das duas existir (falta tentar o /config.json)
+ */
+export const resolveStaticConfig = ({ win = typeof window !== 'undefined' ? window : null, env = process.env } = {}) => {
+  const canvas = readCanvasConfig(win, env);
+  if (canvas) return toResult(canvas.candidate, ['canvas'], canvas.problems);
+  const fromEnv = readEnvConfig(env);
+  if (fromEnv) return toResult(fromEnv.candidate, ['canvas', 'env'], fromEnv.problems);
+  return null;
+};
+
+/**
+ * Lê o /config.json publicado com o build. Um 404 ou uma página HTML (o servidor de desenvolvimento e o netlify.toml
+ * devolvem o index.html para qualquer caminho) contam como "não existe".
+ * @param {{ fetchFn?: typeof fetch, env?: Object<string, string> }} [options]
+ * @returns {Promise<ConfigResult>}
+ */
+export const resolveRuntimeConfig = async ({ fetchFn = typeof fetch !== 'undefined' ? fetch : null, env = process.env } = {}) => {
+  const sources = ['canvas', 'env', 'runtime'];
+  const notFound = toResult(null, sources, [{ key: 'diagnostics.problems.notFound', params: { path: RUNTIME_CONFIG_PATH } }]);
+  if (!fetchFn) return notFound;
+
+  let response;
+  try {
+    response = await fetchFn(`${(env.PUBLIC_URL || '').replace(/\/$/, '')}${RUNTIME_CONFIG_PATH}`, { cache: 'no-store' });
+  } catch (err) {
+    return toResult(null, sources, [
+      { key: 'diagnostics.problems.runtimeUnreachable', params: { path: RUNTIME_CONFIG_PATH, message: err.message } },
+    ]);
+  }
+  const contentType = (response.headers && response.headers.get('content-type')) || '';
+  if (!response.ok || !contentType.includes('json')) return notFound;
+
+  try {
+    const json = await response.json();
+    if (!json || typeof json !== 'object' || !json.firebase || typeof json.firebase !== 'object') {
+      return toResult(null, sources, [{ key: 'diagnostics.problems.runtimeWithoutFirebase', params: { path: RUNTIME_CONFIG_PATH } }]);
+    }
+    return toResult(buildCandidate({ ...json, source: 'runtime', initialAuthToken: null }, env), sources);
+  } catch (err) {
+    return toResult(null, sources, [
+      { key: 'diagnostics.problems.invalidRuntimeJson', params: { path: RUNTIME_CONFIG_PATH, message: err.message } },
+    ]);
+  }
+};
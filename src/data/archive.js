@@ -0,0 +1,447 @@
+import { collection, doc, getDoc, getDocs, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { getMomentsPath } from './moments';
+import { getJournalPath, getPrivateJournalPath, isPrivateEntry } from './journal';
+import { findMoodLevel, normalizeMoodCheckIn } from './mood';
+import { getPurposePath, getPurposeRevision, savePurpose } from './purpose';
+import { GOAL_PROGRESS_KINDS, GOAL_STATUSES, MAX_GOAL_STEPS, getGoalsPath } from './goals';
+import { DEFAULT_MOMENT_TYPES, MOMENT_TYPE_COLORS, findMomentType, getMomentTypeName, getMomentTypesPath } from './momentTypes';
+import { MAX_ATTACHMENTS } from './attachments';
+import { getCardAuthorId } from './authorship';
+import { MAX_TAGS } from '../utils/tags';
+import { toDate } from '../utils/dates';
+
+// --- Relationship Archive ---
+// Cópia de segurança de um espaço num ficheiro JSON versionado, para guardar fora do Firebase ou mudar de projeto.
+// As datas do Firestore ficam como { "$timestamp": "<ISO 8601>" }. Dos anexos só se guardam os metadados
+// (nome, caminho, URL): os ficheiros continuam no Storage de origem.
+//
+// Os rascunhos e registos agendados de quem exporta também vão no arquivo, marcados com a visibilidade;
+// os da outra pessoa não, porque só ela os pode ler.
+//
+// A importação junta o arquivo a um espaço sem duplicar nada: cada documento mantém o id que tinha, e ids que
+// já existem no espaço são ignorados, por isso importar o mesmo arquivo duas vezes não muda nada.
+
+export const ARCHIVE_FORMAT = 'nossa-constelacao/archive';
+// Versão 2: journalEntries pode ter registos privados (visibility), que uma app da versão 1 partilharia
+export const ARCHIVE_VERSION = 2;
+
+// Lotes do Firestore aceitam até 500 escritas
+const BATCH_SIZE = 400;
+
+/**
+ * @typedef {Object} Archive
+ * @property {string} format - sempre ARCHIVE_FORMAT
+ * @property {number} version
+ * @property {string} exportedAt - ISO 8601
+ * @property {{ id: string, name: string }} space
+ * @property {Object<string, string>} authors - uid -> nome, para ligar os autores aos membros ao importar
+ * @property {Object[]} momentTypes
+ * @property {Object[]} moments - documentos de journey_moments, com id
+ * @property {Object[]} journalEntries - documentos de journal_entries, com id; os privados de quem exportou trazem
+ *   visibility ('private' ou 'scheduled') e shareAt
+ * @property {Object[]} [goals] - objetivos do "Nosso Propósito", com id (ausente nos arquivos mais antigos)
+ * @property {{ text: string } | null} purpose
+ */
+
+const isTimestamp = (value) => value && typeof value.toDate === 'function';
+
+const encodeValue = (value) => {
+  if (isTimestamp(value)) return { $timestamp: value.toDate().toISOString() };
+  if (value instanceof Date) return { $timestamp: value.toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, encodeValue(v)]));
+  }
+  return value;
+};
+
+// O estado da edição em conjunto (crdt) só serve a este espaço: ao importar começa um novo a partir do texto
+const encodePurpose = ({ crdt, crdtBase, ...purpose }) => encodeValue(purpose);
+
+const isEncodedTimestamp = (value) =>
+  Boolean(value) && typeof value === 'object' && typeof value.$timestamp === 'string'
+  && !Number.isNaN(new Date(value.$timestamp).getTime());
+
+// Volta a transformar os { $timestamp } em Date (o Firestore grava-as como Timestamp)
+export const decodeValue = (value) => {
+  if (isEncodedTimestamp(value)) return new Date(value.$timestamp);
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decodeValue(v)]));
+  }
+  return value;
+};
+
+const readCollection = async (db, path) => {
+  const snapshot = await getDocs(collection(db, path));
+  return snapshot.docs.map((docSnap) => encodeValue({ id: docSnap.id, ...docSnap.data() }));
+};
+
+const byDate = (a, b) => (toDate(decodeValue(a.date)) || 0) - (toDate(decodeValue(b.date)) || 0);
+
+/**
+ * Lê o espaço inteiro para um arquivo, com os registos privados de quem exporta.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {{ space: { id: string, name: string }, userId: string,
+ *   getAuthorName: (uid: string, fallback?: string) => string }} options
+ * @returns {Promise<Archive>}
+ */
+export async function exportArchive(db, spacePath, { space, userId, getAuthorName }) {
+  const [momentTypes, moments, sharedEntries, privateEntries, goals, purposeSnap] = await Promise.all([
+    readCollection(db, getMomentTypesPath(spacePath)),
+    readCollection(db, getMomentsPath(spacePath)),
+    readCollection(db, getJournalPath(spacePath)),
+    readCollection(db, getPrivateJournalPath(spacePath, userId)),
+    readCollection(db, getGoalsPath(spacePath)),
+    getDoc(doc(db, getPurposePath(spacePath))),
+  ]);
+  const journalEntries = [...sharedEntries, ...privateEntries];
+  const authors = {};
+  [...moments, ...journalEntries].forEach((card) => {
+    const author = getCardAuthorId(card);
+    if (author && !authors[author]) authors[author] = getAuthorName(author, card.addedByName);
+  });
+  goals.forEach(({ owners }) => owners.forEach((uid) => {
+    if (!authors[uid]) authors[uid] = getAuthorName(uid);
+  }));
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    space: { id: space.id, name: space.name },
+    authors,
+    momentTypes,
+    moments: moments.sort(byDate),
+    journalEntries: journalEntries.sort(byDate),
+    goals,
+    purpose: purposeSnap.exists() ? encodePurpose(purposeSnap.data()) : null,
+  };
+}
+
+// --- Validação ---
+const isNonEmptyString = (value, maxLength) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+const isDocId = (value) => isNonEmptyString(value, 200) && !value.includes('/');
+const isOptionalList = (value, max) => value === undefined || (Array.isArray(value) && value.length <= max);
+
+const validateMoment = (moment) =>
+  isDocId(moment.id) && isNonEmptyString(moment.title, 200) && isNonEmptyString(moment.type, 40)
+  && isEncodedTimestamp(moment.date) && (moment.description === undefined || typeof moment.description === 'string')
+  && isOptionalList(moment.tags, MAX_TAGS) && isOptionalList(moment.attachments, MAX_ATTACHMENTS);
+
+const validateEntry = (entry) =>
+  isDocId(entry.id) && isNonEmptyString(entry.text, 20000) && isEncodedTimestamp(entry.date)
+  && isOptionalList(entry.tags, MAX_TAGS) && isOptionalList(entry.attachments, MAX_ATTACHMENTS)
+  && (entry.visibility === undefined || entry.visibility === 'private'
+    || (entry.visibility === 'scheduled' && isEncodedTimestamp(entry.shareAt)));
+
+const validateGoal = (goal) =>
+  isDocId(goal.id) && isNonEmptyString(goal.title, 200) && GOAL_STATUSES.includes(goal.status)
+  && GOAL_PROGRESS_KINDS.includes(goal.progressKind) && Array.isArray(goal.owners) && goal.owners.every((uid) => typeof uid === 'string')
+  && isOptionalList(goal.steps, MAX_GOAL_STEPS)
+  && (goal.progressKind !== 'amount' || (typeof goal.targetAmount === 'number' && goal.targetAmount > 0));
+
+const validateType = (type) =>
+  isDocId(type.id) && isNonEmptyString(type.name, 40) && isNonEmptyString(type.emoji, 16) && type.color in MOMENT_TYPE_COLORS;
+
+const invalidItem = (field, index) => ({ key: 'archive.errors.invalidItem', params: { field, position: index + 1 } });
+
+/**
+ * Devolve a mensagem de erro para o utilizador (chave em archive.errors.*), ou null se o arquivo pode ser importado.
+ * @param {any} data
+ * @returns {import('../i18n/translate').Message | null}
+ */
+export const validateArchive = (data) => {
+  if (!data || typeof data !== 'object' || data.format !== ARCHIVE_FORMAT) {
+    return { key: 'archive.errors.notArchive' };
+  }
+  if (!Number.isInteger(data.version) || data.version > ARCHIVE_VERSION) {
+    return { key: 'archive.errors.newerVersion' };
+  }
+  const lists = [['moments', validateMoment], ['journalEntries', validateEntry], ['momentTypes', validateType]];
+  for (const [field, validate] of lists) {
+    if (!Array.isArray(data[field])) return { key: 'archive.errors.incomplete', params: { field } };
+    const index = data[field].findIndex((item) => !item || typeof item !== 'object' || !validate(item));
+    if (index !== -1) return invalidItem(field, index);
+  }
+  if (data.goals !== undefined) {
+    const index = Array.isArray(data.goals) ? data.goals.findIndex((goal) => !goal || typeof goal !== 'object' || !validateGoal(goal)) : 0;
+    if (index !== -1) return invalidItem('goals', index);
+  }
+  if (data.purpose != null && (typeof data.purpose !== 'object' || typeof data.purpose.text !== 'string')) {
+    return { key: 'archive.errors.invalidPurpose' };
+  }
+  if (data.authors !== undefined && (typeof data.authors !== 'object' || data.authors === null)) {
+    return { key: 'archive.errors.invalidAuthors' };
+  }
+  return null;
+};
+
+/**
+ * Lê o texto de um ficheiro de arquivo.
+ * @param {string} text
+ * @returns {{ archive: Archive | null, error: import('../i18n/translate').Message | null }}
+ */
+export const parseArchive = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { archive: null, error: { key: 'archive.errors.invalidJson' } };
+  }
+  const error = validateArchive(data);
+  return error ? { archive: null, error } : { archive: data, error: null };
+};
+
+/**
+ * Autores dos momentos e registos e responsáveis pelos objetivos do arquivo, com o nome guardado (vazio se o arquivo
+ * não o tem).
+ * @param {Archive} archive
+ * @returns {{ uid: string, name: string }[]}
+ */
+export const getArchiveAuthors = (archive) => {
+  const authors = new Map();
+  [...archive.moments, ...archive.journalEntries].forEach((card) => {
+    const author = getCardAuthorId(card);
+    if (!author || authors.has(author)) return;
+    authors.set(author, (archive.authors && archive.authors[author]) || card.addedByName || '');
+  });
+  (archive.goals || []).forEach(({ owners }) => owners.forEach((uid) => {
+    if (!authors.has(uid)) authors.set(uid, (archive.authors && archive.authors[uid]) || '');
+  }));
+  return Array.from(authors, ([uid, name]) => ({ uid, name }));
+};
+
+// --- Importação ---
+const existingIds = async (db, path) => new Set((await getDocs(collection(db, path))).docs.map(({ id }) => id));
+
+const commitInBatches = async (db, writes) => {
+  for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + BATCH_SIZE).forEach(([ref, data]) => batch.set(ref, data));
+    await batch.commit();
+  }
+};
+
+// Datas no futuro seriam recusadas pelas regras (o relógio de quem exportou pode estar adiantado)
+const notAfterNow = (date) => (date && date.getTime() <= Date.now() ? date : new Date());
+
+/**
+ * Junta o arquivo ao espaço. authorMap liga cada autor do arquivo (uid antigo) a um membro do espaço, creditado
+ * em originalAuthor;
+ * os documentos importados ficam marcados com importedBy/importedAt (ver firestore.rules).
+ * Os registos privados voltam ao diário privado de quem importa, se o autor estiver ligado a essa pessoa;
+ * os de outro autor ficam de fora. A data de um registo privado é a da importação (as regras só aceitam essa)
+ * e writtenAt guarda a original.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {Archive} archive - já validado (parseArchive)
+ * @param {{ userId: string, authorMap: Object<string, string>, genericTypeName: string }} options - genericTypeName é
+ *   o nome dos tipos que voltam como "Momento" genérico, no idioma de quem importa
+ * @returns {Promise<{ momentTypes: number, moments: number, journalEntries: number, privateEntries: number,
+ *   goals: number, skipped: number, purpose: boolean }>}
+ */
+export async function importArchive(db, spacePath, archive, { userId, authorMap, genericTypeName }) {
+  const [typeIds, momentIds, sharedEntryIds, privateEntryIds, goalIds, purposeSnap] = await Promise.all([
+    existingIds(db, getMomentTypesPath(spacePath)),
+    existingIds(db, getMomentsPath(spacePath)),
+    existingIds(db, getJournalPath(spacePath)),
+    existingIds(db, getPrivateJournalPath(spacePath, userId)),
+    existingIds(db, getGoalsPath(spacePath)),
+    getDoc(doc(db, getPurposePath(spacePath))),
+  ]);
+  // Um registo agendado que entretanto foi partilhado mantém o id, por isso conta nas duas coleções
+  const entryIds = new Set([...sharedEntryIds, ...privateEntryIds]);
+  const mapAuthor = (uid) => authorMap[uid] || userId;
+  const imported = { importedBy: userId, importedAt: serverTimestamp() };
+  // Quem importa fica dono dos cartões (as regras não deixam escrever em nome de outro membro);
+  // o autor do arquivo, ligado a um membro, é creditado em originalAuthor (ver data/authorship.js)
+  const importedAuthorship = (card) => ({ addedBy: userId, originalAuthor: mapAuthor(getCardAuthorId(card)) });
+
+  const moments = archive.moments.filter(({ id }) => !momentIds.has(id));
+  const newEntries = archive.journalEntries.filter(({ id }) => !entryIds.has(id));
+  const entries = newEntries.filter((entry) => !isPrivateEntry(entry));
+  const privateEntries = newEntries
+    .filter((entry) => isPrivateEntry(entry) && mapAuthor(getCardAuthorId(entry)) === userId);
+  const goals = (archive.goals || []).filter(({ id }) => !goalIds.has(id));
+  const types = archive.momentTypes.filter(({ id }) => !typeIds.has(id));
+  // Momentos de um tipo que já tinha sido excluído na origem: o tipo volta como "Momento" genérico,
+  // que o casal pode renomear ou excluir depois
+  const knownTypeIds = new Set([...DEFAULT_MOMENT_TYPES.map(({ id }) => id), ...typeIds, ...types.map(({ id }) => id)]);
+  moments.forEach(({ type }) => {
+    if (knownTypeIds.has(type)) return;
+    knownTypeIds.add(type);
+    types.push({ id: type, name: genericTypeName, emoji: '✨', color: 'purple', order: Date.now() });
+  });
+
+  // Os tipos primeiro: as regras só aceitam momentos de tipos que já existem no espaço
+  await commitInBatches(db, types.map(({ id, name, emoji, color, order }) => [
+    doc(db, getMomentTypesPath(spacePath), id),
+    { name, emoji, color, order: order || 0, updatedBy: userId, updatedAt: serverTimestamp() },
+  ]));
+
+  await commitInBatches(db, [
+    ...moments.map((moment) => {
+      const {
+        title, description = '', type, date, hasTime = false, tags = [], attachments = [], addedByName, createdAt, goalId,
+      } = decodeValue(moment);
+      return [doc(db, getMomentsPath(spacePath), moment.id), {
+        title, description, type, date, hasTime, tags, attachments,
+        ...(goalId ? { goalId } : {}),
+        ...importedAuthorship(moment),
+        addedByName: addedByName || '',
+        createdAt: notAfterNow(createdAt || date),
+        ...imported,
+      }];
+    }),
+    ...entries.map((entry) => {
+      const { text, date, tags = [], attachments = [], mood = null, addedByName } = decodeValue(entry);
+      return [doc(db, getJournalPath(spacePath), entry.id), {
+        text, tags, attachments,
+        mood: normalizeMoodCheckIn(mood),
+        date: notAfterNow(date),
+        ...importedAuthorship(entry),
+        addedByName: addedByName || '',
+        ...imported,
+      }];
+    }),
+    ...privateEntries.map((entry) => {
+      const {
+        text, date, writtenAt, tags = [], attachments = [], mood = null, visibility, shareAt = null, addedByName,
+      } = decodeValue(entry);
+      return [doc(db, getPrivateJournalPath(spacePath, userId), entry.id), {
+        text, tags, attachments, visibility,
+        mood: normalizeMoodCheckIn(mood),
+        shareAt: visibility === 'scheduled' ? shareAt : null,
+        date: serverTimestamp(),
+        writtenAt: notAfterNow(writtenAt || date),
+        addedBy: userId,
+        addedByName: addedByName || '',
+      }];
+    }),
+    // Os objetivos ficam criados por quem importa (as regras não deixam criar em nome de outro membro)
+    ...goals.map((goal) => {
+      const {
+        title, description = '', owners, targetDate = null, status, progressKind, steps = [], targetAmount, currentAmount,
+        unit = '', milestoneMomentId, completedAt = null,
+      } = decodeValue(goal);
+      return [doc(db, getGoalsPath(spacePath), goal.id), {
+        title, description, status, progressKind, steps, targetDate, completedAt,
+        owners: Array.from(new Set(owners.map(mapAuthor))),
+        ...(progressKind === 'amount' ? { targetAmount, currentAmount: currentAmount || 0, unit } : {}),
+        ...(milestoneMomentId ? { milestoneMomentId } : {}),
+        createdBy: userId,
+        createdAt: serverTimestamp(),
+        updatedBy: userId,
+        updatedAt: serverTimestamp(),
+      }];
+    }),
+  ]);
+
+  // O propósito só é importado se o espaço ainda não tiver um
+  const currentPurpose = purposeSnap.exists() ? purposeSnap.data().text : '';
+  const importPurpose = Boolean(archive.purpose && archive.purpose.text.trim() && !(currentPurpose || '').trim());
+  if (importPurpose) {
+    await savePurpose(db, spacePath, {
+      text: archive.purpose.text, baseRevision: getPurposeRevision(purposeSnap.exists() ? purposeSnap.data() : null),
+    }, userId);
+  }
+
+  return {
+    momentTypes: types.length,
+    moments: moments.length,
+    journalEntries: entries.length,
+    privateEntries: privateEntries.length,
+    goals: goals.length,
+    skipped: (archive.moments.length - moments.length) + (archive.journalEntries.length - newEntries.length)
+      + ((archive.goals || []).length - goals.length),
+    purpose: importPurpose,
+  };
+}
+
+/**
+ * Nota de um registo privado do arquivo (vazia nos partilhados), para o livro e a versão impressa.
+ * @param {Object} entry - registo já descodificado (decodeValue)
+ * @param {import('../i18n').I18n} i18n
+ * @returns {string}
+ */
+export const describeEntryVisibility = (entry, { t, formatDay }) => {
+  if (entry.visibility === 'scheduled') return t('archive.scheduledNote', { date: formatDay(toDate(entry.shareAt)) });
+  return entry.visibility === 'private' ? t('archive.privateNote') : '';
+};
+
+// --- Livro em Markdown ---
+// Linhas de texto livre começadas por '#' ou '>' não devem virar títulos/citações no livro
+const escapeMarkdownLine = (line) => line.replace(/^(\s*)([#>*+-]|\d+\.)(\s)/, '$1\\$2$3');
+const markdownParagraphs = (text) => text.split('\n').map(escapeMarkdownLine).join('  \n');
+
+/**
+ * Livro legível do arquivo, por ordem cronológica, no idioma de quem o descarrega.
+ * @param {Archive} archive
+ * @param {{ types: import('./momentTypes').MomentTypeDefinition[], getAuthorName: (uid: string, fallback?: string) => string,
+ *   i18n: import('../i18n').I18n }} options
+ * @returns {string}
+ */
+export function archiveToMarkdown(archive, { types, getAuthorName, i18n }) {
+  const { t, formatDay, formatMomentDate, formatList, formatNumber } = i18n;
+  const authorOf = (card) =>
+    (archive.authors && archive.authors[getCardAuthorId(card)]) || getAuthorName(getCardAuthorId(card), card.addedByName);
+  const amount = (value, unit) => `${formatNumber(value)}${unit ? ` ${unit}` : ''}`;
+  const lines = [
+    `# ${archive.space.name}`,
+    '',
+    `_${t('archive.summary', {
+      date: formatDay(new Date(archive.exportedAt)),
+      moments: t('archive.counts.moments', { count: archive.moments.length }),
+      entries: t('archive.counts.entries', { count: archive.journalEntries.length }),
+    })}_`,
+    '',
+  ];
+
+  if (archive.purpose && (archive.purpose.text || '').trim()) {
+    lines.push(`## ${t('views.purpose')}`, '', markdownParagraphs(archive.purpose.text.trim()), '');
+  }
+
+  if (archive.goals && archive.goals.length > 0) {
+    lines.push(`## ${t('goals.title')}`, '');
+    archive.goals.map(decodeValue).forEach((goal) => {
+      const owners = formatList(goal.owners.map((uid) => (archive.authors && archive.authors[uid]) || getAuthorName(uid)));
+      const targetDate = goal.targetDate ? ` · ${t('goals.until', { date: formatDay(toDate(goal.targetDate)) })}` : '';
+      const status = t(`goals.statuses.${goal.status}`);
+      lines.push(`- ${goal.status === 'done' ? '[x]' : '[ ]'} **${goal.title}** (${status} · ${owners}${targetDate})`);
+      (goal.steps || []).forEach((step) => lines.push(`  - ${step.done ? '[x]' : '[ ]'} ${step.text}`));
+      if (goal.progressKind === 'amount') {
+        lines.push(`  - ${t('goals.amountOf', {
+          current: amount(goal.currentAmount || 0, goal.unit),
+          target: amount(goal.targetAmount, goal.unit),
+        })}`);
+      }
+    });
+    lines.push('');
+  }
+
+  lines.push(`## ${t('views.moments')}`, '');
+  archive.moments.map(decodeValue).forEach((moment) => {
+    const type = findMomentType(types, moment.type);
+    lines.push(`### ${type.emoji} ${escapeMarkdownLine(moment.title)}`, '');
+    lines.push(`**${formatMomentDate(moment)}** · ${getMomentTypeName(type, t)} · ${t('archive.book.by', { name: authorOf(moment) })}`, '');
+    if (moment.description) lines.push(markdownParagraphs(moment.description), '');
+    if (moment.tags && moment.tags.length > 0) lines.push(moment.tags.map((tag) => `#${tag}`).join(' '), '');
+    (moment.attachments || []).forEach(({ name, url }) => lines.push(`- 📎 [${name}](${url})`));
+    if (moment.attachments && moment.attachments.length > 0) lines.push('');
+  });
+
+  lines.push(`## ${t('views.journal')}`, '');
+  archive.journalEntries.map(decodeValue).forEach((entry) => {
+    lines.push(`### ${formatDay(toDate(entry.date))}`, '', `_${t('archive.book.by', { name: authorOf(entry) })}_`, '');
+    if (isPrivateEntry(entry)) lines.push(`_${describeEntryVisibility(entry, i18n)}_`, '');
+    lines.push(markdownParagraphs(entry.text), '');
+    const moodLevel = entry.mood && findMoodLevel(entry.mood.score);
+    if (moodLevel) lines.push(`${moodLevel.emoji} ${t(`mood.levels.${moodLevel.value}`)}`, '');
+    if (entry.tags && entry.tags.length > 0) lines.push(entry.tags.map((tag) => `#${tag}`).join(' '), '');
+    (entry.attachments || []).forEach(({ name, url }) => lines.push(`- 📎 [${name}](${url})`));
+    if (entry.attachments && entry.attachments.length > 0) lines.push('');
+  });
+
+  return lines.join('\n');
+}
@@ -0,0 +1,167 @@
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { compressImage } from '../utils/images';
+import { isOnline } from './offline';
+
+// --- Attachments (Firebase Storage) ---
+// Fotos e notas de áudio de momentos e registos do diário.
+// Os ficheiros ficam em {spacePath}/media/{uid do autor}/ no Storage; o documento guarda a lista
+// 'attachments' com os caminhos e URLs, para os poder mostrar e apagar mais tarde.
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} id
+ * @property {'image' | 'audio'} kind
+ * @property {string} name - nome original do ficheiro
+ * @property {string} contentType
+ * @property {number} size - bytes do ficheiro guardado
+ * @property {string} path - caminho no Storage
+ * @property {string} url
+ * @property {string} [thumbPath] - só nas imagens
+ * @property {string} [thumbUrl]
+ * @property {number} [width]
+ * @property {number} [height]
+ */
+
+export const MAX_ATTACHMENTS = 6;
+const MB = 1024 * 1024;
+export const MAX_IMAGE_BYTES = 25 * MB; // antes da compressão
+export const MAX_AUDIO_BYTES = 10 * MB;
+
+export const getMediaFolder = (spacePath, userId) => `${spacePath}/media/${userId}`;
+
+/** @param {File} file @returns {'image' | 'audio' | null} */
+export const getAttachmentKind = (file) => {
+  if (file.type.startsWith('image/')) return 'image';
+  if (file.type.startsWith('audio/')) return 'audio';
+  return null;
+};
+
+/**
+ * @param {File} file
+ * @returns {import('../i18n/translate').Message | null} o erro para o utilizador, ou null se o ficheiro pode ser anexado
+ */
+export const validateAttachmentFile = (file) => {
+  const kind = getAttachmentKind(file);
+  if (!kind) return { key: 'attachments.errors.unsupported', params: { name: file.name } };
+  if (kind === 'image' && file.size > MAX_IMAGE_BYTES) {
+    return { key: 'attachments.errors.imageTooLarge', params: { name: file.name, max: MAX_IMAGE_BYTES / MB } };
+  }
+  if (kind === 'audio' && file.size > MAX_AUDIO_BYTES) {
+    return { key: 'attachments.errors.audioTooLarge', params: { name: file.name, max: MAX_AUDIO_BYTES / MB } };
+  }
+  return null;
+};
+
+const createAttachmentId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const getExtension = (file) => {
+  const match = /\.([a-z0-9]+)$/i.exec(file.name);
+  return match ? match[1].toLowerCase() : 'bin';
+};
+
+// Prepara os blobs a enviar para um ficheiro: imagem comprimida + miniatura, ou o áudio tal como está
+async function prepareUploads(folder, file) {
+  const id = createAttachmentId();
+  const kind = getAttachmentKind(file);
+  if (kind === 'audio') {
+    const path = `${folder}/${id}.${getExtension(file)}`;
+    return {
+      attachment: { id, kind, name: file.name, contentType: file.type, size: file.size, path },
+      uploads: [{ key: 'url', path, blob: file, contentType: file.type }],
+    };
+  }
+
+  const { image, thumbnail, width, height } = await compressImage(file);
+  const contentType = image.type || file.type;
+  const extension = contentType === 'image/jpeg' ? 'jpg' : getExtension(file);
+  const path = `${folder}/${id}.${extension}`;
+  const thumbPath = `${folder}/${id}_thumb.jpg`;
+  return {
+    attachment: { id, kind, name: file.name, contentType, size: image.size, path, thumbPath, width, height },
+    uploads: [
+      { key: 'url', path, blob: image, contentType },
+      { key: 'thumbUrl', path: thumbPath, blob: thumbnail, contentType: 'image/jpeg' },
+    ],
+  };
+}
+
+/**
+ * Apaga os ficheiros dos anexos. Ficheiros que já não existem são ignorados;
+ * outras falhas ficam no log mas não interrompem (o documento já foi alterado).
+ * @param {import('firebase/storage').FirebaseStorage} storage
+ * @param {Attachment[]} [attachments]
+ */
+export async function deleteAttachments(storage, attachments = []) {
+  const paths = attachments.flatMap(({ path, thumbPath }) => (thumbPath ? [path, thumbPath] : [path]));
+  const results = await Promise.allSettled(paths.map((path) => deleteObject(ref(storage, path))));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected' && result.reason.code !== 'storage/object-not-found') {
+      console.error(`Erro ao apagar o anexo ${paths[index]}:`, result.reason);
+    }
+  });
+}
+
+/**
+ * Comprime e envia os ficheiros, reportando o progresso total (0 a 1) em onProgress.
+ * Se algum upload falhar, os que já terminaram são apagados e o erro é relançado.
+ * Offline falha logo (o Storage não tem fila como o Firestore), para o texto poder ser guardado sem os anexos.
+ * @param {import('firebase/storage').FirebaseStorage} storage
+ * @param {string} folder - ver getMediaFolder
+ * @param {File[]} files
+ * @param {(progress: number) => void} [onProgress]
+ * @returns {Promise<Attachment[]>}
+ */
+export async function uploadAttachments(storage, folder, files, onProgress = () => {}) {
+  if (files.length === 0) return [];
+  if (!isOnline()) {
+    const error = new Error('Sem ligação para enviar anexos');
+    error.code = 'attachments/offline';
+    throw error;
+  }
+  onProgress(0);
+  const prepared = await Promise.all(files.map((file) => prepareUploads(folder, file)));
+  const uploads = prepared.flatMap(({ attachment, uploads: parts }) => parts.map((part) => ({ ...part, attachment })));
+  const totalBytes = uploads.reduce((sum, { blob }) => sum + blob.size, 0) || 1;
+  const transferred = uploads.map(() => 0);
+
+  const results = await Promise.allSettled(uploads.map(({ path, blob, contentType }, index) => {
+    const task = uploadBytesResumable(ref(storage, path), blob, { contentType });
+    task.on('state_changed', (snapshot) => {
+      transferred[index] = snapshot.bytesTransferred;
+      onProgress(transferred.reduce((sum, bytes) => sum + bytes, 0) / totalBytes);
+    });
+    return task.then(() => getDownloadURL(ref(storage, path)));
+  }));
+
+  const failure = results.find((result) => result.status === 'rejected');
+  if (failure) {
+    const uploadedPaths = uploads.filter((_, index) => results[index].status === 'fulfilled').map(({ path }) => ({ path }));
+    await deleteAttachments(storage, uploadedPaths);
+    throw failure.reason;
+  }
+
+  results.forEach(({ value: url }, index) => {
+    const { key, attachment } = uploads[index];
+    attachment[key] = url;
+  });
+  return prepared.map(({ attachment }) => attachment);
+}
+
+/**
+ * Envia os ficheiros novos e só depois grava o documento com write(anexosNovos).
+ * Se a gravação falhar, os ficheiros acabados de enviar são apagados para não ficarem órfãos.
+ * @param {import('firebase/storage').FirebaseStorage} storage
+ * @param {string} folder
+ * @param {File[]} files
+ * @param {(attachments: Attachment[]) => Promise<unknown>} write
+ * @param {(progress: number) => void} [onProgress]
+ */
+export async function writeWithAttachments(storage, folder, files, write, onProgress) {
+  const uploaded = await uploadAttachments(storage, folder, files, onProgress);
+  try {
+    return await write(uploaded);
+  } catch (err) {
+    await deleteAttachments(storage, uploaded);
+    throw err;
+  }
+}
@@ -0,0 +1,10 @@
+// --- Autoria dos cartões ---
+// addedBy é quem escreveu o documento e o único que o edita ou exclui (ver firestore.rules). Num momento ou registo
+// importado de um arquivo (ver data/archive.js) é quem importou; o autor original, já ligado a um membro do espaço,
+// fica em originalAuthor. É esse que aparece no cartão, nas tendências, na pesquisa e nos arquivos exportados.
+
+/**
+ * @param {{ addedBy?: string, originalAuthor?: string }} card - momento ou registo do diário
+ * @returns {string | undefined} uid de quem o cartão credita como autor
+ */
+export const getCardAuthorId = (card) => card.originalAuthor || card.addedBy;
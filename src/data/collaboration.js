@@ -0,0 +1,280 @@
+import { useCallback, useContext, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useCollection, useDocument, useMutation } from './hooks';
+import {
+  MAX_PURPOSE_STATE_LENGTH, addPurposeEdit, getPurposeBase, getPurposeEditsPath, getPurposePath, getPurposePresencePath,
+  getPurposeRevision, savePurpose, setPurposePresence,
+} from './purpose';
+import { useI18n } from '../i18n';
+import { toDate } from '../utils/dates';
+import { createTextCrdt, newSiteId, serializeBaseText } from '../utils/textCrdt';
+
+// --- Collaborative Purpose ---
+// O texto do "Nosso Propósito" editado pelas duas pessoas ao mesmo tempo (ver data/purpose.js).
+// As teclas aplicam-se logo no campo e seguem em pequenos lotes para o Firestore; as da outra pessoa entram
+// sem mexer no cursor de quem está a escrever. As teclas são o canal ao vivo; só "Guardar Propósito" (ou restaurar)
+// cria uma versão no histórico, para o histórico não se encher de pausas e as duas pessoas não guardarem à corrida.
+// Quem guarda sozinho (sem a outra pessoa no propósito e sem teclas por aplicar) recomeça o estado a partir do texto,
+// para ele não crescer com os caracteres apagados; as outras sessões passam a esse estado e voltam a enviar o que
+// só elas tinham escrito.
+
+const FLUSH_DELAY_MS = 300; // teclas seguidas vão no mesmo documento
+const MAX_OUTBOX_OPS = 200;
+const PRESENCE_INTERVAL_MS = 1000; // no máximo uma atualização do cursor por segundo
+const PRESENCE_TTL_MS = 60000; // sem notícias há mais tempo, a pessoa já não está no propósito
+const TYPING_TTL_MS = 4000;
+
+const elapsedSince = (timestamp, now) => {
+  const date = toDate(timestamp);
+  return date ? now - date.getTime() : Infinity;
+};
+
+/**
+ * @param {string} spacePath
+ * @param {{ current: HTMLTextAreaElement | null }} textareaRef - campo onde se edita (para guardar o cursor)
+ */
+export function useCollaborativePurpose(spacePath, textareaRef) {
+  const { db, userId } = useContext(FirebaseContext);
+  const { t } = useI18n();
+  const { data: purpose, loading: loadingPurpose, error: purposeError } = useDocument(spacePath && getPurposePath(spacePath));
+  const { data: edits, loading: loadingEdits, error: editsError } = useCollection(
+    spacePath && getPurposeEditsPath(spacePath), { orderBy: ['createdAt', 'asc'] }
+  );
+  const { data: presence } = useCollection(spacePath && getPurposePresencePath(spacePath));
+  const { run, queue, isSubmitting, error: mutationError } = useMutation();
+  // Cada espaço tem o seu texto; cada montagem é uma sessão de edição nova
+  const crdt = useMemo(() => (spacePath ? createTextCrdt(newSiteId()) : null), [spacePath]);
+  const [text, setText] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+  const [conflict, setConflict] = useState(false); // a última versão guardada daqui foi recusada
+  const textRef = useRef('');
+  const selectionRef = useRef(null); // seleção a repor depois de entrarem alterações da outra pessoa
+  const appliedEditsRef = useRef(new Set()); // operações já incluídas no estado local, apagadas na próxima versão
+  const outboxRef = useRef([]);
+  const savedRevisionRef = useRef(0); // a versão que esta sessão guardou, antes de o snapshot chegar
+  const baseRef = useRef(null); // crdtBase do estado local (null até o propósito carregar)
+  const typedRef = useRef(false); // esta sessão escreveu alguma coisa
+  const editsRef = useRef(edits);
+  editsRef.current = edits;
+  const aloneRef = useRef(true); // mais ninguém está no propósito
+  const timersRef = useRef({});
+  const presenceRef = useRef({ lastSent: 0, typing: false });
+  const purposeRef = useRef(purpose);
+  purposeRef.current = purpose;
+
+  const savedState = useMemo(
+    () => purpose && (purpose.crdt || serializeBaseText(purpose.text || '')),
+    [purpose]
+  );
+  const purposeBase = loadingPurpose ? null : getPurposeBase(purpose);
+
+  useEffect(() => {
+    textRef.current = '';
+    setText('');
+    appliedEditsRef.current = new Set();
+    outboxRef.current = [];
+    savedRevisionRef.current = 0;
+    baseRef.current = null;
+    typedRef.current = false;
+    setConflict(false);
+  }, [crdt]);
+
+  const showRemoteChanges = useCallback((apply) => {
+    const textarea = textareaRef.current;
+    const focused = textarea && document.activeElement === textarea;
+    const selection = focused ? [crdt.anchorAt(textarea.selectionStart), crdt.anchorAt(textarea.selectionEnd)] : null;
+    apply();
+    const next = crdt.text();
+    if (next === textRef.current) return;
+    selectionRef.current = selection;
+    textRef.current = next;
+    setText(next);
+  }, [crdt, textareaRef]);
+
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    const selection = selectionRef.current;
+    selectionRef.current = null;
+    if (!textarea || !selection) return;
+    textarea.setSelectionRange(crdt.indexOfAnchor(selection[0]) || 0, crdt.indexOfAnchor(selection[1]) || 0);
+  }, [text, crdt, textareaRef]);
+
+  // --- Presença ---
+  const sendPresence = useCallback((active) => {
+    const state = presenceRef.current;
+    clearTimeout(timersRef.current.presence);
+    timersRef.current.presence = null;
+    state.lastSent = Date.now();
+    const textarea = textareaRef.current;
+    setPurposePresence(db, spacePath, userId, {
+      site: crdt.site,
+      cursor: active && textarea ? crdt.anchorAt(textarea.selectionEnd) : null,
+      active,
+      typing: state.typing,
+    }).catch((err) => console.error('Erro ao atualizar a presença no propósito:', err));
+    state.typing = false;
+  }, [db, spacePath, userId, crdt, textareaRef]);
+
+  const announce = useCallback((typing) => {
+    if (!crdt) return;
+    if (typing) presenceRef.current.typing = true;
+    if (timersRef.current.presence) return;
+    const wait = Math.max(0, presenceRef.current.lastSent + PRESENCE_INTERVAL_MS - Date.now());
+    timersRef.current.presence = setTimeout(() => sendPresence(true), wait);
+  }, [crdt, sendPresence]);
+
+  // --- Envio das teclas e versões ---
+  const flushEdits = useCallback(() => {
+    clearTimeout(timersRef.current.flush);
+    timersRef.current.flush = null;
+    const ops = outboxRef.current.splice(0);
+    if (ops.length === 0) return Promise.resolve();
+    const edit = { site: crdt.site, base: baseRef.current || '', ops };
+    return queue(addPurposeEdit(db, spacePath, edit, userId), t('purpose.sendError')).catch((err) => {
+      // Ficam para o próximo envio; de qualquer forma já fazem parte do estado guardado na próxima versão
+      outboxRef.current.unshift(...ops);
+      throw err;
+    });
+  }, [db, spacePath, userId, crdt, queue, t]);
+
+  const hasUnsavedText = useCallback(
+    () => crdt.text().trim() !== ((purposeRef.current && purposeRef.current.text) || ''),
+    [crdt]
+  );
+
+  const saveVersion = useCallback(async (restoredFrom) => {
+    await flushEdits();
+    const baseRevision = Math.max(getPurposeRevision(purposeRef.current), savedRevisionRef.current);
+    const compactEditIds = [...appliedEditsRef.current];
+    const state = crdt.serialize();
+    // Sem estado, savePurpose recomeça-o a partir do texto. Com a outra pessoa presente só se o estado já não cabe:
+    // as teclas dela feitas sobre o estado anterior perdem-se, mas a sessão dela volta a enviar o texto que tem.
+    const alone = aloneRef.current && editsRef.current.every((edit) => appliedEditsRef.current.has(edit.id));
+    const rebase = alone || state.length > MAX_PURPOSE_STATE_LENGTH;
+    await queue(
+      savePurpose(db, spacePath, {
+        text: crdt.text(), baseRevision, restoredFrom, crdt: rebase ? null : state, crdtBase: baseRef.current || '', compactEditIds,
+      }, userId),
+      t('purpose.saveError')
+    );
+    savedRevisionRef.current = baseRevision + 1;
+    compactEditIds.forEach((editId) => appliedEditsRef.current.delete(editId));
+  }, [db, spacePath, userId, crdt, queue, flushEdits, t]);
+
+  const applyLocalText = useCallback((nextText, cursor) => {
+    const ops = crdt.localEdit(nextText, cursor);
+    if (ops.length === 0) return;
+    typedRef.current = true;
+    outboxRef.current.push(...ops);
+    textRef.current = crdt.text();
+    setText(textRef.current);
+    const timers = timersRef.current;
+    clearTimeout(timers.flush);
+    if (outboxRef.current.length >= MAX_OUTBOX_OPS) {
+      flushEdits().catch((err) => console.error('Erro ao enviar as alterações ao propósito:', err));
+    } else {
+      timers.flush = setTimeout(
+        () => flushEdits().catch((err) => console.error('Erro ao enviar as alterações ao propósito:', err)),
+        FLUSH_DELAY_MS
+      );
+    }
+    announce(true);
+  }, [crdt, flushEdits, announce]);
+
+  // Estado guardado: junta-se ao local, ou substitui-o se alguém o recomeçou a partir do texto
+  useEffect(() => {
+    if (!crdt || purposeBase === null) return;
+    const rebased = baseRef.current !== null && baseRef.current !== purposeBase;
+    baseRef.current = purposeBase;
+    if (!savedState) return;
+    if (!rebased) {
+      showRemoteChanges(() => crdt.merge(savedState));
+      return;
+    }
+    // As âncoras do estado anterior deixam de existir: a seleção fica nas mesmas posições, com âncoras do novo
+    const textarea = textareaRef.current;
+    const range = textarea && document.activeElement === textarea
+      ? [textarea.selectionStart, textarea.selectionEnd]
+      : null;
+    const shown = textRef.current;
+    const ownText = typedRef.current ? crdt.text() : null;
+    outboxRef.current = [];
+    crdt.reset(savedState);
+    if (ownText !== null) applyLocalText(ownText);
+    const next = crdt.text();
+    if (next === shown) return;
+    selectionRef.current = range && range.map((index) => crdt.anchorAt(index));
+    textRef.current = next;
+    setText(next);
+  }, [crdt, purposeBase, savedState, textareaRef, showRemoteChanges, applyLocalText]);
+
+  // Teclas recebidas; as feitas sobre um estado anterior já estão no guardado (ou voltam a ser enviadas)
+  useEffect(() => {
+    if (!crdt || purposeBase === null) return;
+    showRemoteChanges(() => {
+      edits.forEach((edit) => {
+        if ((edit.base || '') !== purposeBase || crdt.applyOps(edit.ops || [])) appliedEditsRef.current.add(edit.id);
+      });
+    });
+  }, [crdt, purposeBase, edits, showRemoteChanges]);
+
+  // Ao sair: envia o que falta e deixa de aparecer à outra pessoa
+  useEffect(() => () => {
+    if (!crdt) return;
+    clearTimeout(timersRef.current.presence);
+    flushEdits().catch((err) => console.error('Erro ao enviar as alterações ao propósito:', err));
+    sendPresence(false);
+  }, [crdt, flushEdits, sendPresence]);
+
+  // --- A outra pessoa ---
+  const others = presence.filter((entry) => entry.uid !== userId && entry.active);
+  const hasOthers = others.length > 0;
+  useEffect(() => {
+    if (!hasOthers) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasOthers]);
+
+  const partners = others
+    .filter((entry) => elapsedSince(entry.updatedAt, now) < PRESENCE_TTL_MS)
+    .map((entry) => ({
+      uid: entry.uid,
+      position: crdt ? crdt.indexOfAnchor(entry.cursor) : null,
+      typing: elapsedSince(entry.typingAt, now) < TYPING_TTL_MS,
+    }));
+  aloneRef.current = partners.length === 0;
+
+  // Se a outra pessoa guardou no mesmo instante, o texto dela já está junto ao daqui: avisa para guardar de novo
+  const save = () => run(async () => {
+    try {
+      await saveVersion();
+      setConflict(false);
+    } catch (err) {
+      if (err.code !== 'purpose/conflict') throw err;
+      setConflict(true);
+    }
+  }, t('purpose.saveError'));
+
+  // A versão restaurada substitui o texto para os dois; o que estava escrito fica antes como versão própria
+  const restore = (revision) => run(async () => {
+    if (hasUnsavedText()) await saveVersion();
+    applyLocalText(revision.text);
+    await saveVersion(revision.revision);
+  }, t('purpose.restoreError'));
+
+  return {
+    purpose,
+    text,
+    loading: loadingPurpose || loadingEdits,
+    error: mutationError || purposeError || editsError,
+    isSaving: isSubmitting,
+    hasUnsavedChanges: text.trim() !== ((purpose && purpose.text) || ''),
+    conflict,
+    partners,
+    edit: applyLocalText,
+    moveCursor: () => announce(false),
+    save,
+    restore,
+  };
+}
@@ -0,0 +1,108 @@
+import {
+  collection, doc, getDocs, writeBatch, updateDoc, serverTimestamp, increment,
+} from 'firebase/firestore';
+
+// --- Comments Repository ---
+// Conversa por baixo de cada cartão, em {cartão}/comments. Os comentários de topo têm parentId null; as respostas
+// apontam para o comentário de topo (um só nível). O cartão guarda commentCount, atualizado no mesmo lote,
+// para a lista mostrar quantos comentários há sem subscrever a conversa de cada cartão. Com ele vai lastCommentId,
+// para as regras confirmarem que esse comentário é criado ou excluído no mesmo lote.
+// Só quem escreveu edita ou exclui; depois de o cartão ser excluído, qualquer membro limpa o que ficou.
+
+/**
+ * @typedef {Object} Comment
+ * @property {string} id
+ * @property {string} text
+ * @property {string | null} parentId - comentário de topo a que responde
+ * @property {string} addedBy
+ * @property {string} addedByName
+ * @property {import('firebase/firestore').Timestamp} createdAt
+ * @property {import('firebase/firestore').Timestamp} [editedAt]
+ *
+ * @typedef {{ id: string, comment: Comment | null, replies: Comment[] }} CommentThread
+ *   comment é null quando o comentário de topo foi excluído mas ainda tem respostas
+ */
+
+export const MAX_COMMENT_LENGTH = 2000;
+
+// Escritas por lote, abaixo do limite de 500 do Firestore
+const BATCH_SIZE = 400;
+
+export const getCommentsPath = (cardPath) => `${cardPath}/comments`;
+
+/**
+ * Agrupa os comentários (por ordem de criação) em conversas.
+ * @param {Comment[]} comments
+ * @returns {CommentThread[]}
+ */
+export const buildThreads = (comments) => {
+  const threads = new Map();
+  const threadFor = (id) => {
+    if (!threads.has(id)) threads.set(id, { id, comment: null, replies: [] });
+    return threads.get(id);
+  };
+  comments.forEach((comment) => {
+    if (comment.parentId) threadFor(comment.parentId).replies.push(comment);
+    else threadFor(comment.id).comment = comment;
+  });
+  return [...threads.values()];
+};
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} cardPath
+ * @param {{ text: string, parentId?: string | null }} fields
+ * @param {import('./moments').Author} author
+ */
+export const addComment = (db, cardPath, { text, parentId = null }, { userId, userName }) => {
+  const batch = writeBatch(db);
+  const commentRef = doc(collection(db, getCommentsPath(cardPath)));
+  batch.set(commentRef, {
+    text: text.trim(),
+    parentId,
+    addedBy: userId,
+    addedByName: userName || '',
+    createdAt: serverTimestamp(),
+  });
+  batch.update(doc(db, cardPath), { commentCount: increment(1), lastCommentId: commentRef.id });
+  return batch.commit();
+};
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} cardPath
+ * @param {string} commentId
+ * @param {string} text
+ */
+export const updateComment = (db, cardPath, commentId, text) =>
+  updateDoc(doc(db, getCommentsPath(cardPath), commentId), {
+    text: text.trim(),
+    editedAt: serverTimestamp(),
+  });
+
+/**
+ * As respostas continuam, por baixo de "Comentário excluído".
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} cardPath
+ * @param {string} commentId
+ */
+export const deleteComment = (db, cardPath, commentId) => {
+  const batch = writeBatch(db);
+  batch.delete(doc(db, getCommentsPath(cardPath), commentId));
+  batch.update(doc(db, cardPath), { commentCount: increment(-1), lastCommentId: commentId });
+  return batch.commit();
+};
+
+/**
+ * Apaga a conversa de um cartão que acabou de ser excluído.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} cardPath
+ */
+export async function deleteAllComments(db, cardPath) {
+  const snapshot = await getDocs(collection(db, getCommentsPath(cardPath)));
+  for (let start = 0; start < snapshot.docs.length; start += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    snapshot.docs.slice(start, start + BATCH_SIZE).forEach((docSnap) => batch.delete(docSnap.ref));
+    await batch.commit();
+  }
+}
@@ -0,0 +1,107 @@
+import { doc, updateDoc } from 'firebase/firestore';
+import { daysUntil, toDate } from '../utils/dates';
+
+// --- Couple Settings ---
+// Nomes dos dois, o dia em que começaram e outras datas especiais, guardados no próprio documento do espaço.
+// Qualquer membro pode alterá-los. O cabeçalho mostra há quanto tempo estão juntos e quanto falta
+// para o próximo aniversário e para o próximo encontro planeado.
+
+/**
+ * @typedef {'yearly' | 'once'} AnniversaryRepeat - 'once' é um encontro planeado
+ *
+ * @typedef {Object} Anniversary
+ * @property {string} id
+ * @property {string} title
+ * @property {import('firebase/firestore').Timestamp} date
+ * @property {AnniversaryRepeat} repeats
+ *
+ * @typedef {Object} CoupleSettings
+ * @property {string[]} partnerNames - sempre dois; em branco usa o nome do perfil do membro na mesma posição
+ * @property {Date | null} startDate
+ * @property {{ id: string, title: string, date: Date, repeats: AnniversaryRepeat }[]} anniversaries
+ *
+ * @typedef {Object} UpcomingDate
+ * @property {string} id - START_ANNIVERSARY_ID para o aniversário do dia em que começaram
+ * @property {string} title
+ * @property {AnniversaryRepeat} repeats
+ * @property {Date} date - próxima ocorrência
+ * @property {number} daysLeft - 0 = hoje
+ * @property {number} years - anos completados nessa ocorrência
+ */
+
+export const ANNIVERSARY_REPEATS = ['yearly', 'once'];
+
+export const MAX_ANNIVERSARIES = 20;
+export const MAX_PARTNER_NAME_LENGTH = 60;
+
+export const START_ANNIVERSARY_ID = 'start';
+
+/**
+ * Nomes para o cabeçalho: os configurados no espaço e, para quem ficou em branco, o nome do perfil
+ * do membro na mesma posição (quem criou o espaço primeiro).
+ * @param {{ members: string[], partnerNames?: string[] }} space
+ * @param {Object<string, { displayName?: string }>} profiles
+ * @returns {string[]} zero, um ou dois nomes
+ */
+export const getCoupleNames = (space, profiles) => [0, 1]
+  .map((index) => {
+    const configured = space.partnerNames && space.partnerNames[index];
+    const profile = profiles[space.members[index]];
+    return (configured && configured.trim()) || (profile && profile.displayName) || '';
+  })
+  .filter(Boolean);
+
+// Próxima ocorrência a partir de hoje (inclusive); um encontro que já passou não tem próxima
+const getNextOccurrence = (anniversary, now) => {
+  const date = toDate(anniversary.date);
+  if (!date) return null;
+  let next = date;
+  if (anniversary.repeats === 'yearly' && daysUntil(date, now) < 0) {
+    // 29 de fevereiro é celebrado a 28 nos anos não bissextos
+    const onYear = (year) => new Date(year, date.getMonth(), Math.min(date.getDate(), new Date(year, date.getMonth() + 1, 0).getDate()));
+    next = onYear(now.getFullYear());
+    if (daysUntil(next, now) < 0) next = onYear(now.getFullYear() + 1);
+  }
+  const daysLeft = daysUntil(next, now);
+  if (daysLeft < 0) return null;
+  return {
+    id: anniversary.id,
+    title: anniversary.title,
+    repeats: anniversary.repeats,
+    date: next,
+    daysLeft,
+    years: next.getFullYear() - date.getFullYear(),
+  };
+};
+
+/**
+ * O aniversário (incluindo o do dia em que começaram) e o encontro planeado que chegam primeiro.
+ * @param {{ startDate?: import('firebase/firestore').Timestamp | null, anniversaries?: Anniversary[] }} space
+ * @param {Date} [now]
+ * @returns {{ anniversary: UpcomingDate | null, meeting: UpcomingDate | null }}
+ */
+export const getUpcomingDates = (space, now = new Date()) => {
+  const upcoming = [
+    ...(space.startDate ? [{ id: START_ANNIVERSARY_ID, title: '', date: space.startDate, repeats: 'yearly' }] : []),
+    ...(space.anniversaries || []),
+  ]
+    .map((anniversary) => getNextOccurrence(anniversary, now))
+    .filter(Boolean)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+  return {
+    anniversary: upcoming.find(({ repeats }) => repeats === 'yearly') || null,
+    meeting: upcoming.find(({ repeats }) => repeats === 'once') || null,
+  };
+};
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath - caminho do documento do espaço
+ * @param {CoupleSettings} settings
+ */
+export const saveCoupleSettings = (db, spacePath, { partnerNames, startDate, anniversaries }) =>
+  updateDoc(doc(db, spacePath), {
+    partnerNames: partnerNames.map((name) => name.trim()),
+    startDate: startDate || null,
+    anniversaries: anniversaries.map(({ id, title, date, repeats }) => ({ id, title: title.trim(), date, repeats })),
+  });
@@ -0,0 +1,24 @@
+// --- Firestore Error Mapping ---
+// Converte os códigos de erro do Firestore (e do Storage, nos anexos) na chave da mensagem nos catálogos (errors.*),
+// traduzida pela UI no idioma ativo. Erros sem mensagem específica usam a de quem chama (ex: "Erro ao adicionar momento.").
+const FIRESTORE_ERROR_KEYS = {
+  'permission-denied': 'errors.permissionDenied',
+  'unauthenticated': 'errors.unauthenticated',
+  'not-found': 'errors.notFound',
+  'unavailable': 'errors.unavailable',
+  'deadline-exceeded': 'errors.deadlineExceeded',
+  'resource-exhausted': 'errors.resourceExhausted',
+  'storage/unauthorized': 'errors.storageUnauthorized',
+  'storage/quota-exceeded': 'errors.storageQuotaExceeded',
+  'storage/retry-limit-exceeded': 'errors.storageRetryLimitExceeded',
+  'storage/canceled': 'errors.storageCanceled',
+  'purpose/conflict': 'errors.purposeConflict',
+  'purpose/too-large': 'errors.purposeTooLarge',
+  'attachments/offline': 'errors.attachmentsOffline',
+};
+
+/**
+ * @param {{ code?: string } | null} error
+ * @returns {string | null} a chave da mensagem, ou null se o código não tem mensagem própria
+ */
+export const getFirestoreErrorKey = (error) => (error && FIRESTORE_ERROR_KEYS[error.code]) || null;
@@ -0,0 +1,168 @@
+import { collection, addDoc, doc, updateDoc, deleteDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { getMomentsPath } from './moments';
+
+// --- Shared Goals Repository ---
+// Objetivos do casal em {spacePath}/goals, mostrados no "Nosso Propósito" junto do texto livre.
+// Qualquer membro edita e atualiza o progresso; só quem criou o objetivo o pode excluir.
+// Ao concluir, o objetivo pode ficar registado na jornada como um momento ✅ (tipo 'milestone') com goalId.
+
+/**
+ * @typedef {'active' | 'paused' | 'done'} GoalStatus
+ * @typedef {'none' | 'checklist' | 'amount'} GoalProgressKind
+ *
+ * @typedef {Object} GoalStep
+ * @property {string} id
+ * @property {string} text
+ * @property {boolean} done
+ *
+ * @typedef {Object} Goal
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string[]} owners - uids dos membros responsáveis
+ * @property {import('firebase/firestore').Timestamp | null} targetDate
+ * @property {GoalStatus} status
+ * @property {GoalProgressKind} progressKind
+ * @property {GoalStep[]} steps - usado quando progressKind é 'checklist'
+ * @property {number} [targetAmount] - meta quando progressKind é 'amount' (ex: poupança)
+ * @property {number} [currentAmount]
+ * @property {string} [unit] - ex: '€'
+ * @property {string} [milestoneMomentId] - momento criado ao concluir
+ * @property {string} createdBy
+ * @property {string} updatedBy
+ *
+ * @typedef {{ title: string, description: string, owners: string[], targetDate: Date | null,
+ *   progressKind: GoalProgressKind, steps: GoalStep[], targetAmount: number, currentAmount: number, unit: string }} GoalFields
+ */
+
+// Os nomes mostrados estão nos catálogos de tradução (goals.statuses.* e goals.progressKinds.*)
+/** @type {GoalStatus[]} */
+export const GOAL_STATUSES = ['active', 'paused', 'done'];
+
+/** @type {GoalProgressKind[]} */
+export const GOAL_PROGRESS_KINDS = ['none', 'checklist', 'amount'];
+
+export const MAX_GOAL_STEPS = 20;
+
+export const getGoalsPath = (spacePath) => `${spacePath}/goals`;
+
+// Só os campos do tipo de progresso escolhido vão para o documento
+const goalFields = ({ title, description, owners, targetDate, progressKind, steps, targetAmount, currentAmount, unit }) => ({
+  title: title.trim(),
+  description: description.trim(),
+  owners,
+  targetDate: targetDate || null,
+  progressKind,
+  steps: progressKind === 'checklist'
+    ? steps.map((step) => ({ ...step, text: step.text.trim() })).filter((step) => step.text)
+    : [],
+  ...(progressKind === 'amount'
+    ? { targetAmount: Number(targetAmount), currentAmount: Number(currentAmount) || 0, unit: unit.trim() }
+    : {}),
+});
+
+/**
+ * Progresso entre 0 e 1, ou null quando o objetivo não tem medida (ou a lista está vazia).
+ * @param {Goal} goal
+ * @returns {number | null}
+ */
+export const getGoalProgress = (goal) => {
+  if (goal.progressKind === 'checklist' && goal.steps && goal.steps.length > 0) {
+    return goal.steps.filter((step) => step.done).length / goal.steps.length;
+  }
+  if (goal.progressKind === 'amount' && goal.targetAmount > 0) {
+    return Math.min(1, (goal.currentAmount || 0) / goal.targetAmount);
+  }
+  return goal.status === 'done' ? 1 : null;
+};
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {GoalFields} fields
+ * @param {string} userId
+ */
+export const addGoal = (db, spacePath, fields, userId) =>
+  addDoc(collection(db, getGoalsPath(spacePath)), {
+    ...goalFields(fields),
+    status: 'active',
+    createdBy: userId,
+    createdAt: serverTimestamp(),
+    updatedBy: userId,
+    updatedAt: serverTimestamp(),
+  });
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {string} goalId
+ * @param {GoalFields} fields
+ * @param {string} userId
+ */
+export const updateGoal = (db, spacePath, goalId, fields, userId) =>
+  updateDoc(doc(db, getGoalsPath(spacePath), goalId), {
+    ...goalFields(fields),
+    updatedBy: userId,
+    updatedAt: serverTimestamp(),
+  });
+
+/**
+ * Atualiza só o progresso (passos marcados, valor atual) ou o estado, sem tocar no resto.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {string} goalId
+ * @param {{ steps?: GoalStep[], currentAmount?: number, status?: GoalStatus }} changes
+ * @param {string} userId
+ */
+export const updateGoalProgress = (db, spacePath, goalId, changes, userId) =>
+  updateDoc(doc(db, getGoalsPath(spacePath), goalId), {
+    ...changes,
+    ...(changes.status && changes.status !== 'done' ? { completedAt: null } : {}),
+    updatedBy: userId,
+    updatedAt: serverTimestamp(),
+  });
+
+/**
+ * Marca o objetivo como concluído e, se pedido, regista-o na jornada como momento ✅ no mesmo lote.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {Goal} goal
+ * @param {{ createMilestone: boolean, author: import('./moments').Author }} options
+ */
+export const completeGoal = (db, spacePath, goal, { createMilestone, author }) => {
+  const batch = writeBatch(db);
+  const changes = {
+    status: 'done',
+    completedAt: serverTimestamp(),
+    updatedBy: author.userId,
+    updatedAt: serverTimestamp(),
+  };
+  if (createMilestone) {
+    const momentRef = doc(collection(db, getMomentsPath(spacePath)));
+    batch.set(momentRef, {
+      title: goal.title,
+      description: goal.description || '',
+      type: 'milestone',
+      date: new Date(),
+      hasTime: true,
+      tags: [],
+      attachments: [],
+      goalId: goal.id,
+      createdAt: serverTimestamp(),
+      addedBy: author.userId,
+      addedByName: author.userName || '',
+    });
+    changes.milestoneMomentId = momentRef.id;
+  }
+  batch.update(doc(db, getGoalsPath(spacePath), goal.id), changes);
+  return batch.commit();
+};
+
+/**
+ * O momento criado ao concluir continua na jornada.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {string} goalId
+ */
+export const deleteGoal = (db, spacePath, goalId) =>
+  deleteDoc(doc(db, getGoalsPath(spacePath), goalId));
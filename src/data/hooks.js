@@ -0,0 +1,284 @@
+import { useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  collection, doc, query, orderBy, where, limit, startAfter, endAt, onSnapshot, getDoc, getDocs,
+} from 'firebase/firestore';
+import FirebaseContext from '../FirebaseContext';
+import { useI18n } from '../i18n';
+import { getFirestoreErrorKey } from './errors';
+import { isOnline, queueWhenOffline } from './offline';
+import { buildMomentTypes, getMomentTypesPath } from './momentTypes';
+
+// --- Shared Firestore Hooks ---
+// Subscrições em tempo real com estado de carregamento/erro, partilhadas por todas as vistas.
+// As subscrições dependem apenas do caminho (string) e de uma chave serializada das opções,
+// por isso não voltam a subscrever quando o componente volta a renderizar.
+// Cada item traz hasPendingWrites: true enquanto tiver alterações feitas aqui que o servidor ainda não confirmou
+// (ex: escritas feitas offline); includeMetadataChanges faz chegar um snapshot novo quando são confirmadas.
+
+const LISTEN_OPTIONS = { includeMetadataChanges: true };
+
+// Offline um serverTimestamp() ainda não tem valor: 'estimate' usa a hora local até o servidor confirmar
+const toItem = (docSnap) => ({
+  id: docSnap.id,
+  ...docSnap.data({ serverTimestamps: 'estimate' }),
+  hasPendingWrites: docSnap.metadata.hasPendingWrites,
+});
+
+// Mensagem de um erro no idioma ativo: a do código do erro (ver errors.js) ou, sem ela, a de quem chama.
+// Não muda com o idioma, para as subscrições não serem refeitas ao trocar de idioma.
+function useErrorMessage() {
+  const { t } = useI18n();
+  const tRef = useRef(t);
+  tRef.current = t;
+  return useCallback((err, fallbackMessage = tRef.current('errors.load')) => {
+    const key = getFirestoreErrorKey(err);
+    return key ? tRef.current(key) : fallbackMessage;
+  }, []);
+}
+
+const buildConstraints = ({ orderBy: order, filters, limit: max } = {}) => [
+  ...(filters || []).map(([field, op, value]) => where(field, op, value)),
+  ...(order ? [orderBy(order[0], order[1] || 'asc')] : []),
+  ...(max ? [limit(max)] : []),
+];
+
+// useCollection('spaces/x/journey_moments', { orderBy: ['date', 'desc'], filters: [['type', '==', 'star']], limit: 50 })
+export function useCollection(path, options = {}) {
+  const { db, isAuthenticated } = useContext(FirebaseContext);
+  const [data, setData] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const describeError = useErrorMessage();
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  const optionsKey = JSON.stringify(options);
+
+  useEffect(() => {
+    if (!db || !isAuthenticated || !path) {
+      setData([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    const q = query(collection(db, path), ...buildConstraints(optionsRef.current));
+    const unsubscribe = onSnapshot(q, LISTEN_OPTIONS, (snapshot) => {
+      setData(snapshot.docs.map(toItem));
+      setLoading(false);
+    }, (err) => {
+      console.error(`Erro ao carregar ${path}:`, err);
+      setError(describeError(err));
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, isAuthenticated, path, optionsKey, describeError]);
+
+  return { data, loading, error };
+}
+
+// Compara valores de ordenação (Timestamps, números ou texto) como o Firestore
+const compareSortValues = (a, b) => {
+  const left = a && typeof a.toMillis === 'function' ? a.toMillis() : a;
+  const right = b && typeof b.toMillis === 'function' ? b.toMillis() : b;
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+// Histórico paginado por cursor: só a página mais recente fica em tempo real, as antigas são lidas a pedido.
+// usePaginatedCollection('spaces/x/journey_moments', { orderBy: ['date', 'desc'], pageSize: 20 })
+//
+// Ao pedir a segunda página, a subscrição passa de limit(pageSize) para endAt(último documento da 1.ª página):
+// os documentos novos continuam a entrar em tempo real e nenhum sai pelo fundo para o intervalo entre páginas.
+// As páginas antigas não são subscritas; depois de editar ou excluir um desses documentos chama-se refresh(id).
+export function usePaginatedCollection(path, { orderBy: order, pageSize }) {
+  const { db, isAuthenticated } = useContext(FirebaseContext);
+  const [live, setLive] = useState({ items: [], lastDoc: null });
+  const [older, setOlder] = useState({ items: [], lastDoc: null, hasMore: true });
+  const [anchor, setAnchor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const describeError = useErrorMessage();
+  const { t } = useI18n();
+  const [field, direction = 'asc'] = order;
+  const loadingMoreRef = useRef(false);
+
+  // Outro caminho (ou outra ordenação) recomeça da primeira página
+  useEffect(() => {
+    setAnchor(null);
+    setOlder({ items: [], lastDoc: null, hasMore: true });
+    setLive({ items: [], lastDoc: null });
+    setLoading(true);
+  }, [path, field, direction, pageSize]);
+
+  useEffect(() => {
+    if (!db || !isAuthenticated || !path) {
+      setLive({ items: [], lastDoc: null });
+      setLoading(false);
+      return;
+    }
+
+    setError(null);
+    const q = query(
+      collection(db, path),
+      orderBy(field, direction),
+      ...(anchor ? [endAt(anchor)] : [limit(pageSize)])
+    );
+    const unsubscribe = onSnapshot(q, LISTEN_OPTIONS, (snapshot) => {
+      setLive({ items: snapshot.docs.map(toItem), lastDoc: snapshot.docs[snapshot.docs.length - 1] || null });
+      setLoading(false);
+    }, (err) => {
+      console.error(`Erro ao carregar ${path}:`, err);
+      setError(describeError(err));
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, isAuthenticated, path, field, direction, pageSize, anchor, describeError]);
+
+  const hasMore = anchor ? older.hasMore : live.items.length >= pageSize;
+
+  const loadMore = useCallback(async () => {
+    if (loadingMoreRef.current || !hasMore || !live.lastDoc) return;
+    const cursor = older.lastDoc || anchor || live.lastDoc;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    if (!anchor) setAnchor(live.lastDoc);
+    try {
+      const snapshot = await getDocs(query(collection(db, path), orderBy(field, direction), startAfter(cursor), limit(pageSize)));
+      setOlder((current) => ({
+        items: [...current.items, ...snapshot.docs.map(toItem)],
+        lastDoc: snapshot.docs[snapshot.docs.length - 1] || current.lastDoc,
+        hasMore: snapshot.docs.length >= pageSize,
+      }));
+    } catch (err) {
+      console.error(`Erro ao carregar mais de ${path}:`, err);
+      setError(describeError(err, t('errors.loadMore')));
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  }, [db, path, field, direction, pageSize, hasMore, live.lastDoc, older.lastDoc, anchor, describeError, t]);
+
+  // Volta a ler um documento editado ou excluído fora da página em tempo real. Um documento cuja nova posição
+  // cai nas páginas antigas (ex: a data de um momento recuou) entra lá; nos outros casos o snapshot trata dele.
+  const refresh = useCallback(async (id) => {
+    if (!anchor) return;
+    const docSnap = await getDoc(doc(db, path, id));
+    const sign = direction === 'desc' ? -1 : 1;
+    const isAfter = (item, cursor) => sign * compareSortValues(item[field], cursor.get(field)) > 0;
+    setOlder((current) => {
+      const items = current.items.filter((item) => item.id !== id);
+      if (!docSnap.exists()) return { ...current, items };
+      const item = toItem(docSnap);
+      const inOlderPages = isAfter(item, anchor) && (!current.lastDoc || !current.hasMore || !isAfter(item, current.lastDoc));
+      if (!inOlderPages) return { ...current, items };
+      return {
+        ...current,
+        items: [...items, item].sort((a, b) => sign * compareSortValues(a[field], b[field])),
+      };
+    });
+  }, [db, path, field, direction, anchor]);
+
+  const data = useMemo(() => [...live.items, ...older.items], [live.items, older.items]);
+
+  return { data, loading, loadingMore, hasMore, loadMore, refresh, error };
+}
+
+// useDocument('spaces/x/our_purpose/sharedPurpose') -> data é null enquanto o documento não existir
+export function useDocument(path) {
+  const { db, isAuthenticated } = useContext(FirebaseContext);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const describeError = useErrorMessage();
+
+  useEffect(() => {
+    if (!db || !isAuthenticated || !path) {
+      setData(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    const unsubscribe = onSnapshot(doc(db, path), LISTEN_OPTIONS, (docSnap) => {
+      setData(docSnap.exists() ? toItem(docSnap) : null);
+      setLoading(false);
+    }, (err) => {
+      console.error(`Erro ao carregar ${path}:`, err);
+      setError(describeError(err));
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, isAuthenticated, path, describeError]);
+
+  return { data, loading, error };
+}
+
+// Estado 'isSubmitting' + erro para escritas. run() devolve true se a ação correu bem.
+export function useMutation() {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const describeError = useErrorMessage();
+
+  const run = useCallback(async (action, fallbackMessage) => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(describeError(err, fallbackMessage));
+      return false;
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [describeError]);
+
+  // Escrita que fica na fila offline (ver data/offline.js); se o servidor a recusar depois, o erro aparece aqui
+  const queue = useCallback((write, fallbackMessage) => queueWhenOffline(write, (err) => {
+    console.error(fallbackMessage, err);
+    setError(describeError(err, fallbackMessage));
+  }), [describeError]);
+
+  return { run, queue, isSubmitting, error, setError };
+}
+
+// Estado da ligação do browser (eventos online/offline da janela)
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(isOnline);
+
+  useEffect(() => {
+    const update = () => setOnline(isOnline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+}
+
+// Progresso (0 a 1) do envio de anexos, associado ao formulário que o iniciou:
+// track('new') ou track(idEmEdição) devolve o callback onProgress; progressFor(alvo) lê-o (ou null).
+export function useUploadProgress() {
+  const [upload, setUpload] = useState(null);
+  const track = useCallback((target) => (value) => setUpload({ target, value }), []);
+  const reset = useCallback(() => setUpload(null), []);
+  const progressFor = (target) => (upload && upload.target === target ? upload.value : null);
+  return { track, reset, progressFor };
+}
+
+// Registo de tipos de momento do espaço (os três originais + os criados pelo casal)
+export function useMomentTypes(spacePath) {
+  const { data, loading, error } = useCollection(spacePath && getMomentTypesPath(spacePath));
+  const types = useMemo(() => buildMomentTypes(data), [data]);
+  return { types, loading, error };
+}
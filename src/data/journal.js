@@ -0,0 +1,175 @@
+import {
+  collection, addDoc, doc, getDoc, updateDoc, deleteDoc, writeBatch, runTransaction, serverTimestamp,
+} from 'firebase/firestore';
+import { deleteAttachments } from './attachments';
+import { deleteAllComments } from './comments';
+import { normalizeMoodCheckIn } from './mood';
+import { toDate } from '../utils/dates';
+
+// --- Journal Entries Repository ---
+// Registos partilhados do diário em {spacePath}/journal_entries.
+// Os registos privados (rascunhos, ou agendados para serem partilhados numa data) ficam no caminho do autor,
+// artifacts/{appId}/users/{uid}/spaces/{spaceId}/journal_entries, que só ele lê. Partilhar move o registo,
+// com o mesmo id, para a coleção partilhada. Os agendados são partilhados quando chega a data pela função
+// shareScheduledEntries (functions/) e, enquanto estiver aberta, pela app do autor (ver data/scheduledSharing.js).
+// As duas usam shareDueEntry numa transação, por isso cada registo é partilhado uma só vez.
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} id
+ * @property {string} text
+ * @property {import('firebase/firestore').Timestamp} date
+ * @property {string[]} [tags] - etiquetas normalizadas (ver utils/tags.js)
+ * @property {import('./attachments').Attachment[]} [attachments] - fotos e áudios no Storage
+ * @property {string} addedBy - uid do autor
+ * @property {string} addedByName - nome do autor no momento da escrita (fallback do perfil)
+ * @property {import('./mood').MoodCheckIn | null} [mood] - check-in opcional do estado de espírito
+ * @property {'private' | 'scheduled'} [visibility] - só nos registos privados
+ * @property {import('firebase/firestore').Timestamp | null} [shareAt] - quando um registo agendado é partilhado
+ * @property {import('firebase/firestore').Timestamp} [writtenAt] - quando foi escrito, nos registos que começaram privados
+ *
+ * @typedef {'shared' | 'private' | 'scheduled'} JournalVisibility
+ */
+
+// Os nomes mostrados estão nos catálogos de tradução (journal.visibility.*)
+/** @type {JournalVisibility[]} */
+export const JOURNAL_VISIBILITIES = ['shared', 'private', 'scheduled'];
+
+export const getJournalPath = (spacePath) => `${spacePath}/journal_entries`;
+
+/**
+ * artifacts/{appId}/spaces/{spaceId} -> artifacts/{appId}/users/{uid}/spaces/{spaceId}/journal_entries
+ * @param {string} spacePath
+ * @param {string} userId
+ */
+export const getPrivateJournalPath = (spacePath, userId) => {
+  const [root, appId, , spaceId] = spacePath.split('/');
+  return `${root}/${appId}/users/${userId}/spaces/${spaceId}/journal_entries`;
+};
+
+/** @param {JournalEntry} entry */
+export const isPrivateEntry = (entry) => entry.visibility === 'private' || entry.visibility === 'scheduled';
+
+const entryRef = (db, spacePath, entry) => doc(
+  db,
+  isPrivateEntry(entry) ? getPrivateJournalPath(spacePath, entry.addedBy) : getJournalPath(spacePath),
+  entry.id
+);
+
+// Campos de visibilidade de um registo privado; um rascunho não tem data de partilha
+const privateFields = (visibility, shareAt) => ({
+  visibility,
+  shareAt: visibility === 'scheduled' ? shareAt : null,
+});
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {{ text: string, tags?: string[], attachments?: import('./attachments').Attachment[],
+ *   mood?: Object | null, visibility?: JournalVisibility, shareAt?: Date | null }} fields
+ * @param {import('./moments').Author} author
+ */
+export const addEntry = (
+  db, spacePath, { text, tags = [], attachments = [], mood = null, visibility = 'shared', shareAt = null }, { userId, userName }
+) => {
+  const isShared = visibility === 'shared';
+  return addDoc(collection(db, isShared ? getJournalPath(spacePath) : getPrivateJournalPath(spacePath, userId)), {
+    text: text.trim(),
+    tags,
+    attachments,
+    mood: normalizeMoodCheckIn(mood),
+    ...(isShared ? {} : privateFields(visibility, shareAt)),
+    date: serverTimestamp(),
+    addedBy: userId,
+    addedByName: userName || '',
+  });
+};
+
+/**
+ * Num registo privado também se muda entre rascunho e agendado (partilhar é com shareEntry).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {JournalEntry} entry
+ * @param {{ text: string, tags: string[], attachments: import('./attachments').Attachment[], mood?: Object | null,
+ *   visibility?: 'private' | 'scheduled', shareAt?: Date | null }} fields
+ */
+export const updateEntry = (db, spacePath, entry, { text, tags, attachments, mood = null, visibility, shareAt = null }) =>
+  updateDoc(entryRef(db, spacePath, entry), {
+    text: text.trim(),
+    tags,
+    attachments,
+    mood: normalizeMoodCheckIn(mood),
+    ...(isPrivateEntry(entry) && visibility ? privateFields(visibility, shareAt) : {}),
+  });
+
+// O registo partilhado tem a data da partilha; writtenAt guarda quando foi escrito
+const sharedFields = (entry) => ({
+  text: entry.text,
+  tags: entry.tags || [],
+  attachments: entry.attachments || [],
+  mood: normalizeMoodCheckIn(entry.mood),
+  date: serverTimestamp(),
+  ...(entry.writtenAt || entry.date ? { writtenAt: entry.writtenAt || entry.date } : {}),
+  addedBy: entry.addedBy,
+  addedByName: entry.addedByName,
+});
+
+/**
+ * Move um registo privado para o diário partilhado, com o mesmo id, no mesmo lote.
+ * A data do registo partilhado é a da partilha; writtenAt guarda quando foi escrito.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {JournalEntry} entry
+ */
+export const shareEntry = (db, spacePath, entry) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, getJournalPath(spacePath), entry.id), sharedFields(entry));
+  batch.delete(entryRef(db, spacePath, entry));
+  return batch.commit();
+};
+
+/**
+ * Partilha um registo agendado se, lido de novo numa transação, ainda estiver agendado e a data já tiver chegado.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {JournalEntry} entry
+ * @param {Date} now
+ * @returns {Promise<JournalEntry | null>} o registo partilhado, ou null se a função (ou outro separador) já o partilhou
+ */
+export const shareDueEntry = (db, spacePath, entry, now) => {
+  const ref = entryRef(db, spacePath, entry);
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists()) return null;
+    const current = { id: snapshot.id, ...snapshot.data() };
+    if (getDueEntries([current], now).length === 0) return null;
+    transaction.set(doc(db, getJournalPath(spacePath), current.id), sharedFields(current));
+    transaction.delete(ref);
+    return current;
+  });
+};
+
+/**
+ * Registos agendados cuja data de partilha já chegou.
+ * @param {JournalEntry[]} entries
+ * @param {Date} now
+ */
+export const getDueEntries = (entries, now) => entries.filter((entry) => {
+  const shareAt = entry.visibility === 'scheduled' && toDate(entry.shareAt);
+  return Boolean(shareAt) && shareAt <= now;
+});
+
+/**
+ * Exclui o registo e depois os seus anexos no Storage e a conversa (os privados não têm conversa).
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {import('firebase/storage').FirebaseStorage} storage
+ * @param {string} spacePath
+ * @param {JournalEntry} entry
+ */
+export async function deleteEntry(db, storage, spacePath, entry) {
+  const ref = entryRef(db, spacePath, entry);
+  const snapshot = await getDoc(ref);
+  await deleteDoc(ref);
+  if (snapshot.exists()) await deleteAttachments(storage, snapshot.data().attachments);
+  if (!isPrivateEntry(entry)) await deleteAllComments(db, ref.path);
+}
@@ -0,0 +1,110 @@
+import { collection, addDoc, doc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+
+// --- Moment Types Registry ---
+// Tipos de momento de cada espaço em {spacePath}/moment_types/{typeId}.
+// Os três tipos originais (star, cloud, milestone) existem sempre: um documento com o mesmo id
+// apenas muda o nome/emoji/cor. Os tipos criados pelo casal usam ids gerados pelo Firestore.
+// Enquanto o casal não lhes dá outro nome, os originais (e o genérico) são mostrados no idioma de quem vê,
+// com os nomes dos catálogos de tradução (momentTypes.names.*): ver getMomentTypeName.
+
+/**
+ * @typedef {Object} MomentTypeDefinition
+ * @property {string} id - valor guardado em moment.type
+ * @property {string} [name] - ausente nos tipos originais que o casal não renomeou
+ * @property {string} emoji
+ * @property {string} color - chave de MOMENT_TYPE_COLORS
+ * @property {number} order
+ * @property {boolean} isDefault - um dos três tipos originais (não pode ser excluído)
+ * @property {boolean} [isGeneric] - tipo excluído ou desconhecido, mostrado como "Momento"
+ */
+
+// Classes do Tailwind escritas por extenso para não serem removidas no build.
+// Os nomes das cores estão nos catálogos de tradução (momentTypes.colors.*)
+export const MOMENT_TYPE_COLORS = {
+  yellow: { textClass: 'text-yellow-400', swatchClass: 'bg-yellow-400', hex: '#facc15' },
+  gray: { textClass: 'text-gray-400', swatchClass: 'bg-gray-400', hex: '#9ca3af' },
+  green: { textClass: 'text-green-400', swatchClass: 'bg-green-400', hex: '#4ade80' },
+  pink: { textClass: 'text-pink-400', swatchClass: 'bg-pink-400', hex: '#f472b6' },
+  purple: { textClass: 'text-purple-400', swatchClass: 'bg-purple-400', hex: '#c084fc' },
+  blue: { textClass: 'text-blue-400', swatchClass: 'bg-blue-400', hex: '#60a5fa' },
+  red: { textClass: 'text-red-400', swatchClass: 'bg-red-400', hex: '#f87171' },
+  orange: { textClass: 'text-orange-400', swatchClass: 'bg-orange-400', hex: '#fb923c' },
+};
+
+const FALLBACK_COLOR = { textClass: 'text-gray-300', hex: '#d1d5db' };
+
+/** @type {MomentTypeDefinition[]} */
+export const DEFAULT_MOMENT_TYPES = [
+  { id: 'star', emoji: '⭐', color: 'yellow', order: 0, isDefault: true },
+  { id: 'cloud', emoji: '☁️', color: 'gray', order: 1, isDefault: true },
+  { id: 'milestone', emoji: '✅', color: 'green', order: 2, isDefault: true },
+];
+
+export const DEFAULT_MOMENT_TYPE_ID = 'star';
+
+export const getMomentTypesPath = (spacePath) => `${spacePath}/moment_types`;
+
+// Só os campos visíveis que estão preenchidos no documento
+const pickTypeFields = (typeDoc) => {
+  if (!typeDoc) return {};
+  const { name, emoji, color } = typeDoc;
+  return Object.fromEntries(Object.entries({ name, emoji, color }).filter(([, value]) => value));
+};
+
+/**
+ * Junta os tipos originais com os documentos do espaço, por ordem de criação.
+ * @param {Object[]} docs - documentos de moment_types (com id)
+ * @returns {MomentTypeDefinition[]}
+ */
+export const buildMomentTypes = (docs) => {
+  const overrides = new Map(docs.map((typeDoc) => [typeDoc.id, typeDoc]));
+  const defaults = DEFAULT_MOMENT_TYPES.map((type) => ({ ...type, ...pickTypeFields(overrides.get(type.id)) }));
+  const custom = docs
+    .filter((typeDoc) => !DEFAULT_MOMENT_TYPES.some(({ id }) => id === typeDoc.id))
+    .map((typeDoc) => ({ id: typeDoc.id, ...pickTypeFields(typeDoc), order: typeDoc.order || 0, isDefault: false }));
+  return [...defaults, ...custom.sort((a, b) => a.order - b.order)];
+};
+
+/**
+ * Tipo de um momento; tipos excluídos (ou desconhecidos) aparecem como um momento genérico.
+ * @param {MomentTypeDefinition[]} types
+ * @param {string} typeId
+ * @returns {MomentTypeDefinition}
+ */
+export const findMomentType = (types, typeId) =>
+  types.find(({ id }) => id === typeId) || { id: typeId, emoji: '✨', color: null, order: Infinity, isDefault: false, isGeneric: true };
+
+/**
+ * Nome do tipo: o que o casal escolheu ou, nos originais e no genérico, o do catálogo no idioma de quem vê.
+ * @param {MomentTypeDefinition} type
+ * @param {(key: string) => string} t
+ * @returns {string}
+ */
+export const getMomentTypeName = (type, t) => type.name || t(`momentTypes.names.${type.isGeneric ? 'generic' : type.id}`);
+
+export const getMomentTypeTextClass = (type) => (MOMENT_TYPE_COLORS[type.color] || FALLBACK_COLOR).textClass;
+
+export const getMomentTypeHex = (type) => (MOMENT_TYPE_COLORS[type.color] || FALLBACK_COLOR).hex;
+
+/**
+ * Cria um tipo novo (typeId null) ou altera um existente, incluindo os três originais.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {string | null} typeId
+ * @param {{ name: string, emoji: string, color: string }} fields
+ * @param {string} userId
+ */
+export const saveMomentType = (db, spacePath, typeId, { name, emoji, color }, userId) => {
+  const fields = { name: name.trim(), emoji: emoji.trim(), color, updatedBy: userId, updatedAt: serverTimestamp() };
+  if (typeId) return setDoc(doc(db, getMomentTypesPath(spacePath), typeId), fields, { merge: true });
+  return addDoc(collection(db, getMomentTypesPath(spacePath)), { ...fields, order: Date.now() });
+};
+
+/**
+ * Num tipo original, excluir o documento apenas repõe o nome/emoji/cor de origem.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {string} typeId
+ */
+export const deleteMomentType = (db, spacePath, typeId) =>
+  deleteDoc(doc(db, getMomentTypesPath(spacePath), typeId));
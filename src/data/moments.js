@@ -0,0 +1,84 @@
+import { collection, addDoc, doc, getDoc, updateDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { deleteAttachments } from './attachments';
+import { deleteAllComments } from './comments';
+
+// --- Journey Moments Repository ---
+// Momentos da jornada em {spacePath}/journey_moments.
+
+/**
+ * @typedef {string} MomentType - id do tipo no registo do espaço (ver momentTypes.js);
+ *   'star', 'cloud' e 'milestone' existem sempre
+ *
+ * @typedef {Object} Moment
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {MomentType} type
+ * @property {import('firebase/firestore').Timestamp} date - quando aconteceu, escolhido pelo autor
+ *   (nos momentos antigos coincide com a data de criação)
+ * @property {boolean} [hasTime] - se a hora de `date` foi escolhida ou é só o dia
+ * @property {import('firebase/firestore').Timestamp} [createdAt] - quando foi registado; ausente nos momentos antigos
+ * @property {string[]} [tags] - etiquetas normalizadas (ver utils/tags.js)
+ * @property {import('./attachments').Attachment[]} [attachments] - fotos e áudios no Storage
+ * @property {string} addedBy - uid do autor
+ * @property {string} addedByName - nome do autor no momento da escrita (fallback do perfil)
+ *
+ * @typedef {{ userId: string, userName: string }} Author
+ */
+
+export const getMomentsPath = (spacePath) => `${spacePath}/journey_moments`;
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {{ title: string, description: string, type: MomentType, date: Date, hasTime: boolean,
+ *   tags?: string[], attachments?: import('./attachments').Attachment[] }} fields - anexos já enviados para o Storage
+ * @param {Author} author
+ */
+export const addMoment = (db, spacePath, { title, description, type, date, hasTime, tags = [], attachments = [] }, { userId, userName }) =>
+  addDoc(collection(db, getMomentsPath(spacePath)), {
+    title: title.trim(),
+    description: description.trim(),
+    type,
+    date,
+    hasTime,
+    tags,
+    attachments,
+    createdAt: serverTimestamp(),
+    addedBy: userId,
+    addedByName: userName || '',
+  });
+
+/**
+ * Autor e data de criação não são alterados numa edição.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {string} momentId
+ * @param {{ title: string, description: string, type: MomentType, date: Date, hasTime: boolean,
+ *   tags: string[], attachments: import('./attachments').Attachment[] }} fields - lista completa de anexos após a edição
+ */
+export const updateMoment = (db, spacePath, momentId, { title, description, type, date, hasTime, tags, attachments }) =>
+  updateDoc(doc(db, getMomentsPath(spacePath), momentId), {
+    title: title.trim(),
+    description: description.trim(),
+    type,
+    date,
+    hasTime,
+    tags,
+    attachments,
+  });
+
+/**
+ * Exclui o momento e depois os seus anexos no Storage e a conversa.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {import('firebase/storage').FirebaseStorage} storage
+ * @param {string} spacePath
+ * @param {string} momentId
+ */
+export async function deleteMoment(db, storage, spacePath, momentId) {
+  const momentRef = doc(db, getMomentsPath(spacePath), momentId);
+  const snapshot = await getDoc(momentRef);
+  await deleteDoc(momentRef);
+  if (snapshot.exists()) await deleteAttachments(storage, snapshot.data().attachments);
+  await deleteAllComments(db, momentRef.path);
+}
@@ -0,0 +1,158 @@
+import { toDate } from '../utils/dates';
+import { getCardAuthorId } from './authorship';
+
+// --- Mood Check-In ---
+// Registo opcional do estado de espírito num registo do diário (campo mood): humor, energia e ansiedade numa
+// escala de 1 a 5 e uma lista de sentimentos. As tendências (ver components/InsightsView.js) fazem a média do
+// humor de cada pessoa por semana ou por mês e ligam os períodos em baixo aos momentos de desafio da mesma altura.
+
+/**
+ * @typedef {Object} MoodCheckIn
+ * @property {number} score - humor, de 1 (muito em baixo) a 5 (muito bem)
+ * @property {number | null} energy - de 1 a 5, ou null se não foi indicada
+ * @property {number | null} anxiety - de 1 a 5, ou null se não foi indicada
+ * @property {string[]} feelings - ids de FEELINGS
+ *
+ * @typedef {'week' | 'month'} TrendPeriod
+ *
+ * @typedef {Object} TrendBucket
+ * @property {Date} start
+ * @property {Date} end - início do período seguinte
+ * @property {Object<string, number>} averages - humor médio de cada autor com registos no período
+ * @property {string[]} lowUids - autores com o humor médio em baixo (LOW_MOOD_THRESHOLD ou menos)
+ * @property {Object[]} challenges - momentos de desafio do período
+ */
+
+// Os nomes dos níveis, dos sentimentos e dos períodos estão nos catálogos de tradução (mood.*)
+export const MOOD_LEVELS = [
+  { value: 1, emoji: '😞' },
+  { value: 2, emoji: '🙁' },
+  { value: 3, emoji: '😐' },
+  { value: 4, emoji: '🙂' },
+  { value: 5, emoji: '😄' },
+];
+
+// Valores da energia e da ansiedade (mood.energyLevels.* e mood.anxietyLevels.*)
+export const SCALE_VALUES = [1, 2, 3, 4, 5];
+
+export const FEELINGS = [
+  'grateful', 'happy', 'calm', 'loved', 'hopeful', 'missing', 'tired', 'sad', 'frustrated', 'lonely', 'afraid', 'guilty',
+];
+
+// Média de humor a partir da qual um período conta como "em baixo"
+export const LOW_MOOD_THRESHOLD = 2.5;
+
+// Tipo de momento original "Desafio / Obstáculo" (ver momentTypes.js)
+export const CHALLENGE_MOMENT_TYPE = 'cloud';
+
+export const TREND_PERIODS = {
+  week: { count: 12 },
+  month: { count: 12 },
+};
+
+const isScale = (value) => SCALE_VALUES.includes(value);
+
+export const findMoodLevel = (score) => MOOD_LEVELS.find(({ value }) => value === score) || null;
+
+
+/**
+ * Check-in pronto a guardar, ou null se o humor não foi escolhido (o registo fica só com texto).
+ * @param {{ score?: number | null, energy?: number | null, anxiety?: number | null, feelings?: string[] } | null} checkIn
+ * @returns {MoodCheckIn | null}
+ */
+export const normalizeMoodCheckIn = (checkIn) => {
+  if (!checkIn || !isScale(checkIn.score)) return null;
+  const known = new Set(FEELINGS);
+  return {
+    score: checkIn.score,
+    energy: isScale(checkIn.energy) ? checkIn.energy : null,
+    anxiety: isScale(checkIn.anxiety) ? checkIn.anxiety : null,
+    feelings: Array.from(new Set((checkIn.feelings || []).filter((id) => known.has(id)))),
+  };
+};
+
+// Segunda-feira da semana (ou dia 1 do mês) às 00:00, no fuso local
+const periodStart = (date, period) => (period === 'month'
+  ? new Date(date.getFullYear(), date.getMonth(), 1)
+  : new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7)));
+
+const nextPeriodStart = (start, period) => (period === 'month'
+  ? new Date(start.getFullYear(), start.getMonth() + 1, 1)
+  : new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7));
+
+/**
+ * Início do período mais antigo mostrado nas tendências (para limitar as consultas).
+ * @param {TrendPeriod} period
+ * @param {Date} now
+ */
+export const getTrendStart = (period, now) => {
+  let start = periodStart(now, period);
+  for (let i = 1; i < TREND_PERIODS[period].count; i++) {
+    start = period === 'month'
+      ? new Date(start.getFullYear(), start.getMonth() - 1, 1)
+      : new Date(start.getFullYear(), start.getMonth(), start.getDate() - 7);
+  }
+  return start;
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Humor médio de cada autor por período, com os períodos em baixo e os desafios da mesma altura.
+ * @param {{ entries: Object[], moments: Object[], period: TrendPeriod, now: Date }} input
+ * @returns {TrendBucket[]} do mais antigo para o mais recente
+ */
+export const buildMoodTrends = ({ entries, moments, period, now }) => {
+  const buckets = [];
+  for (let start = getTrendStart(period, now); start <= now; start = nextPeriodStart(start, period)) {
+    buckets.push({ start, end: nextPeriodStart(start, period) });
+  }
+  const inBucket = (bucket) => (item) => {
+    const date = toDate(item.date);
+    return Boolean(date) && date >= bucket.start && date < bucket.end;
+  };
+
+  return buckets.map((bucket) => {
+    const scores = {};
+    entries
+      .filter((entry) => entry.mood && isScale(entry.mood.score))
+      .filter(inBucket(bucket))
+      .forEach((entry) => {
+        const author = getCardAuthorId(entry);
+        scores[author] = [...(scores[author] || []), entry.mood.score];
+      });
+    const averages = Object.fromEntries(Object.entries(scores).map(([uid, values]) => [uid, average(values)]));
+    return {
+      ...bucket,
+      averages,
+      lowUids: Object.keys(averages).filter((uid) => averages[uid] <= LOW_MOOD_THRESHOLD),
+      challenges: moments.filter((moment) => moment.type === CHALLENGE_MOMENT_TYPE).filter(inBucket(bucket)),
+    };
+  });
+};
+
+/**
+ * Energia e ansiedade médias e os sentimentos mais frequentes de um autor nos registos dados.
+ * @param {Object[]} entries
+ * @param {string} uid
+ * @param {number} [topCount]
+ */
+export const summarizeMood = (entries, uid, topCount = 3) => {
+  const moods = entries.filter((entry) => getCardAuthorId(entry) === uid && entry.mood).map((entry) => entry.mood);
+  const averageOf = (field) => {
+    const values = moods.map((mood) => mood[field]).filter(isScale);
+    return values.length > 0 ? average(values) : null;
+  };
+  const counts = {};
+  moods.forEach((mood) => (mood.feelings || []).forEach((id) => { counts[id] = (counts[id] || 0) + 1; }));
+  return {
+    count: moods.length,
+    score: averageOf('score'),
+    energy: averageOf('energy'),
+    anxiety: averageOf('anxiety'),
+    topFeelings: Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topCount)
+      .map(([id]) => id),
+  };
+};
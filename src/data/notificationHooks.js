@@ -0,0 +1,119 @@
+import { useContext, useEffect, useRef, useState } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useCollection } from './hooks';
+import {
+  claimNotification, getInboxPath, getNotificationSettings, notifyPartners, removeDevice, saveDevice, scheduleReminders,
+  wantsNotification,
+} from './notifications';
+import {
+  getNotificationPermission, registerPush, showSystemNotification, unregisterPush,
+} from '../push';
+import { useI18n } from '../i18n';
+import { toDate } from '../utils/dates';
+import { getNotificationTitle } from '../utils/notificationText';
+
+// --- Notification Hooks ---
+// Ligam o utilizador às notificações (ver data/notifications.js): avisos à outra pessoa, lembretes,
+// registo deste dispositivo para push e entrega enquanto a app está aberta.
+
+// Avisa os outros membros do espaço ativo de um momento ou registo partilhado (ver data/notifications.js).
+// O aviso é um extra: se falhar, o momento ou registo já está guardado e o erro fica só na consola.
+export function useNotifyPartners() {
+  const { db, appId, userId, userName, activeSpace, profiles } = useContext(FirebaseContext);
+  return (kind, text) => {
+    if (!db || !activeSpace) return;
+    notifyPartners(db, appId, { space: activeSpace, profiles, author: { userId, userName }, kind, text })
+      .catch((err) => console.error("Erro ao enviar notificação:", err));
+  };
+}
+
+const NOTIFICATION_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Token do FCM deste navegador, para o retirar quando as notificações são desligadas
+const pushTokenKey = (userId) => `push_token_${userId}`;
+
+/**
+ * Notificações do utilizador: agenda os lembretes na sua caixa, regista este dispositivo para push e, com a app
+ * aberta, mostra as que chegaram à hora (com a app fechada é a função deliverNotifications que as envia).
+ * @returns {import('../push').NotificationDelivery} como as notificações chegam a este dispositivo
+ */
+export function useNotifications() {
+  const { db, appId, app, vapidKey, userId, profile, spaces } = useContext(FirebaseContext);
+  const { locale } = useI18n();
+  const settings = getNotificationSettings(profile);
+  const { enabled } = settings;
+  const { data: inbox } = useCollection(enabled && userId && getInboxPath(appId, userId));
+  const [pushToken, setPushToken] = useState(null);
+  const deliveringRef = useRef(new Set());
+  // Os tipos escolhidos são lidos na entrega, sem voltar a criar o intervalo a cada perfil carregado
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+  const permission = getNotificationPermission();
+
+  // Lembretes do diário e dos aniversários (só se o utilizador já configurou as notificações alguma vez)
+  useEffect(() => {
+    if (!db || !userId || !profile || !profile.notifications) return;
+    scheduleReminders(db, appId, { userId, profile, spaces })
+      .catch((err) => console.error("Erro ao agendar lembretes:", err));
+  }, [db, appId, userId, profile, spaces]);
+
+  // Push: regista o token deste navegador, ou retira-o quando as notificações são desligadas
+  useEffect(() => {
+    if (!db || !userId) return undefined;
+    const services = { app, vapidKey };
+    let cancelled = false;
+    if (enabled && permission === 'granted') {
+      registerPush(services)
+        .then(async (token) => {
+          if (!token || cancelled) return;
+          await saveDevice(db, appId, userId, token);
+          localStorage.setItem(pushTokenKey(userId), token);
+          setPushToken(token);
+        })
+        .catch((err) => console.error("Erro ao ativar as notificações push:", err));
+    } else {
+      const savedToken = localStorage.getItem(pushTokenKey(userId));
+      if (savedToken) {
+        localStorage.removeItem(pushTokenKey(userId));
+        setPushToken(null);
+        Promise.all([removeDevice(db, appId, userId, savedToken), unregisterPush(services)])
+          .catch((err) => console.error("Erro ao desativar as notificações push:", err));
+      }
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [db, appId, app, vapidKey, userId, enabled, permission]);
+
+  // Entrega local: as notificações da caixa que já chegaram à hora, logo e depois a cada minuto
+  useEffect(() => {
+    if (!db || !enabled || inbox.length === 0) return undefined;
+
+    const deliverDue = () => {
+      const now = new Date();
+      inbox
+        .filter((notification) => toDate(notification.deliverAt) && toDate(notification.deliverAt) <= now)
+        .filter((notification) => !deliveringRef.current.has(notification.id))
+        .forEach((notification) => {
+          deliveringRef.current.add(notification.id);
+          claimNotification(db, appId, userId, notification.id, settingsRef.current, now)
+            .then((claimed) => {
+              if (!claimed || !wantsNotification(settingsRef.current, claimed.type)) return null;
+              return showSystemNotification({
+                title: getNotificationTitle(claimed, locale), body: claimed.body, link: claimed.link, tag: claimed.id,
+              });
+            })
+            .catch((err) => console.error("Erro ao entregar notificação:", err))
+            .finally(() => deliveringRef.current.delete(notification.id));
+        });
+    };
+
+    deliverDue();
+    const interval = setInterval(deliverDue, NOTIFICATION_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [db, appId, userId, enabled, inbox, locale]);
+
+  if (permission === 'unsupported' || permission === 'denied') return permission;
+  return pushToken ? 'push' : 'local';
+}
+
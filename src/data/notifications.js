@@ -0,0 +1,313 @@
+import {
+  collection, addDoc, doc, getDoc, setDoc, deleteDoc, runTransaction, serverTimestamp,
+} from 'firebase/firestore';
+import { DEFAULT_LOCALE, translate } from '../i18n/translate';
+import { START_ANNIVERSARY_ID, getUpcomingDates } from './couple';
+import { toDate } from '../utils/dates';
+import { buildPath } from '../utils/routes';
+
+// --- Notifications ---
+// Cada utilizador tem uma caixa de notificações em artifacts/{appId}/users/{uid}/notifications. Cada documento
+// já tem o texto (no idioma de quem o recebe) e a hora de entrega (deliverAt), fora das horas de silêncio:
+// - quem adiciona um momento ou registo partilhado escreve na caixa da outra pessoa, com as preferências do perfil dela;
+// - a app de cada um agenda na própria caixa o lembrete diário do diário e o aviso da véspera dos aniversários.
+// Entrega: a função deliverNotifications (functions/) envia por push (FCM) para os dispositivos do utilizador;
+// com a app aberta, a própria app mostra as que chegaram à hora (ver useNotifications). Quem entrega primeiro
+// retira o documento da caixa numa transação, por isso cada notificação aparece uma só vez.
+// A função só procura as que têm push 'pending': quem não tem dispositivos fica com 'skipped' e só a app as mostra.
+
+/**
+ * @typedef {'partnerActivity' | 'journalReminder' | 'anniversary'} NotificationType
+ *
+ * @typedef {Object} NotificationSettings - campo 'notifications' do perfil (legível pelos membros do espaço)
+ * @property {boolean} enabled
+ * @property {Object<NotificationType, boolean>} types
+ * @property {string} reminderTime - 'HH:MM' do lembrete diário
+ * @property {{ start: string, end: string } | null} quietHours - 'HH:MM'; pode passar da meia-noite (23:00 a 08:00)
+ * @property {string} timeZone - fuso horário IANA do dispositivo onde foram guardadas (ex: 'Europe/Lisbon')
+ *
+ * @typedef {Object} InboxNotification
+ * @property {string} id
+ * @property {NotificationType} type
+ * @property {string} [title] - ausente nas escritas pela função de entrega, que guarda titleKey e titleParams
+ * @property {string} [titleKey] - mensagem dos catálogos, mostrada com getNotificationTitle (utils/notificationText.js)
+ * @property {Object<string, string | number>} [titleParams]
+ * @property {string} body
+ * @property {string} link - caminho da app a abrir ao tocar na notificação
+ * @property {string | null} spaceId - null no lembrete do diário
+ * @property {import('firebase/firestore').Timestamp} deliverAt
+ * @property {boolean} [repeatDaily] - o lembrete diário volta à caixa para a próxima hora do lembrete
+ * @property {'pending' | 'skipped'} push - 'skipped' quando a função não encontrou dispositivos para a enviar
+ * @property {string} addedBy
+ */
+
+export const NOTIFICATION_TYPES = ['partnerActivity', 'journalReminder', 'anniversary'];
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  types: { partnerActivity: true, journalReminder: true, anniversary: true },
+  reminderTime: '21:00',
+  quietHours: { start: '23:00', end: '08:00' },
+  timeZone: 'UTC',
+};
+
+// Aviso dos aniversários e encontros: na véspera, a esta hora
+const ANNIVERSARY_NOTICE_TIME = '10:00';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Toda a notificação escrita (ou reagendada) na caixa fica à espera do push
+const PUSH_PENDING = 'pending';
+
+// Lembretes agendados pela própria app: um documento com id fixo cada, reescrito quando muda
+const JOURNAL_REMINDER_ID = 'journal-reminder';
+const upcomingReminderId = (kind, spaceId) => `${kind}-${spaceId}`;
+
+export const getInboxPath = (appId, uid) => `artifacts/${appId}/users/${uid}/notifications`;
+export const getDevicesPath = (appId, uid) => `artifacts/${appId}/users/${uid}/devices`;
+
+/**
+ * Preferências do perfil completadas com os valores por omissão.
+ * @param {{ notifications?: Partial<NotificationSettings> } | null} profile
+ * @returns {NotificationSettings}
+ */
+export const getNotificationSettings = (profile) => {
+  const saved = (profile && profile.notifications) || {};
+  return {
+    ...DEFAULT_NOTIFICATION_SETTINGS,
+    ...saved,
+    types: { ...DEFAULT_NOTIFICATION_SETTINGS.types, ...saved.types },
+  };
+};
+
+export const wantsNotification = (settings, type) => Boolean(settings.enabled && settings.types[type]);
+
+// --- Horas no fuso de quem recebe ---
+// A função de entrega tem uma cópia destas contas em functions/notificationSchedule.js (ver notifications.test.js).
+
+const parseTime = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const zonedFormats = {};
+// Minutos desde a meia-noite no fuso indicado (um fuso desconhecido conta como UTC)
+const minutesOfDay = (date, timeZone) => {
+  if (!zonedFormats[timeZone]) {
+    try {
+      zonedFormats[timeZone] = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    } catch (err) {
+      return minutesOfDay(date, 'UTC');
+    }
+  }
+  const parts = zonedFormats[timeZone].formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+// Próximo instante em que o relógio de quem recebe marca 'HH:MM' (agora, se já marca)
+const nextTimeOfDay = (time, timeZone, from) => {
+  const target = parseTime(time);
+  const minutes = (target - minutesOfDay(from, timeZone) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const next = new Date(from.getTime() + minutes * MS_PER_MINUTE);
+  // Com uma mudança de hora pelo meio o relógio marca outra hora: corrige pela diferença (até meio dia para cada lado),
+  // a não ser que isso volte para trás de from (a hora pedida não existe nesse dia, ex: 02:30 quando se salta para as 03:00)
+  const drift = ((target - minutesOfDay(next, timeZone) + MINUTES_PER_DAY * 1.5) % MINUTES_PER_DAY) - MINUTES_PER_DAY / 2;
+  const corrected = new Date(next.getTime() + drift * MS_PER_MINUTE);
+  if (corrected >= from) next.setTime(corrected.getTime());
+  next.setSeconds(0, 0);
+  return next < from ? from : next;
+};
+
+/**
+ * @param {NotificationSettings['quietHours']} quietHours
+ * @param {Date} date
+ * @param {string} timeZone
+ */
+export const isQuietTime = (quietHours, date, timeZone) => {
+  if (!quietHours) return false;
+  const now = minutesOfDay(date, timeZone);
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * Hora de entrega: a pedida, ou o fim das horas de silêncio se calhar dentro delas.
+ * @param {NotificationSettings} settings
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const getDeliveryTime = (settings, date) => (
+  isQuietTime(settings.quietHours, date, settings.timeZone)
+    ? nextTimeOfDay(settings.quietHours.end, settings.timeZone, date)
+    : date
+);
+
+/**
+ * Próximo lembrete do diário depois de now (nunca now), já fora das horas de silêncio.
+ * @param {NotificationSettings} settings
+ * @param {Date} now
+ * @returns {Date}
+ */
+export const getNextJournalReminderTime = (settings, now) =>
+  getDeliveryTime(settings, nextTimeOfDay(settings.reminderTime, settings.timeZone, new Date(now.getTime() + MS_PER_MINUTE)));
+
+// --- Escrita nas caixas ---
+
+/**
+ * Avisa os outros membros do espaço de um momento ou registo novo, segundo as preferências de cada um.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ * @param {{ space: { id: string, members: string[] }, profiles: Object<string, Object>,
+ *   author: { userId: string, userName: string }, kind: 'moment' | 'journal', text: string }} activity
+ */
+export const notifyPartners = (db, appId, { space, profiles, author, kind, text }) => {
+  const now = new Date();
+  const writes = space.members
+    .filter((uid) => uid !== author.userId)
+    .map((uid) => ({ uid, profile: profiles[uid] }))
+    .filter(({ profile }) => wantsNotification(getNotificationSettings(profile), 'partnerActivity'))
+    .map(({ uid, profile }) => {
+      const locale = profile.locale || DEFAULT_LOCALE;
+      return addDoc(collection(db, getInboxPath(appId, uid)), {
+        type: 'partnerActivity',
+        title: translate(locale, `notifications.partner.${kind}`, { name: author.userName || translate(locale, 'app.anonymous') }),
+        body: text.length > 140 ? `${text.slice(0, 139)}…` : text,
+        link: buildPath({ view: kind === 'moment' ? 'moments' : 'journal', spaceId: space.id }),
+        spaceId: space.id,
+        deliverAt: getDeliveryTime(getNotificationSettings(profile), now),
+        push: PUSH_PENDING,
+        addedBy: author.userId,
+        createdAt: serverTimestamp(),
+      });
+    });
+  return Promise.all(writes);
+};
+
+// Escreve o lembrete só se mudou (a app agenda-o sempre que abre), ou retira-o se deixou de fazer sentido
+const syncReminder = async (db, path, reminder) => {
+  const ref = doc(db, path);
+  const current = await getDoc(ref);
+  if (!reminder) {
+    if (current.exists()) await deleteDoc(ref);
+    return;
+  }
+  const existing = current.exists() ? current.data() : null;
+  const existingTime = existing && toDate(existing.deliverAt);
+  if (existing && existingTime && existingTime.getTime() === reminder.deliverAt.getTime()
+    && existing.title === reminder.title && existing.body === reminder.body) return;
+  await setDoc(ref, { ...reminder, createdAt: serverTimestamp() });
+};
+
+// Aviso na véspera de um aniversário ou encontro, ou null se a véspera já passou
+const upcomingReminder = (upcoming, space, settings, userId, locale, now) => {
+  if (!upcoming) return null;
+  const eve = new Date(upcoming.date.getFullYear(), upcoming.date.getMonth(), upcoming.date.getDate() - 1);
+  const [hours, minutes] = ANNIVERSARY_NOTICE_TIME.split(':').map(Number);
+  eve.setHours(hours, minutes, 0, 0);
+  if (eve <= now) return null;
+  const title = upcoming.id === START_ANNIVERSARY_ID
+    ? translate(locale, 'couple.startAnniversary', { count: upcoming.years })
+    : upcoming.title;
+  return {
+    type: 'anniversary',
+    title: translate(locale, 'notifications.anniversary.title', { title }),
+    body: translate(locale, 'notifications.anniversary.body', { space: space.name }),
+    link: buildPath({ view: 'moments', spaceId: space.id }),
+    spaceId: space.id,
+    deliverAt: getDeliveryTime(settings, eve),
+    push: PUSH_PENDING,
+    addedBy: userId,
+  };
+};
+
+/**
+ * Agenda na caixa do utilizador o próximo lembrete do diário e, em cada espaço, o aviso do próximo
+ * aniversário e do próximo encontro; retira os que as preferências já não pedem.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ * @param {{ userId: string, profile: Object, spaces: Object[], now?: Date }} options
+ */
+export const scheduleReminders = (db, appId, { userId, profile, spaces, now = new Date() }) => {
+  const settings = getNotificationSettings(profile);
+  const locale = (profile && profile.locale) || DEFAULT_LOCALE;
+  const inbox = getInboxPath(appId, userId);
+
+  // O lembrete do diário não é de um espaço: abre o diário do espaço ativo
+  const journalReminder = wantsNotification(settings, 'journalReminder') && spaces.length > 0 ? {
+    type: 'journalReminder',
+    title: translate(locale, 'notifications.journalReminder.title'),
+    body: translate(locale, 'notifications.journalReminder.body'),
+    link: buildPath({ view: 'journal' }),
+    spaceId: null,
+    deliverAt: getNextJournalReminderTime(settings, now),
+    repeatDaily: true,
+    push: PUSH_PENDING,
+    addedBy: userId,
+  } : null;
+
+  const wantsAnniversaries = wantsNotification(settings, 'anniversary');
+  const spaceReminders = spaces.flatMap((space) => {
+    const { anniversary, meeting } = getUpcomingDates(space, now);
+    return [
+      [upcomingReminderId('anniversary', space.id), wantsAnniversaries && upcomingReminder(anniversary, space, settings, userId, locale, now)],
+      [upcomingReminderId('meeting', space.id), wantsAnniversaries && upcomingReminder(meeting, space, settings, userId, locale, now)],
+    ];
+  });
+
+  return Promise.all([
+    syncReminder(db, `${inbox}/${JOURNAL_REMINDER_ID}`, journalReminder),
+    ...spaceReminders.map(([id, reminder]) => syncReminder(db, `${inbox}/${id}`, reminder || null)),
+  ]);
+};
+
+// --- Entrega ---
+
+/**
+ * Retira da caixa uma notificação que já chegou à hora. O lembrete diário passa para a próxima hora do lembrete
+ * depois de now, e não 24 horas depois da anterior: depois de dias sem entregas não chegam vários atrasados,
+ * e a mudança da hora não o desloca.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ * @param {string} userId
+ * @param {string} notificationId
+ * @param {NotificationSettings} settings - preferências de quem recebe
+ * @param {Date} [now]
+ * @returns {Promise<InboxNotification | null>} null se outro dispositivo (ou o push) já a entregou
+ */
+export const claimNotification = (db, appId, userId, notificationId, settings, now = new Date()) => {
+  const ref = doc(db, getInboxPath(appId, userId), notificationId);
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists()) return null;
+    const notification = { id: snapshot.id, ...snapshot.data() };
+    const deliverAt = toDate(notification.deliverAt);
+    if (!deliverAt || deliverAt > now) return null;
+    if (notification.repeatDaily) {
+      transaction.update(ref, { deliverAt: getNextJournalReminderTime(settings, now), push: PUSH_PENDING });
+    } else {
+      transaction.delete(ref);
+    }
+    return notification;
+  });
+};
+
+/**
+ * Dispositivo com push ativo: a função de entrega envia para todos os tokens guardados aqui.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ * @param {string} userId
+ * @param {string} token - token do FCM (serve de id do documento)
+ */
+export const saveDevice = (db, appId, userId, token) =>
+  setDoc(doc(db, getDevicesPath(appId, userId), token), {
+    token,
+    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent.slice(0, 200) : '',
+    updatedAt: serverTimestamp(),
+  });
+
+export const removeDevice = (db, appId, userId, token) =>
+  deleteDoc(doc(db, getDevicesPath(appId, userId), token));
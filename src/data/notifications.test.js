@@ -0,0 +1,82 @@
+import * as app from './notifications';
+import * as server from '../../functions/notificationSchedule';
+
+const { DEFAULT_NOTIFICATION_SETTINGS, getNextJournalReminderTime } = app;
+
+const settings = (fields) => ({ ...DEFAULT_NOTIFICATION_SETTINGS, enabled: true, quietHours: null, ...fields });
+
+describe('getNextJournalReminderTime', () => {
+  test('depois de dias sem entregas passa para a próxima hora do lembrete, e não para o dia seguinte ao atrasado', () => {
+    const next = getNextJournalReminderTime(settings({ reminderTime: '21:00' }), new Date('2026-05-10T09:15:00Z'));
+    expect(next.toISOString()).toBe('2026-05-10T21:00:00.000Z');
+  });
+
+  test('nunca volta a dar a hora em que foi entregue', () => {
+    const next = getNextJournalReminderTime(settings({ reminderTime: '21:00' }), new Date('2026-05-10T21:00:00Z'));
+    expect(next.toISOString()).toBe('2026-05-11T21:00:00.000Z');
+  });
+
+  test('mantém a hora do relógio de quem recebe quando muda a hora', () => {
+    const lisbon = settings({ reminderTime: '21:00', timeZone: 'Europe/Lisbon' });
+    // Em Lisboa a hora avança na madrugada de 29 de março de 2026 (de UTC+0 para UTC+1)
+    expect(getNextJournalReminderTime(lisbon, new Date('2026-03-28T21:00:00Z')).toISOString()).toBe('2026-03-29T20:00:00.000Z');
+    // e recua na de 25 de outubro
+    expect(getNextJournalReminderTime(lisbon, new Date('2026-10-24T20:00:00Z')).toISOString()).toBe('2026-10-25T21:00:00.000Z');
+  });
+
+  test('uma hora que não existe nesse dia fica para logo depois do salto', () => {
+    const next = getNextJournalReminderTime(
+      settings({ reminderTime: '01:30', timeZone: 'Europe/Lisbon' }), new Date('2026-03-29T00:45:00Z')
+    );
+    expect(next.toISOString()).toBe('2026-03-29T01:30:00.000Z');
+  });
+
+  test('respeita as horas de silêncio', () => {
+    const next = getNextJournalReminderTime(
+      settings({ reminderTime: '23:30', quietHours: { start: '23:00', end: '08:00' } }), new Date('2026-05-10T12:00:00Z')
+    );
+    expect(next.toISOString()).toBe('2026-05-11T08:00:00.000Z');
+  });
+});
+
+// A função de entrega (functions/) não pode importar a app: as duas versões têm de dar sempre o mesmo resultado
+describe('as contas da função de entrega são as mesmas da app', () => {
+  const profiles = [
+    undefined,
+    {},
+    { notifications: { enabled: true } },
+    { notifications: { enabled: true, types: {} } },
+    { notifications: { enabled: true, types: { partnerActivity: false } } },
+    { notifications: { enabled: false, types: { partnerActivity: true } } },
+    { notifications: { enabled: true, quietHours: null, timeZone: 'America/Sao_Paulo', reminderTime: '07:45' } },
+    { notifications: { enabled: true, quietHours: { start: '22:00', end: '06:30' }, timeZone: 'Europe/Lisbon' } },
+    { notifications: { enabled: true, quietHours: { start: '13:00', end: '15:00' }, timeZone: 'Fuso/Inexistente' } },
+  ];
+  const dates = [
+    '2026-03-28T21:00:00Z', '2026-03-29T00:45:00Z', '2026-05-10T12:00:00Z', '2026-05-10T22:59:00Z',
+    '2026-10-24T20:00:00Z', '2026-10-25T01:30:00Z', '2026-12-31T23:30:00Z',
+  ].map((iso) => new Date(iso));
+
+  test('completam as preferências com os mesmos valores por omissão', () => {
+    expect(server.DEFAULT_NOTIFICATION_SETTINGS).toEqual(app.DEFAULT_NOTIFICATION_SETTINGS);
+    profiles.forEach((profile) => {
+      const settings = app.getNotificationSettings(profile);
+      expect(server.getNotificationSettings(profile)).toEqual(settings);
+      app.NOTIFICATION_TYPES.forEach((type) => {
+        expect(server.wantsNotification(settings, type)).toBe(app.wantsNotification(settings, type));
+      });
+    });
+  });
+
+  test('dão as mesmas horas de entrega e do próximo lembrete', () => {
+    profiles.forEach((profile) => {
+      const settings = app.getNotificationSettings(profile);
+      dates.forEach((date) => {
+        expect(server.isQuietTime(settings.quietHours, date, settings.timeZone))
+          .toBe(app.isQuietTime(settings.quietHours, date, settings.timeZone));
+        expect(server.getDeliveryTime(settings, date)).toEqual(app.getDeliveryTime(settings, date));
+        expect(server.getNextJournalReminderTime(settings, date)).toEqual(app.getNextJournalReminderTime(settings, date));
+      });
+    });
+  });
+});
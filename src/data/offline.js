@@ -0,0 +1,19 @@
+// --- Offline Writes ---
+// Com a cache persistente (ver initializeFirebase em firebase.js), cada escrita é aplicada na cache local
+// no momento em que é feita: os snapshots mostram-na logo, marcada com hasPendingWrites, e o SDK envia-a
+// quando houver ligação. A promessa da escrita só resolve quando o servidor a confirma, por isso offline
+// um formulário que esperasse por ela ficaria preso até a rede voltar.
+
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Online devolve a própria escrita (os erros chegam ao formulário, como antes).
+ * Offline resolve logo, deixando a escrita na fila; se o servidor a recusar mais tarde, o erro vai para onLateError.
+ * @param {Promise<unknown>} write
+ * @param {(error: Error) => void} onLateError
+ */
+export const queueWhenOffline = (write, onLateError) => {
+  if (isOnline()) return write;
+  write.catch(onLateError);
+  return Promise.resolve();
+};
@@ -0,0 +1,159 @@
+import { collection, addDoc, doc, setDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { newSiteId, serializeBaseText } from '../utils/textCrdt';
+
+// --- Shared Purpose Repository ---
+// Um único documento partilhado em {spacePath}/our_purpose/sharedPurpose, com o histórico em
+// {spacePath}/our_purpose/sharedPurpose/revisions/{número}.
+//
+// Cada gravação escreve, no mesmo lote, o documento com o número de versão seguinte e essa versão no histórico.
+// As versões não podem ser reescritas (ver firestore.rules): se duas pessoas guardarem a partir da mesma versão,
+// a segunda é recusada em vez de apagar o texto da primeira.
+//
+// O texto é editado pelos dois ao mesmo tempo (ver utils/textCrdt.js): cada pessoa envia as suas teclas como
+// operações para {…}/sharedPurpose/edits e aplica as da outra. Cada versão guarda também o estado completo (crdt);
+// as operações que ele já inclui são apagadas no mesmo lote, por isso a coleção edits só tem o que veio depois.
+// O estado guarda os caracteres apagados; quando ninguém mais está a editar, a versão recomeça-o a partir do texto
+// com um site novo (crdtBase). Cada operação leva o crdtBase de onde partiu, e as de um estado anterior são ignoradas.
+// Em {…}/sharedPurpose/presence/{uid} fica onde está o cursor de cada pessoa e quando escreveu pela última vez.
+
+/**
+ * @typedef {Object} Purpose
+ * @property {string} text
+ * @property {number} [revision] - número da versão atual; ausente nos propósitos anteriores ao histórico
+ * @property {import('firebase/firestore').Timestamp} lastUpdated
+ * @property {string} updatedBy - uid de quem guardou por último
+ * @property {string} [crdt] - estado do texto partilhado nesta versão (serialize() do utils/textCrdt.js)
+ * @property {string} [crdtBase] - muda sempre que o estado recomeça a partir do texto
+ *
+ * @typedef {Object} PurposeRevision
+ * @property {number} revision
+ * @property {string} text
+ * @property {string} updatedBy
+ * @property {import('firebase/firestore').Timestamp} createdAt
+ * @property {number} [restoredFrom] - versão reposta com "Restaurar esta versão"
+ *
+ * @typedef {Object} PurposeEdit
+ * @property {string} site - sessão de edição que gerou as operações
+ * @property {string} [base] - crdtBase do estado sobre o qual as operações foram feitas
+ * @property {Object[]} ops - operações do utils/textCrdt.js
+ * @property {string} updatedBy
+ * @property {import('firebase/firestore').Timestamp} createdAt
+ *
+ * @typedef {Object} PurposePresence
+ * @property {string} uid
+ * @property {string} site
+ * @property {string | null} cursor - âncora do cursor (anchorAt() do utils/textCrdt.js)
+ * @property {boolean} active - false depois de sair do propósito
+ * @property {import('firebase/firestore').Timestamp} [typingAt]
+ * @property {import('firebase/firestore').Timestamp} updatedAt
+ */
+
+// Lotes do Firestore têm no máximo 500 escritas; o resto das operações já incluídas sai na versão seguinte
+const MAX_COMPACTED_EDITS = 400;
+
+// Tamanho máximo do estado guardado (o mesmo das regras do Firestore)
+export const MAX_PURPOSE_STATE_LENGTH = 900000;
+
+export const getPurposePath = (spacePath) => `${spacePath}/our_purpose/sharedPurpose`;
+
+export const getPurposeRevisionsPath = (spacePath) => `${getPurposePath(spacePath)}/revisions`;
+
+export const getPurposeEditsPath = (spacePath) => `${getPurposePath(spacePath)}/edits`;
+
+export const getPurposePresencePath = (spacePath) => `${getPurposePath(spacePath)}/presence`;
+
+/** @param {Purpose | null} purpose */
+export const getPurposeRevision = (purpose) => (purpose && purpose.revision) || 0;
+
+/** @param {Purpose | null} purpose */
+export const getPurposeBase = (purpose) => (purpose && purpose.crdtBase) || '';
+
+/**
+ * Guarda o texto como a versão seguinte a baseRevision (a versão que estava no ecrã quando se começou a editar).
+ * Se entretanto alguém guardou outra versão, a escrita falha com o código 'purpose/conflict'; se o estado não cabe
+ * no documento, com 'purpose/too-large'.
+ * crdt é o estado do texto partilhado de onde o texto saiu, e crdtBase o estado de onde ele partiu; sem crdt
+ * (ex: importação, ou para deixar de guardar os apagados) começa um estado novo a partir do texto.
+ * compactEditIds são operações já incluídas nesse estado, apagadas no mesmo lote.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {{ text: string, baseRevision: number, restoredFrom?: number, crdt?: string, crdtBase?: string,
+ *   compactEditIds?: string[] }} fields
+ * @param {string} userId
+ */
+export const savePurpose = async (
+  db, spacePath, { text, baseRevision, restoredFrom, crdt, crdtBase = '', compactEditIds = [] }, userId
+) => {
+  const revision = baseRevision + 1;
+  let state = crdt;
+  let base = crdtBase;
+  if (!state) {
+    base = newSiteId();
+    state = serializeBaseText(text, base);
+  }
+  if (state.length > MAX_PURPOSE_STATE_LENGTH) {
+    const tooLarge = new Error('O propósito é grande demais para ser guardado');
+    tooLarge.code = 'purpose/too-large';
+    throw tooLarge;
+  }
+  const batch = writeBatch(db);
+  batch.set(doc(db, getPurposePath(spacePath)), {
+    text: text.trim(),
+    revision,
+    crdt: state,
+    crdtBase: base,
+    lastUpdated: serverTimestamp(),
+    updatedBy: userId,
+  }, { merge: true });
+  batch.set(doc(db, getPurposeRevisionsPath(spacePath), String(revision)), {
+    revision,
+    text: text.trim(),
+    updatedBy: userId,
+    createdAt: serverTimestamp(),
+    ...(restoredFrom ? { restoredFrom } : {}),
+  });
+  compactEditIds.slice(0, MAX_COMPACTED_EDITS).forEach((editId) => {
+    batch.delete(doc(db, getPurposeEditsPath(spacePath), editId));
+  });
+  return batch.commit().catch((err) => {
+    // Os membros podem sempre escrever o propósito e o tamanho já foi visto: uma recusa quer dizer que a versão
+    // já foi usada por outra pessoa
+    if (err.code !== 'permission-denied') throw err;
+    const conflict = new Error('O propósito mudou desde que começou a editar');
+    conflict.code = 'purpose/conflict';
+    throw conflict;
+  });
+};
+
+/**
+ * Envia operações de edição feitas nesta sessão.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {{ site: string, base: string, ops: Object[] }} edit
+ * @param {string} userId
+ */
+export const addPurposeEdit = (db, spacePath, { site, base, ops }, userId) =>
+  addDoc(collection(db, getPurposeEditsPath(spacePath)), {
+    site,
+    base,
+    ops,
+    updatedBy: userId,
+    createdAt: serverTimestamp(),
+  });
+
+/**
+ * Atualiza onde está o cursor desta pessoa; typing marca que acabou de escrever.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} spacePath
+ * @param {string} userId
+ * @param {{ site: string, cursor: string | null, active: boolean, typing?: boolean }} presence
+ */
+export const setPurposePresence = (db, spacePath, userId, { site, cursor, active, typing }) =>
+  setDoc(doc(db, getPurposePresencePath(spacePath), userId), {
+    uid: userId,
+    site,
+    cursor,
+    active,
+    ...(typing ? { typingAt: serverTimestamp() } : {}),
+    updatedAt: serverTimestamp(),
+  }, { merge: true });
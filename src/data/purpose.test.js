@@ -0,0 +1,33 @@
+import { getFirestore } from 'firebase/firestore';
+import { MAX_PURPOSE_STATE_LENGTH, getPurposeEditsPath, getPurposePath, savePurpose } from './purpose';
+import { failNextFirestoreCall, getDocData, listDocs, resetFirebase, seedDoc } from '../test/firebaseHarness';
+
+const SPACE_PATH = 'artifacts/test-app/spaces/space-1';
+
+beforeEach(resetFirebase);
+
+describe('savePurpose', () => {
+  test('sem estado recomeça-o a partir do texto, com um crdtBase novo, e apaga as teclas já incluídas', async () => {
+    seedDoc(`${getPurposeEditsPath(SPACE_PATH)}/e1`, { site: 's1', base: '', ops: [], updatedBy: 'nico' });
+    await savePurpose(getFirestore(), SPACE_PATH, { text: 'Viajar', baseRevision: 0, compactEditIds: ['e1'] }, 'nico');
+
+    const purpose = getDocData(getPurposePath(SPACE_PATH));
+    expect(purpose).toMatchObject({ text: 'Viajar', revision: 1 });
+    expect(purpose.crdtBase).toEqual(expect.any(String));
+    expect(JSON.parse(purpose.crdt).chars.map(([id]) => id)[0]).toBe(`1@${purpose.crdtBase}`);
+    expect(listDocs(getPurposeEditsPath(SPACE_PATH))).toHaveLength(0);
+  });
+
+  test('um estado grande demais é recusado com um erro próprio, sem gravar nada', async () => {
+    const crdt = JSON.stringify({ clock: 0, chars: [], padding: 'x'.repeat(MAX_PURPOSE_STATE_LENGTH) });
+    await expect(savePurpose(getFirestore(), SPACE_PATH, { text: 'Viajar', baseRevision: 0, crdt }, 'nico'))
+      .rejects.toMatchObject({ code: 'purpose/too-large' });
+    expect(getDocData(getPurposePath(SPACE_PATH))).toBeUndefined();
+  });
+
+  test('uma gravação recusada pelas regras é uma versão já usada por outra pessoa', async () => {
+    failNextFirestoreCall('write', 'permission-denied');
+    await expect(savePurpose(getFirestore(), SPACE_PATH, { text: 'Viajar', baseRevision: 0 }, 'nico'))
+      .rejects.toMatchObject({ code: 'purpose/conflict' });
+  });
+});
@@ -0,0 +1,44 @@
+import { doc, updateDoc, arrayUnion, arrayRemove } from 'firebase/firestore';
+
+// --- Reactions Repository ---
+// Reações a um cartão (momento ou registo do diário), no próprio documento: reactions.{uid} é a lista de ids
+// das reações dessa pessoa. Cada membro só mexe na sua lista (ver firestore.rules), mesmo nos cartões da outra pessoa.
+
+/**
+ * @typedef {{ id: string, emoji: string }} Reaction
+ * @typedef {Object<string, string[]>} CardReactions - uid -> ids de reações
+ */
+
+// Os nomes mostrados estão nos catálogos de tradução (reactions.*)
+/** @type {Reaction[]} */
+export const REACTIONS = [
+  { id: 'love', emoji: '❤️' },
+  { id: 'hug', emoji: '🤗' },
+  { id: 'strong', emoji: '💪' },
+  { id: 'laugh', emoji: '😂' },
+  { id: 'wow', emoji: '😮' },
+  { id: 'tears', emoji: '🥹' },
+];
+
+/**
+ * Quem reagiu com cada reação, pela ordem de REACTIONS.
+ * @param {CardReactions} [reactions]
+ * @returns {(Reaction & { uids: string[] })[]}
+ */
+export const groupReactions = (reactions = {}) => REACTIONS.map((reaction) => ({
+  ...reaction,
+  uids: Object.keys(reactions).filter((uid) => (reactions[uid] || []).includes(reaction.id)),
+}));
+
+/**
+ * Junta ou retira a reação desta pessoa.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} cardPath - caminho do documento do momento ou do registo
+ * @param {string} reactionId
+ * @param {string} userId
+ * @param {boolean} active - se a pessoa já tinha reagido assim (e portanto retira)
+ */
+export const toggleReaction = (db, cardPath, reactionId, userId, active) =>
+  updateDoc(doc(db, cardPath), {
+    [`reactions.${userId}`]: active ? arrayRemove(reactionId) : arrayUnion(reactionId),
+  });
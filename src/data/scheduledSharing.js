@@ -0,0 +1,49 @@
+import { useContext, useEffect, useRef } from 'react';
+import FirebaseContext from '../FirebaseContext';
+import { useCollection } from './hooks';
+import { useNotifyPartners } from './notificationHooks';
+import { getDueEntries, getPrivateJournalPath, shareDueEntry } from './journal';
+
+// --- Scheduled Sharing ---
+// A função shareScheduledEntries (functions/) partilha os registos agendados quando chega a data, mesmo com a app
+// fechada. Enquanto a app do autor está aberta, ela própria os partilha logo ao abrir e depois a cada minuto, sem
+// esperar pela próxima passagem da função; quem chega primeiro partilha e avisa o par (ver shareDueEntry).
+
+const SCHEDULED_SHARING_INTERVAL_MS = 60 * 1000;
+
+export function useScheduledSharing(spacePath) {
+  const { db, userId } = useContext(FirebaseContext);
+  const { data: scheduled } = useCollection(
+    spacePath && userId && getPrivateJournalPath(spacePath, userId),
+    { filters: [['visibility', '==', 'scheduled']] }
+  );
+  const sharingRef = useRef(new Set());
+  // O aviso à outra pessoa muda a cada perfil carregado; o intervalo usa sempre o mais recente
+  const notifyRef = useRef(null);
+  notifyRef.current = useNotifyPartners();
+
+  useEffect(() => {
+    if (!db || scheduled.length === 0) return undefined;
+
+    const shareDue = () => {
+      const now = new Date();
+      getDueEntries(scheduled, now)
+        .filter((entry) => !sharingRef.current.has(entry.id))
+        .forEach((entry) => {
+          sharingRef.current.add(entry.id);
+          shareDueEntry(db, spacePath, entry, now)
+            .then((shared) => {
+              if (shared) notifyRef.current('journal', shared.text);
+            })
+            .catch((err) => {
+              console.error("Erro ao partilhar registo agendado:", err);
+              sharingRef.current.delete(entry.id);
+            });
+        });
+    };
+
+    shareDue();
+    const interval = setInterval(shareDue, SCHEDULED_SHARING_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [db, spacePath, scheduled]);
+}
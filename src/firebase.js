@@ -0,0 +1,80 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import {
+  initializeFirestore, getFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator,
+} from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import { getAnalytics } from 'firebase/analytics';
+
+// --- Firebase Services ---
+// Inicializa o Firebase a partir de uma configuração já validada (ver config.js). Nunca lança: um serviço que não
+// arranca fica null e o erro vai para services.errors, para a app continuar aberta e o diagnóstico o mostrar.
+
+/**
+ * @typedef {Object} FirebaseServices
+ * @property {import('firebase/app').FirebaseApp | null} app
+ * @property {import('firebase/firestore').Firestore | null} db
+ * @property {import('firebase/auth').Auth | null} auth
+ * @property {import('firebase/storage').FirebaseStorage | null} storage
+ * @property {string} appId
+ * @property {string | null} initialAuthToken
+ * @property {string | null} vapidKey - para o push (ver push.js)
+ * @property {import('./i18n/translate').Message[]} errors - mostrados com t() no diagnóstico (diagnostics.services.*)
+ */
+
+// O initializeApp só pode correr uma vez por configuração (o StrictMode volta a chamar os inicializadores do React)
+let initialized = null;
+
+const attempt = (errors, service, create) => {
+  try {
+    return create();
+  } catch (err) {
+    console.error(`Erro ao iniciar ${service}:`, err);
+    errors.push({ key: `diagnostics.services.${service}`, params: { message: err.message } });
+    return null;
+  }
+};
+
+/**
+ * @param {import('./config').AppConfig} config
+ * @returns {FirebaseServices}
+ */
+export function initializeFirebase(config) {
+  const key = JSON.stringify(config);
+  if (initialized && initialized.key === key) return initialized.services;
+
+  const errors = [];
+  const app = attempt(errors, 'firebase', () => initializeApp(config.firebase));
+  // Cache persistente (IndexedDB): os dados já vistos abrem sem rede e as escritas feitas offline ficam em fila
+  // até a ligação voltar (ver data/offline.js). Sem IndexedDB (ex: navegação privada) fica só a cache em memória.
+  const db = app && (
+    attempt(errors, 'firestoreCache', () => initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    })) || attempt(errors, 'firestore', () => getFirestore(app))
+  );
+  const auth = app && attempt(errors, 'auth', () => getAuth(app));
+  const storage = app && attempt(errors, 'storage', () => getStorage(app));
+
+  // Emuladores locais em vez do projeto real (ambiente 'emulator', ver config.js)
+  if (config.emulatorHost) {
+    const host = config.emulatorHost;
+    if (db) attempt(errors, 'firestoreEmulator', () => connectFirestoreEmulator(db, host, 8080));
+    if (auth) attempt(errors, 'authEmulator', () => connectAuthEmulator(auth, `http://${host}:9099`, { disableWarnings: true }));
+    if (storage) attempt(errors, 'storageEmulator', () => connectStorageEmulator(storage, host, 9199));
+  } else if (app && config.firebase.measurementId) {
+    attempt(errors, 'analytics', () => getAnalytics(app));
+  }
+
+  const services = {
+    app: app || null,
+    db: db || null,
+    auth: auth || null,
+    storage: storage || null,
+    appId: config.appId,
+    initialAuthToken: config.initialAuthToken,
+    vapidKey: config.vapidKey,
+    errors,
+  };
+  initialized = { key, services };
+  return services;
+}
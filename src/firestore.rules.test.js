@@ -0,0 +1,559 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  addDoc, collection, doc, getDoc, setDoc, updateDoc, deleteDoc, writeBatch, serverTimestamp, arrayUnion, increment, Timestamp,
+} from 'firebase/firestore';
+
+// Testes das regras de segurança (firestore.rules) contra o emulador do Firestore.
+// Correm com `npm run test:rules`; sem FIRESTORE_EMULATOR_HOST definido são ignorados.
+jest.unmock('firebase/app');
+jest.unmock('firebase/firestore');
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const APP_ID = 'test-app';
+const SPACE_PATH = `artifacts/${APP_ID}/spaces/space-1`;
+const INVITE_PATH = `artifacts/${APP_ID}/invites/ABC234`;
+
+describeWithEmulator('firestore.rules', () => {
+  let testEnv;
+
+  const dbAs = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+  const seed = (docPath, data) => testEnv.withSecurityRulesDisabled(
+    (context) => setDoc(doc(context.firestore(), docPath), data)
+  );
+
+  const inDays = (days) => Timestamp.fromMillis(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  const newMoment = (uid, fields = {}) => ({
+    title: 'Primeiro encontro',
+    description: '',
+    type: 'star',
+    date: Timestamp.fromDate(new Date(2023, 5, 10, 12)),
+    hasTime: false,
+    createdAt: serverTimestamp(),
+    addedBy: uid,
+    addedByName: uid,
+    ...fields,
+  });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-nossa-constelacao',
+      firestore: { rules: fs.readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    // 'stranger' está autenticado mas não pertence ao espaço
+    await seed(SPACE_PATH, { name: 'Nico & Aniqua', members: ['nico', 'aniqua'], createdBy: 'nico', inviteCode: 'ABC234' });
+    await seed(INVITE_PATH, { spaceId: 'space-1', createdBy: 'nico', expiresAt: inDays(7) });
+  });
+
+  describe('espaços e convites', () => {
+    test('um utilizador cria o seu espaço e o convite no mesmo lote', async () => {
+      const createSpace = (invite) => {
+        const db = dbAs('stranger');
+        const batch = writeBatch(db);
+        batch.set(doc(db, `artifacts/${APP_ID}/spaces/space-2`), {
+          name: 'Nosso', members: ['stranger'], createdBy: 'stranger', createdAt: serverTimestamp(), inviteCode: 'XYZ789',
+        });
+        batch.set(doc(db, `artifacts/${APP_ID}/invites/XYZ789`), {
+          spaceId: 'space-2', createdBy: 'stranger', createdAt: serverTimestamp(), ...invite,
+        });
+        return batch.commit();
+      };
+      // O convite tem de expirar, e no máximo daqui a 14 dias
+      await assertFails(createSpace({}));
+      await assertFails(createSpace({ expiresAt: inDays(60) }));
+      await assertSucceeds(createSpace({ expiresAt: inDays(14) }));
+    });
+
+    test('não é possível criar um convite para um espaço alheio', async () => {
+      await assertFails(setDoc(doc(dbAs('stranger'), `artifacts/${APP_ID}/invites/ROUBO1`), {
+        spaceId: 'space-1', createdBy: 'stranger', expiresAt: inDays(7),
+      }));
+    });
+
+    test('só os membros leem o espaço', async () => {
+      await assertSucceeds(getDoc(doc(dbAs('aniqua'), SPACE_PATH)));
+      await assertFails(getDoc(doc(dbAs('stranger'), SPACE_PATH)));
+      await assertFails(getDoc(doc(dbAs(null), SPACE_PATH)));
+    });
+
+    test('entra no espaço com um código de convite válido', async () => {
+      await seed(SPACE_PATH, { name: 'Nico', members: ['nico'], createdBy: 'nico', inviteCode: 'ABC234' });
+      await assertSucceeds(updateDoc(doc(dbAs('aniqua'), SPACE_PATH), {
+        members: arrayUnion('aniqua'),
+        lastInviteCode: 'ABC234',
+      }));
+    });
+
+    test('não entra num espaço que já tem as duas pessoas', async () => {
+      await assertFails(updateDoc(doc(dbAs('stranger'), SPACE_PATH), {
+        members: arrayUnion('stranger'),
+        lastInviteCode: 'ABC234',
+      }));
+    });
+
+    test('não entra com um convite expirado, sem validade ou que aponta para outro espaço', async () => {
+      await seed(SPACE_PATH, { name: 'Nico', members: ['nico'], createdBy: 'nico', inviteCode: 'ABC234' });
+      await seed(`artifacts/${APP_ID}/invites/VELHO2`, { spaceId: 'space-1', createdBy: 'nico', expiresAt: inDays(-1) });
+      await seed(`artifacts/${APP_ID}/invites/ANTIGO`, { spaceId: 'space-1', createdBy: 'nico' });
+      await seed(`artifacts/${APP_ID}/invites/OUTRO2`, { spaceId: 'space-2', createdBy: 'stranger', expiresAt: inDays(7) });
+      const join = (code) => updateDoc(doc(dbAs('stranger'), SPACE_PATH), { members: arrayUnion('stranger'), lastInviteCode: code });
+      await assertFails(join('VELHO2'));
+      await assertFails(join('ANTIGO'));
+      await assertFails(join('OUTRO2'));
+    });
+
+    test('um membro gera um convite novo e o anterior deixa de existir', async () => {
+      const renew = (uid, { deleteOld = true } = {}) => {
+        const db = dbAs(uid);
+        const batch = writeBatch(db);
+        batch.set(doc(db, `artifacts/${APP_ID}/invites/NOVO34`), {
+          spaceId: 'space-1', createdBy: uid, createdAt: serverTimestamp(), expiresAt: inDays(14),
+        });
+        batch.update(doc(db, SPACE_PATH), { inviteCode: 'NOVO34' });
+        if (deleteOld) batch.delete(doc(db, INVITE_PATH));
+        return batch.commit();
+      };
+      await assertFails(renew('stranger'));
+      await assertFails(renew('aniqua', { deleteOld: false }));
+      await assertFails(deleteDoc(doc(dbAs('stranger'), INVITE_PATH)));
+      await assertSucceeds(renew('aniqua'));
+    });
+
+    test('membros não alteram a lista de membros diretamente', async () => {
+      await assertFails(updateDoc(doc(dbAs('nico'), SPACE_PATH), { members: ['nico'] }));
+      await assertSucceeds(updateDoc(doc(dbAs('nico'), SPACE_PATH), { name: 'Constelação' }));
+    });
+
+    test('membros guardam os nomes do casal e as datas especiais', async () => {
+      const settings = {
+        partnerNames: ['Nico', ''],
+        startDate: Timestamp.fromDate(new Date(2023, 0, 10, 12)),
+        anniversaries: [{ id: 'a1', title: 'Próxima visita', date: Timestamp.fromDate(new Date(2030, 5, 1, 12)), repeats: 'once' }],
+      };
+      await assertSucceeds(updateDoc(doc(dbAs('aniqua'), SPACE_PATH), settings));
+      await assertFails(updateDoc(doc(dbAs('stranger'), SPACE_PATH), settings));
+      await assertFails(updateDoc(doc(dbAs('nico'), SPACE_PATH), { partnerNames: ['Nico'] }));
+      await assertFails(updateDoc(doc(dbAs('nico'), SPACE_PATH), { startDate: Timestamp.fromDate(new Date(2999, 0, 1)) }));
+    });
+  });
+
+  describe('momentos', () => {
+    const momentPath = `${SPACE_PATH}/journey_moments/m1`;
+
+    test('um membro adiciona um momento em seu nome', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('nico'), momentPath), newMoment('nico')));
+    });
+
+    test('recusa escritas sem sessão, de quem não é membro ou em nome de outro', async () => {
+      await assertFails(setDoc(doc(dbAs(null), momentPath), newMoment('nico')));
+      await assertFails(setDoc(doc(dbAs('stranger'), momentPath), newMoment('stranger')));
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), newMoment('aniqua')));
+    });
+
+    test('aceita tipos personalizados só depois de registados no espaço', async () => {
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), newMoment('nico', { type: 'viagem' })));
+
+      await assertSucceeds(setDoc(doc(dbAs('aniqua'), `${SPACE_PATH}/moment_types/viagem`), {
+        name: 'Viagem', emoji: '✈️', color: 'blue', updatedBy: 'aniqua', updatedAt: serverTimestamp(), order: 1,
+      }));
+      await assertSucceeds(setDoc(doc(dbAs('nico'), momentPath), newMoment('nico', { type: 'viagem', tags: ['lisboa'] })));
+    });
+
+    test('só membros gerem os tipos, com cor da paleta', async () => {
+      const typePath = `${SPACE_PATH}/moment_types/t1`;
+      const newType = (uid, fields = {}) => ({ name: 'Saudade', emoji: '💌', color: 'pink', updatedBy: uid, ...fields });
+      await assertFails(setDoc(doc(dbAs('stranger'), typePath), newType('stranger')));
+      await assertFails(setDoc(doc(dbAs('nico'), typePath), newType('nico', { color: '#ff0000' })));
+      await assertSucceeds(setDoc(doc(dbAs('nico'), typePath), newType('nico')));
+      await assertSucceeds(deleteDoc(doc(dbAs('aniqua'), typePath)));
+    });
+
+    test('recusa datas inválidas, datas de criação do cliente e etiquetas a mais', async () => {
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), newMoment('nico', { tags: Array.from({ length: 11 }, (_, i) => `tag${i}`) })));
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), newMoment('nico', { date: '2023-06-10' })));
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), newMoment('nico', { createdAt: Timestamp.fromDate(new Date(2020, 0, 1)) })));
+    });
+
+    test('aceita até 6 anexos por momento', async () => {
+      const attachment = { id: 'a1', kind: 'image', path: `${SPACE_PATH}/media/nico/a1.jpg` };
+      await assertSucceeds(setDoc(doc(dbAs('nico'), momentPath), newMoment('nico', { attachments: [attachment] })));
+      await assertFails(setDoc(doc(dbAs('nico'), `${SPACE_PATH}/journey_moments/m2`), newMoment('nico', { attachments: Array(7).fill(attachment) })));
+    });
+
+    test('só o autor edita ou exclui, e autor e data de criação são imutáveis', async () => {
+      await seed(momentPath, { ...newMoment('nico'), createdAt: Timestamp.fromDate(new Date(2024, 0, 1)) });
+
+      await assertFails(updateDoc(doc(dbAs('aniqua'), momentPath), { title: 'Editado pela Aniqua' }));
+      await assertFails(deleteDoc(doc(dbAs('aniqua'), momentPath)));
+      await assertFails(updateDoc(doc(dbAs('nico'), momentPath), { addedBy: 'aniqua' }));
+      await assertFails(updateDoc(doc(dbAs('nico'), momentPath), { createdAt: Timestamp.fromDate(new Date(2020, 0, 1)) }));
+
+      await assertSucceeds(updateDoc(doc(dbAs('nico'), momentPath), { title: 'Primeiro beijo', type: 'milestone' }));
+      await assertSucceeds(updateDoc(doc(dbAs('nico'), momentPath), { date: Timestamp.fromDate(new Date(2019, 1, 14, 20, 30)), hasTime: true }));
+      await assertSucceeds(deleteDoc(doc(dbAs('nico'), momentPath)));
+    });
+
+    test('importa momentos de um arquivo creditando outro membro, mantendo a data de criação', async () => {
+      const imported = (fields = {}) => newMoment('nico', {
+        originalAuthor: 'aniqua', createdAt: Timestamp.fromDate(new Date(2023, 5, 11)), importedBy: 'nico', importedAt: serverTimestamp(),
+        ...fields,
+      });
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), imported({ addedBy: 'aniqua' })));
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), imported({ originalAuthor: 'stranger' })));
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), imported({ importedBy: 'aniqua' })));
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), imported({ createdAt: Timestamp.fromDate(new Date(Date.now() + 86400000)) })));
+      await assertFails(setDoc(doc(dbAs('stranger'), momentPath), imported({ addedBy: 'stranger', importedBy: 'stranger' })));
+      // Fora de uma importação não se credita outro autor
+      await assertFails(setDoc(doc(dbAs('nico'), momentPath), newMoment('nico', { originalAuthor: 'aniqua' })));
+      await assertSucceeds(setDoc(doc(dbAs('nico'), momentPath), imported()));
+
+      // Só quem importou edita; o autor creditado e a marca de importação não mudam
+      await assertFails(updateDoc(doc(dbAs('aniqua'), momentPath), { title: 'Editado pela Aniqua' }));
+      await assertFails(updateDoc(doc(dbAs('nico'), momentPath), { originalAuthor: 'nico' }));
+      await assertFails(updateDoc(doc(dbAs('nico'), momentPath), { importedBy: 'aniqua' }));
+      await assertSucceeds(updateDoc(doc(dbAs('nico'), momentPath), { title: 'Primeiro beijo' }));
+    });
+
+    test('cada membro reage aos momentos com a sua própria lista de reações', async () => {
+      await seed(momentPath, { ...newMoment('nico'), createdAt: Timestamp.fromDate(new Date(2024, 0, 1)) });
+
+      await assertSucceeds(updateDoc(doc(dbAs('aniqua'), momentPath), { 'reactions.aniqua': arrayUnion('love', 'hug') }));
+      await assertSucceeds(updateDoc(doc(dbAs('nico'), momentPath), { 'reactions.nico': arrayUnion('strong') }));
+      await assertFails(updateDoc(doc(dbAs('aniqua'), momentPath), { 'reactions.nico': arrayUnion('love') }));
+      await assertFails(updateDoc(doc(dbAs('aniqua'), momentPath), { 'reactions.aniqua': arrayUnion('desconhecida') }));
+      await assertFails(updateDoc(doc(dbAs('aniqua'), momentPath), { 'reactions.aniqua': arrayUnion('wow'), title: 'Outro título' }));
+      await assertFails(updateDoc(doc(dbAs('stranger'), momentPath), { 'reactions.stranger': arrayUnion('love') }));
+    });
+
+    test('comentários: o cartão conta-os no mesmo lote e só quem comentou edita ou exclui', async () => {
+      await seed(momentPath, { ...newMoment('nico'), createdAt: Timestamp.fromDate(new Date(2024, 0, 1)) });
+      const comment = (uid, commentId, { count = increment(1), ...fields } = {}) => {
+        const db = dbAs(uid);
+        const batch = writeBatch(db);
+        batch.set(doc(db, `${momentPath}/comments/${commentId}`), {
+          text: 'Que dia!', parentId: null, addedBy: uid, addedByName: uid, createdAt: serverTimestamp(), ...fields,
+        });
+        if (count) batch.update(doc(db, momentPath), { commentCount: count, lastCommentId: commentId });
+        return batch.commit();
+      };
+      const removeComment = (uid, commentId) => {
+        const db = dbAs(uid);
+        const batch = writeBatch(db);
+        batch.delete(doc(db, `${momentPath}/comments/${commentId}`));
+        batch.update(doc(db, momentPath), { commentCount: increment(-1), lastCommentId: commentId });
+        return batch.commit();
+      };
+
+      await assertSucceeds(comment('aniqua', 'c1'));
+      await assertFails(comment('aniqua', 'c2', { count: null }));
+      await assertFails(comment('aniqua', 'c2', { count: increment(2) }));
+      await assertFails(comment('aniqua', 'c2', { addedBy: 'nico' }));
+      await assertFails(comment('stranger', 'c2'));
+      await assertSucceeds(comment('nico', 'c2', { parentId: 'c1' }));
+
+      await assertFails(updateDoc(doc(dbAs('nico'), `${momentPath}/comments/c1`), { text: 'Reescrito', editedAt: serverTimestamp() }));
+      await assertSucceeds(updateDoc(doc(dbAs('aniqua'), `${momentPath}/comments/c1`), { text: 'Que dia lindo!', editedAt: serverTimestamp() }));
+      await assertFails(removeComment('nico', 'c1'));
+      await assertSucceeds(removeComment('aniqua', 'c1'));
+
+      // O contador só muda com um comentário criado ou excluído no mesmo lote
+      const bump = (fields) => updateDoc(doc(dbAs('aniqua'), momentPath), fields);
+      await assertFails(bump({ commentCount: increment(1) }));
+      await assertFails(bump({ commentCount: increment(-1) }));
+      await assertFails(bump({ commentCount: increment(1), lastCommentId: 'c9' }));
+      await assertFails(bump({ commentCount: increment(1), lastCommentId: 'c2' }));
+      await assertFails(bump({ commentCount: increment(-1), lastCommentId: 'c2' }));
+
+      // Depois de o momento ser excluído, a conversa que sobra pode ser limpa
+      await assertSucceeds(deleteDoc(doc(dbAs('nico'), momentPath)));
+      await assertSucceeds(deleteDoc(doc(dbAs('nico'), `${momentPath}/comments/c2`)));
+    });
+
+    test('quem não é membro não lê os momentos', async () => {
+      await seed(momentPath, { ...newMoment('nico'), createdAt: Timestamp.fromDate(new Date(2024, 0, 1)) });
+      await assertSucceeds(getDoc(doc(dbAs('aniqua'), momentPath)));
+      await assertFails(getDoc(doc(dbAs('stranger'), momentPath)));
+    });
+  });
+
+  describe('diário', () => {
+    const entryPath = `${SPACE_PATH}/journal_entries/e1`;
+
+    test('só o autor edita ou exclui um registro', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('aniqua'), entryPath), {
+        text: 'Hoje foi um bom dia', date: serverTimestamp(), addedBy: 'aniqua', addedByName: 'Aniqua',
+      }));
+
+      await assertFails(updateDoc(doc(dbAs('nico'), entryPath), { text: 'Editado pelo Nico' }));
+      await assertFails(deleteDoc(doc(dbAs('nico'), entryPath)));
+      await assertSucceeds(updateDoc(doc(dbAs('aniqua'), entryPath), { text: 'Hoje foi um ótimo dia' }));
+      await assertSucceeds(deleteDoc(doc(dbAs('aniqua'), entryPath)));
+    });
+
+    test('a outra pessoa reage e comenta um registro, mas não o edita por essa via', async () => {
+      await seed(entryPath, { text: 'Hoje foi um bom dia', date: Timestamp.fromDate(new Date(2024, 0, 1)), addedBy: 'aniqua', addedByName: 'Aniqua' });
+      const db = dbAs('nico');
+      const batch = writeBatch(db);
+      batch.set(doc(db, `${entryPath}/comments/c1`), {
+        text: 'Adorei!', parentId: null, addedBy: 'nico', addedByName: 'Nico', createdAt: serverTimestamp(),
+      });
+      batch.update(doc(db, entryPath), { commentCount: increment(1), lastCommentId: 'c1' });
+
+      await assertSucceeds(batch.commit());
+      await assertSucceeds(updateDoc(doc(dbAs('nico'), entryPath), { 'reactions.nico': arrayUnion('hug') }));
+      await assertFails(updateDoc(doc(dbAs('nico'), entryPath), { commentCount: 10 }));
+      await assertFails(updateDoc(doc(dbAs('aniqua'), entryPath), { 'reactions.nico': [] }));
+    });
+
+    test('importa registros antigos creditando só membros', async () => {
+      const imported = (uid) => ({
+        text: 'Escrito noutro espaço', date: Timestamp.fromDate(new Date(2022, 2, 1)), addedBy: 'aniqua', addedByName: uid,
+        originalAuthor: uid, importedBy: 'aniqua', importedAt: serverTimestamp(),
+      });
+      await assertFails(setDoc(doc(dbAs('aniqua'), entryPath), imported('stranger')));
+      await assertFails(setDoc(doc(dbAs('aniqua'), entryPath), { ...imported('nico'), importedAt: Timestamp.fromDate(new Date(2022, 2, 1)) }));
+      await assertFails(setDoc(doc(dbAs('aniqua'), entryPath), { ...imported('nico'), addedBy: 'nico' }));
+      await assertSucceeds(setDoc(doc(dbAs('aniqua'), entryPath), imported('nico')));
+    });
+
+    test('o estado de espírito é opcional mas, quando existe, segue a escala de 1 a 5', async () => {
+      const create = (id, mood) => setDoc(doc(dbAs('nico'), `${SPACE_PATH}/journal_entries/${id}`), {
+        text: 'Como me sinto', date: serverTimestamp(), addedBy: 'nico', addedByName: 'Nico', mood,
+      });
+      await assertSucceeds(create('m1', null));
+      await assertSucceeds(create('m2', { score: 2, energy: null, anxiety: 4, feelings: ['tired'] }));
+      await assertFails(create('m3', { score: 6, energy: null, anxiety: null, feelings: [] }));
+      await assertFails(create('m4', { energy: 3, feelings: [] }));
+      await assertFails(create('m5', { score: 3, energy: 0, anxiety: null, feelings: [], note: 'x' }));
+    });
+
+    test('os registos privados só são lidos pelo autor, que os partilha no mesmo lote', async () => {
+      const privatePath = `artifacts/${APP_ID}/users/aniqua/spaces/space-1/journal_entries/e2`;
+      const draft = {
+        text: 'Ainda não sei como dizer isto', tags: [], attachments: [], visibility: 'private', shareAt: null,
+        date: serverTimestamp(), addedBy: 'aniqua', addedByName: 'Aniqua',
+      };
+      await assertFails(setDoc(doc(dbAs('nico'), privatePath), { ...draft, addedBy: 'nico' }));
+      await assertFails(setDoc(doc(dbAs('aniqua'), privatePath), { ...draft, visibility: 'scheduled' }));
+      await assertFails(setDoc(doc(dbAs('aniqua'), privatePath), { ...draft, writtenAt: Timestamp.fromDate(new Date(2030, 0, 1)) }));
+      await assertSucceeds(setDoc(doc(dbAs('aniqua'), privatePath), draft));
+      await assertFails(getDoc(doc(dbAs('nico'), privatePath)));
+      await assertSucceeds(updateDoc(doc(dbAs('aniqua'), privatePath), {
+        visibility: 'scheduled', shareAt: Timestamp.fromDate(new Date(2030, 0, 1)),
+      }));
+
+      const db = dbAs('aniqua');
+      const written = (await getDoc(doc(db, privatePath))).data().date;
+      const share = (writtenAt) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, `${SPACE_PATH}/journal_entries/e2`), {
+          text: draft.text, tags: [], attachments: [], date: serverTimestamp(), writtenAt, addedBy: 'aniqua', addedByName: 'Aniqua',
+        });
+        batch.delete(doc(db, privatePath));
+        return batch.commit();
+      };
+      await assertFails(share(Timestamp.fromDate(new Date(2030, 0, 1))));
+      await assertSucceeds(share(written));
+      await assertFails(updateDoc(doc(db, `${SPACE_PATH}/journal_entries/e2`), { writtenAt: Timestamp.fromDate(new Date(2020, 0, 1)) }));
+    });
+  });
+
+  describe('objetivos', () => {
+    const goalPath = `${SPACE_PATH}/goals/g1`;
+    const newGoal = (uid, fields = {}) => ({
+      title: 'Poupar para a viagem', description: '', owners: ['nico', 'aniqua'], targetDate: null, status: 'active',
+      progressKind: 'amount', steps: [], targetAmount: 2000, currentAmount: 0, unit: '€',
+      createdBy: uid, createdAt: serverTimestamp(), updatedBy: uid, updatedAt: serverTimestamp(),
+      ...fields,
+    });
+
+    test('membros criam objetivos só com responsáveis do espaço e metas válidas', async () => {
+      await assertFails(setDoc(doc(dbAs('stranger'), goalPath), newGoal('stranger')));
+      await assertFails(setDoc(doc(dbAs('nico'), goalPath), newGoal('nico', { owners: ['nico', 'stranger'] })));
+      await assertFails(setDoc(doc(dbAs('nico'), goalPath), newGoal('nico', { targetAmount: 0 })));
+      await assertFails(setDoc(doc(dbAs('nico'), goalPath), newGoal('nico', { status: 'esquecido' })));
+      await assertSucceeds(setDoc(doc(dbAs('nico'), goalPath), newGoal('nico')));
+    });
+
+    test('qualquer membro atualiza o progresso, só quem criou exclui', async () => {
+      await seed(goalPath, { ...newGoal('nico'), createdAt: Timestamp.fromDate(new Date(2024, 0, 1)), updatedAt: Timestamp.fromDate(new Date(2024, 0, 1)) });
+
+      await assertSucceeds(updateDoc(doc(dbAs('aniqua'), goalPath), { currentAmount: 500, updatedBy: 'aniqua', updatedAt: serverTimestamp() }));
+      await assertFails(updateDoc(doc(dbAs('aniqua'), goalPath), { currentAmount: 600, updatedBy: 'nico', updatedAt: serverTimestamp() }));
+      await assertFails(updateDoc(doc(dbAs('aniqua'), goalPath), { createdBy: 'aniqua', updatedBy: 'aniqua', updatedAt: serverTimestamp() }));
+      await assertFails(deleteDoc(doc(dbAs('aniqua'), goalPath)));
+      await assertSucceeds(deleteDoc(doc(dbAs('nico'), goalPath)));
+    });
+
+    test('concluir cria o momento ✅ ligado ao objetivo no mesmo lote', async () => {
+      await seed(goalPath, { ...newGoal('nico'), createdAt: Timestamp.fromDate(new Date(2024, 0, 1)), updatedAt: Timestamp.fromDate(new Date(2024, 0, 1)) });
+      const db = dbAs('aniqua');
+      const batch = writeBatch(db);
+      batch.set(doc(db, `${SPACE_PATH}/journey_moments/marco`), newMoment('aniqua', { type: 'milestone', goalId: 'g1' }));
+      batch.update(doc(db, goalPath), {
+        status: 'done', completedAt: serverTimestamp(), milestoneMomentId: 'marco', updatedBy: 'aniqua', updatedAt: serverTimestamp(),
+      });
+      await assertSucceeds(batch.commit());
+    });
+  });
+
+  describe('propósito', () => {
+    const purposePath = `${SPACE_PATH}/our_purpose/sharedPurpose`;
+
+    // Guarda a versão seguinte no documento e no histórico, como data/purpose.js
+    const savePurpose = (uid, text, revision, { author = uid, crdt = '{"clock":0,"chars":[]}', crdtBase = 'b1' } = {}) => {
+      const db = dbAs(uid);
+      const batch = writeBatch(db);
+      batch.set(doc(db, purposePath), { text, revision, crdt, crdtBase, lastUpdated: serverTimestamp(), updatedBy: author });
+      batch.set(doc(db, `${purposePath}/revisions/${revision}`), { text, revision, updatedBy: author, createdAt: serverTimestamp() });
+      return batch.commit();
+    };
+
+    test('qualquer membro guarda o propósito, sempre em seu nome', async () => {
+      await assertSucceeds(savePurpose('aniqua', 'Viajar juntos', 1));
+      await assertFails(savePurpose('aniqua', 'Viajar juntos', 2, { author: 'nico' }));
+      await assertFails(savePurpose('stranger', 'Intruso', 2));
+      await assertSucceeds(savePurpose('nico', 'Viajar juntos e aprender japonês', 2));
+    });
+
+    test('cada gravação fica no histórico e não se sobrepõe a outra feita a partir da mesma versão', async () => {
+      await seed(purposePath, { text: 'Texto antigo', lastUpdated: Timestamp.fromDate(new Date(2023, 0, 1)), updatedBy: 'nico' });
+
+      // Sem a versão no histórico, ou a saltar versões, é recusado
+      await assertFails(setDoc(doc(dbAs('nico'), purposePath), { text: 'Sem histórico', revision: 1, lastUpdated: serverTimestamp(), updatedBy: 'nico' }));
+      await assertFails(savePurpose('nico', 'Salto', 3));
+      await assertFails(savePurpose('nico', 'Sem estado da edição', 1, { crdt: null }));
+
+      await assertFails(savePurpose('nico', 'Estado grande demais', 1, { crdt: 'x'.repeat(900001) }));
+      await assertFails(savePurpose('nico', 'Base inválida', 1, { crdtBase: 7 }));
+
+      await assertSucceeds(savePurpose('nico', 'Versão do Nico', 1));
+      await assertFails(savePurpose('aniqua', 'Versão da Aniqua', 1));
+      await assertFails(updateDoc(doc(dbAs('aniqua'), `${purposePath}/revisions/1`), { text: 'Reescrita' }));
+      await assertFails(deleteDoc(doc(dbAs('nico'), `${purposePath}/revisions/1`)));
+      await assertSucceeds(getDoc(doc(dbAs('aniqua'), `${purposePath}/revisions/1`)));
+      await assertFails(getDoc(doc(dbAs('stranger'), `${purposePath}/revisions/1`)));
+    });
+
+    test('as teclas da edição em conjunto só se acrescentam e cada pessoa só mostra o seu cursor', async () => {
+      const edit = (uid, fields = {}) => addDoc(collection(dbAs(uid), `${purposePath}/edits`), {
+        site: 'abc', ops: [{ t: 'i', id: '1@abc', after: null, v: 'Olá' }], updatedBy: uid, createdAt: serverTimestamp(), ...fields,
+      });
+      const presence = (uid, memberId) => setDoc(doc(dbAs(uid), `${purposePath}/presence/${memberId}`), {
+        uid, site: 'abc', cursor: null, active: true, updatedAt: serverTimestamp(),
+      });
+
+      await assertSucceeds(edit('aniqua'));
+      await assertSucceeds(edit('aniqua', { base: 'b1' }));
+      await assertFails(edit('aniqua', { base: null }));
+      await assertFails(edit('aniqua', { updatedBy: 'nico' }));
+      await assertFails(edit('aniqua', { ops: [] }));
+      await assertFails(edit('stranger'));
+      await seed(`${purposePath}/edits/antiga`, { site: 'abc', ops: [], updatedBy: 'aniqua', createdAt: Timestamp.fromDate(new Date(2023, 0, 1)) });
+      await assertFails(updateDoc(doc(dbAs('nico'), `${purposePath}/edits/antiga`), { ops: [] }));
+      await assertFails(deleteDoc(doc(dbAs('stranger'), `${purposePath}/edits/antiga`)));
+      await assertSucceeds(deleteDoc(doc(dbAs('nico'), `${purposePath}/edits/antiga`)));
+
+      await assertSucceeds(presence('nico', 'nico'));
+      await assertFails(presence('nico', 'aniqua'));
+      await assertFails(presence('stranger', 'stranger'));
+      await assertSucceeds(getDoc(doc(dbAs('aniqua'), `${purposePath}/presence/nico`)));
+    });
+  });
+
+  describe('perfis', () => {
+    test('cada utilizador só escreve o seu perfil', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('nico'), `artifacts/${APP_ID}/profiles/nico`), { displayName: 'Nico' }));
+      await assertFails(setDoc(doc(dbAs('nico'), `artifacts/${APP_ID}/profiles/aniqua`), { displayName: 'Aniqua?' }));
+      await assertSucceeds(getDoc(doc(dbAs('aniqua'), `artifacts/${APP_ID}/profiles/nico`)));
+    });
+
+    test('o idioma do perfil é um dos idiomas da app', async () => {
+      const profileRef = doc(dbAs('nico'), `artifacts/${APP_ID}/profiles/nico`);
+      await assertSucceeds(setDoc(profileRef, { displayName: 'Nico', locale: 'pt-BR' }));
+      await assertSucceeds(updateDoc(profileRef, { locale: 'en' }));
+      await assertFails(updateDoc(profileRef, { locale: 'fr' }));
+    });
+
+    test('as preferências de notificações têm a forma esperada', async () => {
+      const profileRef = doc(dbAs('nico'), `artifacts/${APP_ID}/profiles/nico`);
+      const notifications = {
+        enabled: true,
+        types: { partnerActivity: true, journalReminder: false, anniversary: true },
+        reminderTime: '21:00',
+        quietHours: { start: '23:00', end: '08:00' },
+        timeZone: 'Europe/Lisbon',
+      };
+      await assertSucceeds(setDoc(profileRef, { displayName: 'Nico', notifications }));
+      await assertSucceeds(updateDoc(profileRef, { 'notifications.quietHours': null }));
+      await assertFails(updateDoc(profileRef, { 'notifications.enabled': 'sim' }));
+      await assertFails(updateDoc(profileRef, { 'notifications.types.spam': true }));
+    });
+  });
+
+  describe('notificações', () => {
+    const inbox = (uid) => `artifacts/${APP_ID}/users/${uid}/notifications`;
+    const notification = (addedBy, fields = {}) => ({
+      type: 'partnerActivity',
+      title: 'Nico adicionou um momento',
+      body: 'Primeiro encontro',
+      link: '/jornada?espaco=space-1',
+      spaceId: 'space-1',
+      deliverAt: Timestamp.fromDate(new Date()),
+      push: 'pending',
+      addedBy,
+      createdAt: serverTimestamp(),
+      ...fields,
+    });
+
+    test('o par de um espaço em comum avisa, mas só o destinatário lê e retira', async () => {
+      const ref = await assertSucceeds(addDoc(collection(dbAs('nico'), inbox('aniqua')), notification('nico')));
+      await assertFails(getDoc(doc(dbAs('nico'), ref.path)));
+      await assertSucceeds(getDoc(doc(dbAs('aniqua'), ref.path)));
+      await assertFails(deleteDoc(doc(dbAs('nico'), ref.path)));
+      await assertSucceeds(deleteDoc(doc(dbAs('aniqua'), ref.path)));
+    });
+
+    test('não se avisa quem não partilha o espaço, nem em nome de outro, nem com lembretes', async () => {
+      await assertFails(addDoc(collection(dbAs('stranger'), inbox('aniqua')), notification('stranger')));
+      await assertFails(addDoc(collection(dbAs('nico'), inbox('aniqua')), notification('aniqua')));
+      await assertFails(addDoc(collection(dbAs('nico'), inbox('aniqua')), notification('nico', { type: 'journalReminder' })));
+      await assertFails(addDoc(collection(dbAs('nico'), inbox('aniqua')), notification('nico', { push: 'skipped' })));
+    });
+
+    test('o link de um aviso só pode ser um caminho da app', async () => {
+      const withLink = (link) => addDoc(collection(dbAs('nico'), inbox('aniqua')), notification('nico', { link }));
+      await assertSucceeds(withLink('/diario/e1?espaco=space-1'));
+      await assertFails(withLink('https://exemplo.com/jornada'));
+      await assertFails(withLink('//exemplo.com/jornada'));
+      await assertFails(withLink('/\\exemplo.com/jornada'));
+      await assertFails(withLink('jornada'));
+    });
+
+    test('cada um agenda os seus lembretes e regista os seus dispositivos', async () => {
+      const reminderRef = doc(dbAs('nico'), `${inbox('nico')}/journal-reminder`);
+      await assertSucceeds(setDoc(reminderRef, notification('nico', { type: 'journalReminder', spaceId: null, repeatDaily: true })));
+      await assertSucceeds(updateDoc(reminderRef, { deliverAt: Timestamp.fromDate(new Date(Date.now() + 86400000)) }));
+
+      const devicePath = `artifacts/${APP_ID}/users/nico/devices/token-1`;
+      await assertSucceeds(setDoc(doc(dbAs('nico'), devicePath), { token: 'token-1', userAgent: 'jest', updatedAt: serverTimestamp() }));
+      await assertFails(getDoc(doc(dbAs('aniqua'), devicePath)));
+      await assertFails(setDoc(doc(dbAs('nico'), `artifacts/${APP_ID}/users/nico/devices/token-2`), { token: 'token-1' }));
+    });
+  });
+});
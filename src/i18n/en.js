@@ -0,0 +1,641 @@
+const en = {
+  app: {
+    title: 'Our Constellation of Moments',
+    documentTitle: '{view} · Our Constellation of Moments',
+    subtitle: 'The journey of {names}',
+    subtitleWithoutNames: 'Our journey',
+    userId: 'User ID:',
+    language: 'Language',
+    inviteError: "We couldn't accept the invite. Check the link or ask for a new code.",
+    loadingSpaces: 'Loading spaces...',
+    online: '● Online',
+    offline: '● Offline: changes are kept on this device and synced when the connection comes back',
+    pendingSync: '⏳ Syncing',
+    pendingSyncHint: 'Saved on this device. It will sync when there is a connection.',
+    copyLink: 'Copy link',
+    linkCopied: 'Link copied!',
+    anonymous: 'Anonymous',
+    loadingConfig: 'Loading configuration...',
+    servicesWarning: "Firebase didn't fully start and the data won't load.",
+    openDiagnostics: 'View diagnostics',
+  },
+  views: {
+    moments: 'Our Journey',
+    journal: 'Our Journal',
+    purpose: 'Our Purpose',
+    insights: 'Trends',
+    search: 'Search',
+    archive: 'Archive',
+  },
+  common: {
+    cancel: 'Cancel',
+    save: 'Save',
+    saving: 'Saving...',
+    tagsOptional: 'Tags (optional)',
+    tagsInline: 'Tags, separated by commas',
+    tags: 'Tags',
+    loadingMore: 'Loading more...',
+    loadOlder: 'Load older',
+  },
+  dates: {
+    unknown: 'Unknown date',
+    atTime: '{date} at {time}',
+  },
+  nameModal: {
+    title: "What's your name?",
+    description: 'This helps us know who added each moment!',
+    placeholder: 'Your name or nickname',
+    save: 'Save Name',
+  },
+  moments: {
+    loading: 'Loading moments...',
+    addTitle: 'Add a New Moment',
+    titleLabel: 'Moment Title',
+    titlePlaceholder: 'E.g. Our first date, I passed my driving test!',
+    descriptionLabel: 'Description (optional)',
+    descriptionPlaceholder: 'Details about this moment...',
+    typeLabel: 'Moment Type',
+    manageTypes: '🎨 Manage types',
+    tagsPlaceholder: 'E.g. trip, birthday, Lisbon',
+    dateLabel: 'When did it happen?',
+    timeLabel: 'Time (optional)',
+    submit: 'Add Moment',
+    submitting: 'Adding...',
+    displayList: 'List',
+    displayConstellation: 'Constellation',
+    empty: 'No moments yet. How about adding the first one?',
+    editType: 'Moment type',
+    editTags: 'Moment tags',
+    editDate: 'Moment date',
+    editTime: 'Moment time',
+    goalCompleted: '🎯 Goal completed in Our Purpose',
+    addedBy: 'Added by {name} · {date}',
+    edit: 'Edit Moment',
+    delete: 'Delete Moment',
+    invalidDate: 'Choose a valid date for the moment.',
+    addError: "Couldn't add the moment. Please try again.",
+    updateError: "Couldn't update the moment. Check your permissions or whether you created it.",
+    deleteForbidden: "You don't have permission to delete this moment.",
+    deleteConfirm: 'Are you sure you want to delete this moment?',
+    deleteError: "Couldn't delete the moment. Check your permissions.",
+  },
+  journal: {
+    loading: 'Loading journal...',
+    addTitle: 'Add an Entry',
+    textLabel: 'What are you feeling, or what happened?',
+    textPlaceholder: 'E.g. I felt a bit flat today, but I took a small step... or: The driving test made me anxious, but I took a deep breath.',
+    tagsPlaceholder: 'E.g. gratitude, missing you, work',
+    submit: 'Add to Journal',
+    submitting: 'Saving...',
+    empty: 'No journal entries yet. Start sharing!',
+    editTags: 'Entry tags',
+    by: 'By {name} · {date}',
+    writtenAt: ' · written {date}',
+    shareNow: 'Share now',
+    edit: 'Edit Entry',
+    delete: 'Delete Entry',
+    shareDateRequired: 'Choose the day the entry will be shared.',
+    addError: "Couldn't add the entry. Please try again.",
+    updateError: "Couldn't update the entry. Check your permissions or whether you wrote it.",
+    deleteForbidden: "You don't have permission to delete this entry.",
+    deleteConfirm: 'Are you sure you want to delete this entry?',
+    deleteError: "Couldn't delete the entry. Check your permissions.",
+    shareError: "Couldn't share the entry. Please try again.",
+    visibility: {
+      label: 'Visibility',
+      shareDate: 'Share on',
+      shared: 'Shared',
+      private: 'Just me (draft)',
+      scheduled: 'Share on a date',
+      privateBadge: '🔒 Only you (draft)',
+      scheduledBadge: '⏰ Only you until {date}, then shared',
+    },
+  },
+  purpose: {
+    loading: 'Loading purpose...',
+    intro: 'This is our space to decide where we are heading, together. What are our dreams, big or small, for our future?',
+    label: 'Write about our shared goals and dreams:',
+    placeholder: 'E.g. Build our financial base, plan our next date, support each other’s studies, travel together to X...',
+    hint: 'What you write shows up for both of you right away. Saving keeps the text as a version in the history.',
+    otherPerson: 'The other person',
+    conflict: '{name} saved a version at the same time, so yours did not make it into the history. Both your texts are still merged in the field: review it and save again.',
+    save: 'Save Purpose',
+    typing: { one: '{names} is typing…', other: '{names} are typing…' },
+    sendError: "Couldn't send your changes to the purpose. Please try again.",
+    saveError: "Couldn't update the purpose. Please try again.",
+    restoreError: "Couldn't restore the version. Please try again.",
+  },
+  couple: {
+    together: 'Together for {duration}',
+    togetherToday: 'Together since today',
+    years: { one: '{count} year', other: '{count} years' },
+    months: { one: '{count} month', other: '{count} months' },
+    days: { one: '{count} day', other: '{count} days' },
+    startAnniversary: { one: '{count} year together', other: '{count} years together' },
+    countdown: { one: '{count} day until: {title}', other: '{count} days until: {title}' },
+    today: 'Today: {title}!',
+    open: '💞 Couple',
+    title: 'Our couple',
+    intro: 'The names and dates show in the header for both of you. A blank name uses the profile name.',
+    partnerName: 'Name {number}',
+    startDate: 'Together since',
+    dates: 'Other dates',
+    datesHint: 'Anniversaries repeat every year; a planned meeting only counts once.',
+    dateTitle: 'Date name',
+    dateTitlePlaceholder: 'E.g. Wedding, Next visit to Lisbon',
+    date: 'Day',
+    repeats: 'Repeats',
+    repeatOptions: {
+      yearly: 'Every year',
+      once: 'Just once (planned meeting)',
+    },
+    addDate: '+ Add date',
+    removeDate: 'Remove date',
+    close: 'Close',
+    futureStartDate: "The day you got together can't be in the future.",
+    incompleteDate: 'Each date needs a name and a day.',
+    saveError: "Couldn't save the couple details. Please try again.",
+  },
+  notifications: {
+    open: '🔔 Notifications',
+    title: 'Notifications',
+    close: 'Close',
+    enabled: 'Get notifications on this and my other devices',
+    typesLabel: 'Notify me about',
+    types: {
+      partnerActivity: "My partner's new moments and entries",
+      journalReminder: 'Daily reminder: "How are you feeling today?"',
+      anniversary: 'Anniversaries and visits (the day before)',
+    },
+    reminderTime: 'Daily reminder time',
+    quietHours: 'Quiet hours',
+    quietHint: 'Notifications arriving during these hours wait until they end.',
+    quietStart: 'From',
+    quietEnd: 'To',
+    status: {
+      push: 'This device gets notifications even when the app is closed.',
+      local: 'On this device notifications only show while the app is open.',
+      denied: 'The browser blocked notifications. Allow them in the site settings.',
+      unsupported: "This browser doesn't support notifications.",
+    },
+    saveError: 'Could not save the notification settings. Please try again.',
+    partner: {
+      moment: '{name} added a moment',
+      journal: '{name} wrote in the journal',
+    },
+    journalReminder: {
+      title: 'How are you feeling today?',
+      body: 'Take a minute to write in the journal.',
+    },
+    anniversary: {
+      title: 'Tomorrow: {title}',
+      body: 'In {space}',
+    },
+  },
+  insights: {
+    entries: { one: '{count} entry', other: '{count} entries' },
+    loading: 'Loading trends...',
+    period: 'Period',
+    periods: { week: 'Weeks', month: 'Months' },
+    periodName: { week: 'Week of {period}', month: '{period}' },
+    chartLabel: { week: 'Average mood per week', month: 'Average mood per month' },
+    empty: 'There are no entries with a mood in this period yet. Pick how you feel when writing in the journal.',
+    summaryOf: 'Summary for {name}',
+    noMood: 'No entries with a mood.',
+    averageMood: 'Average mood {value}',
+    averageEnergy: 'energy {value}',
+    averageAnxiety: 'anxiety {value}',
+    topFeelings: 'Felt most: {feelings}',
+    lowPeriods: 'Low periods',
+    noLowPeriods: 'No period with a low average mood. 💜',
+    noChallenges: 'No challenge recorded in the journey around this time.',
+  },
+  errors: {
+    load: "Couldn't load the data. Check your permissions.",
+    loadMore: "Couldn't load more data. Please try again.",
+    permissionDenied: "You don't have permission to do this.",
+    unauthenticated: 'Your session has expired. Please sign in again.',
+    notFound: 'This item no longer exists.',
+    unavailable: "Can't reach the server. Check your internet connection and try again.",
+    deadlineExceeded: 'The server took too long to respond. Please try again.',
+    resourceExhausted: 'Usage limit reached. Please try again later.',
+    storageUnauthorized: "Couldn't save the attachment: no permission, or the file is too large.",
+    storageQuotaExceeded: 'The space for photos and audio is full. Please try again later.',
+    storageRetryLimitExceeded: 'Uploading the attachment took too long. Check your internet connection and try again.',
+    storageCanceled: 'The attachment upload was cancelled.',
+    purposeConflict: 'The other person saved a version at the same time. Both texts are still merged: try saving again.',
+    purposeTooLarge: 'The purpose is too long to save. Shorten the text and try again.',
+    attachmentsOffline: 'No connection: photos and audio can only be uploaded online. Remove the attachments to save the text now.',
+  },
+  mood: {
+    question: 'How are you feeling? (optional)',
+    scoreLabel: 'Mood: {level}',
+    energy: 'Energy',
+    anxiety: 'Anxiety',
+    energyValue: 'Energy: {level}',
+    anxietyValue: 'Anxiety: {level}',
+    feelingsLabel: 'Feelings',
+    summaryLabel: 'Mood',
+    levels: { 1: 'Very low', 2: 'Low', 3: 'So-so', 4: 'Good', 5: 'Very good' },
+    energyLevels: { 1: 'No energy', 2: 'Low', 3: 'Normal', 4: 'Quite high', 5: 'Very high' },
+    anxietyLevels: { 1: 'None', 2: 'A little', 3: 'Some', 4: 'Quite a lot', 5: 'A lot' },
+    feelings: {
+      grateful: 'Gratitude',
+      happy: 'Joy',
+      calm: 'Calm',
+      loved: 'Love',
+      hopeful: 'Hope',
+      missing: 'Missing you',
+      tired: 'Tiredness',
+      sad: 'Sadness',
+      frustrated: 'Frustration',
+      lonely: 'Loneliness',
+      afraid: 'Fear',
+      guilty: 'Guilt',
+    },
+  },
+  comments: {
+    loading: 'Loading comments...',
+    count: { one: '{count} comment', other: '{count} comments' },
+    comment: 'Comment',
+    newLabel: 'New comment',
+    editLabel: 'Edit comment',
+    by: 'Comment by {name}',
+    edited: 'edited',
+    reply: 'Reply',
+    replyTo: 'Reply to {name}',
+    replyToDeleted: 'Reply to deleted comment',
+    sendReply: 'Send reply',
+    edit: 'Edit',
+    delete: 'Delete',
+    deleted: 'Deleted comment',
+    deleteConfirm: 'Delete this comment? Its replies stay visible.',
+    addError: "Couldn't post the comment. Please try again.",
+    editError: "Couldn't edit the comment. Please try again.",
+    deleteError: "Couldn't delete the comment. Please try again.",
+  },
+  reactions: {
+    love: 'Love',
+    hug: 'Hug',
+    strong: 'Strength',
+    laugh: 'Laugh',
+    wow: 'Wow',
+    tears: 'Moved',
+    error: "Couldn't react. Please try again.",
+  },
+  attachments: {
+    choose: 'Photos or audio',
+    record: 'Record a voice note',
+    stopRecording: 'Stop recording',
+    voiceNoteFileName: 'voice-note',
+    remove: 'Remove {name}',
+    progressLabel: 'Attachment upload',
+    progress: 'Uploading attachments... {percent}%',
+    view: 'View photo',
+    close: 'Close',
+    previous: 'Previous photo',
+    next: 'Next photo',
+    errors: {
+      tooMany: 'You can attach at most {max} files.',
+      unsupported: '"{name}" is not a photo or an audio file.',
+      imageTooLarge: 'The photo "{name}" is too large (max. {max} MB).',
+      audioTooLarge: 'The audio file "{name}" is too large (max. {max} MB).',
+      microphone: "Couldn't access the microphone.",
+    },
+  },
+  momentTypes: {
+    names: {
+      star: 'Moment of Light / Connection',
+      cloud: 'Challenge / Obstacle',
+      milestone: 'Achievement / Milestone',
+      generic: 'Moment',
+    },
+    colors: {
+      yellow: 'Yellow',
+      gray: 'Grey',
+      green: 'Green',
+      pink: 'Pink',
+      purple: 'Purple',
+      blue: 'Blue',
+      red: 'Red',
+      orange: 'Orange',
+    },
+    title: 'Moment Types',
+    close: 'Close types',
+    editType: 'Edit type {name}',
+    deleteType: 'Delete type {name}',
+    newTitle: 'New type',
+    editTitle: 'Edit type',
+    emoji: 'Emoji',
+    name: 'Type name',
+    namePlaceholder: 'E.g. Trip, Date, Missing you',
+    color: 'Colour',
+    add: 'Add Type',
+    save: 'Save Type',
+    deleteConfirm: 'Delete the type "{name}"? Moments of this type stay in the journey, but show up as "Moment".',
+    saveError: "Couldn't save the moment type. Please try again.",
+    deleteError: "Couldn't delete the moment type. Please try again.",
+  },
+  goals: {
+    title: 'Goals',
+    new: 'New goal',
+    loading: 'Loading goals...',
+    empty: 'Turn the dreams in the text above into concrete goals, with steps or an amount to reach.',
+    statuses: {
+      active: 'In progress',
+      paused: 'Paused',
+      done: 'Done',
+    },
+    progressKinds: {
+      none: 'Not measured',
+      checklist: 'List of steps',
+      amount: 'Amount to reach',
+    },
+    goal: 'Goal',
+    goalPlaceholder: 'E.g. Save for the trip to Japan',
+    description: 'Details (optional)',
+    owners: 'Owners',
+    targetDate: 'Target date (optional)',
+    progressKind: 'How to measure progress',
+    step: 'Step {number}',
+    removeStep: 'Remove step {number}',
+    addStep: '+ Add step',
+    targetAmount: 'Target',
+    currentAmount: 'Current amount',
+    unit: 'Unit',
+    save: 'Save goal',
+    create: 'Create goal',
+    errors: {
+      title: 'Give the goal a name.',
+      owners: 'Choose at least one owner.',
+      targetAmount: 'The target must be a number greater than zero.',
+      currentAmount: 'The current amount cannot be negative.',
+    },
+    until: 'by {date}',
+    overdue: 'by {date} (overdue)',
+    progress: 'Progress of {title}',
+    amountOf: '{current} of {target}',
+    newAmount: 'New amount for {title}',
+    updateAmount: 'Update amount',
+    reached: 'Target reached! Complete the goal to celebrate it in the journey.',
+    createMilestone: 'Add to the journey as a milestone ✅',
+    confirmComplete: 'Confirm completion',
+    openMilestone: 'View in the journey',
+    reopen: 'Reopen',
+    resume: 'Resume',
+    pause: 'Pause',
+    complete: 'Complete',
+    edit: 'Edit goal',
+    delete: 'Delete goal',
+    deleteConfirm: 'Delete the goal "{title}"? A milestone already added to the journey stays there.',
+    createError: "Couldn't create the goal. Please try again.",
+    saveError: "Couldn't save the goal. Please try again.",
+    updateError: "Couldn't update the goal. Please try again.",
+    completeError: "Couldn't complete the goal. Please try again.",
+    deleteError: "Couldn't delete the goal. Please try again.",
+  },
+  history: {
+    title: 'Version history',
+    loading: 'Loading history...',
+    empty: 'No saved versions yet. From the next save on, every version of the purpose is kept here.',
+    revision: 'Version {revision}',
+    current: 'current',
+    savedBy: '{name} on {date}',
+    restoredFrom: 'restored from version {revision}',
+    changesSince: 'Changes since version {revision}:',
+    first: 'First saved version:',
+    emptyText: '(empty)',
+    restore: 'Restore this version',
+    restoreConfirm: 'Restore version {revision}? It becomes the current purpose; the current version stays in the history.',
+    restoreUnsavedConfirm: 'Restore version {revision}? The current text becomes a version of its own in the history.',
+  },
+  search: {
+    loading: 'Preparing the search...',
+    title: 'Search',
+    query: 'Search moments and the journal',
+    queryPlaceholder: 'E.g. beach, birthday, Lisbon',
+    kind: 'Where',
+    kinds: {
+      all: 'Moments and journal',
+      moment: 'Moments only',
+      journal: 'Journal only',
+    },
+    author: 'Author',
+    anyAuthor: 'Any author',
+    type: 'Moment type',
+    anyType: 'Any type',
+    tag: 'Tag',
+    anyTag: 'Any tag',
+    from: 'From',
+    to: 'To',
+    clear: 'Clear filters',
+    results: { one: '{count} result', other: '{count} results' },
+    moment: 'Moment',
+    journal: 'Journal',
+    showMore: 'Show more results',
+  },
+  constellation: {
+    empty: 'No stars in the sky yet. How about adding the first moment?',
+    label: 'Constellation of our moments',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    reset: 'Reset view',
+    close: 'Close',
+  },
+  archive: {
+    exportTitle: 'Export',
+    exportIntro: 'Keep a copy of everything in "{space}", including the goals and your drafts and scheduled entries. The JSON archive can be imported again (here or in another project); photo and audio files are not copied, only the links to them.',
+    downloadJson: 'Download archive (JSON)',
+    downloadBook: 'Download book (Markdown)',
+    print: 'Print / PDF',
+    importTitle: 'Import',
+    importIntro: 'Adds a JSON archive to this space. Moments and entries that already exist are not duplicated. Drafts and scheduled entries go back to your private journal if they belong to whoever is mapped to you.',
+    file: 'Archive to import',
+    pending: '{file}: "{space}", exported on {date}, with {moments} and {entries} in the journal.',
+    authorMapping: 'What {name} wrote is credited to',
+    import: 'Import',
+    importing: 'Importing...',
+    counts: {
+      moments: { one: '{count} moment', other: '{count} moments' },
+      entries: { one: '{count} entry', other: '{count} entries' },
+    },
+    result: {
+      cards: '{moments} and {entries} in the journal',
+      momentTypes: { one: '{count} moment type', other: '{count} moment types' },
+      privateEntries: { one: '{count} private entry', other: '{count} private entries' },
+      goals: { one: '{count} goal', other: '{count} goals' },
+      purpose: 'the purpose',
+      imported: 'Imported {items}.',
+      importedSkipped: {
+        one: 'Imported {items} ({count} already existed and was skipped).',
+        other: 'Imported {items} ({count} already existed and were skipped).',
+      },
+    },
+    summary: 'Archive from {date} · {moments} · {entries} in the journal',
+    book: {
+      by: 'by {name}',
+    },
+    scheduledNote: '⏰ Only for whoever wrote it until {date}, then shared',
+    privateNote: '🔒 Only for whoever wrote it (draft)',
+    exportError: "Couldn't export the archive. Please try again.",
+    bookError: "Couldn't export the book. Please try again.",
+    printError: "Couldn't prepare the printout. Please try again.",
+    importOffline: 'Importing needs an internet connection.',
+    importError: "Couldn't import the archive. Please try again.",
+    errors: {
+      notArchive: 'This file is not a Nossa Constelação archive.',
+      newerVersion: 'This archive was created by a newer version of the app. Update the app and try again.',
+      incomplete: 'The archive is incomplete ("{field}" is missing).',
+      invalidItem: 'The archive has an invalid item in "{field}" (position {position}).',
+      invalidPurpose: 'The purpose saved in the archive is invalid.',
+      invalidAuthors: "The archive's list of authors is invalid.",
+      invalidJson: 'The file is not valid JSON.',
+    },
+  },
+  auth: {
+    loading: 'Loading sign-in...',
+    modes: {
+      signin: { label: 'Sign in', submit: 'Sign In', submitting: 'Signing in...' },
+      signup: { label: 'Create account', submit: 'Create Account', submitting: 'Creating account...' },
+      link: { label: 'Email link', submit: 'Send Link', submitting: 'Sending...' },
+    },
+    email: 'Email',
+    password: 'Password',
+    linkSent: 'We sent a sign-in link to',
+    linkSentHint: 'Open it in this browser to finish.',
+    back: 'Back',
+    anonymous: 'Continue without an account',
+    anonymousHint: 'Without an account, you lose access to your moments if you clear the browser or switch devices.',
+    anonymousSession: 'Anonymous session',
+    saveAccount: 'Save account',
+    signOut: 'Sign out',
+    signOutAnonymousConfirm: 'This session is anonymous: signing out loses access to your moments on this device. Sign out anyway?',
+    upgradeTitle: 'Save your account',
+    upgradeDescription: 'Link an email to this session to keep editing your moments on another device.',
+    confirmEmail: 'Confirm your email to finish signing in:',
+    existingAccountWarning: 'An account with this email already exists. If you sign in to it, you leave this session without an account: the spaces, moments and entries created here do not move to the account and you lose access to them. Sign in anyway?',
+    existingAccountKeptAnonymous: 'You are still in the session without an account. To keep what you created, use an email that does not have an account yet.',
+    errors: {
+      invalidEmail: 'Invalid email.',
+      missingPassword: 'Enter the password.',
+      weakPassword: 'The password must have at least 6 characters.',
+      wrongCredentials: 'Wrong email or password.',
+      emailInUse: 'An account with this email already exists. Sign in with it.',
+      alreadyLinked: 'This session is already linked to an account.',
+      invalidLink: 'The sign-in link is invalid or has already been used.',
+      expiredLink: 'The sign-in link has expired. Ask for a new one.',
+      tooManyRequests: 'Too many attempts. Wait a moment and try again.',
+      network: 'No internet connection. Please try again.',
+      notAllowed: 'This sign-in method is not enabled in the Firebase project.',
+      generic: "Couldn't sign in. Please try again.",
+    },
+  },
+  profile: {
+    title: 'Your Profile',
+    edit: 'Edit profile',
+    name: 'Name or nickname',
+    pronouns: 'Pronouns (optional)',
+    pronounsPlaceholder: 'E.g. she/her, he/him, they/them',
+    color: 'Colour',
+    colors: {
+      purple: 'Purple',
+      pink: 'Pink',
+      blue: 'Blue',
+      green: 'Green',
+      yellow: 'Yellow',
+      red: 'Red',
+      gray: 'Grey',
+    },
+    emoji: 'Emoji',
+    useInitial: 'Use the initial of the name',
+    save: 'Save Profile',
+    saveError: "Couldn't save the profile. Please try again.",
+  },
+  spaces: {
+    title: 'Our Space',
+    intro: 'Create a private space for the two of you and share the invite, or join the space your partner already created.',
+    createTitle: 'Create a New Space',
+    name: 'Space Name',
+    namePlaceholder: 'E.g. Nico & Aniqua',
+    create: 'Create Space',
+    creating: 'Creating...',
+    joinTitle: 'Join with an Invite',
+    inviteCode: 'Invite Code',
+    inviteCodePlaceholder: 'E.g. K7M2QX',
+    join: 'Join Space',
+    joining: 'Joining...',
+    createError: "Couldn't create the space. Please try again.",
+    invalidInvite: 'Invalid invite code.',
+    joinError: "Couldn't join the space. Check the code, or whether the space already has both of you.",
+    expiredInvite: 'This invite has expired. Ask your partner for a new one.',
+    active: 'Space:',
+    invite: 'Invite',
+    add: 'Create or join another space',
+    inviteCodeValue: 'Invite code:',
+    copyInviteLink: 'Copy invite link',
+    inviteValidity: 'Each invite is valid for {count} days. Creating a new one disables the previous one.',
+    renewInvite: 'Create a new invite',
+    renewingInvite: 'Creating...',
+    renewInviteError: "Couldn't create the invite. Please try again.",
+  },
+  diagnostics: {
+    title: 'Configuration diagnostics',
+    valid: '✓ The configuration is valid.',
+    servicesFailed: 'The configuration is valid, but some Firebase services did not start.',
+    invalid: 'The app cannot start: the Firebase configuration is missing or invalid.',
+    problemsTitle: 'Problems',
+    readTitle: 'Configuration found',
+    environment: 'Environment',
+    source: 'Source',
+    noSource: 'None',
+    project: 'Project',
+    appId: 'appId (data)',
+    emulators: 'Emulators',
+    push: 'Push notifications',
+    pushConfigured: 'Configured',
+    pushLocalOnly: 'Only while the app is open (messagingSenderId or vapidKey missing)',
+    requiredKeys: 'Required keys',
+    sourcesTitle: 'Sources checked',
+    howToFix: 'How to fix',
+    fixEnv: 'Set the {variables} variables in .env before the build,',
+    fixRuntime: 'or publish a {path} with {example}.',
+    fixEmulators: 'For the local emulators, {variable} is enough.',
+    fixEnvironments: 'The environments are {environments} ({variable}).',
+    backToApp: 'Back to the app',
+    environments: {
+      dev: 'Development',
+      staging: 'Testing (staging)',
+      prod: 'Production',
+      emulator: 'Local emulators',
+    },
+    sources: {
+      canvas: 'Canvas environment (window.__firebase_config)',
+      env: 'Build variables (REACT_APP_FIREBASE_*)',
+      runtime: 'File {path}',
+    },
+    problems: {
+      unknownEnvironment: 'Unknown environment: "{environment}". Use {environments}.',
+      missingKey: 'The Firebase configuration is missing the "{key}" key.',
+      invalidAppId: 'The appId (the data namespace in artifacts/{appId}) is missing or invalid.',
+      emulatorNotAllowed: 'The "{environment}" environment cannot use the emulators ({host}).',
+      invalidCanvasJson: 'window.__firebase_config is not valid JSON ({message}).',
+      notFound: 'No Firebase configuration found: set the REACT_APP_FIREBASE_* variables in the build or publish a {path}.',
+      runtimeUnreachable: 'Could not read {path} ({message}).',
+      runtimeWithoutFirebase: '{path} has no "firebase" object.',
+      invalidRuntimeJson: '{path} is not valid JSON ({message}).',
+    },
+    services: {
+      firebase: 'Firebase: {message}',
+      firestoreCache: 'Firestore (persistent cache): {message}',
+      firestore: 'Firestore: {message}',
+      auth: 'Auth: {message}',
+      storage: 'Storage: {message}',
+      firestoreEmulator: 'Firestore emulator: {message}',
+      authEmulator: 'Auth emulator: {message}',
+      storageEmulator: 'Storage emulator: {message}',
+      analytics: 'Analytics: {message}',
+    },
+  },
+};
+
+export default en;
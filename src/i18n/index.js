@@ -0,0 +1,45 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, translate } from './translate';
+import { formatDay, formatMomentDate, formatTimestamp } from '../utils/dates';
+
+export { DEFAULT_LOCALE, LOCALES, LOCALE_STORAGE_KEY, resolveLocale, translate } from './translate';
+
+// --- Internationalisation ---
+// O idioma vem do perfil do utilizador (campo 'locale'), ou da última escolha neste navegador antes de entrar.
+// O AuthWrapper fornece o I18nContext; fora dele (ex: ecrã de diagnóstico) fica o pt-PT.
+
+/**
+ * @typedef {Object} I18n
+ * @property {import('./translate').Locale} locale
+ * @property {(key: string, params?: Object<string, string | number>) => string} t
+ * @property {(timestamp: any) => string} formatTimestamp
+ * @property {(moment: { date: any, hasTime?: boolean }) => string} formatMomentDate
+ * @property {(date: Date) => string} formatDay
+ * @property {(items: string[]) => string} formatList - ex: "Nico e Aniqua", "1 ano, 3 meses e 12 dias"
+ * @property {(value: number, options?: Intl.NumberFormatOptions) => string} formatNumber - ex: "1.250,5" ou "1,250.5"
+ */
+
+const listFormats = {};
+const formatList = (items, locale) => {
+  if (!listFormats[locale]) listFormats[locale] = new Intl.ListFormat(locale, { type: 'conjunction' });
+  return listFormats[locale].format(items);
+};
+
+/**
+ * @param {import('./translate').Locale} locale
+ * @returns {I18n}
+ */
+export const createI18n = (locale) => ({
+  locale,
+  t: (key, params) => translate(locale, key, params),
+  formatTimestamp: (timestamp) => formatTimestamp(timestamp, locale),
+  formatMomentDate: (moment) => formatMomentDate(moment, locale),
+  formatDay: (date) => formatDay(date, locale),
+  formatList: (items) => formatList(items, locale),
+  formatNumber: (value, options) => value.toLocaleString(locale, options),
+});
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+/** @returns {I18n} */
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,641 @@
+const ptBR = {
+  app: {
+    title: 'Nossa Constelação de Momentos',
+    documentTitle: '{view} · Nossa Constelação de Momentos',
+    subtitle: 'A jornada de {names}',
+    subtitleWithoutNames: 'Nossa jornada',
+    userId: 'ID do Usuário:',
+    language: 'Idioma',
+    inviteError: 'Não foi possível aceitar o convite. Verifique o link ou peça um novo código.',
+    loadingSpaces: 'Carregando espaços...',
+    online: '● Online',
+    offline: '● Offline: as alterações ficam salvas neste dispositivo e são sincronizadas quando a conexão voltar',
+    pendingSync: '⏳ Sincronizando',
+    pendingSyncHint: 'Salvo neste dispositivo. Será sincronizado quando houver conexão.',
+    copyLink: 'Copiar link',
+    linkCopied: 'Link copiado!',
+    anonymous: 'Anônimo',
+    loadingConfig: 'Carregando configuração...',
+    servicesWarning: 'O Firebase não iniciou por completo e os dados não vão carregar.',
+    openDiagnostics: 'Ver diagnóstico',
+  },
+  views: {
+    moments: 'Nossa Jornada',
+    journal: 'Nosso Diário',
+    purpose: 'Nosso Propósito',
+    insights: 'Tendências',
+    search: 'Pesquisar',
+    archive: 'Arquivo',
+  },
+  common: {
+    cancel: 'Cancelar',
+    save: 'Salvar',
+    saving: 'Salvando...',
+    tagsOptional: 'Tags (opcional)',
+    tagsInline: 'Tags, separadas por vírgulas',
+    tags: 'Tags',
+    loadingMore: 'Carregando mais...',
+    loadOlder: 'Carregar mais antigos',
+  },
+  dates: {
+    unknown: 'Data desconhecida',
+    atTime: '{date} às {time}',
+  },
+  nameModal: {
+    title: 'Qual é o seu nome?',
+    description: 'Isso nos ajudará a saber quem adicionou os momentos!',
+    placeholder: 'Seu nome ou apelido',
+    save: 'Salvar Nome',
+  },
+  moments: {
+    loading: 'Carregando momentos...',
+    addTitle: 'Adicionar um Novo Momento',
+    titleLabel: 'Título do Momento',
+    titlePlaceholder: 'Ex: Nosso primeiro encontro, Passei no Detran!',
+    descriptionLabel: 'Descrição (opcional)',
+    descriptionPlaceholder: 'Detalhes sobre este momento...',
+    typeLabel: 'Tipo de Momento',
+    manageTypes: '🎨 Gerenciar tipos',
+    tagsPlaceholder: 'Ex: viagem, aniversário, Rio',
+    dateLabel: 'Quando aconteceu?',
+    timeLabel: 'Hora (opcional)',
+    submit: 'Adicionar Momento',
+    submitting: 'Adicionando...',
+    displayList: 'Lista',
+    displayConstellation: 'Constelação',
+    empty: 'Nenhum momento registrado ainda. Que tal adicionar o primeiro?',
+    editType: 'Tipo do momento',
+    editTags: 'Tags do momento',
+    editDate: 'Data do momento',
+    editTime: 'Hora do momento',
+    goalCompleted: '🎯 Objetivo concluído no Nosso Propósito',
+    addedBy: 'Adicionado por {name} · {date}',
+    edit: 'Editar Momento',
+    delete: 'Excluir Momento',
+    invalidDate: 'Escolha uma data válida para o momento.',
+    addError: 'Erro ao adicionar momento. Tente novamente.',
+    updateError: 'Erro ao atualizar momento. Verifique suas permissões ou se você é o criador.',
+    deleteForbidden: 'Você não tem permissão para excluir este momento.',
+    deleteConfirm: 'Tem certeza que deseja excluir este momento?',
+    deleteError: 'Erro ao excluir momento. Verifique suas permissões.',
+  },
+  journal: {
+    loading: 'Carregando diário...',
+    addTitle: 'Adicionar um Registro',
+    textLabel: 'O que você está sentindo ou o que aconteceu?',
+    textPlaceholder: 'Ex: Hoje me senti um pouco apático, mas dei um pequeno passo... ou: O teste do Detran me deixou ansioso, mas respirei fundo.',
+    tagsPlaceholder: 'Ex: gratidão, saudade, trabalho',
+    submit: 'Registrar no Diário',
+    submitting: 'Registrando...',
+    empty: 'Nenhum registro no diário ainda. Comece a compartilhar!',
+    editTags: 'Tags do registro',
+    by: 'Por {name} · {date}',
+    writtenAt: ' · escrito {date}',
+    shareNow: 'Compartilhar agora',
+    edit: 'Editar Registro',
+    delete: 'Excluir Registro',
+    shareDateRequired: 'Escolha o dia em que o registro vai ser compartilhado.',
+    addError: 'Erro ao adicionar registro. Tente novamente.',
+    updateError: 'Erro ao atualizar registro. Verifique suas permissões ou se você é o criador.',
+    deleteForbidden: 'Você não tem permissão para excluir este registro.',
+    deleteConfirm: 'Tem certeza que deseja excluir este registro?',
+    deleteError: 'Erro ao excluir registro. Verifique suas permissões.',
+    shareError: 'Erro ao compartilhar o registro. Tente novamente.',
+    visibility: {
+      label: 'Visibilidade',
+      shareDate: 'Compartilhar no dia',
+      shared: 'Compartilhado',
+      private: 'Só para mim (rascunho)',
+      scheduled: 'Compartilhar em uma data',
+      privateBadge: '🔒 Só para você (rascunho)',
+      scheduledBadge: '⏰ Só para você até {date}, depois é compartilhado',
+    },
+  },
+  purpose: {
+    loading: 'Carregando propósito...',
+    intro: 'Este é o nosso espaço para definir para onde estamos indo, juntos. Quais são nossos sonhos, grandes ou pequenos, para o nosso futuro?',
+    label: 'Escreva sobre nossos objetivos e sonhos compartilhados:',
+    placeholder: 'Ex: Construir nossa base financeira, planejar nosso próximo encontro, apoiar os estudos um do outro, viajar juntos para X...',
+    hint: 'O que vocês escrevem aparece na hora para os dois. Ao salvar, o texto vira uma versão no histórico.',
+    otherPerson: 'A outra pessoa',
+    conflict: '{name} salvou uma versão ao mesmo tempo, então a sua não entrou no histórico. O texto dos dois continua junto no campo: revise e salve de novo.',
+    save: 'Salvar Propósito',
+    typing: { one: '{names} está digitando…', other: '{names} estão digitando…' },
+    sendError: 'Erro ao enviar as alterações do propósito. Tente novamente.',
+    saveError: 'Erro ao atualizar o propósito. Tente novamente.',
+    restoreError: 'Erro ao restaurar a versão. Tente novamente.',
+  },
+  couple: {
+    together: 'Juntos há {duration}',
+    togetherToday: 'Juntos desde hoje',
+    years: { one: '{count} ano', other: '{count} anos' },
+    months: { one: '{count} mês', other: '{count} meses' },
+    days: { one: '{count} dia', other: '{count} dias' },
+    startAnniversary: { one: '{count} ano juntos', other: '{count} anos juntos' },
+    countdown: { one: 'Falta {count} dia para: {title}', other: 'Faltam {count} dias para: {title}' },
+    today: 'Hoje: {title}!',
+    open: '💞 Casal',
+    title: 'Nosso casal',
+    intro: 'Os nomes e as datas aparecem no cabeçalho para os dois. Um nome em branco usa o nome do perfil.',
+    partnerName: 'Nome {number}',
+    startDate: 'Juntos desde',
+    dates: 'Outras datas',
+    datesHint: 'Aniversários se repetem todo ano; um encontro planejado conta só uma vez.',
+    dateTitle: 'Nome da data',
+    dateTitlePlaceholder: 'Ex: Casamento, Próxima visita ao Rio',
+    date: 'Dia',
+    repeats: 'Repete',
+    repeatOptions: {
+      yearly: 'Todo ano',
+      once: 'Só uma vez (encontro planejado)',
+    },
+    addDate: '+ Adicionar data',
+    removeDate: 'Remover data',
+    close: 'Fechar',
+    futureStartDate: 'O dia em que vocês começaram não pode ser no futuro.',
+    incompleteDate: 'Cada data precisa de um nome e de um dia.',
+    saveError: 'Erro ao salvar os dados do casal. Tente novamente.',
+  },
+  notifications: {
+    open: '🔔 Notificações',
+    title: 'Notificações',
+    close: 'Fechar',
+    enabled: 'Receber notificações neste e nos outros dispositivos',
+    typesLabel: 'Me avisar de',
+    types: {
+      partnerActivity: 'Momentos e registros novos do meu par',
+      journalReminder: 'Lembrete diário: "Como você está se sentindo hoje?"',
+      anniversary: 'Aniversários e encontros (na véspera)',
+    },
+    reminderTime: 'Horário do lembrete diário',
+    quietHours: 'Horário de silêncio',
+    quietHint: 'As notificações que chegarem nesse horário só aparecem no final.',
+    quietStart: 'Das',
+    quietEnd: 'Às',
+    status: {
+      push: 'Este dispositivo recebe notificações mesmo com o app fechado.',
+      local: 'Neste dispositivo as notificações aparecem só com o app aberto.',
+      denied: 'O navegador bloqueou as notificações. Permita nas configurações do site.',
+      unsupported: 'Este navegador não suporta notificações.',
+    },
+    saveError: 'Erro ao salvar as notificações. Tente novamente.',
+    partner: {
+      moment: '{name} adicionou um momento',
+      journal: '{name} escreveu no diário',
+    },
+    journalReminder: {
+      title: 'Como você está se sentindo hoje?',
+      body: 'Tire um minuto para escrever no diário.',
+    },
+    anniversary: {
+      title: 'Amanhã: {title}',
+      body: 'Em {space}',
+    },
+  },
+  insights: {
+    entries: { one: '{count} registro', other: '{count} registros' },
+    loading: 'Carregando tendências...',
+    period: 'Período',
+    periods: { week: 'Semanas', month: 'Meses' },
+    periodName: { week: 'Semana de {period}', month: '{period}' },
+    chartLabel: { week: 'Humor médio por semana', month: 'Humor médio por mês' },
+    empty: 'Ainda não há registros com o estado de espírito neste período. Escolham como estão se sentindo ao escrever no diário.',
+    summaryOf: 'Resumo de {name}',
+    noMood: 'Sem registros com estado de espírito.',
+    averageMood: 'Humor médio {value}',
+    averageEnergy: 'energia {value}',
+    averageAnxiety: 'ansiedade {value}',
+    topFeelings: 'Mais sentido: {feelings}',
+    lowPeriods: 'Períodos pra baixo',
+    noLowPeriods: 'Nenhum período com o humor médio pra baixo. 💜',
+    noChallenges: 'Nenhum desafio registrado na jornada nessa época.',
+  },
+  errors: {
+    load: 'Erro ao carregar dados. Verifique suas permissões.',
+    loadMore: 'Erro ao carregar mais dados. Tente novamente.',
+    permissionDenied: 'Você não tem permissão para esta ação.',
+    unauthenticated: 'Sua sessão expirou. Entre novamente.',
+    notFound: 'Este item não existe mais.',
+    unavailable: 'Sem conexão com o servidor. Verifique sua internet e tente novamente.',
+    deadlineExceeded: 'O servidor demorou demais para responder. Tente novamente.',
+    resourceExhausted: 'Limite de uso atingido. Tente novamente mais tarde.',
+    storageUnauthorized: 'Não foi possível salvar o anexo: sem permissão ou arquivo grande demais.',
+    storageQuotaExceeded: 'O espaço para fotos e áudios está cheio. Tente novamente mais tarde.',
+    storageRetryLimitExceeded: 'O envio do anexo demorou demais. Verifique sua internet e tente novamente.',
+    storageCanceled: 'O envio do anexo foi cancelado.',
+    purposeConflict: 'A outra pessoa salvou uma versão ao mesmo tempo. O texto das duas continua junto: tente salvar de novo.',
+    purposeTooLarge: 'O propósito ficou grande demais para ser salvo. Encurte o texto e tente de novo.',
+    attachmentsOffline: 'Sem conexão: as fotos e os áudios só podem ser enviados com internet. Remova os anexos para salvar o texto agora.',
+  },
+  mood: {
+    question: 'Como você está se sentindo? (opcional)',
+    scoreLabel: 'Humor: {level}',
+    energy: 'Energia',
+    anxiety: 'Ansiedade',
+    energyValue: 'Energia: {level}',
+    anxietyValue: 'Ansiedade: {level}',
+    feelingsLabel: 'Sentimentos',
+    summaryLabel: 'Estado de espírito',
+    levels: { 1: 'Muito pra baixo', 2: 'Pra baixo', 3: 'Mais ou menos', 4: 'Bem', 5: 'Muito bem' },
+    energyLevels: { 1: 'Sem energia', 2: 'Pouca', 3: 'Normal', 4: 'Bastante', 5: 'Muita' },
+    anxietyLevels: { 1: 'Nenhuma', 2: 'Pouca', 3: 'Alguma', 4: 'Bastante', 5: 'Muita' },
+    feelings: {
+      grateful: 'Gratidão',
+      happy: 'Alegria',
+      calm: 'Calma',
+      loved: 'Amor',
+      hopeful: 'Esperança',
+      missing: 'Saudade',
+      tired: 'Cansaço',
+      sad: 'Tristeza',
+      frustrated: 'Frustração',
+      lonely: 'Solidão',
+      afraid: 'Medo',
+      guilty: 'Culpa',
+    },
+  },
+  comments: {
+    loading: 'Carregando comentários...',
+    count: { one: '{count} comentário', other: '{count} comentários' },
+    comment: 'Comentar',
+    newLabel: 'Novo comentário',
+    editLabel: 'Editar comentário',
+    by: 'Comentário de {name}',
+    edited: 'editado',
+    reply: 'Responder',
+    replyTo: 'Resposta a {name}',
+    replyToDeleted: 'Resposta a comentário excluído',
+    sendReply: 'Enviar resposta',
+    edit: 'Editar',
+    delete: 'Excluir',
+    deleted: 'Comentário excluído',
+    deleteConfirm: 'Excluir este comentário? As respostas continuam visíveis.',
+    addError: 'Erro ao publicar o comentário. Tente novamente.',
+    editError: 'Erro ao editar o comentário. Tente novamente.',
+    deleteError: 'Erro ao excluir o comentário. Tente novamente.',
+  },
+  reactions: {
+    love: 'Amor',
+    hug: 'Abraço',
+    strong: 'Força',
+    laugh: 'Risada',
+    wow: 'Uau',
+    tears: 'Emoção',
+    error: 'Erro ao reagir. Tente novamente.',
+  },
+  attachments: {
+    choose: 'Fotos ou áudio',
+    record: 'Gravar mensagem de voz',
+    stopRecording: 'Parar gravação',
+    voiceNoteFileName: 'mensagem-de-voz',
+    remove: 'Remover {name}',
+    progressLabel: 'Envio dos anexos',
+    progress: 'Enviando anexos... {percent}%',
+    view: 'Ver foto',
+    close: 'Fechar',
+    previous: 'Foto anterior',
+    next: 'Próxima foto',
+    errors: {
+      tooMany: 'Você pode anexar no máximo {max} arquivos.',
+      unsupported: '"{name}" não é uma foto nem um áudio.',
+      imageTooLarge: 'A foto "{name}" é grande demais (máx. {max} MB).',
+      audioTooLarge: 'O áudio "{name}" é grande demais (máx. {max} MB).',
+      microphone: 'Não foi possível acessar o microfone.',
+    },
+  },
+  momentTypes: {
+    names: {
+      star: 'Momento de Luz / Conexão',
+      cloud: 'Desafio / Obstáculo',
+      milestone: 'Conquista / Marco',
+      generic: 'Momento',
+    },
+    colors: {
+      yellow: 'Amarelo',
+      gray: 'Cinza',
+      green: 'Verde',
+      pink: 'Rosa',
+      purple: 'Roxo',
+      blue: 'Azul',
+      red: 'Vermelho',
+      orange: 'Laranja',
+    },
+    title: 'Tipos de Momento',
+    close: 'Fechar tipos',
+    editType: 'Editar tipo {name}',
+    deleteType: 'Excluir tipo {name}',
+    newTitle: 'Novo tipo',
+    editTitle: 'Editar tipo',
+    emoji: 'Emoji',
+    name: 'Nome do tipo',
+    namePlaceholder: 'Ex: Viagem, Encontro, Saudade',
+    color: 'Cor',
+    add: 'Adicionar Tipo',
+    save: 'Salvar Tipo',
+    deleteConfirm: 'Excluir o tipo "{name}"? Os momentos deste tipo continuam na jornada, mas passam a aparecer como "Momento".',
+    saveError: 'Erro ao salvar o tipo de momento. Tente novamente.',
+    deleteError: 'Erro ao excluir o tipo de momento. Tente novamente.',
+  },
+  goals: {
+    title: 'Objetivos',
+    new: 'Novo objetivo',
+    loading: 'Carregando objetivos...',
+    empty: 'Transforme os sonhos do texto acima em objetivos concretos, com etapas ou um valor a atingir.',
+    statuses: {
+      active: 'Em andamento',
+      paused: 'Pausado',
+      done: 'Concluído',
+    },
+    progressKinds: {
+      none: 'Sem medida',
+      checklist: 'Lista de etapas',
+      amount: 'Valor a atingir',
+    },
+    goal: 'Objetivo',
+    goalPlaceholder: 'Ex: Economizar para a viagem ao Japão',
+    description: 'Detalhes (opcional)',
+    owners: 'Responsáveis',
+    targetDate: 'Data alvo (opcional)',
+    progressKind: 'Como medir o progresso',
+    step: 'Etapa {number}',
+    removeStep: 'Remover etapa {number}',
+    addStep: '+ Adicionar etapa',
+    targetAmount: 'Meta',
+    currentAmount: 'Valor atual',
+    unit: 'Unidade',
+    save: 'Salvar objetivo',
+    create: 'Criar objetivo',
+    errors: {
+      title: 'Dê um nome ao objetivo.',
+      owners: 'Escolha pelo menos um responsável.',
+      targetAmount: 'A meta precisa ser um número maior que zero.',
+      currentAmount: 'O valor atual não pode ser negativo.',
+    },
+    until: 'até {date}',
+    overdue: 'até {date} (atrasado)',
+    progress: 'Progresso de {title}',
+    amountOf: '{current} de {target}',
+    newAmount: 'Novo valor de {title}',
+    updateAmount: 'Atualizar valor',
+    reached: 'Meta atingida! Conclua o objetivo para comemorá-lo na jornada.',
+    createMilestone: 'Registrar na jornada como marco ✅',
+    confirmComplete: 'Confirmar conclusão',
+    openMilestone: 'Ver na jornada',
+    reopen: 'Reabrir',
+    resume: 'Retomar',
+    pause: 'Pausar',
+    complete: 'Concluir',
+    edit: 'Editar objetivo',
+    delete: 'Excluir objetivo',
+    deleteConfirm: 'Excluir o objetivo "{title}"? Um marco já registrado na jornada continua lá.',
+    createError: 'Erro ao criar o objetivo. Tente novamente.',
+    saveError: 'Erro ao salvar o objetivo. Tente novamente.',
+    updateError: 'Erro ao atualizar o objetivo. Tente novamente.',
+    completeError: 'Erro ao concluir o objetivo. Tente novamente.',
+    deleteError: 'Erro ao excluir o objetivo. Tente novamente.',
+  },
+  history: {
+    title: 'Histórico de versões',
+    loading: 'Carregando histórico...',
+    empty: 'Ainda não há versões salvas. A partir do próximo salvamento, cada versão do propósito fica aqui.',
+    revision: 'Versão {revision}',
+    current: 'atual',
+    savedBy: '{name} em {date}',
+    restoredFrom: 'restaurada da versão {revision}',
+    changesSince: 'Alterações em relação à versão {revision}:',
+    first: 'Primeira versão salva:',
+    emptyText: '(vazio)',
+    restore: 'Restaurar esta versão',
+    restoreConfirm: 'Restaurar a versão {revision}? Ela passa a ser o propósito atual; a versão atual continua no histórico.',
+    restoreUnsavedConfirm: 'Restaurar a versão {revision}? O texto atual vira uma versão própria no histórico.',
+  },
+  search: {
+    loading: 'Preparando a pesquisa...',
+    title: 'Pesquisar',
+    query: 'Buscar nos momentos e no diário',
+    queryPlaceholder: 'Ex: praia, aniversário, Rio',
+    kind: 'Onde',
+    kinds: {
+      all: 'Momentos e diário',
+      moment: 'Só momentos',
+      journal: 'Só diário',
+    },
+    author: 'Autor',
+    anyAuthor: 'Qualquer autor',
+    type: 'Tipo de momento',
+    anyType: 'Qualquer tipo',
+    tag: 'Tag',
+    anyTag: 'Qualquer tag',
+    from: 'Desde',
+    to: 'Até',
+    clear: 'Limpar filtros',
+    results: { one: '{count} resultado', other: '{count} resultados' },
+    moment: 'Momento',
+    journal: 'Diário',
+    showMore: 'Mostrar mais resultados',
+  },
+  constellation: {
+    empty: 'Nenhuma estrela no céu ainda. Que tal adicionar o primeiro momento?',
+    label: 'Constelação dos nossos momentos',
+    zoomIn: 'Aproximar',
+    zoomOut: 'Afastar',
+    reset: 'Restaurar visualização',
+    close: 'Fechar',
+  },
+  archive: {
+    exportTitle: 'Exportar',
+    exportIntro: 'Salve uma cópia de tudo o que está em "{space}", incluindo os objetivos e os seus rascunhos e registros agendados. O arquivo JSON pode ser importado de novo (aqui ou em outro projeto); os arquivos das fotos e áudios não são copiados, só os links para eles.',
+    downloadJson: 'Baixar arquivo (JSON)',
+    downloadBook: 'Baixar livro (Markdown)',
+    print: 'Imprimir / PDF',
+    importTitle: 'Importar',
+    importIntro: 'Junta um arquivo JSON a este espaço. Momentos e registros que já existem não são duplicados. Os rascunhos e registros agendados voltam para o seu diário privado se forem de quem fica no seu nome.',
+    file: 'Arquivo a importar',
+    pending: '{file}: "{space}", exportado em {date}, com {moments} e {entries} no diário.',
+    authorMapping: 'O que {name} escreveu fica no nome de',
+    import: 'Importar',
+    importing: 'Importando...',
+    counts: {
+      moments: { one: '{count} momento', other: '{count} momentos' },
+      entries: { one: '{count} registro', other: '{count} registros' },
+    },
+    result: {
+      cards: '{moments} e {entries} no diário',
+      momentTypes: { one: '{count} tipo de momento', other: '{count} tipos de momento' },
+      privateEntries: { one: '{count} registro privado', other: '{count} registros privados' },
+      goals: { one: '{count} objetivo', other: '{count} objetivos' },
+      purpose: 'o propósito',
+      imported: 'Importados {items}.',
+      importedSkipped: {
+        one: 'Importados {items} ({count} já existia e foi ignorado).',
+        other: 'Importados {items} ({count} já existiam e foram ignorados).',
+      },
+    },
+    summary: 'Arquivo de {date} · {moments} · {entries} no diário',
+    book: {
+      by: 'por {name}',
+    },
+    scheduledNote: '⏰ Só para quem escreveu até {date}, depois é compartilhado',
+    privateNote: '🔒 Só para quem escreveu (rascunho)',
+    exportError: 'Erro ao exportar o arquivo. Tente novamente.',
+    bookError: 'Erro ao exportar o livro. Tente novamente.',
+    printError: 'Erro ao preparar a impressão. Tente novamente.',
+    importOffline: 'A importação precisa de conexão com a internet.',
+    importError: 'Erro ao importar o arquivo. Tente novamente.',
+    errors: {
+      notArchive: 'Este arquivo não é um arquivo da Nossa Constelação.',
+      newerVersion: 'Este arquivo foi criado por uma versão mais recente do app. Atualize o app e tente novamente.',
+      incomplete: 'O arquivo está incompleto (falta "{field}").',
+      invalidItem: 'O arquivo tem um item inválido em "{field}" (posição {position}).',
+      invalidPurpose: 'O propósito salvo no arquivo é inválido.',
+      invalidAuthors: 'A lista de autores do arquivo é inválida.',
+      invalidJson: 'O arquivo não é um JSON válido.',
+    },
+  },
+  auth: {
+    loading: 'Carregando autenticação...',
+    modes: {
+      signin: { label: 'Entrar', submit: 'Entrar', submitting: 'Entrando...' },
+      signup: { label: 'Criar conta', submit: 'Criar Conta', submitting: 'Criando conta...' },
+      link: { label: 'Link por e-mail', submit: 'Enviar Link', submitting: 'Enviando...' },
+    },
+    email: 'E-mail',
+    password: 'Senha',
+    linkSent: 'Enviamos um link de acesso para',
+    linkSentHint: 'Abra-o neste navegador para concluir.',
+    back: 'Voltar',
+    anonymous: 'Continuar sem conta',
+    anonymousHint: 'Sem conta, você perde o acesso aos seus momentos se limpar o navegador ou trocar de dispositivo.',
+    anonymousSession: 'Sessão anônima',
+    saveAccount: 'Salvar conta',
+    signOut: 'Sair',
+    signOutAnonymousConfirm: 'Esta sessão é anônima: ao sair você perde o acesso aos seus momentos neste dispositivo. Deseja sair mesmo assim?',
+    upgradeTitle: 'Salvar a sua conta',
+    upgradeDescription: 'Associe um e-mail a esta sessão para continuar editando os seus momentos em outro dispositivo.',
+    confirmEmail: 'Confirme o seu e-mail para concluir o acesso:',
+    existingAccountWarning: 'Já existe uma conta com este e-mail. Se você entrar nela, deixa esta sessão sem conta: os espaços, momentos e registros criados aqui não passam para a conta e você perde o acesso a eles. Entrar mesmo assim?',
+    existingAccountKeptAnonymous: 'Você continua na sessão sem conta. Para salvar o que já criou, use um e-mail que ainda não tenha conta.',
+    errors: {
+      invalidEmail: 'E-mail inválido.',
+      missingPassword: 'Informe a senha.',
+      weakPassword: 'A senha deve ter pelo menos 6 caracteres.',
+      wrongCredentials: 'E-mail ou senha incorretos.',
+      emailInUse: 'Já existe uma conta com este e-mail. Entre com ela.',
+      alreadyLinked: 'Esta sessão já está associada a uma conta.',
+      invalidLink: 'O link de acesso é inválido ou já foi usado.',
+      expiredLink: 'O link de acesso expirou. Peça um novo.',
+      tooManyRequests: 'Muitas tentativas. Aguarde um pouco e tente novamente.',
+      network: 'Sem conexão com a internet. Tente novamente.',
+      notAllowed: 'Este método de acesso não está ativo no projeto Firebase.',
+      generic: 'Erro ao autenticar. Tente novamente.',
+    },
+  },
+  profile: {
+    title: 'O Seu Perfil',
+    edit: 'Editar perfil',
+    name: 'Nome ou apelido',
+    pronouns: 'Pronomes (opcional)',
+    pronounsPlaceholder: 'Ex: ela/dela, ele/dele',
+    color: 'Cor',
+    colors: {
+      purple: 'Roxo',
+      pink: 'Rosa',
+      blue: 'Azul',
+      green: 'Verde',
+      yellow: 'Amarelo',
+      red: 'Vermelho',
+      gray: 'Cinza',
+    },
+    emoji: 'Emoji',
+    useInitial: 'Usar a inicial do nome',
+    save: 'Salvar Perfil',
+    saveError: 'Erro ao salvar o perfil. Tente novamente.',
+  },
+  spaces: {
+    title: 'O Nosso Espaço',
+    intro: 'Crie um espaço privado para o casal e compartilhe o convite, ou entre no espaço que o seu par já criou.',
+    createTitle: 'Criar um Novo Espaço',
+    name: 'Nome do Espaço',
+    namePlaceholder: 'Ex: Nico & Aniqua',
+    create: 'Criar Espaço',
+    creating: 'Criando...',
+    joinTitle: 'Entrar com um Convite',
+    inviteCode: 'Código de Convite',
+    inviteCodePlaceholder: 'Ex: K7M2QX',
+    join: 'Entrar no Espaço',
+    joining: 'Entrando...',
+    createError: 'Erro ao criar o espaço. Tente novamente.',
+    invalidInvite: 'Código de convite inválido.',
+    joinError: 'Erro ao entrar no espaço. Verifique o código ou se o espaço já tem as duas pessoas.',
+    expiredInvite: 'Este convite expirou. Peça um convite novo ao seu par.',
+    active: 'Espaço:',
+    invite: 'Convidar',
+    add: 'Criar ou entrar em outro espaço',
+    inviteCodeValue: 'Código de convite:',
+    copyInviteLink: 'Copiar link de convite',
+    inviteValidity: 'Cada convite vale por {count} dias. Gerar um novo desativa o anterior.',
+    renewInvite: 'Gerar novo convite',
+    renewingInvite: 'Gerando...',
+    renewInviteError: 'Erro ao gerar o convite. Tente novamente.',
+  },
+  diagnostics: {
+    title: 'Diagnóstico da configuração',
+    valid: '✓ A configuração é válida.',
+    servicesFailed: 'A configuração é válida, mas alguns serviços do Firebase não iniciaram.',
+    invalid: 'O app não pode iniciar: a configuração do Firebase está faltando ou é inválida.',
+    problemsTitle: 'Problemas',
+    readTitle: 'Configuração lida',
+    environment: 'Ambiente',
+    source: 'Fonte',
+    noSource: 'Nenhuma',
+    project: 'Projeto',
+    appId: 'appId (dados)',
+    emulators: 'Emuladores',
+    push: 'Notificações push',
+    pushConfigured: 'Configuradas',
+    pushLocalOnly: 'Só com o app aberto (falta messagingSenderId ou vapidKey)',
+    requiredKeys: 'Chaves obrigatórias',
+    sourcesTitle: 'Fontes consultadas',
+    howToFix: 'Como corrigir',
+    fixEnv: 'Defina as variáveis {variables} no .env antes do build,',
+    fixRuntime: 'ou publique um {path} com {example}.',
+    fixEmulators: 'Para os emuladores locais basta {variable}.',
+    fixEnvironments: 'Os ambientes são {environments} ({variable}).',
+    backToApp: 'Voltar ao app',
+    environments: {
+      dev: 'Desenvolvimento',
+      staging: 'Testes (staging)',
+      prod: 'Produção',
+      emulator: 'Emuladores locais',
+    },
+    sources: {
+      canvas: 'Ambiente Canvas (window.__firebase_config)',
+      env: 'Variáveis do build (REACT_APP_FIREBASE_*)',
+      runtime: 'Arquivo {path}',
+    },
+    problems: {
+      unknownEnvironment: 'Ambiente desconhecido: "{environment}". Use {environments}.',
+      missingKey: 'Falta a chave "{key}" da configuração do Firebase.',
+      invalidAppId: 'O appId (espaço de nomes dos dados em artifacts/{appId}) está faltando ou é inválido.',
+      emulatorNotAllowed: 'O ambiente "{environment}" não pode usar os emuladores ({host}).',
+      invalidCanvasJson: 'window.__firebase_config não é um JSON válido ({message}).',
+      notFound: 'Nenhuma configuração do Firebase encontrada: defina as variáveis REACT_APP_FIREBASE_* no build ou publique um {path}.',
+      runtimeUnreachable: 'Não foi possível ler {path} ({message}).',
+      runtimeWithoutFirebase: '{path} não tem o objeto "firebase".',
+      invalidRuntimeJson: '{path} não é um JSON válido ({message}).',
+    },
+    services: {
+      firebase: 'Firebase: {message}',
+      firestoreCache: 'Firestore (cache persistente): {message}',
+      firestore: 'Firestore: {message}',
+      auth: 'Auth: {message}',
+      storage: 'Storage: {message}',
+      firestoreEmulator: 'Emulador do Firestore: {message}',
+      authEmulator: 'Emulador do Auth: {message}',
+      storageEmulator: 'Emulador do Storage: {message}',
+      analytics: 'Analytics: {message}',
+    },
+  },
+};
+
+export default ptBR;
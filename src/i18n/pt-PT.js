@@ -0,0 +1,642 @@
+// Catálogo de origem: qualquer chave em falta nos outros idiomas usa este texto.
+const ptPT = {
+  app: {
+    title: 'Nossa Constelação de Momentos',
+    documentTitle: '{view} · Nossa Constelação de Momentos',
+    subtitle: 'A jornada de {names}',
+    subtitleWithoutNames: 'A nossa jornada',
+    userId: 'ID do Utilizador:',
+    language: 'Idioma',
+    inviteError: 'Não foi possível aceitar o convite. Verifique o link ou peça um novo código.',
+    loadingSpaces: 'A carregar espaços...',
+    online: '● Online',
+    offline: '● Offline: as alterações ficam guardadas neste dispositivo e são sincronizadas quando a ligação voltar',
+    pendingSync: '⏳ A sincronizar',
+    pendingSyncHint: 'Guardado neste dispositivo. Será sincronizado quando houver ligação.',
+    copyLink: 'Copiar link',
+    linkCopied: 'Link copiado!',
+    anonymous: 'Anónimo',
+    loadingConfig: 'A carregar configuração...',
+    servicesWarning: 'O Firebase não arrancou por completo e os dados não vão carregar.',
+    openDiagnostics: 'Ver diagnóstico',
+  },
+  views: {
+    moments: 'Nossa Jornada',
+    journal: 'Nosso Diário',
+    purpose: 'Nosso Propósito',
+    insights: 'Tendências',
+    search: 'Pesquisar',
+    archive: 'Arquivo',
+  },
+  common: {
+    cancel: 'Cancelar',
+    save: 'Guardar',
+    saving: 'A guardar...',
+    tagsOptional: 'Etiquetas (opcional)',
+    tagsInline: 'Etiquetas, separadas por vírgulas',
+    tags: 'Etiquetas',
+    loadingMore: 'A carregar mais...',
+    loadOlder: 'Carregar mais antigos',
+  },
+  dates: {
+    unknown: 'Data desconhecida',
+    atTime: '{date} às {time}',
+  },
+  nameModal: {
+    title: 'Qual é o seu nome?',
+    description: 'Assim sabemos quem adicionou cada momento!',
+    placeholder: 'O seu nome ou alcunha',
+    save: 'Guardar Nome',
+  },
+  moments: {
+    loading: 'A carregar momentos...',
+    addTitle: 'Adicionar um Novo Momento',
+    titleLabel: 'Título do Momento',
+    titlePlaceholder: 'Ex: O nosso primeiro encontro, Passei no exame de condução!',
+    descriptionLabel: 'Descrição (opcional)',
+    descriptionPlaceholder: 'Detalhes sobre este momento...',
+    typeLabel: 'Tipo de Momento',
+    manageTypes: '🎨 Gerir tipos',
+    tagsPlaceholder: 'Ex: viagem, aniversário, Lisboa',
+    dateLabel: 'Quando aconteceu?',
+    timeLabel: 'Hora (opcional)',
+    submit: 'Adicionar Momento',
+    submitting: 'A adicionar...',
+    displayList: 'Lista',
+    displayConstellation: 'Constelação',
+    empty: 'Nenhum momento registado ainda. Que tal adicionar o primeiro?',
+    editType: 'Tipo do momento',
+    editTags: 'Etiquetas do momento',
+    editDate: 'Data do momento',
+    editTime: 'Hora do momento',
+    goalCompleted: '🎯 Objetivo concluído no Nosso Propósito',
+    addedBy: 'Adicionado por {name} · {date}',
+    edit: 'Editar Momento',
+    delete: 'Excluir Momento',
+    invalidDate: 'Escolha uma data válida para o momento.',
+    addError: 'Erro ao adicionar momento. Tente novamente.',
+    updateError: 'Erro ao atualizar momento. Verifique as suas permissões ou se é o autor.',
+    deleteForbidden: 'Não tem permissão para excluir este momento.',
+    deleteConfirm: 'Tem a certeza de que quer excluir este momento?',
+    deleteError: 'Erro ao excluir momento. Verifique as suas permissões.',
+  },
+  journal: {
+    loading: 'A carregar diário...',
+    addTitle: 'Adicionar um Registo',
+    textLabel: 'O que está a sentir ou o que aconteceu?',
+    textPlaceholder: 'Ex: Hoje senti-me um pouco apático, mas dei um pequeno passo... ou: O exame de condução deixou-me ansioso, mas respirei fundo.',
+    tagsPlaceholder: 'Ex: gratidão, saudade, trabalho',
+    submit: 'Registar no Diário',
+    submitting: 'A registar...',
+    empty: 'Ainda não há registos no diário. Comece a partilhar!',
+    editTags: 'Etiquetas do registo',
+    by: 'Por {name} · {date}',
+    writtenAt: ' · escrito {date}',
+    shareNow: 'Partilhar agora',
+    edit: 'Editar Registo',
+    delete: 'Excluir Registo',
+    shareDateRequired: 'Escolha o dia em que o registo vai ser partilhado.',
+    addError: 'Erro ao adicionar o registo. Tente novamente.',
+    updateError: 'Erro ao atualizar o registo. Verifique as suas permissões ou se é o autor.',
+    deleteForbidden: 'Não tem permissão para excluir este registo.',
+    deleteConfirm: 'Tem a certeza de que quer excluir este registo?',
+    deleteError: 'Erro ao excluir o registo. Verifique as suas permissões.',
+    shareError: 'Erro ao partilhar o registo. Tente novamente.',
+    visibility: {
+      label: 'Visibilidade',
+      shareDate: 'Partilhar no dia',
+      shared: 'Partilhado',
+      private: 'Só para mim (rascunho)',
+      scheduled: 'Partilhar numa data',
+      privateBadge: '🔒 Só para si (rascunho)',
+      scheduledBadge: '⏰ Só para si até {date}, depois é partilhado',
+    },
+  },
+  purpose: {
+    loading: 'A carregar propósito...',
+    intro: 'Este é o nosso espaço para definir para onde estamos a ir, juntos. Quais são os nossos sonhos, grandes ou pequenos, para o nosso futuro?',
+    label: 'Escreva sobre os nossos objetivos e sonhos partilhados:',
+    placeholder: 'Ex: Construir a nossa base financeira, planear o nosso próximo encontro, apoiar os estudos um do outro, viajar juntos para X...',
+    hint: 'O que escrevem aparece logo para os dois. Ao guardar, o texto fica como versão no histórico.',
+    otherPerson: 'A outra pessoa',
+    conflict: '{name} guardou uma versão ao mesmo tempo, por isso a sua não ficou no histórico. O texto dos dois continua junto no campo: reveja-o e guarde de novo.',
+    save: 'Guardar Propósito',
+    typing: { one: '{names} está a escrever…', other: '{names} estão a escrever…' },
+    sendError: 'Erro ao enviar as alterações ao propósito. Tente novamente.',
+    saveError: 'Erro ao atualizar propósito. Tente novamente.',
+    restoreError: 'Erro ao restaurar a versão. Tente novamente.',
+  },
+  couple: {
+    together: 'Juntos há {duration}',
+    togetherToday: 'Juntos desde hoje',
+    years: { one: '{count} ano', other: '{count} anos' },
+    months: { one: '{count} mês', other: '{count} meses' },
+    days: { one: '{count} dia', other: '{count} dias' },
+    startAnniversary: { one: '{count} ano juntos', other: '{count} anos juntos' },
+    countdown: { one: 'Falta {count} dia para: {title}', other: 'Faltam {count} dias para: {title}' },
+    today: 'Hoje: {title}!',
+    open: '💞 Casal',
+    title: 'O nosso casal',
+    intro: 'Os nomes e as datas aparecem no cabeçalho para os dois. Um nome em branco usa o nome do perfil.',
+    partnerName: 'Nome {number}',
+    startDate: 'Juntos desde',
+    dates: 'Outras datas',
+    datesHint: 'Aniversários repetem-se todos os anos; um encontro planeado conta só uma vez.',
+    dateTitle: 'Nome da data',
+    dateTitlePlaceholder: 'Ex: Casamento, Próxima visita a Lisboa',
+    date: 'Dia',
+    repeats: 'Repete',
+    repeatOptions: {
+      yearly: 'Todos os anos',
+      once: 'Só uma vez (encontro planeado)',
+    },
+    addDate: '+ Adicionar data',
+    removeDate: 'Remover data',
+    close: 'Fechar',
+    futureStartDate: 'O dia em que começaram não pode ser no futuro.',
+    incompleteDate: 'Cada data precisa de um nome e de um dia.',
+    saveError: 'Erro ao guardar os dados do casal. Tente novamente.',
+  },
+  notifications: {
+    open: '🔔 Notificações',
+    title: 'Notificações',
+    close: 'Fechar',
+    enabled: 'Receber notificações neste e nos outros dispositivos',
+    typesLabel: 'Avisar-me de',
+    types: {
+      partnerActivity: 'Momentos e registos novos do meu par',
+      journalReminder: 'Lembrete diário: «Como se sente hoje?»',
+      anniversary: 'Aniversários e encontros (na véspera)',
+    },
+    reminderTime: 'Hora do lembrete diário',
+    quietHours: 'Horas de silêncio',
+    quietHint: 'As notificações que chegarem nestas horas só aparecem no fim.',
+    quietStart: 'Das',
+    quietEnd: 'Às',
+    status: {
+      push: 'Este dispositivo recebe notificações mesmo com a app fechada.',
+      local: 'Neste dispositivo as notificações aparecem só com a app aberta.',
+      denied: 'O navegador bloqueou as notificações. Autorize-as nas definições do site.',
+      unsupported: 'Este navegador não suporta notificações.',
+    },
+    saveError: 'Erro ao guardar as notificações. Tente novamente.',
+    partner: {
+      moment: '{name} adicionou um momento',
+      journal: '{name} escreveu no diário',
+    },
+    journalReminder: {
+      title: 'Como se sente hoje?',
+      body: 'Tire um minuto para escrever no diário.',
+    },
+    anniversary: {
+      title: 'Amanhã: {title}',
+      body: 'Em {space}',
+    },
+  },
+  insights: {
+    entries: { one: '{count} registo', other: '{count} registos' },
+    loading: 'A carregar tendências...',
+    period: 'Período',
+    periods: { week: 'Semanas', month: 'Meses' },
+    periodName: { week: 'Semana de {period}', month: '{period}' },
+    chartLabel: { week: 'Humor médio por semana', month: 'Humor médio por mês' },
+    empty: 'Ainda não há registos com o estado de espírito neste período. Escolham como se sentem ao escrever no diário.',
+    summaryOf: 'Resumo de {name}',
+    noMood: 'Sem registos com estado de espírito.',
+    averageMood: 'Humor médio {value}',
+    averageEnergy: 'energia {value}',
+    averageAnxiety: 'ansiedade {value}',
+    topFeelings: 'Mais sentido: {feelings}',
+    lowPeriods: 'Períodos em baixo',
+    noLowPeriods: 'Nenhum período com o humor médio em baixo. 💜',
+    noChallenges: 'Nenhum desafio registado na jornada nesta altura.',
+  },
+  errors: {
+    load: 'Erro ao carregar dados. Verifique as suas permissões.',
+    loadMore: 'Erro ao carregar mais dados. Tente novamente.',
+    permissionDenied: 'Não tem permissão para esta ação.',
+    unauthenticated: 'A sua sessão expirou. Entre novamente.',
+    notFound: 'Este item já não existe.',
+    unavailable: 'Sem ligação ao servidor. Verifique a sua internet e tente novamente.',
+    deadlineExceeded: 'O servidor demorou demasiado a responder. Tente novamente.',
+    resourceExhausted: 'Limite de utilização atingido. Tente novamente mais tarde.',
+    storageUnauthorized: 'Não foi possível guardar o anexo: sem permissão ou ficheiro demasiado grande.',
+    storageQuotaExceeded: 'O espaço para fotos e áudios está cheio. Tente novamente mais tarde.',
+    storageRetryLimitExceeded: 'O envio do anexo demorou demasiado. Verifique a sua internet e tente novamente.',
+    storageCanceled: 'O envio do anexo foi cancelado.',
+    purposeConflict: 'A outra pessoa guardou uma versão ao mesmo tempo. O texto dos dois continua junto: tente guardar de novo.',
+    purposeTooLarge: 'O propósito ficou demasiado longo para ser guardado. Encurte o texto e tente novamente.',
+    attachmentsOffline: 'Sem ligação: as fotos e os áudios só podem ser enviados com internet. Retire os anexos para guardar já o texto.',
+  },
+  mood: {
+    question: 'Como se sente? (opcional)',
+    scoreLabel: 'Humor: {level}',
+    energy: 'Energia',
+    anxiety: 'Ansiedade',
+    energyValue: 'Energia: {level}',
+    anxietyValue: 'Ansiedade: {level}',
+    feelingsLabel: 'Sentimentos',
+    summaryLabel: 'Estado de espírito',
+    levels: { 1: 'Muito em baixo', 2: 'Em baixo', 3: 'Assim-assim', 4: 'Bem', 5: 'Muito bem' },
+    energyLevels: { 1: 'Sem energia', 2: 'Pouca', 3: 'Normal', 4: 'Bastante', 5: 'Muita' },
+    anxietyLevels: { 1: 'Nenhuma', 2: 'Pouca', 3: 'Alguma', 4: 'Bastante', 5: 'Muita' },
+    feelings: {
+      grateful: 'Gratidão',
+      happy: 'Alegria',
+      calm: 'Calma',
+      loved: 'Amor',
+      hopeful: 'Esperança',
+      missing: 'Saudade',
+      tired: 'Cansaço',
+      sad: 'Tristeza',
+      frustrated: 'Frustração',
+      lonely: 'Solidão',
+      afraid: 'Medo',
+      guilty: 'Culpa',
+    },
+  },
+  comments: {
+    loading: 'A carregar comentários...',
+    count: { one: '{count} comentário', other: '{count} comentários' },
+    comment: 'Comentar',
+    newLabel: 'Novo comentário',
+    editLabel: 'Editar comentário',
+    by: 'Comentário de {name}',
+    edited: 'editado',
+    reply: 'Responder',
+    replyTo: 'Resposta a {name}',
+    replyToDeleted: 'Resposta a comentário excluído',
+    sendReply: 'Enviar resposta',
+    edit: 'Editar',
+    delete: 'Excluir',
+    deleted: 'Comentário excluído',
+    deleteConfirm: 'Excluir este comentário? As respostas continuam visíveis.',
+    addError: 'Erro ao publicar o comentário. Tente novamente.',
+    editError: 'Erro ao editar o comentário. Tente novamente.',
+    deleteError: 'Erro ao excluir o comentário. Tente novamente.',
+  },
+  reactions: {
+    love: 'Amor',
+    hug: 'Abraço',
+    strong: 'Força',
+    laugh: 'Riso',
+    wow: 'Uau',
+    tears: 'Emoção',
+    error: 'Erro ao reagir. Tente novamente.',
+  },
+  attachments: {
+    choose: 'Fotos ou áudio',
+    record: 'Gravar nota de voz',
+    stopRecording: 'Parar gravação',
+    voiceNoteFileName: 'nota-de-voz',
+    remove: 'Remover {name}',
+    progressLabel: 'Envio dos anexos',
+    progress: 'A enviar anexos... {percent}%',
+    view: 'Ver foto',
+    close: 'Fechar',
+    previous: 'Foto anterior',
+    next: 'Foto seguinte',
+    errors: {
+      tooMany: 'Pode anexar no máximo {max} ficheiros.',
+      unsupported: '"{name}" não é uma foto nem um áudio.',
+      imageTooLarge: 'A foto "{name}" é demasiado grande (máx. {max} MB).',
+      audioTooLarge: 'O áudio "{name}" é demasiado grande (máx. {max} MB).',
+      microphone: 'Não foi possível aceder ao microfone.',
+    },
+  },
+  momentTypes: {
+    names: {
+      star: 'Momento de Luz / Conexão',
+      cloud: 'Desafio / Obstáculo',
+      milestone: 'Conquista / Marco',
+      generic: 'Momento',
+    },
+    colors: {
+      yellow: 'Amarelo',
+      gray: 'Cinzento',
+      green: 'Verde',
+      pink: 'Rosa',
+      purple: 'Roxo',
+      blue: 'Azul',
+      red: 'Vermelho',
+      orange: 'Laranja',
+    },
+    title: 'Tipos de Momento',
+    close: 'Fechar tipos',
+    editType: 'Editar tipo {name}',
+    deleteType: 'Excluir tipo {name}',
+    newTitle: 'Novo tipo',
+    editTitle: 'Editar tipo',
+    emoji: 'Emoji',
+    name: 'Nome do tipo',
+    namePlaceholder: 'Ex: Viagem, Encontro, Saudade',
+    color: 'Cor',
+    add: 'Adicionar Tipo',
+    save: 'Guardar Tipo',
+    deleteConfirm: 'Excluir o tipo "{name}"? Os momentos deste tipo continuam na jornada, mas passam a aparecer como "Momento".',
+    saveError: 'Erro ao guardar o tipo de momento. Tente novamente.',
+    deleteError: 'Erro ao excluir o tipo de momento. Tente novamente.',
+  },
+  goals: {
+    title: 'Objetivos',
+    new: 'Novo objetivo',
+    loading: 'A carregar objetivos...',
+    empty: 'Transforme os sonhos do texto acima em objetivos concretos, com passos ou um valor a atingir.',
+    statuses: {
+      active: 'Em curso',
+      paused: 'Em pausa',
+      done: 'Concluído',
+    },
+    progressKinds: {
+      none: 'Sem medida',
+      checklist: 'Lista de passos',
+      amount: 'Valor a atingir',
+    },
+    goal: 'Objetivo',
+    goalPlaceholder: 'Ex: Poupar para a viagem ao Japão',
+    description: 'Detalhes (opcional)',
+    owners: 'Responsáveis',
+    targetDate: 'Data alvo (opcional)',
+    progressKind: 'Como medir o progresso',
+    step: 'Passo {number}',
+    removeStep: 'Retirar passo {number}',
+    addStep: '+ Adicionar passo',
+    targetAmount: 'Meta',
+    currentAmount: 'Valor atual',
+    unit: 'Unidade',
+    save: 'Guardar objetivo',
+    create: 'Criar objetivo',
+    errors: {
+      title: 'Dê um nome ao objetivo.',
+      owners: 'Escolha pelo menos um responsável.',
+      targetAmount: 'A meta tem de ser um número maior que zero.',
+      currentAmount: 'O valor atual não pode ser negativo.',
+    },
+    until: 'até {date}',
+    overdue: 'até {date} (atrasado)',
+    progress: 'Progresso de {title}',
+    amountOf: '{current} de {target}',
+    newAmount: 'Novo valor de {title}',
+    updateAmount: 'Atualizar valor',
+    reached: 'Meta atingida! Conclua o objetivo para o celebrar na jornada.',
+    createMilestone: 'Registar na jornada como marco ✅',
+    confirmComplete: 'Confirmar conclusão',
+    openMilestone: 'Ver na jornada',
+    reopen: 'Reabrir',
+    resume: 'Retomar',
+    pause: 'Pausar',
+    complete: 'Concluir',
+    edit: 'Editar objetivo',
+    delete: 'Excluir objetivo',
+    deleteConfirm: 'Excluir o objetivo "{title}"? Um marco já registado na jornada continua lá.',
+    createError: 'Erro ao criar o objetivo. Tente novamente.',
+    saveError: 'Erro ao guardar o objetivo. Tente novamente.',
+    updateError: 'Erro ao atualizar o objetivo. Tente novamente.',
+    completeError: 'Erro ao concluir o objetivo. Tente novamente.',
+    deleteError: 'Erro ao excluir o objetivo. Tente novamente.',
+  },
+  history: {
+    title: 'Histórico de versões',
+    loading: 'A carregar histórico...',
+    empty: 'Ainda não há versões guardadas. A partir da próxima gravação, cada versão do propósito fica aqui.',
+    revision: 'Versão {revision}',
+    current: 'atual',
+    savedBy: '{name} em {date}',
+    restoredFrom: 'restaurada da versão {revision}',
+    changesSince: 'Alterações em relação à versão {revision}:',
+    first: 'Primeira versão guardada:',
+    emptyText: '(vazio)',
+    restore: 'Restaurar esta versão',
+    restoreConfirm: 'Restaurar a versão {revision}? Ela passa a ser o propósito atual; a versão atual continua no histórico.',
+    restoreUnsavedConfirm: 'Restaurar a versão {revision}? O texto atual passa a ser uma versão própria no histórico.',
+  },
+  search: {
+    loading: 'A preparar a pesquisa...',
+    title: 'Pesquisar',
+    query: 'Procurar nos momentos e no diário',
+    queryPlaceholder: 'Ex: praia, aniversário, Lisboa',
+    kind: 'Onde',
+    kinds: {
+      all: 'Momentos e diário',
+      moment: 'Só momentos',
+      journal: 'Só diário',
+    },
+    author: 'Autor',
+    anyAuthor: 'Qualquer autor',
+    type: 'Tipo de momento',
+    anyType: 'Qualquer tipo',
+    tag: 'Etiqueta',
+    anyTag: 'Qualquer etiqueta',
+    from: 'Desde',
+    to: 'Até',
+    clear: 'Limpar filtros',
+    results: { one: '{count} resultado', other: '{count} resultados' },
+    moment: 'Momento',
+    journal: 'Diário',
+    showMore: 'Mostrar mais resultados',
+  },
+  constellation: {
+    empty: 'Nenhuma estrela no céu ainda. Que tal adicionar o primeiro momento?',
+    label: 'Constelação dos nossos momentos',
+    zoomIn: 'Aproximar',
+    zoomOut: 'Afastar',
+    reset: 'Repor vista',
+    close: 'Fechar',
+  },
+  archive: {
+    exportTitle: 'Exportar',
+    exportIntro: 'Guarde uma cópia de tudo o que está em "{space}", incluindo os objetivos e os seus rascunhos e registos agendados. O arquivo JSON pode ser importado de novo (aqui ou noutro projeto); os ficheiros das fotos e áudios não são copiados, só as ligações para eles.',
+    downloadJson: 'Descarregar arquivo (JSON)',
+    downloadBook: 'Descarregar livro (Markdown)',
+    print: 'Imprimir / PDF',
+    importTitle: 'Importar',
+    importIntro: 'Junta um arquivo JSON a este espaço. Momentos e registos que já existem não são duplicados. Os rascunhos e registos agendados voltam ao seu diário privado se forem de quem fica em seu nome.',
+    file: 'Arquivo a importar',
+    pending: '{file}: "{space}", exportado em {date}, com {moments} e {entries} no diário.',
+    authorMapping: 'O que {name} escreveu fica em nome de',
+    import: 'Importar',
+    importing: 'A importar...',
+    counts: {
+      moments: { one: '{count} momento', other: '{count} momentos' },
+      entries: { one: '{count} registo', other: '{count} registos' },
+    },
+    result: {
+      cards: '{moments} e {entries} no diário',
+      momentTypes: { one: '{count} tipo de momento', other: '{count} tipos de momento' },
+      privateEntries: { one: '{count} registo privado', other: '{count} registos privados' },
+      goals: { one: '{count} objetivo', other: '{count} objetivos' },
+      purpose: 'o propósito',
+      imported: 'Importados {items}.',
+      importedSkipped: {
+        one: 'Importados {items} ({count} já existia e foi ignorado).',
+        other: 'Importados {items} ({count} já existiam e foram ignorados).',
+      },
+    },
+    summary: 'Arquivo de {date} · {moments} · {entries} no diário',
+    book: {
+      by: 'por {name}',
+    },
+    scheduledNote: '⏰ Só para quem o escreveu até {date}, depois é partilhado',
+    privateNote: '🔒 Só para quem o escreveu (rascunho)',
+    exportError: 'Erro ao exportar o arquivo. Tente novamente.',
+    bookError: 'Erro ao exportar o livro. Tente novamente.',
+    printError: 'Erro ao preparar a impressão. Tente novamente.',
+    importOffline: 'A importação precisa de ligação à internet.',
+    importError: 'Erro ao importar o arquivo. Tente novamente.',
+    errors: {
+      notArchive: 'Este ficheiro não é um arquivo da Nossa Constelação.',
+      newerVersion: 'Este arquivo foi criado por uma versão mais recente da app. Atualize a app e tente novamente.',
+      incomplete: 'O arquivo está incompleto (falta "{field}").',
+      invalidItem: 'O arquivo tem um item inválido em "{field}" (posição {position}).',
+      invalidPurpose: 'O propósito guardado no arquivo é inválido.',
+      invalidAuthors: 'A lista de autores do arquivo é inválida.',
+      invalidJson: 'O ficheiro não é um JSON válido.',
+    },
+  },
+  auth: {
+    loading: 'A carregar autenticação...',
+    modes: {
+      signin: { label: 'Entrar', submit: 'Entrar', submitting: 'A entrar...' },
+      signup: { label: 'Criar conta', submit: 'Criar Conta', submitting: 'A criar conta...' },
+      link: { label: 'Link por email', submit: 'Enviar Link', submitting: 'A enviar...' },
+    },
+    email: 'Email',
+    password: 'Palavra-passe',
+    linkSent: 'Enviámos um link de entrada para',
+    linkSentHint: 'Abra-o neste navegador para concluir.',
+    back: 'Voltar',
+    anonymous: 'Continuar sem conta',
+    anonymousHint: 'Sem conta, perde o acesso aos seus momentos se limpar o navegador ou mudar de dispositivo.',
+    anonymousSession: 'Sessão anónima',
+    saveAccount: 'Guardar conta',
+    signOut: 'Sair',
+    signOutAnonymousConfirm: 'Esta sessão é anónima: ao sair perde o acesso aos seus momentos neste dispositivo. Deseja sair mesmo assim?',
+    upgradeTitle: 'Guardar a sua conta',
+    upgradeDescription: 'Associe um email a esta sessão para continuar a editar os seus momentos noutro dispositivo.',
+    confirmEmail: 'Confirme o seu email para concluir a entrada:',
+    existingAccountWarning: 'Já existe uma conta com este email. Se entrar nela, deixa esta sessão sem conta: os espaços, momentos e registos criados aqui não passam para a conta e deixa de ter acesso a eles. Entrar mesmo assim?',
+    existingAccountKeptAnonymous: 'Continua na sessão sem conta. Para guardar o que já criou, use um email que ainda não tenha conta.',
+    errors: {
+      invalidEmail: 'Email inválido.',
+      missingPassword: 'Indique a palavra-passe.',
+      weakPassword: 'A palavra-passe deve ter pelo menos 6 caracteres.',
+      wrongCredentials: 'Email ou palavra-passe incorretos.',
+      emailInUse: 'Já existe uma conta com este email. Entre com ela.',
+      alreadyLinked: 'Esta sessão já está associada a uma conta.',
+      invalidLink: 'O link de entrada é inválido ou já foi usado.',
+      expiredLink: 'O link de entrada expirou. Peça um novo.',
+      tooManyRequests: 'Demasiadas tentativas. Aguarde um pouco e tente novamente.',
+      network: 'Sem ligação à internet. Tente novamente.',
+      notAllowed: 'Este método de entrada não está ativo no projeto Firebase.',
+      generic: 'Erro ao autenticar. Tente novamente.',
+    },
+  },
+  profile: {
+    title: 'O Seu Perfil',
+    edit: 'Editar perfil',
+    name: 'Nome ou apelido',
+    pronouns: 'Pronomes (opcional)',
+    pronounsPlaceholder: 'Ex: ela/dela, ele/dele',
+    color: 'Cor',
+    colors: {
+      purple: 'Roxo',
+      pink: 'Rosa',
+      blue: 'Azul',
+      green: 'Verde',
+      yellow: 'Amarelo',
+      red: 'Vermelho',
+      gray: 'Cinzento',
+    },
+    emoji: 'Emoji',
+    useInitial: 'Usar a inicial do nome',
+    save: 'Guardar Perfil',
+    saveError: 'Erro ao guardar perfil. Tente novamente.',
+  },
+  spaces: {
+    title: 'O Nosso Espaço',
+    intro: 'Crie um espaço privado para o casal e partilhe o convite, ou entre no espaço que o seu par já criou.',
+    createTitle: 'Criar um Novo Espaço',
+    name: 'Nome do Espaço',
+    namePlaceholder: 'Ex: Nico & Aniqua',
+    create: 'Criar Espaço',
+    creating: 'A criar...',
+    joinTitle: 'Entrar com um Convite',
+    inviteCode: 'Código de Convite',
+    inviteCodePlaceholder: 'Ex: K7M2QX',
+    join: 'Entrar no Espaço',
+    joining: 'A entrar...',
+    createError: 'Erro ao criar espaço. Tente novamente.',
+    invalidInvite: 'Código de convite inválido.',
+    joinError: 'Erro ao entrar no espaço. Verifique o código ou se o espaço já tem as duas pessoas.',
+    expiredInvite: 'Este convite expirou. Peça ao seu par um convite novo.',
+    active: 'Espaço:',
+    invite: 'Convidar',
+    add: 'Criar ou entrar noutro espaço',
+    inviteCodeValue: 'Código de convite:',
+    copyInviteLink: 'Copiar link de convite',
+    inviteValidity: 'Cada convite vale {count} dias. Gerar um novo desativa o anterior.',
+    renewInvite: 'Gerar novo convite',
+    renewingInvite: 'A gerar...',
+    renewInviteError: 'Erro ao gerar o convite. Tente novamente.',
+  },
+  diagnostics: {
+    title: 'Diagnóstico da configuração',
+    valid: '✓ A configuração é válida.',
+    servicesFailed: 'A configuração é válida, mas alguns serviços do Firebase não arrancaram.',
+    invalid: 'A app não pode arrancar: a configuração do Firebase está em falta ou é inválida.',
+    problemsTitle: 'Problemas',
+    readTitle: 'Configuração lida',
+    environment: 'Ambiente',
+    source: 'Fonte',
+    noSource: 'Nenhuma',
+    project: 'Projeto',
+    appId: 'appId (dados)',
+    emulators: 'Emuladores',
+    push: 'Notificações push',
+    pushConfigured: 'Configuradas',
+    pushLocalOnly: 'Só com a app aberta (falta messagingSenderId ou vapidKey)',
+    requiredKeys: 'Chaves obrigatórias',
+    sourcesTitle: 'Fontes consultadas',
+    howToFix: 'Como corrigir',
+    fixEnv: 'Defina as variáveis {variables} no .env antes do build,',
+    fixRuntime: 'ou publique um {path} com {example}.',
+    fixEmulators: 'Para os emuladores locais basta {variable}.',
+    fixEnvironments: 'Os ambientes são {environments} ({variable}).',
+    backToApp: 'Voltar à app',
+    environments: {
+      dev: 'Desenvolvimento',
+      staging: 'Testes (staging)',
+      prod: 'Produção',
+      emulator: 'Emuladores locais',
+    },
+    sources: {
+      canvas: 'Ambiente Canvas (window.__firebase_config)',
+      env: 'Variáveis do build (REACT_APP_FIREBASE_*)',
+      runtime: 'Ficheiro {path}',
+    },
+    problems: {
+      unknownEnvironment: 'Ambiente desconhecido: "{environment}". Use {environments}.',
+      missingKey: 'Falta a chave "{key}" da configuração do Firebase.',
+      invalidAppId: 'O appId (espaço de nomes dos dados em artifacts/{appId}) está em falta ou é inválido.',
+      emulatorNotAllowed: 'O ambiente "{environment}" não pode usar os emuladores ({host}).',
+      invalidCanvasJson: 'window.__firebase_config não é JSON válido ({message}).',
+      notFound: 'Nenhuma configuração do Firebase encontrada: defina as variáveis REACT_APP_FIREBASE_* no build ou publique um {path}.',
+      runtimeUnreachable: 'Não foi possível ler {path} ({message}).',
+      runtimeWithoutFirebase: '{path} não tem o objeto "firebase".',
+      invalidRuntimeJson: '{path} não é JSON válido ({message}).',
+    },
+    services: {
+      firebase: 'Firebase: {message}',
+      firestoreCache: 'Firestore (cache persistente): {message}',
+      firestore: 'Firestore: {message}',
+      auth: 'Auth: {message}',
+      storage: 'Storage: {message}',
+      firestoreEmulator: 'Emulador do Firestore: {message}',
+      authEmulator: 'Emulador do Auth: {message}',
+      storageEmulator: 'Emulador do Storage: {message}',
+      analytics: 'Analytics: {message}',
+    },
+  },
+};
+
+export default ptPT;
@@ -0,0 +1,60 @@
+import ptPT from './pt-PT';
+import ptBR from './pt-BR';
+import en from './en';
+
+// --- Translation Catalogs ---
+// Um catálogo por idioma, com as mesmas chaves (ex: 'journal.title'). Uma mensagem pode ter {parâmetros}
+// e, quando depende de uma contagem, formas de plural { one, other } escolhidas pelo Intl.PluralRules.
+// Uma chave em falta num idioma usa o texto em pt-PT, o idioma de origem da app.
+
+/**
+ * @typedef {'pt-PT' | 'pt-BR' | 'en'} Locale
+ *
+ * Mensagem ainda por traduzir, devolvida pela camada de dados (ex: erros de validação); a UI mostra-a com
+ * t(message.key, message.params) no idioma ativo.
+ * @typedef {{ key: string, params?: Object<string, string | number> }} Message
+ */
+
+export const DEFAULT_LOCALE = 'pt-PT';
+
+// Cada idioma é mostrado no próprio idioma, para quem não percebe o atual o conseguir encontrar
+export const LOCALES = {
+  'pt-PT': 'Português (Portugal)',
+  'pt-BR': 'Português (Brasil)',
+  en: 'English',
+};
+
+export const LOCALE_STORAGE_KEY = 'locale';
+
+const CATALOGS = { 'pt-PT': ptPT, 'pt-BR': ptBR, en };
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+
+const pluralRules = {};
+const selectPlural = (locale, forms, count) => {
+  if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+  return forms[pluralRules[locale].select(count)] || forms.other;
+};
+
+/**
+ * O primeiro idioma suportado da lista (perfil, escolha guardada neste navegador, ...), ou o pt-PT.
+ * @param {...(string | null | undefined)} candidates
+ * @returns {Locale}
+ */
+export const resolveLocale = (...candidates) => candidates.find((locale) => locale && CATALOGS[locale]) || DEFAULT_LOCALE;
+
+/**
+ * @param {Locale} locale
+ * @param {string} key
+ * @param {Object<string, string | number>} [params] - count escolhe a forma do plural
+ * @returns {string} a própria chave se não existir em nenhum catálogo
+ */
+export const translate = (locale, key, params = {}) => {
+  let message = lookup(CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE], key);
+  if (message === undefined) message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message && typeof message === 'object' && typeof params.count === 'number') {
+    message = selectPlural(locale, message, params.count);
+  }
+  if (typeof message !== 'string') return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+};
@@ -0,0 +1,75 @@
+import { getMessaging, getToken, deleteToken, isSupported } from 'firebase/messaging';
+import { toAppLink } from './utils/routes';
+
+// --- Web Push (Firebase Cloud Messaging) ---
+// O push precisa do messagingSenderId na configuração do Firebase, de uma chave VAPID (vapidKey, ver config.js)
+// e do service worker (só no build de produção, ver serviceWorkerRegistration.js). Sem isto, ou num navegador
+// sem suporte, as notificações aparecem só enquanto a app está aberta (ver useNotifications em data/notificationHooks.js).
+
+/**
+ * @typedef {'push' | 'local' | 'denied' | 'unsupported'} NotificationDelivery
+ *   push: também com a app fechada; local: só com a app aberta; denied: o navegador bloqueou;
+ *   unsupported: o navegador não tem notificações
+ */
+
+const hasNotificationApi = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const getNotificationPermission = () => (hasNotificationApi() ? window.Notification.permission : 'unsupported');
+
+/** @returns {Promise<NotificationPermission | 'unsupported'>} */
+export const requestNotificationPermission = async () => {
+  if (!hasNotificationApi()) return 'unsupported';
+  if (window.Notification.permission !== 'default') return window.Notification.permission;
+  return window.Notification.requestPermission();
+};
+
+/**
+ * @param {{ app: import('firebase/app').FirebaseApp | null, vapidKey: string | null }} services
+ */
+export const isPushConfigured = ({ app, vapidKey }) => Boolean(app && vapidKey && app.options.messagingSenderId);
+
+// O service worker do build, se estiver ativo nesta página
+const getServiceWorkerRegistration = async () => {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker || !navigator.serviceWorker.controller) return null;
+  return navigator.serviceWorker.ready;
+};
+
+/**
+ * Regista este dispositivo no FCM. Devolve o token, ou null quando o push não está disponível aqui.
+ * @param {{ app: import('firebase/app').FirebaseApp | null, vapidKey: string | null }} services
+ * @returns {Promise<string | null>}
+ */
+export async function registerPush(services) {
+  if (!isPushConfigured(services) || getNotificationPermission() !== 'granted' || !(await isSupported())) return null;
+  const serviceWorkerRegistration = await getServiceWorkerRegistration();
+  if (!serviceWorkerRegistration) return null;
+  return getToken(getMessaging(services.app), { vapidKey: services.vapidKey, serviceWorkerRegistration });
+}
+
+/** @param {{ app: import('firebase/app').FirebaseApp | null }} services */
+export async function unregisterPush(services) {
+  if (!services.app || !(await isSupported())) return;
+  await deleteToken(getMessaging(services.app));
+}
+
+/**
+ * Mostra uma notificação do sistema: pelo service worker quando existe (funciona também em Android),
+ * senão com a API Notification da página.
+ * @param {{ title: string, body: string, link: string, tag: string }} notification
+ */
+export async function showSystemNotification({ title, body, link, tag }) {
+  if (getNotificationPermission() !== 'granted') return;
+  const options = { body, tag, icon: `${process.env.PUBLIC_URL}/logo192.png`, data: { link } };
+  const registration = await getServiceWorkerRegistration();
+  if (registration) {
+    await registration.showNotification(title, options);
+    return;
+  }
+  const notification = new window.Notification(title, options);
+  // Abre a vista sem recarregar a página (o useRoute segue o popstate)
+  notification.onclick = () => {
+    window.focus();
+    window.history.pushState(null, '', toAppLink(link));
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  };
+}
@@ -0,0 +1,29 @@
+import { useCallback, useEffect, useState } from 'react';
+import { buildPath, parseRoute } from './utils/routes';
+
+// --- Browser Routing ---
+// Liga as rotas (ver utils/routes.js) ao endereço do browser, com os botões voltar/avançar.
+
+const readRoute = () => parseRoute(window.location.pathname, window.location.search);
+
+// Rota atual a partir do endereço.
+// navigate(route) acrescenta ao histórico; navigate(route, { replace: true }) substitui a entrada atual.
+export function useRoute() {
+  const [route, setRoute] = useState(readRoute);
+
+  useEffect(() => {
+    const update = () => setRoute(readRoute());
+    window.addEventListener('popstate', update);
+    return () => window.removeEventListener('popstate', update);
+  }, []);
+
+  const navigate = useCallback((nextRoute, { replace = false } = {}) => {
+    const path = buildPath(nextRoute);
+    if (`${window.location.pathname}${window.location.search}` !== path) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', `${path}${window.location.hash}`);
+    }
+    setRoute(readRoute());
+  }, []);
+
+  return { route, navigate };
+}
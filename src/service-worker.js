@@ -0,0 +1,79 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { getNotificationTitle } from './utils/notificationText';
+import { toAppLink } from './utils/routes';
+
+// --- Service Worker ---
+// Compilado pelo react-scripts no build (o Workbox injeta em self.__WB_MANIFEST a lista de ficheiros do build).
+// Guarda a "casca" da app para abrir sem rede; os dados vêm da cache persistente do Firestore, não daqui.
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Qualquer navegação (exceto ficheiros e rotas reservadas /_) abre o index.html guardado
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Fotos, miniaturas e áudios já vistos (Firebase Storage) continuam disponíveis offline
+registerRoute(
+  ({ url }) => url.hostname === 'firebasestorage.googleapis.com',
+  new CacheFirst({
+    cacheName: 'attachments',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+// Permite à página ativar logo uma versão nova: registration.waiting.postMessage({ type: 'SKIP_WAITING' })
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Notificações push (ver push.js e functions/): a função envia só dados, e é aqui que a notificação é mostrada,
+// com a app aberta ou fechada (este service worker não usa o firebase/messaging/sw, que as passaria à página).
+// Os dados do FCM são só texto: titleParams vem em JSON.
+self.addEventListener('push', (event) => {
+  let data = null;
+  let title = null;
+  try {
+    data = event.data ? event.data.json().data : null;
+    title = data && getNotificationTitle({
+      title: data.title, titleKey: data.titleKey, titleParams: data.titleParams ? JSON.parse(data.titleParams) : {},
+    }, data.locale || undefined);
+  } catch (err) {
+    return;
+  }
+  if (!title) return;
+  event.waitUntil(self.registration.showNotification(title, {
+    body: data.body,
+    tag: data.tag,
+    icon: `${process.env.PUBLIC_URL}/logo192.png`,
+    data: { link: data.link },
+  }));
+});
+
+// Tocar na notificação abre a vista indicada, numa janela da app já aberta se houver
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const link = toAppLink(event.notification.data && event.notification.data.link);
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const client = windows.find((candidate) => candidate.url.startsWith(self.location.origin));
+      if (!client) return self.clients.openWindow(link);
+      return client.focus().then((focused) => focused.navigate(link));
+    })
+  );
+});
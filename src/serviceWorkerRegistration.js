@@ -0,0 +1,39 @@
+// --- Service Worker Registration ---
+// Regista o service worker gerado a partir de src/service-worker.js, só no build de produção
+// (em desenvolvimento serviria ficheiros antigos da cache). Com ele a app abre sem rede e pode ser instalada (PWA).
+
+/**
+ * @param {{ onUpdate?: (registration: ServiceWorkerRegistration) => void }} [options]
+ *   onUpdate é chamado quando há uma versão nova à espera de os separadores abertos fecharem
+ */
+export function register({ onUpdate } = {}) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // Com PUBLIC_URL noutro domínio (ex: CDN) o service worker não pode controlar a página
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state === 'installed' && navigator.serviceWorker.controller && onUpdate) onUpdate(registration);
+          };
+        };
+      })
+      .catch((error) => {
+        console.error("Erro ao registar o service worker:", error);
+      });
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((error) => {
+      console.error("Erro ao remover o service worker:", error);
+    });
+}
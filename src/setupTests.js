@@ -3,3 +3,41 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { resetFirebase, TEST_APP_ID } from './test/firebaseHarness';
+
+// --- Firebase em memória para os testes ---
+// Os módulos do Firebase são substituídos pelos fakes de src/test, por isso os testes correm offline
+// (sem rede, sem emulador). A configuração abaixo é lida pelo config.js quando a App arranca.
+jest.mock('firebase/app', () => ({ initializeApp: (config) => ({ name: '[DEFAULT]', options: config }) }));
+jest.mock('firebase/analytics', () => ({ getAnalytics: () => null }));
+jest.mock('firebase/auth', () => require('./test/fakeAuth'));
+jest.mock('firebase/firestore', () => require('./test/fakeFirestore'));
+jest.mock('firebase/storage', () => require('./test/fakeStorage'));
+jest.mock('firebase/messaging', () => require('./test/fakeMessaging'));
+
+process.env.REACT_APP_FIREBASE_API_KEY = 'test-api-key';
+process.env.REACT_APP_FIREBASE_AUTH_DOMAIN = 'test.firebaseapp.com';
+process.env.REACT_APP_FIREBASE_PROJECT_ID = 'test-project';
+process.env.REACT_APP_FIREBASE_STORAGE_BUCKET = 'test-project.appspot.com';
+process.env.REACT_APP_FIREBASE_APP_ID = TEST_APP_ID;
+
+// Os testes das regras correm em ambiente node, onde o Jest não expõe as Web Streams usadas pelo SDK do Firebase
+if (typeof window === 'undefined' && typeof ReadableStream === 'undefined') {
+  const { ReadableStream, WritableStream, TransformStream } = require('stream/web');
+  Object.assign(global, { ReadableStream, WritableStream, TransformStream });
+}
+
+// O jsdom não implementa o scroll da janela (usado pelo VirtualList para levar um cartão ao ecrã),
+// os URLs de blobs nem a impressão (usados pelo ArchiveView para descarregar e imprimir o arquivo)
+if (typeof window !== 'undefined') {
+  window.scrollTo = () => {};
+  window.print = () => {};
+  URL.createObjectURL = () => 'blob:test';
+  URL.revokeObjectURL = () => {};
+}
+
+beforeEach(() => {
+  resetFirebase();
+  // Os testes das regras (firestore.rules.test.js) correm em ambiente node, sem localStorage
+  if (typeof localStorage !== 'undefined') localStorage.clear();
+});
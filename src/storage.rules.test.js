@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+// Testes das regras do Storage (storage.rules) contra os emuladores do Storage e do Firestore
+// (as regras leem os membros do espaço no Firestore). Correm com `npm run test:rules`;
+// sem FIREBASE_STORAGE_EMULATOR_HOST definido são ignorados.
+jest.unmock('firebase/app');
+jest.unmock('firebase/firestore');
+
+const describeWithEmulator = process.env.FIREBASE_STORAGE_EMULATOR_HOST ? describe : describe.skip;
+
+const APP_ID = 'test-app';
+const SPACE_PATH = `artifacts/${APP_ID}/spaces/space-1`;
+const PHOTO = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+
+describeWithEmulator('storage.rules', () => {
+  let testEnv;
+
+  const storageAs = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).storage();
+
+  const upload = (uid, filePath, data = PHOTO, contentType = 'image/jpeg') =>
+    storageAs(uid).ref(filePath).put(data, { contentType });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-nossa-constelacao',
+      firestore: { rules: fs.readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') },
+      storage: { rules: fs.readFileSync(path.resolve(__dirname, '../storage.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearStorage();
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled((context) => setDoc(
+      doc(context.firestore(), SPACE_PATH),
+      { name: 'Nico & Aniqua', members: ['nico', 'aniqua'], createdBy: 'nico', inviteCode: 'ABC234' }
+    ));
+  });
+
+  test('um membro envia fotos e áudios para a sua pasta', async () => {
+    await assertSucceeds(upload('nico', `${SPACE_PATH}/media/nico/foto.jpg`));
+    await assertSucceeds(upload('nico', `${SPACE_PATH}/media/nico/nota.webm`, PHOTO, 'audio/webm'));
+  });
+
+  test('recusa envios para a pasta de outro, de quem não é membro, de outros tipos ou demasiado grandes', async () => {
+    await assertFails(upload('nico', `${SPACE_PATH}/media/aniqua/foto.jpg`));
+    await assertFails(upload('stranger', `${SPACE_PATH}/media/stranger/foto.jpg`));
+    await assertFails(upload(null, `${SPACE_PATH}/media/nico/foto.jpg`));
+    await assertFails(upload('nico', `${SPACE_PATH}/media/nico/script.js`, PHOTO, 'application/javascript'));
+    await assertFails(upload('nico', `${SPACE_PATH}/media/nico/enorme.jpg`, new Uint8Array(11 * 1024 * 1024)));
+  });
+
+  test('os membros leem os anexos, mas só o autor os apaga', async () => {
+    await upload('nico', `${SPACE_PATH}/media/nico/foto.jpg`);
+
+    await assertSucceeds(storageAs('aniqua').ref(`${SPACE_PATH}/media/nico/foto.jpg`).getMetadata());
+    await assertFails(storageAs('stranger').ref(`${SPACE_PATH}/media/nico/foto.jpg`).getMetadata());
+    await assertFails(storageAs('aniqua').ref(`${SPACE_PATH}/media/nico/foto.jpg`).delete());
+    await assertSucceeds(storageAs('nico').ref(`${SPACE_PATH}/media/nico/foto.jpg`).delete());
+  });
+});
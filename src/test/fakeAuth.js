@@ -0,0 +1,123 @@
+// --- In-Memory Auth Fake ---
+// Substitui 'firebase/auth' nos testes: guarda o utilizador atual em memória e notifica onAuthStateChanged.
+
+const fakeAuth = { currentUser: null, authStateReady: async () => {} };
+const listeners = new Set();
+const accounts = new Map(); // email -> { password, uid }
+let uidCounter = 0;
+let emailLinkOpened = false;
+
+export class AuthError extends Error {
+  constructor(code) {
+    super(code);
+    this.code = code;
+    this.name = 'FirebaseError';
+  }
+}
+
+const makeUser = ({ uid, isAnonymous = false, email = null }) => ({
+  uid,
+  isAnonymous,
+  email,
+  getIdToken: async () => `token-${uid}`,
+});
+
+const setCurrentUser = (user) => {
+  fakeAuth.currentUser = user;
+  listeners.forEach((listener) => setTimeout(() => listeners.has(listener) && listener(user), 0));
+};
+
+const nextUid = () => {
+  uidCounter += 1;
+  return `user-${uidCounter}`;
+};
+
+export const getAuth = () => fakeAuth;
+export const connectAuthEmulator = () => {};
+
+export function onAuthStateChanged(auth, callback) {
+  listeners.add(callback);
+  setTimeout(() => listeners.has(callback) && callback(fakeAuth.currentUser), 0);
+  return () => listeners.delete(callback);
+}
+
+export const onIdTokenChanged = onAuthStateChanged;
+
+export async function signInAnonymously() {
+  if (!fakeAuth.currentUser) setCurrentUser(makeUser({ uid: nextUid(), isAnonymous: true }));
+  return { user: fakeAuth.currentUser };
+}
+
+export async function signInWithCustomToken(auth, token) {
+  setCurrentUser(makeUser({ uid: token }));
+  return { user: fakeAuth.currentUser };
+}
+
+export async function createUserWithEmailAndPassword(auth, email, password) {
+  if (accounts.has(email)) throw new AuthError('auth/email-already-in-use');
+  if (!password || password.length < 6) throw new AuthError('auth/weak-password');
+  const uid = nextUid();
+  accounts.set(email, { password, uid });
+  setCurrentUser(makeUser({ uid, email }));
+  return { user: fakeAuth.currentUser };
+}
+
+export async function signInWithEmailAndPassword(auth, email, password) {
+  const account = accounts.get(email);
+  if (!account || account.password !== password) throw new AuthError('auth/invalid-credential');
+  setCurrentUser(makeUser({ uid: account.uid, email }));
+  return { user: fakeAuth.currentUser };
+}
+
+export const EmailAuthProvider = {
+  credential: (email, password) => ({ providerId: 'password', email, password }),
+  credentialWithLink: (email, link) => ({ providerId: 'emailLink', email, link }),
+};
+
+// Mantém o uid, tal como o SDK real; não dispara onAuthStateChanged
+export async function linkWithCredential(user, credential) {
+  if (accounts.has(credential.email)) throw new AuthError('auth/credential-already-in-use');
+  accounts.set(credential.email, { password: credential.password, uid: user.uid });
+  fakeAuth.currentUser = makeUser({ uid: user.uid, email: credential.email });
+  return { user: fakeAuth.currentUser };
+}
+
+export const sendSignInLinkToEmail = async () => {};
+export const isSignInWithEmailLink = () => emailLinkOpened;
+
+export async function signInWithEmailLink(auth, email) {
+  const account = accounts.get(email) || { uid: nextUid() };
+  accounts.set(email, account);
+  setCurrentUser(makeUser({ uid: account.uid, email }));
+  return { user: fakeAuth.currentUser };
+}
+
+export async function signOut() {
+  setCurrentUser(null);
+}
+
+// --- Utilitários para os testes ---
+export const __testing = {
+  reset() {
+    fakeAuth.currentUser = null;
+    listeners.clear();
+    accounts.clear();
+    uidCounter = 0;
+    emailLinkOpened = false;
+  },
+  // Conta com email já existente (ex: criada noutro dispositivo)
+  addAccount(email, uid, password = null) {
+    accounts.set(email, { password, uid });
+  },
+  // A app abre como se viesse de um link de entrada enviado por email
+  openEmailLink() {
+    emailLinkOpened = true;
+  },
+  // Entra diretamente como um utilizador conhecido (antes de renderizar a app)
+  signIn(uid, { isAnonymous = false, email = null } = {}) {
+    setCurrentUser(makeUser({ uid, isAnonymous, email }));
+  },
+  get currentUser() {
+    return fakeAuth.currentUser;
+  },
+};
@@ -0,0 +1,500 @@
+// --- In-Memory Firestore Fake ---
+// Implementa, em memória, a parte da API modular de 'firebase/firestore' que a app usa.
+// O setupTests.js substitui o módulo real por este, para os testes correrem offline e sem emulador.
+// Os snapshots são entregues de forma assíncrona (como no SDK real), por isso os testes usam findBy*/waitFor.
+
+const store = new Map(); // caminho do documento -> dados
+const listeners = new Set();
+let autoIdCounter = 0;
+let pendingFailures = [];
+let offline = false;
+let unconfirmedWrites = []; // escritas feitas offline: { paths, resolve }
+
+// --- Timestamps e sentinelas ---
+export class Timestamp {
+  constructor(seconds, nanoseconds = 0) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(ms) {
+    return new Timestamp(Math.floor(ms / 1000), (ms % 1000) * 1e6);
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.seconds === this.seconds && other.nanoseconds === this.nanoseconds;
+  }
+}
+
+const SENTINEL = Symbol('fieldValue');
+const sentinel = (kind, value) => ({ [SENTINEL]: kind, value });
+
+export const serverTimestamp = () => sentinel('serverTimestamp');
+export const arrayUnion = (...values) => sentinel('arrayUnion', values);
+export const arrayRemove = (...values) => sentinel('arrayRemove', values);
+export const increment = (n) => sentinel('increment', n);
+export const deleteField = () => sentinel('deleteField');
+
+const DOCUMENT_ID = { fieldPath: '__name__' };
+export const documentId = () => DOCUMENT_ID;
+
+export class FirestoreError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.code = code;
+    this.name = 'FirebaseError';
+  }
+}
+
+// --- Instância e referências ---
+const fakeDb = { type: 'firestore' };
+
+export const getFirestore = () => fakeDb;
+export const initializeFirestore = () => fakeDb;
+export const connectFirestoreEmulator = () => {};
+export const persistentLocalCache = (settings = {}) => ({ kind: 'persistent', ...settings });
+export const persistentMultipleTabManager = () => ({ kind: 'PersistentMultipleTab' });
+
+const normalizePath = (segments) => segments
+  .filter((segment) => segment !== undefined && segment !== null)
+  .join('/')
+  .split('/')
+  .filter(Boolean);
+
+const makeCollectionRef = (parts) => ({
+  type: 'collection',
+  firestore: fakeDb,
+  id: parts[parts.length - 1],
+  path: parts.join('/'),
+});
+
+const makeDocRef = (parts) => ({
+  type: 'document',
+  firestore: fakeDb,
+  id: parts[parts.length - 1],
+  path: parts.join('/'),
+  parent: makeCollectionRef(parts.slice(0, -1)),
+});
+
+const basePath = (parent) => (parent && parent.path ? [parent.path] : []);
+
+export function collection(parent, ...pathSegments) {
+  const parts = normalizePath([...basePath(parent), ...pathSegments]);
+  if (parts.length % 2 !== 1) {
+    throw new FirestoreError('invalid-argument', `Caminho de coleção inválido: ${parts.join('/')}`);
+  }
+  return makeCollectionRef(parts);
+}
+
+export function doc(parent, ...pathSegments) {
+  let parts = normalizePath([...basePath(parent), ...pathSegments]);
+  if (parent && parent.type === 'collection' && pathSegments.length === 0) {
+    autoIdCounter += 1;
+    parts = [...parts, `auto-id-${autoIdCounter}`];
+  }
+  if (parts.length % 2 !== 0) {
+    throw new FirestoreError('invalid-argument', `Caminho de documento inválido: ${parts.join('/')}`);
+  }
+  return makeDocRef(parts);
+}
+
+// --- Consultas ---
+export const where = (field, op, value) => ({ kind: 'where', field, op, value });
+export const orderBy = (field, direction = 'asc') => ({ kind: 'orderBy', field, direction });
+export const limit = (count) => ({ kind: 'limit', count });
+export const startAfter = (...values) => ({ kind: 'startAfter', values });
+export const endAt = (...values) => ({ kind: 'endAt', values });
+
+export function query(ref, ...constraints) {
+  const base = ref.type === 'query' ? ref : { type: 'query', path: ref.path, firestore: fakeDb, constraints: [] };
+  return { ...base, constraints: [...base.constraints, ...constraints] };
+}
+
+const getField = (data, id, field) => {
+  if (field === DOCUMENT_ID || field === '__name__') return id;
+  return String(field).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+};
+
+const comparable = (value) => {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const compareValues = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const valuesEqual = (a, b) => compareValues(a, b) === 0;
+
+const matchesWhere = (data, id, { field, op, value }) => {
+  const fieldValue = getField(data, id, field);
+  switch (op) {
+    case '==': return valuesEqual(fieldValue, value);
+    case '!=': return fieldValue !== undefined && !valuesEqual(fieldValue, value);
+    case '<': return fieldValue !== undefined && compareValues(fieldValue, value) < 0;
+    case '<=': return fieldValue !== undefined && compareValues(fieldValue, value) <= 0;
+    case '>': return fieldValue !== undefined && compareValues(fieldValue, value) > 0;
+    case '>=': return fieldValue !== undefined && compareValues(fieldValue, value) >= 0;
+    case 'in': return value.some((v) => valuesEqual(fieldValue, v));
+    case 'not-in': return fieldValue !== undefined && !value.some((v) => valuesEqual(fieldValue, v));
+    case 'array-contains': return Array.isArray(fieldValue) && fieldValue.some((v) => valuesEqual(v, value));
+    case 'array-contains-any': return Array.isArray(fieldValue) && fieldValue.some((v) => value.some((w) => valuesEqual(v, w)));
+    default: throw new FirestoreError('invalid-argument', `Operador não suportado pelo fake: ${op}`);
+  }
+};
+
+const docsInCollection = (collectionPath) => {
+  const depth = collectionPath.split('/').length + 1;
+  return Array.from(store.entries())
+    .filter(([path]) => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+    .map(([path, data]) => ({ id: path.split('/').pop(), path, data }));
+};
+
+// Ordem dos documentos como no Firestore: campos de orderBy e, no fim, o id na direção da última ordenação
+const compareDocs = (a, b, orders) => {
+  for (const o of orders) {
+    const result = compareValues(getField(a.data, a.id, o.field), getField(b.data, b.id, o.field));
+    if (result !== 0) return o.direction === 'desc' ? -result : result;
+  }
+  const byId = compareValues(a.id, b.id);
+  return orders.length > 0 && orders[orders.length - 1].direction === 'desc' ? -byId : byId;
+};
+
+// Posição de um documento em relação ao cursor (um DocumentSnapshot ou o valor do primeiro orderBy)
+const compareToCursor = (d, values, orders) => {
+  const [first] = values;
+  if (first && first.type === 'documentSnapshot') {
+    return compareDocs(d, { id: first.id, data: first.data() || {} }, orders);
+  }
+  const result = compareValues(getField(d.data, d.id, orders[0].field), first);
+  return orders[0].direction === 'desc' ? -result : result;
+};
+
+const runQuery = (q) => {
+  const constraints = q.constraints || [];
+  let docs = docsInCollection(q.path);
+  constraints.filter((c) => c.kind === 'where').forEach((c) => {
+    docs = docs.filter(({ data, id }) => matchesWhere(data, id, c));
+  });
+  const orders = constraints.filter((c) => c.kind === 'orderBy');
+  if (orders.length > 0) {
+    // Como no Firestore, documentos sem o campo de ordenação ficam de fora
+    docs = docs.filter(({ data, id }) => orders.every((o) => getField(data, id, o.field) !== undefined));
+  }
+  docs.sort((a, b) => compareDocs(a, b, orders));
+  const start = constraints.find((c) => c.kind === 'startAfter');
+  if (start) docs = docs.filter((d) => compareToCursor(d, start.values, orders) > 0);
+  const end = constraints.find((c) => c.kind === 'endAt');
+  if (end) docs = docs.filter((d) => compareToCursor(d, end.values, orders) <= 0);
+  const max = constraints.find((c) => c.kind === 'limit');
+  if (max) docs = docs.slice(0, max.count);
+  return docs;
+};
+
+// --- Snapshots ---
+const clone = (value) => {
+  if (value instanceof Timestamp || value instanceof Date || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(clone);
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+};
+
+const hasPendingWrites = (path) => unconfirmedWrites.some(({ paths }) => paths.includes(path));
+
+const makeDocSnapshot = (path) => {
+  const data = store.get(path);
+  return {
+    type: 'documentSnapshot',
+    id: path.split('/').pop(),
+    ref: makeDocRef(path.split('/')),
+    metadata: { hasPendingWrites: hasPendingWrites(path), fromCache: offline },
+    exists: () => data !== undefined,
+    data: () => (data === undefined ? undefined : clone(data)),
+    get: (field) => (data === undefined ? undefined : clone(getField(data, path.split('/').pop(), field))),
+  };
+};
+
+const makeQuerySnapshot = (q) => {
+  const docs = runQuery(q).map(({ path }) => makeDocSnapshot(path));
+  return {
+    docs,
+    size: docs.length,
+    empty: docs.length === 0,
+    metadata: { hasPendingWrites: docs.some((d) => d.metadata.hasPendingWrites), fromCache: offline },
+    forEach: (callback) => docs.forEach(callback),
+    docChanges: () => docs.map((d, newIndex) => ({ type: 'added', doc: d, oldIndex: -1, newIndex })),
+  };
+};
+
+const snapshotFor = (target) => (target.type === 'document' ? makeDocSnapshot(target.path) : makeQuerySnapshot(target));
+
+const deliver = (listener) => {
+  setTimeout(() => {
+    if (!listeners.has(listener)) return;
+    listener.next(snapshotFor(listener.target));
+  }, 0);
+};
+
+const notifyAll = () => listeners.forEach(deliver);
+
+export function onSnapshot(target, ...args) {
+  const callbacks = typeof args[0] === 'function' ? args : args.slice(1); // ignora SnapshotListenOptions
+  const [next, error] = typeof callbacks[0] === 'object' && callbacks[0] !== null
+    ? [callbacks[0].next, callbacks[0].error]
+    : callbacks;
+  const normalizedTarget = target.type === 'collection' ? query(target) : target;
+  const listener = { target: normalizedTarget, next, error };
+
+  const failure = takeFailure('read');
+  if (failure) {
+    setTimeout(() => error && error(failure), 0);
+    return () => {};
+  }
+
+  listeners.add(listener);
+  deliver(listener);
+  return () => listeners.delete(listener);
+}
+
+export const getDoc = async (ref) => {
+  throwIfFailing('read');
+  return makeDocSnapshot(ref.path);
+};
+
+export const getDocs = async (target) => {
+  throwIfFailing('read');
+  return makeQuerySnapshot(target.type === 'collection' ? query(target) : target);
+};
+
+// --- Escritas ---
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Timestamp) && !(value instanceof Date) && !value[SENTINEL];
+
+const resolveValue = (value, previous) => {
+  if (value && value[SENTINEL]) {
+    switch (value[SENTINEL]) {
+      case 'serverTimestamp': return Timestamp.now();
+      case 'arrayUnion': {
+        const base = Array.isArray(previous) ? [...previous] : [];
+        value.value.forEach((v) => { if (!base.some((b) => valuesEqual(b, v))) base.push(v); });
+        return base;
+      }
+      case 'arrayRemove':
+        return (Array.isArray(previous) ? previous : []).filter((b) => !value.value.some((v) => valuesEqual(b, v)));
+      case 'increment': return (typeof previous === 'number' ? previous : 0) + value.value;
+      default: return undefined;
+    }
+  }
+  // Como no SDK real, datas JavaScript são gravadas como Timestamp
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map((v) => resolveValue(v, undefined));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, v]) => !(v && v[SENTINEL] === 'deleteField'))
+      .map(([k, v]) => [k, resolveValue(v, undefined)]));
+  }
+  return clone(value);
+};
+
+const mergeInto = (target, source) => {
+  const result = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    if (value && value[SENTINEL] === 'deleteField') {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeInto(result[key], value);
+    } else {
+      result[key] = resolveValue(value, result[key]);
+    }
+  });
+  return result;
+};
+
+const setNested = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const result = { ...data };
+  let cursor = result;
+  keys.slice(0, -1).forEach((key) => {
+    cursor[key] = isPlainObject(cursor[key]) ? { ...cursor[key] } : {};
+    cursor = cursor[key];
+  });
+  const last = keys[keys.length - 1];
+  if (value && value[SENTINEL] === 'deleteField') {
+    delete cursor[last];
+  } else {
+    cursor[last] = resolveValue(value, cursor[last]);
+  }
+  return result;
+};
+
+const applySet = (ref, data, options) => {
+  const previous = store.get(ref.path);
+  const merge = options && (options.merge || options.mergeFields);
+  store.set(ref.path, merge && previous ? mergeInto(previous, data) : resolveValue(data, undefined));
+};
+
+const applyUpdate = (ref, fields) => {
+  const previous = store.get(ref.path);
+  if (previous === undefined) {
+    throw new FirestoreError('not-found', `Documento não encontrado: ${ref.path}`);
+  }
+  store.set(ref.path, Object.entries(fields).reduce((data, [field, value]) => setNested(data, field, value), previous));
+};
+
+const applyDelete = (ref) => {
+  store.delete(ref.path);
+};
+
+// Como no SDK real, a escrita aparece logo nos snapshots, mas offline a promessa só resolve
+// quando a ligação volta (__testing.setOnline(true))
+const confirmWrite = (paths) => {
+  if (!offline) return Promise.resolve();
+  return new Promise((resolve) => {
+    unconfirmedWrites.push({ paths, resolve });
+  });
+};
+
+export const setDoc = async (ref, data, options) => {
+  throwIfFailing('write');
+  applySet(ref, data, options);
+  const confirmed = confirmWrite([ref.path]);
+  notifyAll();
+  await confirmed;
+};
+
+export const addDoc = async (collectionRef, data) => {
+  throwIfFailing('write');
+  const ref = doc(collectionRef);
+  applySet(ref, data);
+  const confirmed = confirmWrite([ref.path]);
+  notifyAll();
+  await confirmed;
+  return ref;
+};
+
+export const updateDoc = async (ref, fields) => {
+  throwIfFailing('write');
+  applyUpdate(ref, fields);
+  const confirmed = confirmWrite([ref.path]);
+  notifyAll();
+  await confirmed;
+};
+
+export const deleteDoc = async (ref) => {
+  throwIfFailing('write');
+  applyDelete(ref);
+  const confirmed = confirmWrite([ref.path]);
+  notifyAll();
+  await confirmed;
+};
+
+export function writeBatch() {
+  const operations = [];
+  const paths = [];
+  const batch = {
+    set: (ref, data, options) => { operations.push(() => applySet(ref, data, options)); paths.push(ref.path); return batch; },
+    update: (ref, fields) => { operations.push(() => applyUpdate(ref, fields)); paths.push(ref.path); return batch; },
+    delete: (ref) => { operations.push(() => applyDelete(ref)); paths.push(ref.path); return batch; },
+    commit: async () => {
+      throwIfFailing('write');
+      const snapshot = new Map(store);
+      try {
+        operations.forEach((operation) => operation());
+      } catch (err) {
+        // Um lote é atómico: se uma operação falha, nada é aplicado
+        store.clear();
+        snapshot.forEach((value, key) => store.set(key, value));
+        throw err;
+      }
+      const confirmed = confirmWrite(paths);
+      notifyAll();
+      await confirmed;
+    },
+  };
+  return batch;
+}
+
+export async function runTransaction(db, updateFunction) {
+  throwIfFailing('write');
+  const batch = writeBatch(db);
+  const transaction = {
+    get: async (ref) => makeDocSnapshot(ref.path),
+    set: (ref, data, options) => { batch.set(ref, data, options); return transaction; },
+    update: (ref, fields) => { batch.update(ref, fields); return transaction; },
+    delete: (ref) => { batch.delete(ref); return transaction; },
+  };
+  const result = await updateFunction(transaction);
+  await batch.commit();
+  return result;
+}
+
+// --- Falhas simuladas ---
+function takeFailure(kind) {
+  const index = pendingFailures.findIndex((f) => f.kind === kind);
+  if (index === -1) return null;
+  const [failure] = pendingFailures.splice(index, 1);
+  return new FirestoreError(failure.code);
+}
+
+function throwIfFailing(kind) {
+  const failure = takeFailure(kind);
+  if (failure) throw failure;
+}
+
+// --- Utilitários para os testes ---
+export const __testing = {
+  reset() {
+    store.clear();
+    listeners.clear();
+    pendingFailures = [];
+    autoIdCounter = 0;
+    offline = false;
+    unconfirmedWrites = [];
+  },
+  // Grava um documento diretamente (sem passar pelas regras nem notificar escritas pendentes)
+  seed(path, data) {
+    store.set(normalizePath([path]).join('/'), resolveValue(data, undefined));
+    notifyAll();
+  },
+  get(path) {
+    const data = store.get(normalizePath([path]).join('/'));
+    return data === undefined ? undefined : clone(data);
+  },
+  list(collectionPath) {
+    return docsInCollection(normalizePath([collectionPath]).join('/')).map(({ id, data }) => ({ id, ...clone(data) }));
+  },
+  // Offline as escritas ficam por confirmar (hasPendingWrites nos snapshots); ao voltar online são todas confirmadas
+  setOnline(online) {
+    offline = !online;
+    if (offline) return;
+    const confirmed = unconfirmedWrites;
+    unconfirmedWrites = [];
+    confirmed.forEach(({ resolve }) => resolve());
+    notifyAll();
+  },
+  // A próxima leitura ('read') ou escrita ('write') falha com o código indicado (ex: 'permission-denied')
+  failNext(kind, code) {
+    pendingFailures.push({ kind, code });
+  },
+};
@@ -0,0 +1,26 @@
+// --- In-Memory Cloud Messaging Fake ---
+// Substitui 'firebase/messaging' nos testes. Por omissão o navegador "não suporta" push, como o jsdom;
+// um teste pode ativá-lo (o token é sempre TEST_TOKEN).
+
+const TEST_TOKEN = 'test-fcm-token';
+
+let supported = false;
+
+export const isSupported = async () => supported;
+
+export const getMessaging = (app) => ({ type: 'messaging', app });
+
+export const getToken = async () => TEST_TOKEN;
+
+export const deleteToken = async () => true;
+
+// --- Utilitários para os testes ---
+export const __testing = {
+  TEST_TOKEN,
+  reset() {
+    supported = false;
+  },
+  setSupported(value) {
+    supported = value;
+  },
+};
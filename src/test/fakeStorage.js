@@ -0,0 +1,91 @@
+// --- In-Memory Storage Fake ---
+// Substitui 'firebase/storage' nos testes: guarda os ficheiros num Map (caminho -> { data, contentType }).
+// Os uploads terminam numa única etapa de progresso, de forma assíncrona como no SDK real.
+
+const files = new Map();
+let pendingFailure = null;
+
+export class StorageError extends Error {
+  constructor(code) {
+    super(code);
+    this.code = code;
+    this.name = 'FirebaseError';
+  }
+}
+
+const takeFailure = () => {
+  const failure = pendingFailure;
+  pendingFailure = null;
+  return failure ? new StorageError(failure) : null;
+};
+
+export const getStorage = () => ({ type: 'storage' });
+export const connectStorageEmulator = () => {};
+
+export const ref = (storage, path) => ({ fullPath: path, name: path.split('/').pop() });
+
+export function uploadBytesResumable(storageRef, data, metadata = {}) {
+  const totalBytes = data.size || 0;
+  const snapshot = { bytesTransferred: 0, totalBytes, ref: storageRef, metadata };
+  const observers = [];
+  const failure = takeFailure();
+
+  const done = new Promise((resolve, reject) => {
+    setTimeout(() => {
+      if (failure) {
+        observers.forEach(({ error }) => error && error(failure));
+        reject(failure);
+        return;
+      }
+      files.set(storageRef.fullPath, { data, contentType: metadata.contentType || data.type });
+      snapshot.bytesTransferred = totalBytes;
+      observers.forEach(({ next }) => next && next(snapshot));
+      observers.forEach(({ complete }) => complete && complete());
+      resolve(snapshot);
+    }, 0);
+  });
+  // Evita avisos de promessas rejeitadas sem tratamento quando só se usam os observadores
+  done.catch(() => {});
+
+  return {
+    snapshot,
+    on(event, next, error, complete) {
+      observers.push({ next, error, complete });
+      return () => {};
+    },
+    then: (onFulfilled, onRejected) => done.then(onFulfilled, onRejected),
+    catch: (onRejected) => done.catch(onRejected),
+  };
+}
+
+export async function getDownloadURL(storageRef) {
+  if (!files.has(storageRef.fullPath)) throw new StorageError('storage/object-not-found');
+  return `https://storage.test/${storageRef.fullPath}`;
+}
+
+export async function deleteObject(storageRef) {
+  const failure = takeFailure();
+  if (failure) throw failure;
+  if (!files.delete(storageRef.fullPath)) throw new StorageError('storage/object-not-found');
+}
+
+// --- Utilitários para os testes ---
+export const __testing = {
+  reset() {
+    files.clear();
+    pendingFailure = null;
+  },
+  list() {
+    return Array.from(files.keys()).sort();
+  },
+  get(path) {
+    return files.get(path);
+  },
+  seed(path, data = new Blob(['x']), contentType = 'image/jpeg') {
+    files.set(path, { data, contentType });
+  },
+  // A próxima operação (upload ou exclusão) falha com o código indicado (ex: 'storage/unauthorized')
+  failNext(code) {
+    pendingFailure = code;
+  },
+};
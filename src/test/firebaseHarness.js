@@ -0,0 +1,78 @@
+import { fireEvent } from '@testing-library/react';
+import { __testing as fakeFirestore } from './fakeFirestore';
+import { __testing as fakeAuth } from './fakeAuth';
+import { __testing as fakeStorage } from './fakeStorage';
+import { __testing as fakeMessaging } from './fakeMessaging';
+
+// --- Firebase Test Harness ---
+// Ajudas para preparar o Firebase em memória nos testes de integração.
+// O appId vem de REACT_APP_FIREBASE_APP_ID, definido em setupTests.js.
+export const TEST_APP_ID = 'test-app';
+
+export const resetFirebase = () => {
+  fakeFirestore.reset();
+  fakeAuth.reset();
+  fakeStorage.reset();
+  fakeMessaging.reset();
+};
+
+export const signInTestUser = (uid, options) => fakeAuth.signIn(uid, options);
+
+export const getCurrentTestUser = () => fakeAuth.currentUser;
+
+export const seedAccount = (email, uid, password) => fakeAuth.addAccount(email, uid, password);
+
+export const openEmailSignInLink = () => fakeAuth.openEmailLink();
+
+export const seedDoc = (path, data) => fakeFirestore.seed(path, data);
+
+export const getDocData = (path) => fakeFirestore.get(path);
+
+export const listDocs = (collectionPath) => fakeFirestore.list(collectionPath);
+
+// kind: 'read' | 'write'; code: código de erro do Firestore (ex: 'permission-denied')
+export const failNextFirestoreCall = (kind, code) => fakeFirestore.failNext(kind, code);
+
+// Simula a perda (ou o regresso) da rede: navigator.onLine, o evento da janela e a fila de escritas do Firestore.
+// O spy de navigator.onLine é reposto pelo jest.restoreAllMocks() do afterEach.
+export const setNetworkOnline = (online) => {
+  jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(online);
+  fakeFirestore.setOnline(online);
+  fireEvent(window, new Event(online ? 'online' : 'offline'));
+};
+
+export const listStorageFiles = () => fakeStorage.list();
+
+export const seedStorageFile = (path, data, contentType) => fakeStorage.seed(path, data, contentType);
+
+// code: código de erro do Storage (ex: 'storage/unauthorized')
+export const failNextStorageCall = (code) => fakeStorage.failNext(code);
+
+export const profilePath = (uid) => `artifacts/${TEST_APP_ID}/profiles/${uid}`;
+
+// Caixa de notificações de cada utilizador (ver data/notifications.js)
+export const inboxPath = (uid) => `artifacts/${TEST_APP_ID}/users/${uid}/notifications`;
+export const devicesPath = (uid) => `artifacts/${TEST_APP_ID}/users/${uid}/devices`;
+
+export const seedProfile = (uid, displayName, fields = {}) =>
+  seedDoc(profilePath(uid), { displayName, ...fields });
+
+export const invitePath = (code) => `artifacts/${TEST_APP_ID}/invites/${code}`;
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+// Cria um espaço com os membros indicados (e outros campos, ex: dados do casal) e devolve o seu caminho.
+// O convite vale mais uma semana, a não ser que inviteExpiresInDays diga outra coisa (negativo: já expirou).
+export const seedSpace = ({
+  id = 'space-1', name = 'Nico & Aniqua', members = ['nico', 'aniqua'], inviteCode = 'ABC234', inviteExpiresInDays = 7, ...fields
+} = {}) => {
+  const spacePath = `artifacts/${TEST_APP_ID}/spaces/${id}`;
+  seedDoc(spacePath, { name, members, createdBy: members[0], inviteCode, ...fields });
+  seedDoc(invitePath(inviteCode), { spaceId: id, createdBy: members[0], expiresAt: inDays(inviteExpiresInDays) });
+  return spacePath;
+};
+
+// --- Push (Cloud Messaging) ---
+export const FCM_TEST_TOKEN = fakeMessaging.TEST_TOKEN;
+
+export const setPushSupported = (supported) => fakeMessaging.setSupported(supported);
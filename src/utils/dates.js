@@ -0,0 +1,107 @@
+import { DEFAULT_LOCALE, translate } from '../i18n/translate';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Hora usada quando só se escolhe o dia: ao meio-dia o dia não muda entre fusos horários próximos
+const DEFAULT_HOUR = 12;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Aceita Timestamp do Firestore, Date ou nada (escrita com serverTimestamp() ainda pendente)
+export const toDate = (timestamp) => {
+  if (!timestamp) return null;
+  if (timestamp instanceof Date) return timestamp;
+  return new Date(timestamp.seconds * 1000);
+};
+
+const relativeFormats = {};
+const formatDaysAgo = (days, locale) => {
+  if (!relativeFormats[locale]) relativeFormats[locale] = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  const text = relativeFormats[locale].format(-days, 'day');
+  return text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+};
+
+/**
+ * Dia no formato do idioma (ex: 05/01/2024 em pt, 1/5/2024 em inglês).
+ * @param {Date} date
+ * @param {import('../i18n/translate').Locale} [locale]
+ */
+export const formatDay = (date, locale = DEFAULT_LOCALE) => date.toLocaleDateString(locale);
+
+// Hoje, ontem e até 6 dias atrás em texto relativo ("Há 3 dias", "3 days ago"); depois disso, o dia
+export const formatTimestamp = (timestamp, locale = DEFAULT_LOCALE) => {
+  const date = toDate(timestamp);
+  if (!date) return translate(locale, 'dates.unknown');
+  // Diferença em dias de calendário, não em períodos de 24 horas
+  const diffDays = Math.round((startOfDay(new Date()) - startOfDay(date)) / MS_PER_DAY);
+  if (diffDays >= 0 && diffDays < 7) return formatDaysAgo(diffDays, locale);
+  return formatDay(date, locale);
+};
+
+// Data de um momento, com a hora apenas quando foi escolhida
+export const formatMomentDate = (moment, locale = DEFAULT_LOCALE) => {
+  const date = toDate(moment.date);
+  if (!date || !moment.hasTime) return formatTimestamp(moment.date, locale);
+  return translate(locale, 'dates.atTime', {
+    date: formatTimestamp(moment.date, locale),
+    time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+  });
+};
+
+// --- Contagens de calendário ---
+
+const daysInMonth = (year, monthIndex) => new Date(year, monthIndex + 1, 0).getDate();
+
+// Soma meses mantendo o dia; num mês mais curto fica no último dia (31 de janeiro + 1 mês = 28 ou 29 de fevereiro)
+const addMonths = (date, months) => {
+  const year = date.getFullYear();
+  const monthIndex = date.getMonth() + months;
+  return new Date(year, monthIndex, Math.min(date.getDate(), daysInMonth(year, monthIndex)));
+};
+
+/**
+ * Dias de calendário de hoje até ao dia da data (0 = hoje, negativo = já passou).
+ * @param {Date} date
+ * @param {Date} [now]
+ */
+export const daysUntil = (date, now = new Date()) => Math.round((startOfDay(date) - startOfDay(now)) / MS_PER_DAY);
+
+/**
+ * Tempo entre dois dias em anos, meses e dias de calendário (ex: de 10/01/2023 a 22/04/2024 = 1 ano, 3 meses e 12 dias).
+ * @param {Date} from
+ * @param {Date} [to]
+ * @returns {{ years: number, months: number, days: number } | null} null se from for depois de to
+ */
+export const getCalendarDiff = (from, to = new Date()) => {
+  if (daysUntil(from, to) > 0) return null;
+  let totalMonths = (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+  if (addMonths(from, totalMonths) > startOfDay(to)) totalMonths -= 1;
+  return {
+    years: Math.floor(totalMonths / 12),
+    months: totalMonths % 12,
+    days: daysUntil(to, addMonths(from, totalMonths)),
+  };
+};
+
+// --- Campos <input type="date"> e <input type="time"> ---
+
+/** @param {Date} date @returns {string} 'AAAA-MM-DD' no fuso local */
+export const toDateInputValue = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/** @param {Date} date @returns {string} 'HH:MM' no fuso local */
+export const toTimeInputValue = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * Junta os valores dos dois campos numa Date local; sem hora, usa o meio-dia.
+ * @param {string} dateValue - 'AAAA-MM-DD'
+ * @param {string} [timeValue] - 'HH:MM' ou vazio
+ * @returns {Date | null} null se o dia for inválido
+ */
+export const fromDateInputValues = (dateValue, timeValue) => {
+  const [year, month, day] = (dateValue || '').split('-').map(Number);
+  if (!year || !month || !day) return null;
+  const [hours, minutes] = timeValue ? timeValue.split(':').map(Number) : [DEFAULT_HOUR, 0];
+  return new Date(year, month - 1, day, hours, minutes);
+};
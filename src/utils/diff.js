@@ -0,0 +1,75 @@
+// --- Text Diff ---
+// Diferenças palavra a palavra entre duas versões de um texto (histórico do propósito).
+// LCS clássico sobre palavras e espaços, depois de retirar o início e o fim em comum; textos muito
+// diferentes e muito longos passam a "tudo removido / tudo acrescentado" para não bloquear a página.
+
+const MAX_CELLS = 2000000;
+
+const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+
+/**
+ * @typedef {{ type: 'equal' | 'added' | 'removed', text: string }} DiffPart
+ */
+
+// Junta partes seguidas do mesmo tipo ("a", " ", "b" -> "a b")
+const pushPart = (parts, type, text) => {
+  if (!text) return;
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+};
+
+const diffMiddle = (before, after, parts) => {
+  if (before.length * after.length > MAX_CELLS) {
+    pushPart(parts, 'removed', before.join(''));
+    pushPart(parts, 'added', after.join(''));
+    return;
+  }
+  // lengths[i][j] = maior subsequência comum de before[i..] e after[j..]
+  const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i -= 1) {
+    for (let j = after.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      pushPart(parts, 'equal', before[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushPart(parts, 'removed', before[i]);
+      i += 1;
+    } else {
+      pushPart(parts, 'added', after[j]);
+      j += 1;
+    }
+  }
+  pushPart(parts, 'removed', before.slice(i).join(''));
+  pushPart(parts, 'added', after.slice(j).join(''));
+};
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffPart[]}
+ */
+export function diffWords(before, after) {
+  const left = tokenize(before || '');
+  const right = tokenize(after || '');
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) start += 1;
+  let end = 0;
+  while (end < left.length - start && end < right.length - start
+    && left[left.length - 1 - end] === right[right.length - 1 - end]) end += 1;
+
+  const parts = [];
+  pushPart(parts, 'equal', left.slice(0, start).join(''));
+  diffMiddle(left.slice(start, left.length - end), right.slice(start, right.length - end), parts);
+  pushPart(parts, 'equal', left.slice(left.length - end).join(''));
+  return parts;
+}
@@ -0,0 +1,34 @@
+import { normalizeText } from './search';
+
+// --- Files ---
+// Descarregar texto gerado pela app e ler ficheiros escolhidos pelo utilizador.
+
+/**
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - ex: 'application/json'
+ */
+export const downloadTextFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // O browser só precisa do URL durante o clique
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/** @param {Blob} file @returns {Promise<string>} */
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+// Nome de ficheiro seguro a partir de texto livre ("Nico & Aniqua" -> "nico-aniqua")
+export const slugify = (text) => normalizeText(text)
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'espaco';
@@ -0,0 +1,61 @@
+// --- Image Compression ---
+// Reduz as fotos no browser antes do upload: uma versão para o lightbox e uma miniatura para os cartões.
+
+const MAX_IMAGE_SIZE = 1600;
+const THUMBNAIL_SIZE = 320;
+const JPEG_QUALITY = 0.82;
+const THUMBNAIL_QUALITY = 0.7;
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Não foi possível ler a imagem ${file.name}`));
+  };
+  image.src = url;
+});
+
+// Redimensiona (sem nunca ampliar) e exporta em JPEG
+const resizeToBlob = (image, maxSize, quality) => new Promise((resolve, reject) => {
+  const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.naturalWidth * scale);
+  canvas.height = Math.round(image.naturalHeight * scale);
+  const context = canvas.getContext('2d');
+  if (!context) {
+    reject(new Error('Canvas indisponível para comprimir a imagem'));
+    return;
+  }
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  canvas.toBlob(
+    (blob) => (blob ? resolve(blob) : reject(new Error('Falha ao comprimir a imagem'))),
+    'image/jpeg',
+    quality
+  );
+});
+
+/**
+ * @param {File} file
+ * @returns {Promise<{ image: Blob, thumbnail: Blob, width: number, height: number }>}
+ *   GIFs mantêm o original (para não perder a animação); os restantes formatos passam a JPEG.
+ */
+export async function compressImage(file) {
+  const image = await loadImage(file);
+  const isGif = file.type === 'image/gif';
+  const scale = isGif ? 1 : Math.min(1, MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+  const [compressed, thumbnail] = await Promise.all([
+    isGif ? file : resizeToBlob(image, MAX_IMAGE_SIZE, JPEG_QUALITY),
+    resizeToBlob(image, THUMBNAIL_SIZE, THUMBNAIL_QUALITY),
+  ]);
+  return {
+    image: compressed,
+    thumbnail,
+    width: Math.round(image.naturalWidth * scale),
+    height: Math.round(image.naturalHeight * scale),
+  };
+}
@@ -0,0 +1,16 @@
+import { DEFAULT_LOCALE, translate } from '../i18n/translate';
+
+// As notificações escritas pela app já têm o título no idioma de quem recebe. A função de entrega (functions/) não
+// tem os catálogos: guarda a chave e os parâmetros da mensagem (titleKey, titleParams), e o título é escrito aqui
+// na entrega, pela app ou pelo service worker.
+
+/**
+ * @param {{ title?: string, titleKey?: string, titleParams?: Object<string, string | number> }} notification
+ * @param {import('../i18n/translate').Locale} [locale] - de quem recebe
+ * @returns {string}
+ */
+export const getNotificationTitle = ({ title, titleKey, titleParams = {} }, locale = DEFAULT_LOCALE) => {
+  if (!titleKey) return title;
+  // Um autor sem nome no perfil fica com o nome vazio
+  return translate(locale, titleKey, { ...titleParams, name: titleParams.name || translate(locale, 'app.anonymous') });
+};
@@ -0,0 +1,98 @@
+// --- Client-Side Routes ---
+// Cada vista tem o seu endereço, e os momentos e registos do diário também (para partilhar o link de um cartão).
+// O netlify.toml reescreve todos os caminhos para o index.html; aqui o caminho passa a { view, focus } e vice-versa.
+// Um link de cartão leva ?espaco= para abrir no espaço certo quem pertence a mais do que um.
+
+/**
+ * @typedef {'moments' | 'journal' | 'purpose' | 'insights' | 'search' | 'archive'} View
+ *
+ * @typedef {Object} Route
+ * @property {View} view
+ * @property {{ kind: 'moment' | 'journal', id: string } | null} focus - cartão a abrir e destacar
+ * @property {string | null} spaceId - espaço indicado no link
+ */
+
+export const SPACE_URL_PARAM = 'espaco';
+
+export const DEFAULT_VIEW = 'moments';
+
+export const VIEW_PATHS = {
+  moments: '/jornada',
+  journal: '/diario',
+  purpose: '/proposito',
+  insights: '/tendencias',
+  search: '/pesquisar',
+  archive: '/arquivo',
+};
+
+// Caminhos dos cartões: /momento/:id e /diario/:id
+const CARD_PATHS = { moment: '/momento', journal: '/diario' };
+const CARD_VIEWS = { moment: 'moments', journal: 'journal' };
+
+// Ecrã de diagnóstico da configuração (components/ConfigDiagnostics.js): abre antes do Firebase, fora das vistas
+export const DIAGNOSTICS_PATH = '/diagnostico';
+
+// Base do deploy (PUBLIC_URL do build), sem a barra final
+const basePath = () => (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+// Caminho sem a base do deploy nem a barra final
+const toAppPath = (pathname) => {
+  const base = basePath();
+  return (base && pathname.startsWith(base) ? pathname.slice(base.length) : pathname).replace(/\/+$/, '') || '/';
+};
+
+/**
+ * @param {string} pathname
+ * @param {string} [search]
+ * @returns {Route} caminhos desconhecidos abrem a vista inicial
+ */
+export const parseRoute = (pathname, search = '') => {
+  const path = toAppPath(pathname);
+  const spaceId = new URLSearchParams(search).get(SPACE_URL_PARAM);
+  const route = (view, focus = null) => ({ view, focus, spaceId });
+
+  const [, first, second, ...rest] = path.split('/');
+  if (second && rest.length === 0) {
+    const kind = Object.keys(CARD_PATHS).find((key) => CARD_PATHS[key] === `/${first}`);
+    if (kind) return route(CARD_VIEWS[kind], { kind, id: decodeURIComponent(second) });
+  }
+  const view = Object.keys(VIEW_PATHS).find((key) => VIEW_PATHS[key] === path);
+  return route(view || DEFAULT_VIEW);
+};
+
+/**
+ * @param {{ view: View, focus?: Route['focus'], spaceId?: string | null }} route
+ * @returns {string} caminho com a base do deploy (e ?espaco= quando indicado)
+ */
+export const buildPath = ({ view, focus = null, spaceId = null }) => {
+  const path = focus ? `${CARD_PATHS[focus.kind]}/${encodeURIComponent(focus.id)}` : VIEW_PATHS[view];
+  return `${basePath()}${path}${spaceId ? `?${SPACE_URL_PARAM}=${encodeURIComponent(spaceId)}` : ''}`;
+};
+
+/**
+ * Link absoluto de um momento ou registo do diário, para partilhar.
+ * @param {'moment' | 'journal'} kind
+ * @param {string} id
+ * @param {string} spaceId
+ */
+export const getCardLink = (kind, id, spaceId) =>
+  `${window.location.origin}${buildPath({ view: CARD_VIEWS[kind], focus: { kind, id }, spaceId })}`;
+
+// Raiz da app (para links que não dependem da vista aberta, como o convite)
+export const getAppRootUrl = () => `${window.location.origin}${basePath()}/`;
+
+// Caminho desta app ('/jornada'), e não um endereço de outro site ('https://…', '//…' ou '/\…', que o browser lê como '//…')
+const APP_LINK_PATTERN = /^\/[^/\\]/;
+
+/**
+ * O link de uma notificação se for um caminho da app; senão a raiz da app.
+ * Qualquer par de um espaço pode escrever avisos, por isso o link nunca é aberto sem passar por aqui.
+ * @param {unknown} link
+ * @returns {string}
+ */
+export const toAppLink = (link) => (typeof link === 'string' && APP_LINK_PATTERN.test(link) ? link : `${basePath()}/`);
+
+/** @param {string} pathname */
+export const isDiagnosticsPath = (pathname) => toAppPath(pathname) === DIAGNOSTICS_PATH;
+
+export const getDiagnosticsPath = () => `${basePath()}${DIAGNOSTICS_PATH}`;
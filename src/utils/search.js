@@ -0,0 +1,99 @@
+// --- Client-Side Search Index ---
+// Índice invertido (palavra -> ids) para pesquisar milhares de momentos e registos sem voltar ao Firestore.
+// A pesquisa ignora maiúsculas e acentos e aceita prefixos ("lisb" encontra "Lisboa").
+// sync() só volta a indexar os documentos cujo texto mudou, por isso pode ser chamado a cada snapshot.
+
+export const normalizeText = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+export const tokenize = (text) => normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Primeiro índice de 'sorted' cujo valor é >= value
+const lowerBound = (sorted, value) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+export function createSearchIndex() {
+  const postings = new Map(); // palavra -> Set de ids
+  const documents = new Map(); // id -> { text, tokens }
+  let sortedTokens = null; // cache das palavras ordenadas, refeita quando o vocabulário muda
+
+  const remove = (id) => {
+    const indexed = documents.get(id);
+    if (!indexed) return;
+    indexed.tokens.forEach((token) => {
+      const ids = postings.get(token);
+      ids.delete(id);
+      if (ids.size === 0) {
+        postings.delete(token);
+        sortedTokens = null;
+      }
+    });
+    documents.delete(id);
+  };
+
+  const add = (id, text) => {
+    const tokens = new Set(tokenize(text));
+    tokens.forEach((token) => {
+      if (!postings.has(token)) {
+        postings.set(token, new Set());
+        sortedTokens = null;
+      }
+      postings.get(token).add(id);
+    });
+    documents.set(id, { text, tokens });
+  };
+
+  // Ids de todos os documentos com uma palavra que começa por 'prefix'
+  const idsWithPrefix = (prefix) => {
+    if (!sortedTokens) sortedTokens = Array.from(postings.keys()).sort();
+    const ids = new Set();
+    for (let i = lowerBound(sortedTokens, prefix); i < sortedTokens.length && sortedTokens[i].startsWith(prefix); i++) {
+      postings.get(sortedTokens[i]).forEach((id) => ids.add(id));
+    }
+    return ids;
+  };
+
+  return {
+    /**
+     * @param {Array<{ key: string }>} items - lista completa e atual
+     * @param {(item: any) => string} getText - texto pesquisável de cada item
+     */
+    sync(items, getText) {
+      const current = new Set();
+      items.forEach((item) => {
+        current.add(item.key);
+        const text = getText(item);
+        const indexed = documents.get(item.key);
+        if (indexed && indexed.text === text) return;
+        remove(item.key);
+        add(item.key, text);
+      });
+      Array.from(documents.keys()).forEach((id) => {
+        if (!current.has(id)) remove(id);
+      });
+    },
+
+    /** @returns {Set<string> | null} ids com todas as palavras da pesquisa; null se a pesquisa estiver vazia */
+    search(query) {
+      const tokens = tokenize(query);
+      if (tokens.length === 0) return null;
+      return tokens
+        .map(idsWithPrefix)
+        .reduce((result, ids) => new Set(Array.from(result).filter((id) => ids.has(id))));
+    },
+
+    get size() {
+      return documents.size;
+    },
+  };
+}
@@ -0,0 +1,18 @@
+// --- Tags ---
+// Etiquetas livres em momentos e registos do diário, escritas como texto separado por vírgulas
+// ("viagem, Lisboa, #aniversário") e guardadas normalizadas: sem '#', em minúsculas e sem repetições.
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+/** @param {string} text @returns {string[]} */
+export const parseTags = (text) => {
+  const tags = (text || '')
+    .split(',')
+    .map((tag) => tag.trim().replace(/^#+/, '').trim().toLocaleLowerCase('pt').slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return Array.from(new Set(tags)).slice(0, MAX_TAGS);
+};
+
+/** @param {string[]} [tags] @returns {string} texto para o campo de edição */
+export const formatTagsInput = (tags = []) => tags.join(', ');
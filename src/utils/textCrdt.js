@@ -0,0 +1,207 @@
+// --- Text CRDT ---
+// Texto partilhado que duas pessoas editam ao mesmo tempo sem perder teclas (RGA: Replicated Growable Array).
+// Cada caractere tem um id único "relógio@site" e lembra-se do caractere depois do qual foi inserido;
+// apagar só o marca como apagado. Aplicar as mesmas operações por qualquer ordem dá sempre o mesmo texto,
+// e aplicar duas vezes a mesma operação não muda nada, por isso as operações podem chegar repetidas ou atrasadas.
+// Os apagados ficam no estado para sempre; para ele não crescer sem fim, recomeça-se a partir do texto atual
+// (serializeBaseText com um site novo, ver data/purpose.js).
+//
+// Operações (guardadas no Firestore pelo data/collaboration.js):
+//   { t: 'i', id, after, v } - insere o texto v; o 1.º caractere tem o id dado e os seguintes os relógios seguintes,
+//                              cada um depois do anterior. after é o id do caractere anterior (null no início).
+//   { t: 'd', ids }          - apaga os caracteres com estes ids.
+
+const parseId = (id) => {
+  const separator = id.indexOf('@');
+  return { clock: Number(id.slice(0, separator)), site: id.slice(separator + 1) };
+};
+
+// Inserções concorrentes no mesmo sítio: a de relógio maior fica primeiro (e, a empatar, o site maior)
+const compareChars = (a, b) => {
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  if (a.site === b.site) return 0;
+  return a.site < b.site ? -1 : 1;
+};
+
+/** Id de site aleatório para uma sessão de edição (um separador do browser). */
+export const newSiteId = () => Math.random().toString(36).slice(2, 10);
+
+/**
+ * @param {string} site - identifica quem gera as operações; nunca contém '@'
+ */
+export function createTextCrdt(site) {
+  const chars = []; // ordem do documento, incluindo os apagados
+  const byId = new Map();
+  let clock = 0;
+  let pending = []; // operações que dependem de caracteres que ainda não chegaram
+
+  const visibleChars = () => chars.filter((char) => !char.deleted);
+
+  const integrate = (char) => {
+    let position = char.after === null ? 0 : chars.indexOf(byId.get(char.after)) + 1;
+    while (position < chars.length && compareChars(chars[position], char) > 0) position += 1;
+    chars.splice(position, 0, char);
+    byId.set(char.id, char);
+    clock = Math.max(clock, char.clock);
+  };
+
+  // Devolve a parte da operação que ainda não pode ser aplicada (ou null)
+  const applyOp = (op) => {
+    if (op.t === 'i') {
+      if (op.after !== null && !byId.has(op.after)) return op;
+      const first = parseId(op.id);
+      let after = op.after;
+      for (let k = 0; k < op.v.length; k += 1) {
+        const id = `${first.clock + k}@${first.site}`;
+        if (!byId.has(id)) {
+          integrate({ id, clock: first.clock + k, site: first.site, value: op.v[k], after, deleted: false });
+        }
+        after = id;
+      }
+      return null;
+    }
+    if (op.t === 'd') {
+      const missing = op.ids.filter((id) => {
+        const char = byId.get(id);
+        if (char) char.deleted = true;
+        return !char;
+      });
+      return missing.length > 0 ? { t: 'd', ids: missing } : null;
+    }
+    return null;
+  };
+
+  const retryPending = () => {
+    let progress = true;
+    while (progress && pending.length > 0) {
+      const before = pending.length;
+      pending = pending.map(applyOp).filter(Boolean);
+      progress = pending.length < before;
+    }
+  };
+
+  return {
+    site,
+
+    text() {
+      return visibleChars().map((char) => char.value).join('');
+    },
+
+    /**
+     * Aplica operações recebidas; as que dependem de algo que ainda não chegou ficam à espera.
+     * @returns {boolean} true se todas ficaram aplicadas
+     */
+    applyOps(ops) {
+      const waiting = ops.map(applyOp).filter(Boolean);
+      pending.push(...waiting);
+      retryPending();
+      return waiting.length === 0;
+    },
+
+    /**
+     * Converte uma edição local (o novo valor do campo) em operações, já aplicadas aqui.
+     * cursor é a posição do cursor depois da edição: desfaz a ambiguidade de escrever uma letra igual à vizinha.
+     * @param {string} nextText
+     * @param {number} [cursor]
+     * @returns {Object[]} operações a enviar
+     */
+    localEdit(nextText, cursor) {
+      const visible = visibleChars();
+      const current = visible.map((char) => char.value).join('');
+      if (current === nextText) return [];
+      let start = 0;
+      while (start < current.length && start < nextText.length && current[start] === nextText[start]) start += 1;
+      if (typeof cursor === 'number') start = Math.max(0, Math.min(start, cursor - Math.max(0, nextText.length - current.length)));
+      let end = 0;
+      while (end < current.length - start && end < nextText.length - start
+        && current[current.length - 1 - end] === nextText[nextText.length - 1 - end]) end += 1;
+
+      const ops = [];
+      const removed = visible.slice(start, current.length - end);
+      if (removed.length > 0) {
+        removed.forEach((char) => { char.deleted = true; });
+        ops.push({ t: 'd', ids: removed.map((char) => char.id) });
+      }
+      const inserted = nextText.slice(start, nextText.length - end);
+      if (inserted) {
+        const op = { t: 'i', id: `${clock + 1}@${site}`, after: start > 0 ? visible[start - 1].id : null, v: inserted };
+        applyOp(op);
+        ops.push(op);
+      }
+      return ops;
+    },
+
+    /** Âncora estável para uma posição do texto: o id do caractere antes dela (null no início). */
+    anchorAt(index) {
+      if (index <= 0) return null;
+      const visible = visibleChars();
+      const char = visible[Math.min(index, visible.length) - 1];
+      return char ? char.id : null;
+    },
+
+    /** Posição atual de uma âncora; se o caractere foi apagado, fica onde ele estava. null se ainda não chegou. */
+    indexOfAnchor(anchor) {
+      if (!anchor) return 0;
+      if (!byId.has(anchor)) return null;
+      let index = 0;
+      for (const char of chars) {
+        if (!char.deleted) index += 1;
+        if (char.id === anchor) return index;
+      }
+      return index;
+    },
+
+    /** Estado completo (com os apagados, para integrar operações atrasadas), como texto JSON. */
+    serialize() {
+      return JSON.stringify({
+        clock,
+        chars: chars.map(({ id, value, after, deleted }) => (deleted ? [id, value, after, 1] : [id, value, after])),
+      });
+    },
+
+    /**
+     * Junta um estado guardado com serialize() (ex: o de outra pessoa); nada do que já existe aqui se perde.
+     * @param {string} serialized
+     */
+    merge(serialized) {
+      const state = JSON.parse(serialized);
+      state.chars.forEach(([id, value, after, deleted]) => {
+        const existing = byId.get(id);
+        if (existing) {
+          if (deleted) existing.deleted = true;
+          return;
+        }
+        const { clock: charClock, site: charSite } = parseId(id);
+        integrate({ id, clock: charClock, site: charSite, value, after, deleted: Boolean(deleted) });
+      });
+      clock = Math.max(clock, state.clock);
+      retryPending();
+    },
+
+    /**
+     * Troca todo o estado por outro guardado com serialize(), quando o texto partilhado recomeçou de um estado
+     * novo (ver serializeBaseText): os ids antigos já não existem nele, por isso juntar duplicaria o texto.
+     * @param {string} serialized
+     */
+    reset(serialized) {
+      chars.length = 0;
+      byId.clear();
+      pending = [];
+      clock = 0;
+      this.merge(serialized);
+    },
+  };
+}
+
+/**
+ * Estado inicial para um texto, sem caracteres apagados: o dos propósitos anteriores à edição em conjunto
+ * (site 'base') ou um estado que recomeça do texto atual para deixar de guardar os apagados (um site novo).
+ * Os ids só dependem do texto e do site, por isso todas as pessoas chegam ao mesmo estado.
+ * @param {string} text
+ * @param {string} [site]
+ * @returns {string} estado como serialize()
+ */
+export const serializeBaseText = (text, site = 'base') => JSON.stringify({
+  clock: text.length,
+  chars: Array.from(text, (value, index) => [`${index + 1}@${site}`, value, index === 0 ? null : `${index}@${site}`]),
+});
@@ -0,0 +1,106 @@
+import { createTextCrdt, serializeBaseText } from './textCrdt';
+
+// Duas sessões de edição que partem do mesmo texto guardado (como dois browsers abertos no mesmo propósito)
+const replicasOf = (text, ...sites) => sites.map((site) => {
+  const replica = createTextCrdt(site);
+  replica.merge(serializeBaseText(text));
+  return replica;
+});
+
+describe('textCrdt', () => {
+  test('inserções ao mesmo tempo no mesmo sítio ficam pela mesma ordem nas duas pessoas', () => {
+    const [nico, aniqua] = replicasOf('Viajar juntos', 'nico', 'aniqua');
+    const fromNico = nico.localEdit('Viajar juntos ao Japão');
+    const fromAniqua = aniqua.localEdit('Viajar juntos e poupar');
+
+    nico.applyOps(fromAniqua);
+    aniqua.applyOps(fromNico);
+
+    expect(nico.text()).toBe(aniqua.text());
+    // Nenhuma tecla se perde nem se mistura com as da outra pessoa
+    expect([' ao Japão e poupar', ' e poupar ao Japão'].map((tail) => `Viajar juntos${tail}`)).toContain(nico.text());
+  });
+
+  test('um apagar que chega antes do texto que apaga fica à espera dele', () => {
+    const [nico, aniqua] = replicasOf('', 'nico', 'aniqua');
+    const inserted = nico.localEdit('Sonho: viajar');
+    const deleted = nico.localEdit('viajar', 0);
+
+    expect(aniqua.applyOps(deleted)).toBe(false);
+    expect(aniqua.text()).toBe('');
+    expect(aniqua.applyOps(inserted)).toBe(true);
+    expect(aniqua.text()).toBe('viajar');
+  });
+
+  test('operações entregues fora de ordem dão o mesmo texto', () => {
+    const [nico, aniqua] = replicasOf('', 'nico', 'aniqua');
+    const first = nico.localEdit('Viajar');
+    const second = nico.localEdit('Viajar juntos');
+    const third = nico.localEdit('Viajar juntos ao Japão');
+
+    expect(aniqua.applyOps(third)).toBe(false);
+    expect(aniqua.applyOps(second)).toBe(false);
+    expect(aniqua.applyOps(first)).toBe(true);
+    expect(aniqua.text()).toBe('Viajar juntos ao Japão');
+  });
+
+  test('aplicar de novo as mesmas operações não muda nada', () => {
+    const [nico, aniqua] = replicasOf('Viajar juntos', 'nico', 'aniqua');
+    const ops = [...nico.localEdit('Viajar juntos ao Japão'), ...nico.localEdit('Viajar ao Japão')];
+
+    aniqua.applyOps(ops);
+    const state = aniqua.serialize();
+    aniqua.applyOps(ops);
+    aniqua.merge(nico.serialize());
+
+    expect(aniqua.text()).toBe('Viajar ao Japão');
+    expect(aniqua.serialize()).toBe(state);
+  });
+
+  test('juntar o estado guardado de outra pessoa mantém as alterações dos dois', () => {
+    const [nico, aniqua] = replicasOf('Viajar juntos', 'nico', 'aniqua');
+    nico.localEdit('Viajar juntos ao Japão');
+    aniqua.localEdit('Viajar');
+
+    nico.merge(aniqua.serialize());
+    aniqua.merge(nico.serialize());
+
+    expect(nico.text()).toBe('Viajar ao Japão');
+    expect(aniqua.text()).toBe(nico.text());
+    // Quem só recebe o estado também consegue aplicar operações feitas depois sobre ele
+    const late = createTextCrdt('tiago');
+    late.merge(nico.serialize());
+    expect(late.applyOps(aniqua.localEdit('Viajar ao Japão!'))).toBe(true);
+    expect(late.text()).toBe('Viajar ao Japão!');
+  });
+
+  test('recomeçar a partir do texto deixa de guardar os apagados e as duas pessoas continuam a partir daí', () => {
+    const [nico, aniqua] = replicasOf('Viajar juntos', 'nico', 'aniqua');
+    aniqua.applyOps([...nico.localEdit('Viajar juntos ao Japão e à Coreia'), ...nico.localEdit('Viajar ao Japão')]);
+    const fresh = serializeBaseText(nico.text(), 'novo');
+    expect(fresh.length).toBeLessThan(nico.serialize().length);
+
+    nico.reset(fresh);
+    aniqua.reset(fresh);
+    expect(JSON.parse(nico.serialize()).chars.every((char) => char.length === 3)).toBe(true);
+    expect(aniqua.applyOps(nico.localEdit('Viajar ao Japão!'))).toBe(true);
+    expect(aniqua.text()).toBe('Viajar ao Japão!');
+    // Operações feitas sobre o estado anterior já não encontram os caracteres de onde partiram
+    expect(aniqua.applyOps([{ t: 'i', id: '90@nico', after: '13@base', v: '?' }])).toBe(false);
+  });
+
+  test('a âncora do cursor acompanha o texto que a outra pessoa escreve ou apaga', () => {
+    const [nico, aniqua] = replicasOf('Viajar juntos', 'nico', 'aniqua');
+    const cursor = nico.anchorAt('Viajar'.length);
+
+    nico.applyOps(aniqua.localEdit('Sonho: Viajar juntos'));
+    expect(nico.indexOfAnchor(cursor)).toBe('Sonho: Viajar'.length);
+
+    nico.applyOps(aniqua.localEdit('Sonho: Viaj juntos', 'Sonho: Viaj'.length));
+    expect(nico.indexOfAnchor(cursor)).toBe('Sonho: Viaj'.length);
+
+    expect(nico.anchorAt(0)).toBeNull();
+    expect(nico.indexOfAnchor(null)).toBe(0);
+    expect(nico.indexOfAnchor('99@ninguem')).toBeNull();
+  });
+});